@@ -1,42 +1,42 @@
 #!/usr/bin/env node
 /**
- * analyze-audio.mjs -- Extract per-frame audio energy for visualization
+ * analyze-audio.mjs -- Extract per-frame audio features for visualization
  *
- * Uses ffmpeg to compute RMS energy at configurable frame intervals.
- * Returns a normalized energy array (0.0-1.0) that drives visual parameters.
+ * Decodes the audio with ffmpeg, then per video frame:
+ *   energy, energySlow, energyGlacial  broadband RMS (0-1) and slower envelopes
+ *   bands.low / .mid / .high           FFT band energy (0-1, each to its own peak)
+ *   centroid                           spectral centroid in Hz (brightness)
+ *   onset                              onset strength, spectral flux (0-1)
+ *   beatPhase                          0 on each estimated beat, rising to 1
+ * plus a tempo estimate (tempo, beats) from the onset strength. The FFT is
+ * plain JS on the decoded PCM.
  *
  * Usage:
  *   import { analyzeAudio } from './analyze-audio.mjs';
- *   const { energy, duration, sampleRate, fps } = await analyzeAudio('audio.wav', { fps: 30 });
+ *   const { energy, bands, tempo, duration, sampleRate, fps } = await analyzeAudio('audio.wav', { fps: 30 });
  */
 
 import { execFileSync } from 'child_process';
+import { ffmpegPath, ffprobePath } from './media-tools.mjs';
 
 /**
- * Extract per-frame RMS energy from an audio file.
+ * Decode an audio file to mono 16-bit PCM via ffmpeg.
  *
  * @param {string} audioPath - Path to audio file (WAV, MP3, FLAC, M4A)
- * @param {object} opts
- * @param {number} opts.fps - Frames per second (default: 30)
- * @param {number} opts.smoothing - Smoothing window in frames (default: 3)
- * @returns {{ energy: Float32Array, peak: number, duration: number, fps: number }}
+ * @returns {{ samples: Int16Array, sampleRate: number, duration: number }}
  */
-export async function analyzeAudio(audioPath, opts = {}) {
-  const fps = opts.fps || 30;
-  const smoothing = opts.smoothing || 3;
-
+export function extractPcm(audioPath) {
   // Get duration
-  const durationStr = execFileSync('ffprobe', [
+  const durationStr = execFileSync(ffprobePath(), [
     '-v', 'error',
     '-show_entries', 'format=duration',
     '-of', 'csv=p=0',
     audioPath,
   ], { encoding: 'utf-8' }).trim();
   const duration = parseFloat(durationStr);
-  const totalFrames = Math.ceil(duration * fps);
 
   // Extract raw PCM samples (mono, 16-bit, native sample rate)
-  const pcmBuffer = execFileSync('ffmpeg', [
+  const pcmBuffer = execFileSync(ffmpegPath(), [
     '-i', audioPath,
     '-ac', '1',           // mono
     '-f', 's16le',        // raw 16-bit signed little-endian
@@ -46,7 +46,7 @@ export async function analyzeAudio(audioPath, opts = {}) {
   ], { maxBuffer: 500 * 1024 * 1024 }); // 500MB max
 
   // Get actual sample rate
-  const srStr = execFileSync('ffprobe', [
+  const srStr = execFileSync(ffprobePath(), [
     '-v', 'error',
     '-select_streams', 'a:0',
     '-show_entries', 'stream=sample_rate',
@@ -59,6 +59,251 @@ export async function analyzeAudio(audioPath, opts = {}) {
   const numSamples = pcmBuffer.length / 2;
   const samples = new Int16Array(pcmBuffer.buffer, pcmBuffer.byteOffset, numSamples);
 
+  return { samples, sampleRate, duration };
+}
+
+// Band edges in Hz: low is bass and kick, mid the guitars and voice, high
+// the cymbals and pick noise
+export const BANDS = { low: [20, 250], mid: [250, 4000], high: [4000, 16000] };
+
+/**
+ * Twiddle factors for an n-point FFT: cos and sin of -2*pi*k/n for k < n/2.
+ * Build once per size and pass to every fft call of that size.
+ *
+ * @param {number} n - FFT size, a power of two
+ * @returns {{ cos: Float64Array, sin: Float64Array }}
+ */
+export function fftTwiddles(n) {
+  const cos = new Float64Array(n >> 1);
+  const sin = new Float64Array(n >> 1);
+  for (let k = 0; k < n >> 1; k++) {
+    cos[k] = Math.cos((-2 * Math.PI * k) / n);
+    sin[k] = Math.sin((-2 * Math.PI * k) / n);
+  }
+  return { cos, sin };
+}
+
+/**
+ * In-place iterative radix-2 FFT.
+ *
+ * @param {Float64Array} re - real part, length a power of two
+ * @param {Float64Array} im - imaginary part, same length
+ * @param {{ cos: Float64Array, sin: Float64Array }} twiddles - fftTwiddles(re.length)
+ */
+export function fft(re, im, twiddles = fftTwiddles(re.length)) {
+  const n = re.length;
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    // Stage twiddle k is table entry k * stride
+    const stride = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = twiddles.cos[k * stride];
+        const sin = twiddles.sin[k * stride];
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+// Divide by the peak, in place (all zeros stay zeros)
+function normalize(values) {
+  let peak = 0;
+  for (const v of values) if (v > peak) peak = v;
+  if (peak > 0) for (let i = 0; i < values.length; i++) values[i] /= peak;
+  return peak;
+}
+
+/**
+ * Band energies, spectral centroid and onset strength per frame, from a
+ * Hann-windowed FFT centred on each frame.
+ *
+ * @param {Int16Array|Float32Array} samples - mono PCM
+ * @param {number} sampleRate
+ * @param {number} fps
+ * @param {number} totalFrames
+ * @returns {{ bands: { low: Float32Array, mid: Float32Array, high: Float32Array }, centroid: Float32Array, onset: Float32Array }}
+ */
+export function spectralFeatures(samples, sampleRate, fps, totalFrames) {
+  const scale = samples instanceof Int16Array ? 1 / 32768 : 1;
+  const samplesPerFrame = Math.floor(sampleRate / fps);
+  let size = 1024;
+  while (size < samplesPerFrame && size < 4096) size <<= 1;
+  const bins = size / 2;
+  const binHz = sampleRate / size;
+
+  const hann = new Float64Array(size);
+  for (let i = 0; i < size; i++) hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  const bandBins = Object.fromEntries(Object.entries(BANDS).map(([name, [lo, hi]]) => [
+    name, [Math.max(1, Math.round(lo / binHz)), Math.min(bins, Math.round(hi / binHz))],
+  ]));
+
+  const bands = { low: new Float32Array(totalFrames), mid: new Float32Array(totalFrames), high: new Float32Array(totalFrames) };
+  const centroid = new Float32Array(totalFrames);
+  const onset = new Float32Array(totalFrames);
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  const mag = new Float64Array(bins);
+  const twiddles = fftTwiddles(size);
+  // Log spectra of this frame and the previous one, swapped every frame
+  let log = new Float64Array(bins);
+  let prevLog = new Float64Array(bins);
+
+  for (let f = 0; f < totalFrames; f++) {
+    const start = Math.round((f + 0.5) * samplesPerFrame - size / 2);
+    for (let i = 0; i < size; i++) {
+      const idx = start + i;
+      re[i] = idx >= 0 && idx < samples.length ? samples[idx] * scale * hann[i] : 0;
+      im[i] = 0;
+    }
+    fft(re, im, twiddles);
+
+    let weighted = 0;
+    let total = 0;
+    let flux = 0;
+    for (let k = 1; k < bins; k++) {
+      mag[k] = Math.hypot(re[k], im[k]);
+      weighted += k * binHz * mag[k];
+      total += mag[k];
+      // Spectral flux on log magnitude: rises count, decays do not
+      log[k] = Math.log1p(100 * mag[k]);
+      if (f > 0) flux += Math.max(0, log[k] - prevLog[k]);
+    }
+    [log, prevLog] = [prevLog, log];
+
+    for (const [name, [lo, hi]] of Object.entries(bandBins)) {
+      let sumSq = 0;
+      for (let k = lo; k < hi; k++) sumSq += mag[k] * mag[k];
+      bands[name][f] = Math.sqrt(sumSq);
+    }
+    centroid[f] = total > 1e-9 ? weighted / total : 0;
+    onset[f] = flux;
+  }
+
+  for (const values of Object.values(bands)) normalize(values);
+  normalize(onset);
+  return { bands, centroid, onset };
+}
+
+/**
+ * Tempo and beat grid from an onset strength curve: the autocorrelation lag
+ * with the most weight (leaning towards 120 BPM to settle half/double time),
+ * then the grid offset that lands on the most onset strength.
+ *
+ * @param {Float32Array} onset - onset strength per frame
+ * @param {number} fps
+ * @param {object} opts - { minBpm: 60, maxBpm: 200 }
+ * @returns {{ bpm: number, beats: number[], beatPhase: Float32Array }|null} beats in seconds; null for too little audio
+ */
+export function estimateTempo(onset, fps, opts = {}) {
+  const minBpm = opts.minBpm || 60;
+  const maxBpm = opts.maxBpm || 200;
+  const n = onset.length;
+  const minLag = Math.max(2, Math.floor((60 * fps) / maxBpm));
+  const maxLag = Math.ceil((60 * fps) / minBpm);
+  if (n < maxLag * 2) return null;
+
+  let mean = 0;
+  for (const v of onset) mean += v;
+  mean /= n;
+
+  // Weighted autocorrelation over the BPM range (one lag either side for interpolation)
+  const acf = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < n; i++) sum += (onset[i] - mean) * (onset[i + lag] - mean);
+    acf[lag] = sum / (n - lag);
+  }
+  let bestLag = 0;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const octaves = Math.log2((60 * fps) / lag / 120);
+    const score = acf[lag] * Math.exp(-0.5 * octaves * octaves);
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (!(acf[bestLag] > 0)) return null;
+
+  // Parabolic interpolation for a sub-frame period
+  const [a, b, c] = [acf[bestLag - 1], acf[bestLag], acf[bestLag + 1]];
+  const curve = a - 2 * b + c;
+  const period = bestLag + (curve < 0 ? (0.5 * (a - c)) / curve : 0);
+
+  // Grid offset with the most onset strength on its beats
+  let bestOffset = 0;
+  let bestSum = -Infinity;
+  for (let offset = 0; offset < period; offset++) {
+    let sum = 0;
+    for (let t = offset; t < n; t += period) sum += onset[Math.round(t)] || 0;
+    if (sum > bestSum) {
+      bestSum = sum;
+      bestOffset = offset;
+    }
+  }
+
+  const beats = [];
+  for (let t = bestOffset; t < n; t += period) beats.push(t / fps);
+  const beatPhase = new Float32Array(n);
+  for (let f = 0; f < n; f++) {
+    const phase = ((f - bestOffset) / period) % 1;
+    beatPhase[f] = phase < 0 ? phase + 1 : phase;
+  }
+  return { bpm: (60 * fps) / period, beats, beatPhase };
+}
+
+/**
+ * Extract per-frame features from an audio file.
+ *
+ * @param {string} audioPath - Path to audio file (WAV, MP3, FLAC, M4A)
+ * @param {object} opts
+ * @param {number} opts.fps - Frames per second (default: 30)
+ * @param {number} opts.smoothing - Smoothing window in frames (default: 3)
+ * @returns {Promise<object>} see analyzePcm
+ */
+export async function analyzeAudio(audioPath, opts = {}) {
+  const { samples, sampleRate, duration } = extractPcm(audioPath);
+  return analyzePcm(samples, sampleRate, duration, opts);
+}
+
+/**
+ * Per-frame features of decoded mono PCM (analyzeAudio without ffmpeg).
+ *
+ * @param {Int16Array|Float32Array} samples - mono PCM
+ * @param {number} sampleRate
+ * @param {number} duration - seconds
+ * @param {object} opts - { fps, smoothing } as analyzeAudio
+ * @returns {{ energy: Float32Array, energySlow: Float32Array, energyGlacial: Float32Array,
+ *   bands: { low: Float32Array, mid: Float32Array, high: Float32Array }, centroid: Float32Array,
+ *   onset: Float32Array, beatPhase: Float32Array, tempo: number|null, beats: number[],
+ *   peak: number, duration: number, fps: number, totalFrames: number, sampleRate: number }}
+ */
+export function analyzePcm(samples, sampleRate, duration, opts = {}) {
+  const fps = opts.fps || 30;
+  const smoothing = opts.smoothing || 3;
+
+  const scale = samples instanceof Int16Array ? 1 / 32768 : 1;
+  const numSamples = samples.length;
+  const totalFrames = Math.ceil(duration * fps);
+
   // Compute RMS per frame
   const samplesPerFrame = Math.floor(sampleRate / fps);
   const rawEnergy = new Float32Array(totalFrames);
@@ -71,7 +316,7 @@ export async function analyzeAudio(audioPath, opts = {}) {
     let sumSq = 0;
     const count = end - start;
     for (let i = start; i < end; i++) {
-      const normalized = samples[i] / 32768;
+      const normalized = samples[i] * scale;
       sumSq += normalized * normalized;
     }
     rawEnergy[f] = Math.sqrt(sumSq / count);
@@ -125,7 +370,17 @@ export async function analyzeAudio(audioPath, opts = {}) {
     energyGlacial[f] = energyGlacial[f - 1] + glacialCoeff * (energy[f] - energyGlacial[f - 1]);
   }
 
-  return { energy, energySlow, energyGlacial, peak, duration, fps, totalFrames, sampleRate };
+  // Spectrum, onsets and the beat grid
+  const { bands, centroid, onset } = spectralFeatures(samples, sampleRate, fps, totalFrames);
+  const beat = estimateTempo(onset, fps);
+
+  return {
+    energy, energySlow, energyGlacial, bands, centroid, onset,
+    beatPhase: beat ? beat.beatPhase : new Float32Array(totalFrames),
+    tempo: beat ? beat.bpm : null,
+    beats: beat ? beat.beats : [],
+    peak, duration, fps, totalFrames, sampleRate,
+  };
 }
 
 // CLI mode
@@ -143,6 +398,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   console.log(`Sample rate: ${result.sampleRate} Hz`);
   console.log(`Frames: ${result.totalFrames} @ ${fps} fps`);
   console.log(`Peak RMS: ${result.peak.toFixed(4)}`);
+  console.log(`Tempo: ${result.tempo ? `~${result.tempo.toFixed(1)} BPM (${result.beats.length} beats)` : 'not detected'}`);
 
   // Print energy blocks (10-second chunks)
   const framesPerBlock = fps * 10;
@@ -0,0 +1,119 @@
+/**
+ * auto-clip.mjs -- Pick the most impressive stretch of a song for a reel
+ *
+ * Candidate clips are runs of consecutive played bars (repeats expanded)
+ * between minSec and maxSec long. Each is scored on:
+ *   difficulty - mean practice-engine difficulty of its bars (0-100 -> 0-1)
+ *   energy     - mean RMS energy of the take over the clip (--audio only)
+ *   sections   - starting on a section and ending where one ends
+ * and the best non-overlapping clips win (composite-reel.mjs --auto-clip).
+ *
+ * Usage:
+ *   import { playedBars, rankClips } from './auto-clip.mjs';
+ *   const bars = playedBars(score, buildBarClock(score, sync), difficulties);
+ *   const [best] = rankClips(bars, { minSec: 15, maxSec: 30, energyAt });
+ */
+
+// Clip length range, in seconds
+export const CLIP_SECONDS = { min: 15, max: 30 };
+
+// Score weights, with and without audio energy
+export const CLIP_WEIGHTS = {
+  withAudio: { difficulty: 0.5, energy: 0.3, sections: 0.2 },
+  scoreOnly: { difficulty: 0.7, energy: 0, sections: 0.3 },
+};
+
+/**
+ * Bars in playback order with their times and difficulty.
+ *
+ * @param {object} score - alphaTab Score
+ * @param {object} clock - from buildBarClock
+ * @param {number[]} difficulties - scoreDifficulty per master bar
+ * @returns {{ barNumber: number, pass: number, startMs: number, endMs: number, difficulty: number, startsSection: boolean }[]}
+ */
+export function playedBars(score, clock, difficulties) {
+  return clock.timeline.map((entry) => {
+    const section = score.masterBars[entry.masterBarIndex].section;
+    return {
+      barNumber: entry.masterBarIndex + 1,
+      pass: entry.pass,
+      startMs: clock.tickToMs(entry.start),
+      endMs: clock.tickToMs(entry.end),
+      difficulty: difficulties[entry.masterBarIndex] || 0,
+      startsSection: Boolean(section && (section.text || section.marker || '').trim()),
+    };
+  });
+}
+
+/**
+ * Mean of a normalised energy envelope (analyzeAudio) over a time range.
+ *
+ * @param {Float32Array} energy - one value per frame
+ * @param {number} fps - envelope frame rate
+ * @returns {(startMs: number, endMs: number) => number}
+ */
+export function energyReader(energy, fps) {
+  return (startMs, endMs) => {
+    const from = Math.max(0, Math.floor((startMs / 1000) * fps));
+    const to = Math.min(energy.length, Math.ceil((endMs / 1000) * fps));
+    if (to <= from) return 0;
+    let sum = 0;
+    for (let f = from; f < to; f++) sum += energy[f];
+    return sum / (to - from);
+  };
+}
+
+/**
+ * Rank candidate clips, best first, keeping only clips that do not overlap
+ * a better one.
+ *
+ * @param {object[]} bars - from playedBars
+ * @param {object} opts
+ * @param {number} opts.minSec - shortest clip (default: CLIP_SECONDS.min)
+ * @param {number} opts.maxSec - longest clip (default: CLIP_SECONDS.max)
+ * @param {Function} opts.energyAt - (startMs, endMs) => 0-1, or null without audio
+ * @param {number} opts.count - clips to return (default: 1)
+ * @returns {{ startMs: number, endMs: number, firstBar: number, lastBar: number, score: number, parts: object }[]}
+ */
+export function rankClips(bars, opts = {}) {
+  const minMs = (opts.minSec ?? CLIP_SECONDS.min) * 1000;
+  const maxMs = (opts.maxSec ?? CLIP_SECONDS.max) * 1000;
+  const weights = opts.energyAt ? CLIP_WEIGHTS.withAudio : CLIP_WEIGHTS.scoreOnly;
+
+  const candidates = [];
+  for (let i = 0; i < bars.length; i++) {
+    let difficultySum = 0;
+    for (let j = i; j < bars.length; j++) {
+      difficultySum += bars[j].difficulty;
+      const startMs = bars[i].startMs;
+      const endMs = bars[j].endMs;
+      if (endMs - startMs > maxMs) break;
+      if (endMs - startMs < minMs) continue;
+
+      const endsSection = j === bars.length - 1 || bars[j + 1].startsSection;
+      const parts = {
+        difficulty: difficultySum / (j - i + 1) / 100,
+        energy: opts.energyAt ? opts.energyAt(startMs, endMs) : 0,
+        sections: (bars[i].startsSection ? 0.6 : 0) + (endsSection ? 0.4 : 0),
+      };
+      const score = Object.entries(weights).reduce((sum, [key, weight]) => sum + parts[key] * weight, 0);
+      candidates.push({ startMs, endMs, firstBar: bars[i].barNumber, lastBar: bars[j].barNumber, score, parts });
+    }
+  }
+
+  // A song shorter than minSec is one clip
+  const songMs = bars.length > 0 ? bars[bars.length - 1].endMs - bars[0].startMs : 0;
+  if (candidates.length === 0 && songMs > 0 && songMs < minMs) {
+    return rankClips(bars, { ...opts, minSec: songMs / 1000, maxSec: songMs / 1000 });
+  }
+
+  // Best first; on a tie the earlier clip
+  candidates.sort((a, b) => b.score - a.score || a.startMs - b.startMs);
+  const chosen = [];
+  for (const clip of candidates) {
+    if (chosen.length >= (opts.count || 1)) break;
+    if (chosen.some((c) => clip.startMs < c.endMs && c.startMs < clip.endMs)) continue;
+    chosen.push(clip);
+  }
+  return chosen;
+}
@@ -2,6 +2,8 @@
 import { execSync } from 'child_process';
 import * as fs from 'fs';
 import * as path from 'path';
+import { withRenderConfig } from './render-config.mjs';
+import { commonOptions } from './cli-options.mjs';
 
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
 const PROJECT_ROOT = path.resolve(__dirname, '..');
@@ -18,18 +20,21 @@ const PROJECT_ROOT = path.resolve(__dirname, '..');
  *   node src/batch.mjs song1.gp song2.gp5 --style clean --fps 60
  */
 
-function parseArgs(argv) {
+// argv without the shared flags; common holds those (cli-options.mjs).
+// --profile and --workers are handed on to each render.
+function parseArgs(argv, common) {
   const opts = {
     inputs: [],
-    platforms: [],
-    passthrough: [],
+    platforms: common.platform || [],
+    passthrough: [
+      ...(common.profile ? ['--profile', common.profile] : []),
+      ...(common.workers ? ['--workers', String(common.workers)] : []),
+    ],
   };
 
   for (let i = 0; i < argv.length; i++) {
     const a = argv[i];
-    if (a === '--platform' && argv[i + 1]) {
-      opts.platforms = argv[++i].split(',').map(s => s.trim());
-    } else if (a.startsWith('--')) {
+    if (a.startsWith('--')) {
       opts.passthrough.push(a);
       if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
         opts.passthrough.push(argv[++i]);
@@ -76,20 +81,31 @@ function resolveInputFiles(inputs) {
   return files;
 }
 
-const opts = parseArgs(process.argv.slice(2));
+function printUsage(log = console.error) {
+  log('Usage: node src/batch.mjs <dir-or-files...> [options]');
+  log('');
+  log('Renders multiple GP files and/or multiple platform outputs.');
+  log('');
+  log('Examples:');
+  log('  node src/batch.mjs ~/compositions/*.gp --style playthrough');
+  log('  node src/batch.mjs ~/compositions/ --platform youtube,instagram');
+  log('  node src/batch.mjs song1.gp song2.gp5 --style clean --fps 60');
+  log('');
+  log('All flags from index.mjs are supported (--style, --tracks, --fps, etc.), except the');
+  log('per-song --output, --audio and --sync: set those in each song\'s song.render.json.');
+  log('Use --platform with commas for multi-platform: --platform youtube,instagram,tiktok');
+  log('--profile NAME and each song\'s song.render.json apply as in index.mjs.');
+}
+
+const { options, rest, help } = commonOptions(process.argv.slice(2), ['platform', 'profile', 'workers'], { platformList: true });
+if (help) {
+  printUsage(console.log);
+  process.exit(0);
+}
+const opts = parseArgs(rest, options);
 
 if (opts.inputs.length === 0) {
-  console.error('Usage: node src/batch.mjs <dir-or-files...> [options]');
-  console.error('');
-  console.error('Renders multiple GP files and/or multiple platform outputs.');
-  console.error('');
-  console.error('Examples:');
-  console.error('  node src/batch.mjs ~/compositions/*.gp --style playthrough');
-  console.error('  node src/batch.mjs ~/compositions/ --platform youtube,instagram');
-  console.error('  node src/batch.mjs song1.gp song2.gp5 --style clean --fps 60');
-  console.error('');
-  console.error('All flags from index.mjs are supported (--style, --tracks, --fps, etc.).');
-  console.error('Use --platform with commas for multi-platform: --platform youtube,instagram,tiktok');
+  printUsage();
   process.exit(1);
 }
 
@@ -109,17 +125,25 @@ const startTime = Date.now();
 console.log(`Batch render: ${files.length} file(s) x ${platforms.length} platform(s) = ${totalJobs} job(s)\n`);
 
 for (const file of files) {
+  // Expand --profile and song.render.json here: index.mjs runs from the project root
+  let fileArgs;
+  try {
+    fileArgs = withRenderConfig('render', [file, ...opts.passthrough]);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
   for (const platform of platforms) {
     completed++;
     const basename = path.basename(file, path.extname(file));
     const platformSuffix = platform ? `_${platform}` : '';
-    const ext = opts.passthrough.includes('--transparent') ? '.mov' : '.mp4';
+    const ext = fileArgs.includes('--transparent') ? '.mov' : '.mp4';
     const outputFile = `output/${basename}${platformSuffix}_tab${ext}`;
 
     const args = [
       'src/index.mjs',
-      file,
-      ...opts.passthrough,
+      ...fileArgs,
       ...(platform ? ['--platform', platform] : []),
       outputFile,
     ];
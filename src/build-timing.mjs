@@ -1,21 +1,53 @@
+import * as alphaTab from '@coderline/alphatab';
+import { resolveSyncAnchors } from './sync-file.mjs';
+
 const QUARTER_TIME = 960; // MIDI ticks per quarter note (alphaTab standard)
 
-export function buildTimingMap(score, boundsLookup, trackIndex = 0) {
-  // Build tempo map from masterBar tempo automations
-  const tempoChanges = [{ tick: 0, bpm: score.tempo }];
+/**
+ * Expand the score into playback order: repeats, alternate endings and
+ * D.C./D.S./al Coda/al Fine jumps are resolved by alphaTab's MIDI generator,
+ * the same logic its player uses.
+ *
+ * Returns one entry per played bar, in playback order:
+ *   { masterBarIndex, pass, start, end, tempoChanges: [{ tick, bpm }] }
+ * where `start`/`end` are playback ticks (monotonic across jumps) and `pass`
+ * counts how many times that bar has been played before (0 = first time).
+ */
+export function buildPlaybackTimeline(score) {
+  const midiFile = new alphaTab.midi.MidiFile();
+  const handler = new alphaTab.midi.AlphaSynthMidiFileHandler(midiFile, true);
+  const generator = new alphaTab.midi.MidiFileGenerator(score, null, handler);
+  generator.generate();
 
-  for (const masterBar of score.masterBars) {
-    if (masterBar.tempoAutomation) {
-      tempoChanges.push({
-        tick: masterBar.start,
-        bpm: masterBar.tempoAutomation.value,
-      });
-    }
+  const passCounts = new Map();
+  return generator.tickLookup.masterBars.map((lookup) => {
+    const masterBarIndex = lookup.masterBar.index;
+    const pass = passCounts.get(masterBarIndex) || 0;
+    passCounts.set(masterBarIndex, pass + 1);
+    return {
+      masterBarIndex,
+      pass,
+      start: lookup.start,
+      end: lookup.end,
+      tempoChanges: lookup.tempoChanges.map((tc) => ({ tick: tc.tick, bpm: tc.tempo })),
+    };
+  });
+}
+
+/**
+ * Tick -> ms converter for playback ticks (see buildPlaybackTimeline).
+ * The generator reports the active tempo at every played bar, so tempo
+ * resets after a D.C./D.S. jump are included.
+ */
+export function createTickToMs(score, timeline) {
+  const tempoChanges = [{ tick: 0, bpm: score.tempo }];
+  for (const entry of timeline) {
+    tempoChanges.push(...entry.tempoChanges);
   }
   tempoChanges.sort((a, b) => a.tick - b.tick);
 
   // Convert absolute tick to absolute milliseconds, accounting for tempo changes
-  function tickToMs(targetTick) {
+  return function tickToMs(targetTick) {
     let ms = 0;
     let prevTick = 0;
     let bpm = tempoChanges[0].bpm;
@@ -29,101 +61,271 @@ export function buildTimingMap(score, boundsLookup, trackIndex = 0) {
     }
     ms += ((targetTick - prevTick) / QUARTER_TIME) * (60000 / bpm);
     return ms;
+  };
+}
+
+/**
+ * @param {object} score - alphaTab Score object
+ * @param {object} boundsLookup - renderer.boundsLookup from renderStrip
+ * @param {number} trackIndex - track used for the score-model fallback
+ * @param {object} opts
+ * @param {object} opts.sync - sync anchors from sync-file.mjs; every time in
+ *   the result is remapped onto the take
+ */
+export function buildTimingMap(score, boundsLookup, trackIndex = 0, opts = {}) {
+  const timeline = buildPlaybackTimeline(score);
+  const tickToMs = createTickToMs(score, timeline);
+
+  const timing = boundsLookup && boundsLookup.staffSystems && boundsLookup.staffSystems.length > 0
+    ? buildTimingFromBounds(score, boundsLookup, timeline, tickToMs)
+    : buildTimingFromScoreModel(score, trackIndex, timeline, tickToMs);
+
+  timing.tempoMarkers = buildTempoMarkers(score, timeline, tickToMs);
+  timing.warp = (ms) => ms;
+  if (opts.sync) {
+    timing.warp = createTimeWarp(resolveSyncAnchors(opts.sync, timeline, tickToMs));
+    applyTimeWarp(timing, timing.warp);
   }
+  return timing;
+}
 
+/**
+ * Playback clock for bar-level lookups without rendering: bar numbers (and
+ * repeat passes) -> ms, optionally remapped onto a take via sync anchors.
+ * Times follow the tempo map, so time signature and tempo changes are
+ * accounted for.
+ */
+export function buildBarClock(score, sync = null) {
+  const timeline = buildPlaybackTimeline(score);
+  const scoreTickToMs = createTickToMs(score, timeline);
+  const warp = sync
+    ? createTimeWarp(resolveSyncAnchors(sync, timeline, scoreTickToMs))
+    : (ms) => ms;
+  const tickToMs = (tick) => warp(scoreTickToMs(tick));
+  const findEntry = (barNumber, pass) =>
+    timeline.find((e) => e.masterBarIndex === barNumber - 1 && e.pass === pass - 1);
+
+  return {
+    timeline,
+    tickToMs,
+    warp,
+    songDurationMs: tickToMs(timelineEndTick(timeline)),
+    barStartMs(barNumber, pass = 1) {
+      const entry = findEntry(barNumber, pass);
+      return entry ? tickToMs(entry.start) : null;
+    },
+    barEndMs(barNumber, pass = 1) {
+      const entry = findEntry(barNumber, pass);
+      return entry ? tickToMs(entry.end) : null;
+    },
+    // Section names in playback order, each once
+    sectionNames() {
+      const names = timeline.map((e) => sectionText(score.masterBars[e.masterBarIndex])).filter(Boolean);
+      return [...new Set(names)];
+    },
+    // The first time a section (case-insensitive name) is played: from its
+    // first bar to the next bar that starts a section, or the song's end.
+    // { text, firstBar, lastBar, startMs, endMs }, or null
+    sectionRange(name) {
+      const wanted = name.trim().toLowerCase();
+      const start = timeline.findIndex((e) => sectionText(score.masterBars[e.masterBarIndex]).toLowerCase() === wanted);
+      if (start < 0) return null;
+      let end = start + 1;
+      while (end < timeline.length && !sectionText(score.masterBars[timeline[end].masterBarIndex])) end++;
+      return {
+        text: sectionText(score.masterBars[timeline[start].masterBarIndex]),
+        firstBar: timeline[start].masterBarIndex + 1,
+        lastBar: timeline[end - 1].masterBarIndex + 1,
+        startMs: tickToMs(timeline[start].start),
+        endMs: tickToMs(timeline[end - 1].end),
+      };
+    },
+  };
+}
+
+function buildTimingFromBounds(score, boundsLookup, timeline, tickToMs) {
   const beatTimings = [];
+  const noteHighlights = [];
 
-  if (boundsLookup && boundsLookup.staffSystems && boundsLookup.staffSystems.length > 0) {
-    // Use only the first staffSystem (horizontal mode duplicates across systems)
-    const system = boundsLookup.staffSystems[0];
-    // system.bars[] = MasterBarBounds (one per bar)
-    // system.bars[i].bars[] = BarBounds (one per track-staff in this bar)
-    // system.bars[i].bars[j].beats[] = BeatBounds
-    for (const masterBarBounds of system.bars) {
-      for (const barBounds of masterBarBounds.bars) {
-        for (const beatBound of barBounds.beats) {
-          const beat = beatBound.beat;
-          if (!beat) continue;
+  // staffSystems[] = one per line (horizontal layout: a single line)
+  // system.bars[] = MasterBarBounds (one per bar)
+  // system.bars[i].bars[] = BarBounds (one per track-staff in this bar)
+  // system.bars[i].bars[j].beats[] = BeatBounds
+  const barBoundsByIndex = indexBarBounds(boundsLookup);
+
+  for (let t = 0; t < timeline.length; t++) {
+    const entry = timeline[t];
+    const located = barBoundsByIndex.get(entry.masterBarIndex);
+    if (!located) continue;
+    const { bounds: masterBarBounds, systemIndex } = located;
+
+    // With standard notation above the tab (--notation both) each staff of
+    // a bar has its own BarBounds holding the same beats. Time each beat
+    // once (per staff, voice and tick) and highlight only the lowest
+    // rendered staff of the bar -- alphaTab draws the tab last, so that is
+    // the fret numbers whenever the tab is shown. Tracks rendered in one
+    // layout space their beats alike, so a tick they share is timed once too;
+    // it counts as a rest only if it is a rest in every track.
+    const highlightBars = new Map();
+    for (const barBounds of masterBarBounds.bars) highlightBars.set(barBounds.bar, barBounds);
+    const timed = new Map();
+
+    for (const barBounds of masterBarBounds.bars) {
+      for (const beatBound of barBounds.beats) {
+        const beat = beatBound.beat;
+        if (!beat) continue;
 
-          const tick = beat.absolutePlaybackStart;
-          const ms = tickToMs(tick);
+        // beat.playbackStart is relative to its bar, so it can be placed
+        // on any pass through that bar.
+        const tick = entry.start + beat.playbackStart;
+        const ms = tickToMs(tick);
 
-          beatTimings.push({
+        const key = `${beat.voice.bar.staff.index}:${beat.voice.index}:${beat.playbackStart}`;
+        const seen = timed.get(key);
+        if (seen) {
+          seen.isRest &&= beat.isRest;
+        } else {
+          const timing = {
             ms,
             tick,
             pixelX: beatBound.onNotesX,
-          });
+            barIndex: entry.masterBarIndex,
+            pass: entry.pass,
+            systemIndex,
+            isRest: beat.isRest,
+          };
+          timed.set(key, timing);
+          beatTimings.push(timing);
+        }
+
+        // One highlight per note head (fret number) per pass, while it sounds
+        if (highlightBars.get(barBounds.bar) === barBounds && !beat.isRest && beatBound.notes) {
+          const endMs = tickToMs(tick + beat.playbackDuration);
+          const trackIndex = beat.voice.bar.staff.track.index;
+          for (const noteBound of beatBound.notes) {
+            const { x, y, w, h } = noteBound.noteHeadBounds;
+            noteHighlights.push({ ms, endMs, x, y, w, h, barIndex: entry.masterBarIndex, pass: entry.pass, trackIndex });
+          }
         }
       }
     }
-  } else {
-    // Fallback: estimate from score model
-    console.warn('BoundsLookup not available. Using linear estimation.');
-    return buildTimingFromScoreModel(score, trackIndex, tickToMs);
+
+    // When playback jumps (repeat, ending, D.C./D.S.) or wraps onto the next
+    // line (page layout), let the cursor run to the end of the bar instead of
+    // sweeping towards the next bar. The anchor shares its ms with the first
+    // beat after it, so the interpolation snaps across at the bar line.
+    const next = timeline[t + 1];
+    const jumps = next && next.masterBarIndex !== entry.masterBarIndex + 1;
+    const wraps = next && !jumps && barBoundsByIndex.get(next.masterBarIndex)?.systemIndex !== systemIndex;
+    if (jumps || wraps) {
+      const vb = masterBarBounds.visualBounds;
+      beatTimings.push({
+        ms: tickToMs(entry.end),
+        tick: entry.end,
+        pixelX: vb.x + vb.w,
+        barIndex: entry.masterBarIndex,
+        pass: entry.pass,
+        systemIndex,
+        ...(jumps ? { isJumpAnchor: true } : { isLineEndAnchor: true }),
+      });
+    }
   }
 
+  // Stable sort: jump anchors stay ahead of the beat they share a tick with
   beatTimings.sort((a, b) => a.ms - b.ms);
+  noteHighlights.sort((a, b) => a.ms - b.ms);
+
+  const songDurationMs = tickToMs(timelineEndTick(timeline));
+
+  // Extract section markers with pixel positions and timing (one per pass)
+  const sectionMarkers = buildSectionMarkers(score, boundsLookup, timeline, tickToMs);
+
+  // Line rectangles, for page display modes (systemIndex on beats/markers)
+  const systems = boundsLookup.staffSystems.map((system) => {
+    const { x, y, w, h } = system.visualBounds;
+    return { x, y, w, h };
+  });
+
+  // Horizontal extent of each bar by master bar index, for camera look-ahead
+  const bars = [];
+  for (const [index, { bounds, systemIndex }] of barBoundsByIndex) {
+    bars[index] = { x: bounds.visualBounds.x, w: bounds.visualBounds.w, systemIndex };
+  }
 
-  // Compute total song duration
-  const lastMasterBar = score.masterBars[score.masterBars.length - 1];
-  const songEndTick = lastMasterBar.start + lastMasterBar.calculateDuration();
-  const songDurationMs = tickToMs(songEndTick);
+  return { beatTimings, songDurationMs, tickToMs, sectionMarkers, noteHighlights, timeline, systems, bars };
+}
 
-  // Extract section markers with pixel positions and timing
-  const sectionMarkers = buildSectionMarkers(score, boundsLookup, tickToMs);
+// Master bar index -> { bounds, systemIndex }. If a bar shows up in more than
+// one system, the first one wins.
+function indexBarBounds(boundsLookup) {
+  const byIndex = new Map();
+  boundsLookup.staffSystems.forEach((system, systemIndex) => {
+    for (const masterBarBounds of system.bars) {
+      if (!byIndex.has(masterBarBounds.index)) {
+        byIndex.set(masterBarBounds.index, { bounds: masterBarBounds, systemIndex });
+      }
+    }
+  });
+  return byIndex;
+}
+
+function timelineEndTick(timeline) {
+  return timeline.length > 0 ? timeline[timeline.length - 1].end : 0;
+}
 
-  return { beatTimings, songDurationMs, tickToMs, sectionMarkers };
+function sectionText(masterBar) {
+  if (!masterBar.section) return '';
+  return (masterBar.section.text || masterBar.section.marker || '').trim();
 }
 
 /**
  * Extract section markers (Intro, Verse, Chorus, etc.) with pixel X positions and timing.
- * Only includes markers that have non-empty text.
+ * Only includes markers that have non-empty text. A section that is played more
+ * than once (repeats, D.C./D.S.) gets one marker per pass, in playback order.
  */
-function buildSectionMarkers(score, boundsLookup, tickToMs) {
+function buildSectionMarkers(score, boundsLookup, timeline, tickToMs) {
   const markers = [];
-  const system = boundsLookup?.staffSystems?.[0];
-  if (!system) return markers;
+  const systems = boundsLookup?.staffSystems || [];
+  if (systems.length === 0) return markers;
 
-  for (let i = 0; i < score.masterBars.length; i++) {
-    const mb = score.masterBars[i];
-    if (!mb.section) continue;
+  const barBoundsByIndex = indexBarBounds(boundsLookup);
+  const lastSystem = systems[systems.length - 1];
+  const lastBarBounds = lastSystem.bars[lastSystem.bars.length - 1];
+  const songEndPixelX = lastBarBounds.visualBounds.x + lastBarBounds.visualBounds.w;
 
-    const text = (mb.section.text || mb.section.marker || '').trim();
+  for (let t = 0; t < timeline.length; t++) {
+    const entry = timeline[t];
+    const text = sectionText(score.masterBars[entry.masterBarIndex]);
     if (!text) continue;
 
-    // Find the pixel X position for this bar
-    const barBounds = system.bars[i];
-    if (!barBounds) continue;
-
-    const pixelX = barBounds.visualBounds.x;
-    const ms = tickToMs(mb.start);
-
-    // Find the end of this section (start of next section or end of song)
-    let endMs = tickToMs(score.masterBars[score.masterBars.length - 1].start +
-      score.masterBars[score.masterBars.length - 1].calculateDuration());
-    let endPixelX = system.bars[system.bars.length - 1].visualBounds.x +
-      system.bars[system.bars.length - 1].visualBounds.w;
-
-    for (let j = i + 1; j < score.masterBars.length; j++) {
-      const nextMb = score.masterBars[j];
-      if (nextMb.section) {
-        const nextText = (nextMb.section.text || nextMb.section.marker || '').trim();
-        if (nextText) {
-          endMs = tickToMs(nextMb.start);
-          const nextBarBounds = system.bars[j];
-          if (nextBarBounds) endPixelX = nextBarBounds.visualBounds.x;
-          break;
-        }
+    const located = barBoundsByIndex.get(entry.masterBarIndex);
+    if (!located) continue;
+    const { bounds: barBounds, systemIndex } = located;
+
+    // The section runs until the next played bar that starts a section,
+    // or the end of the song.
+    let endMs = tickToMs(timelineEndTick(timeline));
+    let endPixelX = songEndPixelX;
+    for (let u = t + 1; u < timeline.length; u++) {
+      const nextEntry = timeline[u];
+      if (sectionText(score.masterBars[nextEntry.masterBarIndex])) {
+        endMs = tickToMs(nextEntry.start);
+        const nextBar = barBoundsByIndex.get(nextEntry.masterBarIndex);
+        if (nextBar) endPixelX = nextBar.bounds.visualBounds.x;
+        break;
       }
     }
 
     markers.push({
       text,
-      barIndex: i,
-      barNumber: i + 1,
-      pixelX,
+      barIndex: entry.masterBarIndex,
+      barNumber: entry.masterBarIndex + 1,
+      pass: entry.pass,
+      pixelX: barBounds.visualBounds.x,
+      pixelY: systems[systemIndex].visualBounds.y,
+      systemIndex,
       endPixelX,
-      ms,
+      ms: tickToMs(entry.start),
       endMs,
     });
   }
@@ -131,31 +333,109 @@ function buildSectionMarkers(score, boundsLookup, tickToMs) {
   return markers;
 }
 
-function buildTimingFromScoreModel(score, trackIndex, tickToMs) {
+/**
+ * Tempo changes in playback order: one marker each time the tempo in effect
+ * differs from the one before (the score's opening tempo is not a change).
+ * A D.C./D.S. back to a slower or faster part gets its own marker.
+ */
+function buildTempoMarkers(score, timeline, tickToMs) {
+  const markers = [];
+  let bpm = score.tempo;
+  for (const entry of timeline) {
+    for (const tc of entry.tempoChanges) {
+      if (tc.bpm === bpm) continue;
+      bpm = tc.bpm;
+      markers.push({ bpm, barIndex: entry.masterBarIndex, pass: entry.pass, ms: tickToMs(tc.tick) });
+    }
+  }
+  return markers;
+}
+
+function buildTimingFromScoreModel(score, trackIndex, timeline, tickToMs) {
+  // Fallback: estimate from score model
+  console.warn('BoundsLookup not available. Using linear estimation.');
   const beatTimings = [];
   const track = score.tracks[trackIndex];
 
-  let barIndex = 0;
-  for (const masterBar of score.masterBars) {
+  for (const entry of timeline) {
+    const barIndex = entry.masterBarIndex;
     const bar = track.staves[0]?.bars[barIndex];
-    if (bar) {
-      for (const voice of bar.voices) {
-        for (const beat of voice.beats) {
-          const tick = beat.absolutePlaybackStart;
-          const ms = tickToMs(tick);
-          const progress = barIndex / score.masterBars.length;
-          beatTimings.push({ ms, tick, pixelX: 0, barProgress: progress });
-        }
+    if (!bar) continue;
+    for (const voice of bar.voices) {
+      for (const beat of voice.beats) {
+        const tick = entry.start + beat.playbackStart;
+        const ms = tickToMs(tick);
+        const progress = barIndex / score.masterBars.length;
+        beatTimings.push({ ms, tick, pixelX: 0, barProgress: progress, barIndex, pass: entry.pass, isRest: beat.isRest });
       }
     }
-    barIndex++;
   }
 
   beatTimings.sort((a, b) => a.ms - b.ms);
 
-  const lastMasterBar = score.masterBars[score.masterBars.length - 1];
-  const songEndTick = lastMasterBar.start + lastMasterBar.calculateDuration();
-  const songDurationMs = tickToMs(songEndTick);
+  const songDurationMs = tickToMs(timelineEndTick(timeline));
+
+  // No bounds means no pixel positions: no section markers, lines, bars or
+  // note heads to draw (index.mjs rejects page/flip display without lines)
+  return {
+    beatTimings, songDurationMs, tickToMs, needsPixelMapping: true, timeline,
+    sectionMarkers: [], noteHighlights: [], systems: [], bars: [],
+  };
+}
+
+/**
+ * Build a piecewise-linear time warp from score time to audio time.
+ *
+ * @param {{ scoreMs: number, audioMs: number }[]} anchors - sorted by scoreMs
+ * @returns {(ms: number) => number} Maps score ms to audio ms. Outside the
+ *   anchor range the nearest anchor's offset is kept (slope 1).
+ */
+export function createTimeWarp(anchors) {
+  if (anchors.length === 0) return (ms) => ms;
+
+  return (ms) => {
+    if (ms <= anchors[0].scoreMs) return ms + (anchors[0].audioMs - anchors[0].scoreMs);
+    const last = anchors[anchors.length - 1];
+    if (ms >= last.scoreMs) return ms + (last.audioMs - last.scoreMs);
+
+    let lo = 0;
+    let hi = anchors.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (anchors[mid].scoreMs <= ms) lo = mid;
+      else hi = mid - 1;
+    }
+    const a = anchors[lo];
+    const b = anchors[lo + 1];
+    const progress = (ms - a.scoreMs) / (b.scoreMs - a.scoreMs);
+    return a.audioMs + (b.audioMs - a.audioMs) * progress;
+  };
+}
 
-  return { beatTimings, songDurationMs, tickToMs, needsPixelMapping: true };
+/**
+ * Remap every time in a timing map (beats, section markers, tempo markers,
+ * note highlights, duration) through a time warp. Mutates and returns the
+ * timing map.
+ */
+export function applyTimeWarp(timing, warp) {
+  for (const bt of timing.beatTimings) {
+    bt.ms = warp(bt.ms);
+  }
+  for (const marker of timing.sectionMarkers || []) {
+    marker.ms = warp(marker.ms);
+    marker.endMs = warp(marker.endMs);
+  }
+  for (const marker of timing.tempoMarkers || []) {
+    marker.ms = warp(marker.ms);
+  }
+  for (const note of timing.noteHighlights || []) {
+    note.ms = warp(note.ms);
+    note.endMs = warp(note.endMs);
+  }
+  timing.songDurationMs = warp(timing.songDurationMs);
+  if (timing.tickToMs) {
+    const scoreTickToMs = timing.tickToMs;
+    timing.tickToMs = (tick) => warp(scoreTickToMs(tick));
+  }
+  return timing;
 }
@@ -0,0 +1,119 @@
+/**
+ * cli-options.mjs -- The flags every entry point shares, parsed in one place
+ *
+ * --platform, --output, --workers, --audio, --sync, --profile and -h/--help
+ * mean the same thing in every script that takes them. A script names the
+ * ones it takes; parseCommonOptions pulls them out of argv with one set of
+ * checks and messages and hands back the rest for the script's own flags.
+ * A shared flag the script does not take is an error rather than being
+ * ignored, and -h/--help is reported so every script prints its usage to
+ * stdout and exits 0.
+ *
+ * With settings.command ('render', 'reel', 'viz'), --profile and the song's
+ * song.render.json are expanded first (render-config.mjs), so their values go
+ * through the same checks as typed flags.
+ *
+ * Usage:
+ *   import { commonOptions } from './cli-options.mjs';
+ *   const { options, rest, help } = commonOptions(process.argv.slice(2), ['output', 'sync']);
+ *   if (help) { printUsage(console.log); process.exit(0); }
+ *   const opts = { ...parseArgs(rest), ...options };
+ */
+import * as fs from 'fs';
+import { loadPlatforms, getPlatform } from './platforms.mjs';
+import { withRenderConfig } from './render-config.mjs';
+
+// Shared flags: option key -> flags and value placeholder
+export const COMMON_OPTIONS = {
+  platform: { flags: ['--platform'], value: 'NAME' },
+  output:   { flags: ['--output', '-o'], value: 'FILE' },
+  workers:  { flags: ['--workers'], value: 'N' },
+  audio:    { flags: ['--audio'], value: 'FILE' },
+  sync:     { flags: ['--sync'], value: 'FILE' },
+  profile:  { flags: ['--profile'], value: 'NAME' },
+};
+
+const HELP_FLAGS = ['-h', '--help'];
+
+const FLAG_KEYS = new Map(
+  Object.entries(COMMON_OPTIONS).flatMap(([key, spec]) => spec.flags.map((flag) => [flag, key]))
+);
+
+// Checks and conversions per option, after the value is known to be there
+const CHECKS = {
+  platform: (value, settings) => {
+    const platforms = settings.platforms || loadPlatforms();
+    const names = settings.platformList ? value.split(',').map((s) => s.trim()) : [value];
+    for (const name of names) getPlatform(platforms, name);
+    return settings.platformList ? names : value;
+  },
+  workers: (value) => {
+    const workers = Number(value);
+    if (!Number.isInteger(workers) || workers < 1) throw new Error('--workers must be a whole number >= 1');
+    return workers;
+  },
+  audio: (value) => {
+    if (!fs.existsSync(value)) throw new Error(`Audio file not found: ${value}`);
+    return value;
+  },
+  sync: (value) => {
+    if (!fs.existsSync(value)) throw new Error(`Sync file not found: ${value}`);
+    return value;
+  },
+};
+
+/**
+ * Pull the shared flags out of argv.
+ *
+ * @param {string[]} argv - command-line arguments (process.argv.slice(2))
+ * @param {string[]} names - keys of COMMON_OPTIONS the script takes
+ * @param {object} settings
+ * @param {string} settings.command - expand --profile and song.render.json for this render-config command
+ * @param {boolean} settings.platformList - --platform takes comma-separated names (returned as an array)
+ * @param {object} settings.platforms - platform presets (default: loadPlatforms())
+ * @returns {{ options: object, rest: string[], help: boolean }} options holds only the flags given
+ */
+export function parseCommonOptions(argv, names, settings = {}) {
+  if (argv.some((a) => HELP_FLAGS.includes(a))) return { options: {}, rest: [], help: true };
+
+  // Every shared flag needs a value, and the script must take it
+  for (let i = 0; i < argv.length; i++) {
+    const key = FLAG_KEYS.get(argv[i]);
+    if (!key) continue;
+    if (!names.includes(key)) throw new Error(`${argv[i]} is not an option of this command`);
+    const value = argv[i + 1];
+    if (value === undefined || (value.startsWith('-') && value !== '-')) {
+      throw new Error(`${argv[i]} needs a value (${COMMON_OPTIONS[key].value})`);
+    }
+    i++;
+  }
+
+  const expanded = settings.command ? withRenderConfig(settings.command, argv) : argv;
+  const options = {};
+  const rest = [];
+  for (let i = 0; i < expanded.length; i++) {
+    const key = FLAG_KEYS.get(expanded[i]);
+    if (!key || !names.includes(key)) {
+      rest.push(expanded[i]);
+      continue;
+    }
+    // Later flags win (config values come first, typed flags last)
+    const value = expanded[++i];
+    options[key] = CHECKS[key] ? CHECKS[key](value, settings) : value;
+  }
+  return { options, rest, help: false };
+}
+
+/**
+ * parseCommonOptions for a script's entry point: errors are printed the same
+ * way for every script and exit 1.
+ */
+export function commonOptions(argv, names, settings = {}) {
+  try {
+    return parseCommonOptions(argv, names, settings);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    console.error('Run with --help for usage.');
+    process.exit(1);
+  }
+}
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * cli.mjs -- gp-tab-video command with subcommands
+ *
+ * One entry point (package.json "bin") for every tool. Each subcommand runs
+ * its script in this process with the remaining arguments, so the scripts
+ * keep working on their own (node src/index.mjs ...). The flags they share
+ * (--platform, --output, --workers, --audio, --sync, --profile, -h/--help)
+ * are parsed and checked by cli-options.mjs, the same way in every script.
+ * --profile and song.render.json (render-config.mjs) apply to render, reel,
+ * viz and batch.
+ *
+ * Usage:
+ *   gp-tab-video <command> [args] [options]
+ *   gp-tab-video help [command]
+ *   gp-tab-video <command> --help
+ */
+import { spawnSync } from 'child_process';
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const SRC_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+const COMMANDS = {
+  render:    { script: 'index.mjs', args: '<file.gp> [tracks] [output]', summary: 'Scrolling tab video (overlay, composite, platform presets)' },
+  composite: { script: 'compositor.mjs', args: '<tab.mov>', summary: 'Composite a tab overlay onto a template' },
+  reel:      { script: 'composite-reel.mjs', args: '<file.gp>', summary: 'Short vertical reel: background + tab overlay' },
+  viz:       { script: 'visualizer.mjs', args: '<audio-file>', summary: 'Audio-reactive visualizer video' },
+  click:     { script: 'prep.mjs', args: '<file.gp>', summary: 'Click track WAV from the tempo map' },
+  midi:      { script: 'export-midi.mjs', args: '<file.gp> [output.mid]', summary: 'Export a Guitar Pro file to MIDI' },
+  practice:  { script: 'practice.mjs', args: '<file.gp> [command]', summary: 'Adaptive practice engine (analyze, session, serve, ...)' },
+  preview:   { script: 'preview.mjs', args: '[file.gp] [port]', summary: 'Browser preview with MIDI playback' },
+  batch:     { script: 'batch.mjs', args: '<dir-or-files...>', summary: 'Render many files and/or platforms' },
+};
+
+function version() {
+  const pkg = JSON.parse(fs.readFileSync(path.join(SRC_DIR, '..', 'package.json'), 'utf8'));
+  return pkg.version;
+}
+
+function printHelp(log) {
+  log('Usage: gp-tab-video <command> [args] [options]');
+  log('');
+  log('Commands:');
+  for (const [name, cmd] of Object.entries(COMMANDS)) {
+    log(`  ${`${name} ${cmd.args}`.padEnd(38)} ${cmd.summary}`);
+  }
+  log('');
+  log('Options:');
+  log('  -h, --help                             Help for gp-tab-video or a command');
+  log('  -v, --version                          Print the version');
+  log('  --profile NAME                         Options from gp-tab-video.config.json (render, reel, viz, batch)');
+  log('');
+  log('Examples:');
+  log('  gp-tab-video render song.gp 0 --platform youtube');
+  log('  gp-tab-video reel song.gp --start-bar 69 --duration 15');
+  log('  gp-tab-video help render');
+}
+
+/** Print a command's usage (the script's own usage block) and exit. */
+function commandHelp(name) {
+  const cmd = COMMANDS[name];
+  console.log(`gp-tab-video ${name} -- ${cmd.summary}\n`);
+  spawnSync(process.execPath, [path.join(SRC_DIR, cmd.script), '--help'], { stdio: 'inherit' });
+  process.exit(0);
+}
+
+function unknownCommand(name) {
+  console.error(`Unknown command: ${name}`);
+  console.error(`Available: ${Object.keys(COMMANDS).join(', ')} (gp-tab-video --help for details)`);
+  process.exit(1);
+}
+
+const [name, ...rest] = process.argv.slice(2);
+
+if (!name) {
+  printHelp(console.error);
+  process.exit(1);
+}
+if (name === '--help' || name === '-h') {
+  printHelp(console.log);
+  process.exit(0);
+}
+if (name === '--version' || name === '-v') {
+  console.log(version());
+  process.exit(0);
+}
+if (name === 'help') {
+  if (!rest[0]) {
+    printHelp(console.log);
+    process.exit(0);
+  }
+  if (!COMMANDS[rest[0]]) unknownCommand(rest[0]);
+  commandHelp(rest[0]);
+}
+if (!COMMANDS[name]) unknownCommand(name);
+if (rest.includes('--help') || rest.includes('-h')) commandHelp(name);
+
+// Hand the remaining arguments to the script as if it had been run directly
+const script = path.join(SRC_DIR, COMMANDS[name].script);
+process.argv = [process.argv[0], script, ...rest];
+await import(pathToFileURL(script).href);
@@ -8,59 +8,88 @@
  * Options:
  *   --tracks 0        Track indices (default: 0)
  *   --start-bar N     Start at bar N (default: 1)
- *   --duration N      Duration in seconds (default: 15)
+ *   --end-bar N       End after bar N (duration follows from the bars)
+ *   --section NAME    The first time section NAME plays, e.g. "Chorus"
+ *   --duration N      Duration in seconds (default: the selected bars, else 15)
+ *   --auto-clip       Pick the best 15-30s by difficulty, sections and --audio loudness
+ *   --clips N         With --auto-clip: the top N clips as separate files (default: 1)
  *   --platform NAME   Platform preset (default: instagram)
  *   --style NAME      Style preset (default: playthrough)
- *   --bg FILE         Background video file (.mp4/.mov) or "neon-guitar" for built-in animation
+ *   --notation MODE   Staves: tab, standard, both, slash (default: tab)
+ *   --scroll-mode M   Scroll camera: linear, bar, spring, lookahead (default: linear)
+ *   --workers N       Frame rendering threads (default: CPU cores - 1)
+ *   --bg FILE         Background video file (.mp4/.mov) or a visualizer style from src/styles/
+ *                     (default: neon-guitar; nebula, ocean ... are driven by --audio)
+ *   --palette NAME    Palette of the --bg style
+ *   --density N       Density of the --bg style (default: 1)
+ *   --seed N          Random seed of the --bg style (default: 42)
  *   --audio FILE      Audio file (WAV/MP3) to mux into output
+ *   --sync FILE       Sync anchors file (default: <song>.sync.json if present)
  *   --output FILE     Output file path
  */
 import { spawn, execSync } from 'child_process';
 import * as path from 'path';
 import * as fs from 'fs';
+import * as os from 'os';
 import sharp from 'sharp';
 import { loadScore } from './load-score.mjs';
-import { renderStrip, STYLE_PRESETS } from './render-strip.mjs';
-import { buildTimingMap } from './build-timing.mjs';
-import { generateFrames } from './generate-frames.mjs';
+import { renderStrip, STYLE_PRESETS, NOTATION_MODES } from './render-strip.mjs';
+import { buildTimingMap, buildBarClock } from './build-timing.mjs';
+import { resolveSyncFile } from './sync-file.mjs';
+import { commonOptions } from './cli-options.mjs';
+import { loadPlatforms, getPlatform } from './platforms.mjs';
+import { generateFrames, SCROLL_MODES } from './generate-frames.mjs';
 import { detectTuning } from './tuning.mjs';
 import { probeAudio } from './probe-audio.mjs';
-import { createNeonRenderer } from './neon-guitar-bg.mjs';
+import { VISUAL_STYLES, createVisualBackground, styleOptions } from './visual-styles.mjs';
+import { ffmpegPath, requireMediaTools } from './media-tools.mjs';
+import { extractBarFeatures, computeMedians, scoreDifficulty } from './practice-engine.mjs';
+import { analyzeAudio } from './analyze-audio.mjs';
+import { playedBars, energyReader, rankClips, CLIP_SECONDS } from './auto-clip.mjs';
 
-const FFMPEG = '/opt/homebrew/bin/ffmpeg';
-const FFPROBE = '/opt/homebrew/bin/ffprobe';
 
-// Platform specs (subset for vertical social)
-const PLATFORMS = {
-  instagram: { width: 1080, height: 1920, fps: 30, bitrate: '6M', label: 'Instagram Reels 9:16' },
-  tiktok:    { width: 1080, height: 1920, fps: 30, bitrate: '8M', label: 'TikTok 9:16' },
-  'youtube-shorts': { width: 1080, height: 1920, fps: 30, bitrate: '8M', label: 'YouTube Shorts 9:16' },
-  youtube:   { width: 1920, height: 1080, fps: 30, bitrate: '12M', label: 'YouTube 16:9' },
-};
-
-function parseArgs(argv) {
+// argv without the shared flags; common holds those (cli-options.mjs)
+function parseArgs(argv, common) {
   const opts = {
     gpFile: null,
     tracks: [0],
-    startBar: 1,
-    duration: 15,
+    startBar: null,    // default 1
+    endBar: null,
+    section: null,
+    duration: null,    // default: the selected bars, else 15s
+    autoClip: false,   // pick the window (auto-clip.mjs)
+    clips: 1,          // --auto-clip: how many clips
     platform: 'instagram',
     style: 'playthrough',
+    notation: 'tab',
+    scrollMode: 'linear',
+    workers: Math.max(1, os.availableParallelism() - 1),
     bg: null,
+    palette: null,     // --bg style parameters, see visual-styles.mjs
+    density: null,
+    seed: null,
     audio: null,
+    sync: null,
     output: null,
+    ...common,
   };
   const positional = [];
   for (let i = 0; i < argv.length; i++) {
     const a = argv[i];
     if (a === '--tracks' && argv[i+1]) opts.tracks = argv[++i].split(',').map(Number);
     else if (a === '--start-bar' && argv[i+1]) opts.startBar = parseInt(argv[++i], 10);
+    else if (a === '--end-bar' && argv[i+1]) opts.endBar = parseInt(argv[++i], 10);
+    else if (a === '--section' && argv[i+1]) opts.section = argv[++i];
     else if (a === '--duration' && argv[i+1]) opts.duration = parseFloat(argv[++i]);
-    else if (a === '--platform' && argv[i+1]) opts.platform = argv[++i];
+    else if (a === '--auto-clip') opts.autoClip = true;
+    else if (a === '--clips' && argv[i+1]) opts.clips = parseInt(argv[++i], 10);
     else if (a === '--style' && argv[i+1]) opts.style = argv[++i];
+    else if (a === '--notation' && argv[i+1]) opts.notation = argv[++i];
+    else if (a === '--scroll-mode' && argv[i+1]) opts.scrollMode = argv[++i];
     else if (a === '--bg' && argv[i+1]) opts.bg = argv[++i];
-    else if (a === '--audio' && argv[i+1]) opts.audio = argv[++i];
-    else if (a === '--output' && argv[i+1]) opts.output = argv[++i];
+    else if (a === '--palette' && argv[i+1]) opts.palette = argv[++i];
+    else if (a === '--density' && argv[i+1]) opts.density = parseFloat(argv[++i]);
+    else if (a === '--seed' && argv[i+1]) opts.seed = Number(argv[++i]);
     else if (!a.startsWith('--')) positional.push(a);
   }
   opts.gpFile = positional[0];
@@ -68,56 +97,170 @@ function parseArgs(argv) {
   return opts;
 }
 
-const opts = parseArgs(process.argv.slice(2));
+function printUsage(log = console.error) {
+  log('Usage: node src/composite-reel.mjs <file.gp> [options]');
+  log('');
+  log('Options:');
+  log('  --profile NAME     Options from a profile in gp-tab-video.config.json');
+  log('  --tracks 0,2       Track indices (default: 0)');
+  log('  --start-bar N      Start at bar N (default: 1)');
+  log('  --end-bar N        End after bar N (duration follows from the bars)');
+  log('  --section NAME     The first time section NAME plays, e.g. "Chorus"');
+  log('  --duration N       Duration in seconds (default: the selected bars, else 15)');
+  log('  --auto-clip        Pick the best 15-30s by difficulty, sections and --audio loudness');
+  log('  --clips N          With --auto-clip: the top N clips as separate files (default: 1)');
+  log('  --platform NAME    Platform preset (default: instagram), same names as index.mjs');
+  log('  --style NAME       playthrough, clean, minimal, default');
+  log('  --notation MODE    tab, standard, both, slash (default: tab)');
+  log('  --scroll-mode M    linear, bar, spring, lookahead (default: linear)');
+  log('  --workers N        Frame rendering threads (default: CPU cores - 1)');
+  log(`  --bg FILE          Background video (.mp4/.mov) or a visualizer style: ${Object.keys(VISUAL_STYLES).join(', ')} (default: neon-guitar)`);
+  log('  --palette NAME     Palette of the --bg style');
+  log('  --density N        Density of the --bg style (default: 1)');
+  log('  --seed N           Random seed of the --bg style (default: 42)');
+  log('  --audio FILE       Audio file (WAV/MP3/FLAC) to mux into output');
+  log('  --sync FILE        Sync anchors file (default: <song>.sync.json)');
+  log('  -o, --output FILE  Output file path');
+}
+
+// Shared flags; --profile and <song>.render.json options go in front of the CLI flags
+const { options, rest, help } = commonOptions(
+  process.argv.slice(2),
+  ['platform', 'output', 'workers', 'audio', 'sync', 'profile'],
+  { command: 'reel' },
+);
+if (help) {
+  printUsage(console.log);
+  process.exit(0);
+}
+const opts = parseArgs(rest, options);
 if (!opts.gpFile) {
-  console.error('Usage: node src/composite-reel.mjs <file.gp> [options]');
-  console.error('');
-  console.error('Options:');
-  console.error('  --tracks 0,2       Track indices (default: 0)');
-  console.error('  --start-bar N      Start at bar N (default: 1)');
-  console.error('  --duration N       Duration in seconds (default: 15)');
-  console.error('  --platform NAME    instagram, tiktok, youtube-shorts, youtube');
-  console.error('  --style NAME       playthrough, clean, minimal, default');
-  console.error('  --bg FILE          Background video (.mp4/.mov) or "neon-guitar"');
-  console.error('  --audio FILE       Audio file (WAV/MP3/FLAC) to mux into output');
-  console.error('  --output FILE      Output file path');
+  printUsage();
+  process.exit(1);
+}
+
+let platform;
+try {
+  platform = getPlatform(loadPlatforms(), opts.platform);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+if (!NOTATION_MODES[opts.notation]) {
+  console.error(`Unknown notation: ${opts.notation}. Available: ${Object.keys(NOTATION_MODES).join(', ')}`);
   process.exit(1);
 }
 
-const platform = PLATFORMS[opts.platform];
-if (!platform) {
-  console.error(`Unknown platform: ${opts.platform}. Available: ${Object.keys(PLATFORMS).join(', ')}`);
+if (!SCROLL_MODES.includes(opts.scrollMode)) {
+  console.error(`Unknown scroll mode: ${opts.scrollMode}. Available: ${SCROLL_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+for (const [flag, value] of [['--start-bar', opts.startBar], ['--end-bar', opts.endBar]]) {
+  if (value !== null && (!Number.isInteger(value) || value < 1)) {
+    console.error(`${flag} must be a bar number >= 1`);
+    process.exit(1);
+  }
+}
+if (opts.section && (opts.startBar !== null || opts.endBar !== null)) {
+  console.error('--section selects its own bars; use it without --start-bar/--end-bar');
+  process.exit(1);
+}
+if (opts.duration !== null && !(opts.duration > 0)) {
+  console.error('--duration must be a number of seconds > 0');
+  process.exit(1);
+}
+if (opts.autoClip && (opts.section || opts.startBar !== null || opts.endBar !== null || opts.duration !== null)) {
+  console.error('--auto-clip picks its own bars; use it without --section/--start-bar/--end-bar/--duration');
+  process.exit(1);
+}
+if (!Number.isInteger(opts.clips) || opts.clips < 1) {
+  console.error('--clips must be a whole number >= 1');
+  process.exit(1);
+}
+if (opts.clips > 1 && !opts.autoClip) {
+  console.error('--clips needs --auto-clip');
   process.exit(1);
 }
 
-const { width: W, height: H, fps, bitrate } = platform;
-const totalFrames = Math.ceil(opts.duration * fps);
+const { width: W, height: H, fps, videoBitrate: bitrate } = platform;
 const basename = path.basename(opts.gpFile, path.extname(opts.gpFile));
 const outputFile = opts.output || `output/${basename}_${opts.platform}_reel.mp4`;
 
 // Determine background type: built-in animation or video file
-const isVideoBg = opts.bg && opts.bg !== 'neon-guitar' && fs.existsSync(opts.bg);
-if (opts.bg && opts.bg !== 'neon-guitar' && !isVideoBg) {
+// Background: a video file, or a visualizer style (neon-guitar by default)
+const isVideoBg = Boolean(opts.bg) && !Object.hasOwn(VISUAL_STYLES, opts.bg) && fs.existsSync(opts.bg);
+const visualStyle = isVideoBg ? null : (opts.bg || 'neon-guitar');
+if (visualStyle && !Object.hasOwn(VISUAL_STYLES, visualStyle)) {
   console.error(`Background file not found: ${opts.bg}`);
-  console.error('Use --bg <video-file> or --bg neon-guitar');
+  console.error(`Use --bg <video-file> or a visualizer style (${Object.keys(VISUAL_STYLES).join(', ')})`);
   process.exit(1);
 }
+const styleParams = { palette: opts.palette, density: opts.density, seed: opts.seed };
+if (isVideoBg && Object.values(styleParams).some((v) => v !== null)) {
+  console.error('--palette/--density/--seed apply to a visualizer --bg, not a video');
+  process.exit(1);
+}
+if (visualStyle) {
+  try {
+    styleOptions(visualStyle, styleParams);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  // An audio-reactive style needs the song
+  if (VISUAL_STYLES[visualStyle].audioReactive && !opts.audio) {
+    console.error(`--bg ${visualStyle} is driven by the song's audio: add --audio FILE`);
+    process.exit(1);
+  }
+}
 
 async function main() {
   const startTime = Date.now();
   console.log(`Composite reel: ${basename}`);
-  console.log(`  Platform: ${opts.platform} (${platform.label})`);
+  console.log(`  Platform: ${opts.platform} (${platform.description})`);
   console.log(`  Resolution: ${W}x${H} @ ${fps}fps`);
-  console.log(`  Duration: ${opts.duration}s (${totalFrames} frames)`);
-  console.log(`  Background: ${isVideoBg ? path.basename(opts.bg) : (opts.bg || 'neon-guitar')}`);
-  console.log(`  Start bar: ${opts.startBar}`);
+  console.log(`  Background: ${isVideoBg ? path.basename(opts.bg) : visualStyle}`);
   console.log('');
 
+  requireMediaTools({ encoders: opts.audio ? ['libx264', 'aac'] : ['libx264'] });
+
   // 1. Load score
   console.log('Loading score...');
   const { score, settings } = await loadScore(opts.gpFile);
   console.log(`  ${score.title || basename} | ${score.tempo} BPM | ${score.masterBars.length} bars`);
 
+  let sync;
+  try {
+    sync = resolveSyncFile(opts.gpFile, opts.sync);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  if (sync) {
+    console.log(`  Sync: ${path.basename(sync.path)} (${sync.anchors.length} anchor(s), offset ${sync.offsetMs}ms)`);
+  }
+
+  // Reel windows, seeked on the tempo map (time signature and tempo changes
+  // included). With a sync file the clock is the take's.
+  const clock = buildBarClock(score, sync);
+  let reels;
+  try {
+    reels = opts.autoClip ? await autoClips(score, clock) : [reelWindow(clock, score.masterBars.length)];
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  reels.forEach((reel, k) => {
+    reel.output = reels.length > 1 ? outputFile.replace(/(\.\w+)$/, `_clip${k + 1}$1`) : outputFile;
+    const seconds = reel.durationMs / 1000;
+    console.log(`  Reel${reels.length > 1 ? ` ${k + 1}` : ''}: ${reel.label}, ${(reel.startMs / 1000).toFixed(1)}s + ${seconds.toFixed(1)}s (${Math.ceil(seconds * fps)} frames)`);
+    if (platform.maxDuration && seconds > platform.maxDuration) {
+      console.log(`  WARNING: ${opts.platform} allows ${platform.maxDuration}s per video; this reel is ${seconds.toFixed(1)}s`);
+    }
+  });
+
   for (const t of opts.tracks) {
     const track = score.tracks[t];
     const tunings = track.staves[0]?.stringTuning?.tunings || [];
@@ -141,55 +284,38 @@ async function main() {
     console.log(`  Style: ${opts.style} (hiding ${notationHide.length} elements)`);
   }
 
-  // 3. Render strips for each track
-  console.log('\nRendering tab strips...');
+  // 3. Render the tracks in one layout, so every track's beats share an x
+  console.log('\nRendering tab strip...');
   const tabScale = W < 1920 ? 1.3 : 1.0; // scale up for vertical formats
-  const strips = [];
-  for (const trackIdx of opts.tracks) {
-    const { settings: freshSettings } = await loadScore(opts.gpFile);
-    const { pngBuffer, boundsLookup, totalWidth, totalHeight } = await renderStrip(
-      score, freshSettings, trackIdx,
-      { transparent: true, scale: tabScale, trackColorIndex: strips.length, notationHide }
-    );
-    const { beatTimings, songDurationMs, sectionMarkers } = buildTimingMap(score, boundsLookup, trackIdx);
-    console.log(`  Track ${trackIdx}: ${totalWidth}x${totalHeight}px, ${beatTimings.length} beats`);
-    strips.push({ trackIdx, pngBuffer, totalWidth, totalHeight, beatTimings, songDurationMs, sectionMarkers });
-  }
-
-  // 4. Calculate time offset for start bar
-  const bpm = score.tempo;
-  const secPerBar = (4 * 60) / bpm; // assuming 4/4
-  const startOffsetMs = (opts.startBar - 1) * secPerBar * 1000;
-  const songDurationMs = opts.duration * 1000;
-  console.log(`\n  Start offset: ${(startOffsetMs / 1000).toFixed(1)}s (bar ${opts.startBar})`);
+  const { pngBuffer, boundsLookup, totalWidth, totalHeight } = await renderStrip(
+    score, settings, opts.tracks,
+    { transparent: true, scale: tabScale, notationHide, notation: opts.notation }
+  );
+  const { beatTimings, sectionMarkers, bars } = buildTimingMap(score, boundsLookup, opts.tracks[0], { sync });
+  console.log(`  Tracks ${opts.tracks.join(', ')}: ${totalWidth}x${totalHeight}px, ${beatTimings.length} beats`);
+  const strip = { pngBuffer, totalWidth, totalHeight, beatTimings, sectionMarkers, bars };
 
-  // Validate audio file if provided
+  // 4. Validate audio file if provided (beat timings and the bar clock are
+  // on the same clock, the take's when a sync file is used)
   let audioFile = null;
   if (opts.audio) {
     audioFile = path.resolve(opts.audio);
     const info = probeAudio(audioFile);
-    const neededEnd = startOffsetMs / 1000 + opts.duration;
     console.log(`\n  Audio: ${path.basename(opts.audio)}`);
     console.log(`    Duration: ${info.duration.toFixed(1)}s | Format: ${info.codec}, ${info.sampleRate} Hz, ${info.channelLayout}`);
-    console.log(`    Reel window: ${(startOffsetMs / 1000).toFixed(1)}s - ${neededEnd.toFixed(1)}s`);
-    if (info.duration < neededEnd) {
-      console.error(`\n  ERROR: Audio is ${info.duration.toFixed(1)}s but reel needs audio up to ${neededEnd.toFixed(1)}s`);
-      process.exit(1);
-    }
-  }
-
-  // Shift beat timings so startOffsetMs maps to time 0
-  for (const s of strips) {
-    for (const bt of s.beatTimings) {
-      bt.ms -= startOffsetMs;
+    for (const reel of reels) {
+      const neededEnd = (reel.startMs + reel.durationMs) / 1000;
+      console.log(`    Reel window: ${(reel.startMs / 1000).toFixed(1)}s - ${neededEnd.toFixed(1)}s`);
+      if (info.duration < neededEnd) {
+        console.error(`\n  ERROR: Audio is ${info.duration.toFixed(1)}s but reel needs audio up to ${neededEnd.toFixed(1)}s`);
+        process.exit(1);
+      }
     }
   }
 
   // 5. Tab viewport dimensions
   const tabViewportWidth = W;
-  const tabHeight = strips.length === 1
-    ? strips[0].totalHeight
-    : strips.reduce((h, s) => h + s.totalHeight, 0) + 4 * (strips.length - 1);
+  const tabHeight = strip.totalHeight;
 
   // Tab vertical position: center vertically, but bias toward lower third for social safe zone
   const tabY = Math.round(H * 0.55 - tabHeight / 2);
@@ -198,23 +324,117 @@ async function main() {
 
   await fs.promises.mkdir(path.dirname(outputFile), { recursive: true });
 
-  if (isVideoBg) {
-    // ===== VIDEO FILE BACKGROUND =====
-    // ffmpeg reads the video directly -- no Canvas rendering needed.
-    // Pipeline: ffmpeg reads bg video + tab overlay pipe, composites with cinematic grading.
-    await renderWithVideoBg(strips, songDurationMs, startOffsetMs, tabViewportWidth, tabHeight, tabY, audioFile);
-  } else {
-    // ===== NEON GUITAR ANIMATION BACKGROUND =====
-    // Canvas 2D renders frames piped to ffmpeg alongside tab overlay pipe.
-    await renderWithAnimationBg(strips, songDurationMs, startOffsetMs, tabViewportWidth, tabHeight, tabY, audioFile);
+  for (const [k, reel] of reels.entries()) {
+    if (reels.length > 1) console.log(`\nClip ${k + 1}/${reels.length}: ${reel.label}`);
+    // Shift beat timings so the reel's start maps to time 0
+    const reelStrip = {
+      ...strip,
+      beatTimings: strip.beatTimings.map((bt) => ({ ...bt, ms: bt.ms - reel.startMs })),
+    };
+
+    if (isVideoBg) {
+      // ===== VIDEO FILE BACKGROUND =====
+      // ffmpeg reads the video directly -- no Canvas rendering needed.
+      // Pipeline: ffmpeg reads bg video + tab overlay pipe, composites with cinematic grading.
+      await renderWithVideoBg(reelStrip, reel, tabViewportWidth, tabHeight, tabY, audioFile);
+    } else {
+      // ===== VISUALIZER STYLE BACKGROUND (neon guitar by default) =====
+      // Canvas 2D renders frames piped to ffmpeg alongside tab overlay pipe.
+      await renderWithAnimationBg(reelStrip, reel, tabViewportWidth, tabHeight, tabY, audioFile);
+    }
   }
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
   console.log(`\n\nDone in ${elapsed}s!`);
-  console.log(`  Output: ${outputFile}`);
-  console.log(`  ${W}x${H} @ ${fps}fps, ${opts.duration}s`);
-  console.log(`  Platform: ${platform.label}`);
-  console.log(`\nOpen with: open '${outputFile}'`);
+  for (const reel of reels) {
+    console.log(`  Output: ${reel.output} (${(reel.durationMs / 1000).toFixed(1)}s, ${reel.label})`);
+  }
+  console.log(`  ${W}x${H} @ ${fps}fps`);
+  console.log(`  Platform: ${platform.description}`);
+  console.log(`\nOpen with: open '${reels[0].output}'`);
+}
+
+/**
+ * --auto-clip: the best clips of the song by difficulty (the hardest of the
+ * selected tracks per bar), section boundaries and, with --audio, loudness.
+ * Clips fit the platform's maxDuration.
+ *
+ * @param {object} score - alphaTab Score
+ * @param {object} clock - from buildBarClock
+ * @returns {Promise<{ startMs: number, durationMs: number, label: string }[]>} best first
+ */
+async function autoClips(score, clock) {
+  const difficulties = score.masterBars.map(() => 0);
+  for (const t of opts.tracks) {
+    const features = extractBarFeatures(score, t);
+    const medians = computeMedians(features);
+    features.forEach((f, i) => { difficulties[i] = Math.max(difficulties[i], scoreDifficulty(f, medians)); });
+  }
+
+  let energyAt = null;
+  if (opts.audio) {
+    const { energy, fps: envelopeFps } = await analyzeAudio(path.resolve(opts.audio), { fps: 10 });
+    energyAt = energyReader(energy, envelopeFps);
+  }
+
+  const maxSec = Math.min(CLIP_SECONDS.max, platform.maxDuration || Infinity);
+  const clips = rankClips(playedBars(score, clock, difficulties), {
+    minSec: Math.min(CLIP_SECONDS.min, maxSec), maxSec, energyAt, count: opts.clips,
+  });
+  if (clips.length === 0) throw new Error('No clip fits the song (nothing is played?)');
+  if (clips.length < opts.clips) {
+    console.log(`  Only ${clips.length} clip(s) fit without overlapping`);
+  }
+
+  console.log(`\n  Auto clip (${energyAt ? 'difficulty + sections + audio energy' : 'difficulty + sections'}):`);
+  for (const [k, c] of clips.entries()) {
+    const parts = Object.entries(c.parts).filter(([key]) => energyAt || key !== 'energy')
+      .map(([key, value]) => `${key} ${value.toFixed(2)}`).join(', ');
+    console.log(`    ${k + 1}. bars ${c.firstBar}-${c.lastBar}: score ${c.score.toFixed(2)} (${parts})`);
+  }
+  return clips.map((c) => ({ startMs: c.startMs, durationMs: c.endMs - c.startMs, label: `bars ${c.firstBar}-${c.lastBar}` }));
+}
+
+/**
+ * Start and length of the reel: a section (--section), a bar range
+ * (--start-bar/--end-bar) or --duration seconds from --start-bar. An explicit
+ * --duration wins over the length of the selected bars.
+ *
+ * @param {object} clock - from buildBarClock
+ * @param {number} barCount
+ * @returns {{ startMs: number, durationMs: number, label: string }}
+ */
+function reelWindow(clock, barCount) {
+  const explicitMs = opts.duration !== null ? opts.duration * 1000 : null;
+
+  if (opts.section) {
+    const range = clock.sectionRange(opts.section);
+    if (!range) {
+      const names = clock.sectionNames();
+      throw new Error(`No section "${opts.section}" in the score (sections: ${names.length > 0 ? names.join(', ') : 'none'})`);
+    }
+    return {
+      startMs: range.startMs,
+      durationMs: explicitMs ?? range.endMs - range.startMs,
+      label: `${range.text} (bars ${range.firstBar}-${range.lastBar})`,
+    };
+  }
+
+  const startBar = opts.startBar ?? 1;
+  for (const bar of [startBar, opts.endBar ?? startBar]) {
+    if (bar > barCount) throw new Error(`Bar ${bar} is past the end of the song (bars 1-${barCount})`);
+  }
+  const startMs = clock.barStartMs(startBar);
+  if (startMs === null) throw new Error(`Bar ${startBar} is never played`);
+  if (opts.endBar === null) {
+    return { startMs, durationMs: explicitMs ?? 15000, label: `from bar ${startBar}` };
+  }
+
+  const endMs = clock.barEndMs(opts.endBar);
+  if (opts.endBar < startBar || endMs === null || endMs <= startMs) {
+    throw new Error(`--end-bar ${opts.endBar} does not come after --start-bar ${startBar}`);
+  }
+  return { startMs, durationMs: explicitMs ?? endMs - startMs, label: `bars ${startBar}-${opts.endBar}` };
 }
 
 /**
@@ -222,19 +442,21 @@ async function main() {
  * ffmpeg reads the video file directly, applies cinematic grading, and overlays the tab.
  * Tab frames are piped on stdin. Much faster than Canvas rendering.
  */
-async function renderWithVideoBg(strips, songDurationMs, startOffsetMs, tabViewportWidth, tabHeight, tabY, audioFile) {
+async function renderWithVideoBg(strip, reel, tabViewportWidth, tabHeight, tabY, audioFile) {
   console.log('\nCompositing with video background...');
   const bgFile = path.resolve(opts.bg);
-  const startSec = startOffsetMs / 1000;
+  const startSec = reel.startMs / 1000;
+  const duration = reel.durationMs / 1000;
+  const totalFrames = Math.ceil(duration * fps);
 
   // Audio args
   const audioInputArgs = audioFile ? [
     '-ss', String(startSec),
-    '-t', String(opts.duration),
+    '-t', String(duration),
     '-i', audioFile,
   ] : [];
   const audioEncArgs = audioFile
-    ? ['-c:a', 'aac', '-b:a', '256k', '-ar', '48000', '-shortest']
+    ? ['-c:a', 'aac', '-b:a', platform.audioBitrate, '-ar', String(platform.audioSampleRate), '-shortest']
     : ['-an'];
 
   // Input 0: background video (seeked to start offset, trimmed to duration)
@@ -258,10 +480,10 @@ async function renderWithVideoBg(strips, songDurationMs, startOffsetMs, tabViewp
     `[graded][1:v]overlay=0:${tabY}:format=auto`,
   ].join(';');
 
-  const ffmpeg = spawn(FFMPEG, [
+  const ffmpeg = spawn(ffmpegPath(), [
     '-y',
     // Input 0: background video (loop if shorter than duration, play from start)
-    '-stream_loop', '-1', '-t', String(opts.duration),
+    '-stream_loop', '-1', '-t', String(duration),
     '-i', bgFile,
     // Input 1: tab overlay (raw RGBA on stdin)
     '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${tabViewportWidth}x${tabHeight}`, '-r', String(fps), '-i', 'pipe:0',
@@ -272,7 +494,7 @@ async function renderWithVideoBg(strips, songDurationMs, startOffsetMs, tabViewp
     '-b:v', bitrate, '-maxrate', bitrate, '-bufsize', bitrate,
     '-preset', 'medium', '-movflags', '+faststart',
     ...audioEncArgs,
-    outputFile,
+    reel.output,
   ], {
     stdio: ['pipe', 'inherit', 'inherit'],
   });
@@ -284,36 +506,47 @@ async function renderWithVideoBg(strips, songDurationMs, startOffsetMs, tabViewp
 
   // Generate and pipe tab frames
   console.log(`\nRendering ${totalFrames} frames...`);
-  await pipeTabFrames(strips, songDurationMs, tabViewportWidth, tabHeight, writeTab);
+  await pipeTabFrames(strip, reel.durationMs, totalFrames, tabViewportWidth, writeTab);
 
   ffmpeg.stdin.end();
   await new Promise((resolve) => { ffmpeg.on('close', resolve); });
 }
 
 /**
- * Render with the built-in neon guitar Canvas 2D animation.
- * Two raw video pipes to ffmpeg: bg on pipe:3, tab on pipe:4.
+ * Render with a Canvas 2D visualizer style as background (neon guitar by
+ * default), an audio-reactive one driven by the audio's energy at the reel's
+ * place in the song. Two raw video pipes to ffmpeg: bg on pipe:3, tab on pipe:4.
  */
-async function renderWithAnimationBg(strips, songDurationMs, startOffsetMs, tabViewportWidth, tabHeight, tabY, audioFile) {
-  console.log('\nInitializing neon guitar animation...');
+async function renderWithAnimationBg(strip, reel, tabViewportWidth, tabHeight, tabY, audioFile) {
   const bgScale = 2;
   const bgW = Math.round(W / bgScale);
   const bgH = Math.round(H / bgScale);
-  const bgRenderer = createNeonRenderer(bgW, bgH, fps);
 
-  const startSec = startOffsetMs / 1000;
+  const startSec = reel.startMs / 1000;
+  const duration = reel.durationMs / 1000;
+  const totalFrames = Math.ceil(duration * fps);
+
+  let audio = null;
+  if (VISUAL_STYLES[visualStyle].audioReactive) {
+    console.log(`\nAnalyzing audio for the ${visualStyle} background...`);
+    audio = await analyzeAudio(audioFile, { fps, smoothing: 7 });
+  } else {
+    console.log(`\nInitializing ${visualStyle} animation...`);
+  }
+  const background = createVisualBackground(visualStyle, bgW, bgH, audio, { ...styleParams, fps });
+  const startFrame = Math.round(startSec * fps);
 
   // Audio args
   const audioArgs = audioFile ? [
     '-ss', String(startSec),
-    '-t', String(opts.duration),
+    '-t', String(duration),
     '-i', audioFile,
   ] : [];
   const audioEncArgs = audioFile
-    ? ['-c:a', 'aac', '-b:a', '256k', '-ar', '48000', '-shortest']
+    ? ['-c:a', 'aac', '-b:a', platform.audioBitrate, '-ar', String(platform.audioSampleRate), '-shortest']
     : ['-an'];
 
-  const ffmpeg = spawn(FFMPEG, [
+  const ffmpeg = spawn(ffmpegPath(), [
     '-y',
     // Input 0: background (half res, upscaled by filter)
     '-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${bgW}x${bgH}`, '-r', String(fps), '-i', 'pipe:3',
@@ -327,7 +560,7 @@ async function renderWithAnimationBg(strips, songDurationMs, startOffsetMs, tabV
     '-b:v', bitrate, '-maxrate', bitrate, '-bufsize', bitrate,
     '-preset', 'medium', '-movflags', '+faststart',
     ...audioEncArgs,
-    outputFile,
+    reel.output,
   ], {
     stdio: ['pipe', 'inherit', 'inherit', 'pipe', 'pipe'],
   });
@@ -346,44 +579,14 @@ async function renderWithAnimationBg(strips, songDurationMs, startOffsetMs, tabV
 
   console.log(`\nRendering ${totalFrames} frames...`);
 
-  const tabGenerators = strips.map(s =>
-    generateFrames(s.pngBuffer, s.beatTimings, songDurationMs, s.totalWidth, s.totalHeight, {
-      fps,
-      viewportWidth: tabViewportWidth,
-      cursorColor: { r: 255, g: 50, b: 50 },
-      cursorWidth: 3,
-      sectionMarkers: s.sectionMarkers || [],
-    })
-  );
-  const tabIterators = tabGenerators.map(g => g[Symbol.asyncIterator]());
-  const multiTrack = strips.length > 1;
+  const tabIterator = tabFrames(strip, reel.durationMs, tabViewportWidth)[Symbol.asyncIterator]();
 
   for (let frame = 0; frame < totalFrames; frame++) {
     // Background frame from Canvas 2D
-    const bgFrame = bgRenderer.renderFrame();
-    await writeBg(bgFrame);
+    await writeBg(background.renderFrame(startFrame + frame));
 
-    // Tab frame(s)
-    if (!multiTrack) {
-      const result = await tabIterators[0].next();
-      if (!result.done) await writeTab(Buffer.from(result.value.buffer));
-    } else {
-      const results = await Promise.all(tabIterators.map(it => it.next()));
-      const gap = 4;
-      const stackBuf = Buffer.alloc(tabViewportWidth * tabHeight * 4);
-      let yOff = 0;
-      for (const r of results) {
-        if (r.done) continue;
-        const { buffer: tbuf, width: tw, height: th } = r.value;
-        for (let y = 0; y < th; y++) {
-          const srcStart = y * tw * 4;
-          const dstStart = (yOff + y) * tabViewportWidth * 4;
-          Buffer.from(tbuf).copy(stackBuf, dstStart, srcStart, srcStart + tw * 4);
-        }
-        yOff += th + gap;
-      }
-      await writeTab(stackBuf);
-    }
+    const result = await tabIterator.next();
+    if (!result.done) await writeTab(Buffer.from(result.value.buffer));
 
     if ((frame + 1) % 30 === 0 || frame === totalFrames - 1) {
       const pct = ((frame + 1) / totalFrames * 100).toFixed(0);
@@ -396,44 +599,32 @@ async function renderWithAnimationBg(strips, songDurationMs, startOffsetMs, tabV
   await new Promise((resolve) => { ffmpeg.on('close', resolve); });
 }
 
+/**
+ * Tab overlay frames of the strip, every track in it moving under one cursor.
+ */
+function tabFrames(strip, durationMs, tabViewportWidth) {
+  return generateFrames(strip.pngBuffer, strip.beatTimings, durationMs, strip.totalWidth, strip.totalHeight, {
+    fps,
+    viewportWidth: tabViewportWidth,
+    cursorColor: { r: 255, g: 50, b: 50 },
+    cursorWidth: 3,
+    sectionMarkers: strip.sectionMarkers,
+    scrollMode: opts.scrollMode,
+    bars: strip.bars,
+    workers: opts.workers,
+  });
+}
+
 /**
  * Pipe tab frames to ffmpeg. Used by the video background path
  * where only tab frames need piping (bg is read by ffmpeg directly).
  */
-async function pipeTabFrames(strips, songDurationMs, tabViewportWidth, tabHeight, writeTab) {
-  const tabGenerators = strips.map(s =>
-    generateFrames(s.pngBuffer, s.beatTimings, songDurationMs, s.totalWidth, s.totalHeight, {
-      fps,
-      viewportWidth: tabViewportWidth,
-      cursorColor: { r: 255, g: 50, b: 50 },
-      cursorWidth: 3,
-      sectionMarkers: s.sectionMarkers || [],
-    })
-  );
-  const tabIterators = tabGenerators.map(g => g[Symbol.asyncIterator]());
-  const multiTrack = strips.length > 1;
+async function pipeTabFrames(strip, durationMs, totalFrames, tabViewportWidth, writeTab) {
+  const tabIterator = tabFrames(strip, durationMs, tabViewportWidth)[Symbol.asyncIterator]();
 
   for (let frame = 0; frame < totalFrames; frame++) {
-    if (!multiTrack) {
-      const result = await tabIterators[0].next();
-      if (!result.done) await writeTab(Buffer.from(result.value.buffer));
-    } else {
-      const results = await Promise.all(tabIterators.map(it => it.next()));
-      const gap = 4;
-      const stackBuf = Buffer.alloc(tabViewportWidth * tabHeight * 4);
-      let yOff = 0;
-      for (const r of results) {
-        if (r.done) continue;
-        const { buffer: tbuf, width: tw, height: th } = r.value;
-        for (let y = 0; y < th; y++) {
-          const srcStart = y * tw * 4;
-          const dstStart = (yOff + y) * tabViewportWidth * 4;
-          Buffer.from(tbuf).copy(stackBuf, dstStart, srcStart, srcStart + tw * 4);
-        }
-        yOff += th + gap;
-      }
-      await writeTab(stackBuf);
-    }
+    const result = await tabIterator.next();
+    if (!result.done) await writeTab(Buffer.from(result.value.buffer));
 
     if ((frame + 1) % 30 === 0 || frame === totalFrames - 1) {
       const pct = ((frame + 1) / totalFrames * 100).toFixed(0);
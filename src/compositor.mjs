@@ -7,11 +7,22 @@
  *
  * Usage:
  *   node src/compositor.mjs <tab.mov> --template <template.json> [--output final.mp4]
+ *   node src/compositor.mjs <tab.mov> --template reel-title --platform instagram
+ *   node src/compositor.mjs <frame.png> --template cinematic --still 42.5 --output still.png
+ *
+ * With --platform, the layout is checked against the platform's safe zones
+ * first: a text layer or the tab inside a region covered by platform UI stops
+ * the run before anything is encoded. --still renders one frame as PNG through
+ * the same filter graph (index.mjs --still / --contact-sheet use this).
+ *
+ * A "visualizer" background is one of visualizer.mjs's styles, rendered here
+ * from the song's energy (--audio, the template's "audio", else the input's
+ * own audio track) and piped into the same ffmpeg run.
  *
  * Template JSON format:
  *   {
  *     "width": 1920, "height": 1080,
- *     "background": { "type": "video|image|gradient|solid", ... },
+ *     "background": { "type": "video|image|gradient|solid|visualizer", ... },
  *     "text": [ { "content": "Song Title", "x": 960, "y": 80, ... } ],
  *     "tab": { "y": "bottom", "scale": 1.0, "padding": 20 },
  *     "effects": { "vignette": true, "darken": 0.3 }
@@ -21,16 +32,20 @@
 import { execFileSync, spawn } from 'child_process';
 import * as fs from 'fs';
 import * as path from 'path';
-
-const FFMPEG = '/opt/homebrew/bin/ffmpeg';
-const FFPROBE = '/opt/homebrew/bin/ffprobe';
+import { ffmpegPath, ffprobePath, requireMediaTools } from './media-tools.mjs';
+import { loadPlatforms, getPlatform } from './platforms.mjs';
+import { commonOptions } from './cli-options.mjs';
+import { unsafeRegions, templateBoxes, checkSafeZones } from './safe-zone.mjs';
+import { analyzeAudio } from './analyze-audio.mjs';
+import { VISUAL_STYLES, createVisualBackground, styleOptions } from './visual-styles.mjs';
 
 /**
- * Run ffmpeg with given args, streaming progress to stdout.
+ * Run ffmpeg with given args, streaming progress to stdout. feed, when given,
+ * writes an input to ffmpeg's stdin (pipe:0).
  */
-function runFfmpeg(args) {
+function runFfmpeg(args, feed = null) {
   return new Promise((resolve, reject) => {
-    const proc = spawn(FFMPEG, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const proc = spawn(ffmpegPath(), args, { stdio: ['pipe', 'pipe', 'pipe'] });
     let stderrData = '';
     proc.stderr.on('data', (chunk) => {
       stderrData += chunk.toString();
@@ -48,9 +63,28 @@ function runFfmpeg(args) {
       }
     });
     proc.on('error', reject);
+    if (feed) {
+      // ffmpeg stopping early is reported by 'close'
+      proc.stdin.on('error', () => {});
+      feed(proc.stdin).then(() => proc.stdin.end(), reject);
+    }
   });
 }
 
+/**
+ * Write count raw frames to a stream, waiting for it to drain.
+ */
+async function feedFrames(stream, count, renderFrame) {
+  for (let f = 0; f < count && !stream.destroyed; f++) {
+    if (!stream.write(renderFrame(f))) {
+      await new Promise((resolve) => {
+        stream.once('drain', resolve);
+        stream.once('close', resolve);
+      });
+    }
+  }
+}
+
 /**
  * Probe a video/image file for dimensions, fps, and duration.
  */
@@ -61,7 +95,7 @@ function probeVideo(filePath) {
 
   let result;
   try {
-    const raw = execFileSync(FFPROBE, ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', filePath], { encoding: 'utf8' });
+    const raw = execFileSync(ffprobePath(), ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', filePath], { encoding: 'utf8' });
     result = JSON.parse(raw);
   } catch (e) {
     throw new Error(`Failed to probe file: ${e.message}`);
@@ -226,7 +260,8 @@ function buildFilterGraph(template, tabProbe, watermarkConfig) {
   return filters.join(';');
 }
 
-function parseArgs(argv) {
+// argv without the shared flags; common holds those (cli-options.mjs)
+function parseArgs(argv, common) {
   const opts = {
     input: null,
     template: null,
@@ -235,6 +270,10 @@ function parseArgs(argv) {
     artist: null,
     watermark: null,
     intro: false,
+    platform: null,
+    still: null,       // seconds: write one PNG frame at this time instead of a video
+    audio: null,       // drives a "visualizer" background (default: the input's audio)
+    ...common,
   };
 
   const positional = [];
@@ -242,8 +281,6 @@ function parseArgs(argv) {
     const a = argv[i];
     if ((a === '--template' || a === '-t') && argv[i + 1]) {
       opts.template = argv[++i];
-    } else if ((a === '--output' || a === '-o') && argv[i + 1]) {
-      opts.output = argv[++i];
     } else if (a === '--title' && argv[i + 1]) {
       opts.title = argv[++i];
     } else if (a === '--artist' && argv[i + 1]) {
@@ -252,6 +289,8 @@ function parseArgs(argv) {
       opts.watermark = argv[++i];
     } else if (a === '--intro') {
       opts.intro = true;
+    } else if (a === '--still' && argv[i + 1]) {
+      opts.still = parseFloat(argv[++i]);
     } else if (a.startsWith('-')) {
       console.error(`Unknown option: ${a}`);
       process.exit(1);
@@ -316,44 +355,64 @@ const BUILT_IN_TEMPLATES = {
   },
 };
 
+function printUsage(log = console.error) {
+  log('Usage: node src/compositor.mjs <tab.mov> [--template <file.json|name>] [--output final.mp4]');
+  log('');
+  log('Options:');
+  log('  -t, --template FILE   Template JSON file or built-in name');
+  log('  -o, --output FILE     Output file (default: <input>_comp.mp4)');
+  log('  --title TEXT          Song title (replaces {title} in template)');
+  log('  --artist TEXT         Artist name (replaces {artist} in template)');
+  log('  -w, --watermark FILE  Watermark image (PNG with transparency)');
+  log('  --intro               Add logo intro sequence (requires --watermark)');
+  log('  --platform NAME       Fail if text or the tab falls in the platform\'s unsafe regions');
+  log('  --still SECONDS       One PNG frame at this time (input may be a PNG frame of the tab)');
+  log('  --audio FILE          Song audio for a "visualizer" background (default: the input\'s audio)');
+  log('');
+  log('Built-in templates:');
+  log('  cinematic         Dark background + vignette (1920x1080)');
+  log('  cinematic-title   Dark bg + song title + artist (1920x1080)');
+  log('  dark-overlay      Video bg + cinematic grading + dark band (1920x1080)');
+  log('  reel              Portrait video bg for IG/TikTok (1080x1920)');
+  log('  reel-title        Portrait + song title + artist (1080x1920)');
+  log('');
+  log('Template JSON format:');
+  log('  { "width": 1920, "height": 1080,');
+  log('    "background": { "type": "video|image|solid", "source": "bg.mp4", "color": "0x0A0A12" },');
+  log(`    (or { "type": "visualizer", "style": "${Object.keys(VISUAL_STYLES).join('|')}", "palette": "...", "density": 1, "seed": 42, "audio": "song.wav" })`);
+  log('    "text": [{ "content": "Title", "x": "center", "y": 80, "fontSize": 64, "color": "white" }],');
+  log('    "tab": { "y": "bottom", "padding": 20, "scale": 1.0, "darkBand": true },');
+  log('    "effects": { "vignette": true, "darken": 0.3, "colorTint": { "blue": 0.15 } } }');
+}
+
 async function main() {
-  const opts = parseArgs(process.argv.slice(2));
+  const { options, rest, help } = commonOptions(process.argv.slice(2), ['platform', 'output', 'audio']);
+  if (help) {
+    printUsage(console.log);
+    process.exit(0);
+  }
+  const opts = parseArgs(rest, options);
 
   if (!opts.input) {
-    console.error('Usage: node src/compositor.mjs <tab.mov> [--template <file.json|name>] [--output final.mp4]');
-    console.error('');
-    console.error('Options:');
-    console.error('  -t, --template FILE   Template JSON file or built-in name');
-    console.error('  -o, --output FILE     Output file (default: <input>_comp.mp4)');
-    console.error('  --title TEXT          Song title (replaces {title} in template)');
-    console.error('  --artist TEXT         Artist name (replaces {artist} in template)');
-    console.error('  -w, --watermark FILE  Watermark image (PNG with transparency)');
-    console.error('  --intro               Add logo intro sequence (requires --watermark)');
-    console.error('');
-    console.error('Built-in templates:');
-    console.error('  cinematic         Dark background + vignette (1920x1080)');
-    console.error('  cinematic-title   Dark bg + song title + artist (1920x1080)');
-    console.error('  dark-overlay      Video bg + cinematic grading + dark band (1920x1080)');
-    console.error('  reel              Portrait video bg for IG/TikTok (1080x1920)');
-    console.error('  reel-title        Portrait + song title + artist (1080x1920)');
-    console.error('');
-    console.error('Template JSON format:');
-    console.error('  { "width": 1920, "height": 1080,');
-    console.error('    "background": { "type": "video|image|solid", "source": "bg.mp4", "color": "0x0A0A12" },');
-    console.error('    "text": [{ "content": "Title", "x": "center", "y": 80, "fontSize": 64, "color": "white" }],');
-    console.error('    "tab": { "y": "bottom", "padding": 20, "scale": 1.0, "darkBand": true },');
-    console.error('    "effects": { "vignette": true, "darken": 0.3, "colorTint": { "blue": 0.15 } } }');
+    printUsage();
     process.exit(1);
   }
 
+  if (opts.still !== null && !(opts.still >= 0)) {
+    throw new Error('--still expects a time in seconds >= 0');
+  }
+  const still = opts.still !== null;
+
   const inputPath = path.resolve(opts.input);
   const outputPath = opts.output
     ? path.resolve(opts.output)
-    : inputPath.replace(/\.\w+$/, '_comp.mp4');
+    : inputPath.replace(/\.\w+$/, still ? '_still.png' : '_comp.mp4');
 
   if (!fs.existsSync(inputPath)) {
     throw new Error(`Input file not found: ${inputPath}`);
   }
+  requireMediaTools({ encoders: still ? [] : ['libx264'] });
+  const platform = opts.platform ? getPlatform(loadPlatforms(), opts.platform) : null;
 
   // Load template
   let template;
@@ -384,31 +443,78 @@ async function main() {
   const tabProbe = probeVideo(inputPath);
   console.log(`  ${tabProbe.width}x${tabProbe.height} @ ${tabProbe.fps}fps, ${tabProbe.duration.toFixed(1)}s`);
 
+  // Safe zones: nothing the template places may sit under the platform's UI
+  if (platform) {
+    const W = template.width || tabProbe.width;
+    const H = template.height || tabProbe.height;
+    const problems = checkSafeZones(templateBoxes(template, tabProbe), unsafeRegions(platform, W, H));
+    if (problems.length > 0) {
+      throw new Error(
+        `Template layout collides with ${opts.platform} UI:\n` +
+        problems.map((p) => `  - ${p}`).join('\n') +
+        `\nMove these layers (text "y", tab "y"/"padding") or render with --safe-zone-guide to see the regions`
+      );
+    }
+    console.log(`  Safe zones: OK for ${opts.platform}`);
+  }
+
+  // A still needs one frame of each input: the tab at --still (a video is
+  // seeked, a PNG frame is used as is) and the background at the same time
+  const tabIsImage = /\.png$/i.test(inputPath);
+  const duration = still ? 1 : tabProbe.duration;
+  const tabSeekArgs = still && !tabIsImage ? ['-ss', String(opts.still)] : [];
+
   // Build background input
   const bg = template.background || {};
   let bgInput;
   let bgInputArgs;
+  let bgFeed = null;
 
   if (bg.type === 'video' && bg.source) {
     const bgPath = path.resolve(path.dirname(opts.template || '.'), bg.source);
     if (!fs.existsSync(bgPath)) {
       throw new Error(`Background video not found: ${bgPath}`);
     }
-    bgInputArgs = ['-stream_loop', '-1', '-t', String(tabProbe.duration), '-r', String(tabProbe.fps), '-i', bgPath];
+    // The background loops, so a still seeks within one loop
+    const bgSeekArgs = still ? ['-ss', String(opts.still % (probeVideo(bgPath).duration || Infinity))] : [];
+    bgInputArgs = ['-stream_loop', '-1', ...bgSeekArgs, '-t', String(duration), '-r', String(tabProbe.fps), '-i', bgPath];
     bgInput = 'video';
   } else if (bg.type === 'image' && bg.source) {
     const bgPath = path.resolve(path.dirname(opts.template || '.'), bg.source);
     if (!fs.existsSync(bgPath)) {
       throw new Error(`Background image not found: ${bgPath}`);
     }
-    bgInputArgs = ['-loop', '1', '-t', String(tabProbe.duration), '-i', bgPath];
+    bgInputArgs = ['-loop', '1', '-t', String(duration), '-i', bgPath];
     bgInput = 'image';
+  } else if (bg.type === 'visualizer') {
+    // Rendered at half size (the filter graph scales it up) and piped in raw
+    const style = bg.style || 'nebula';
+    const styleParams = { palette: bg.palette ?? null, density: bg.density ?? null, seed: bg.seed ?? null };
+    styleOptions(style, styleParams);
+    const fps = tabProbe.fps;
+    const bgW = Math.round((template.width || tabProbe.width) / 2);
+    const bgH = Math.round((template.height || tabProbe.height) / 2);
+    let audio = null;
+    if (VISUAL_STYLES[style].audioReactive) {
+      let audioPath = inputPath;
+      if (opts.audio) audioPath = path.resolve(opts.audio);
+      else if (bg.audio) audioPath = path.resolve(path.dirname(opts.template || '.'), bg.audio);
+      else if (tabIsImage) throw new Error(`A ${style} background needs the song audio: pass --audio FILE`);
+      console.log(`  Analyzing ${path.basename(audioPath)} for the ${style} background...`);
+      audio = await analyzeAudio(audioPath, { fps, smoothing: 7 });
+    }
+    const background = createVisualBackground(style, bgW, bgH, audio, { ...styleParams, fps });
+    const firstFrame = still ? Math.round(opts.still * fps) : 0;
+    const frameCount = still ? 1 : Math.ceil(duration * fps);
+    bgInputArgs = ['-f', 'rawvideo', '-pix_fmt', 'rgba', '-s', `${bgW}x${bgH}`, '-r', String(fps), '-i', 'pipe:0'];
+    bgFeed = (stdin) => feedFrames(stdin, frameCount, (f) => background.renderFrame(firstFrame + f));
+    bgInput = `visualizer (${style})`;
   } else {
     // Solid color
     const color = bg.color || '0x0A0A12';
     const W = template.width || tabProbe.width;
     const H = template.height || tabProbe.height;
-    bgInputArgs = ['-f', 'lavfi', '-t', String(tabProbe.duration), '-i', `color=c=${color}:s=${W}x${H}:r=${tabProbe.fps}`];
+    bgInputArgs = ['-f', 'lavfi', '-t', String(duration), '-i', `color=c=${color}:s=${W}x${H}:r=${tabProbe.fps}`];
     bgInput = 'solid';
   }
 
@@ -430,12 +536,15 @@ async function main() {
     console.log(`  Watermark: ${path.basename(wmPath)} (${watermarkConfig.position}, ${Math.round(watermarkConfig.opacity * 100)}% opacity)`);
   }
 
-  if (opts.intro && !opts.watermark) {
+  if (still && opts.intro) {
+    console.log('  --intro is skipped for --still');
+  } else if (opts.intro && !opts.watermark) {
     throw new Error('--intro requires --watermark (the watermark image is used as the intro logo)');
   }
 
   // Determine output paths
-  const mainOutputPath = opts.intro
+  const withIntro = opts.intro && !still;
+  const mainOutputPath = withIntro
     ? outputPath.replace(/(\.\w+)$/, '_main$1')
     : outputPath;
 
@@ -446,24 +555,24 @@ async function main() {
   console.log(`  Filter: ${filterComplex.substring(0, 120)}...`);
 
   // Build ffmpeg command
+  const outputArgs = still
+    ? ['-frames:v', '1']
+    : ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '18', '-r', String(tabProbe.fps), '-t', String(tabProbe.duration)];
   const ffmpegArgs = [
     '-y',
     ...bgInputArgs,
+    ...tabSeekArgs,
     '-i', inputPath,
     ...watermarkInputArgs,
     '-filter_complex', filterComplex,
-    '-c:v', 'libx264',
-    '-pix_fmt', 'yuv420p',
-    '-crf', '18',
-    '-r', String(tabProbe.fps),
-    '-t', String(tabProbe.duration),
+    ...outputArgs,
     mainOutputPath,
   ];
 
-  await runFfmpeg(ffmpegArgs);
+  await runFfmpeg(ffmpegArgs, bgFeed);
 
   // --- Intro generation (optional) ---
-  if (opts.intro) {
+  if (withIntro) {
     console.log(`\nGenerating intro sequence...`);
     const W = template.width || tabProbe.width;
     const H = template.height || tabProbe.height;
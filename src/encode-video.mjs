@@ -1,6 +1,50 @@
 import { spawn } from 'child_process';
+import * as fs from 'fs';
+import * as path from 'path';
+import { ffmpegPath } from './media-tools.mjs';
 
-const FFMPEG = '/opt/homebrew/bin/ffmpeg';
+const VIDEO_ENCODERS = { prores: 'prores_ks', webm: 'libvpx-vp9', mp4: 'libx264' };
+const AUDIO_ENCODERS = { prores: 'pcm_s24le', webm: 'libopus', mp4: 'aac' };
+
+// Audio codec per container: ProRes .mov gets PCM, WebM Opus, H.264 AAC
+function audioArgs(format, platformOpts) {
+  if (format === 'prores') return ['-c:a', 'pcm_s24le', '-shortest'];
+  if (format === 'webm') return ['-c:a', 'libopus', '-b:a', '256k', '-shortest'];
+  // H.264/MP4
+  return [
+    '-c:a', 'aac',
+    '-b:a', platformOpts.audioBitrate || '256k',
+    '-ar', String(platformOpts.audioSampleRate || 48000),
+    '-shortest',
+  ];
+}
+
+// Video codec per container, matching createEncoder
+function videoArgs(format, platformOpts) {
+  if (format === 'prores') return ['-c:v', 'prores_ks', '-profile:v', '4444', '-pix_fmt', 'yuva444p10le', '-vendor', 'apl0'];
+  if (format === 'webm') return ['-c:v', 'libvpx-vp9', '-pix_fmt', 'yuva420p', '-b:v', platformOpts.videoBitrate || '2M'];
+  const rate = platformOpts.videoBitrate;
+  return [
+    '-c:v', 'libx264',
+    '-pix_fmt', 'yuv420p',
+    ...(rate ? ['-b:v', rate, '-maxrate', rate, '-bufsize', rate] : ['-crf', '18']),
+  ];
+}
+
+function videoFormat(outputPath, transparent) {
+  if (transparent && outputPath.endsWith('.mov')) return 'prores';
+  if (transparent && outputPath.endsWith('.webm')) return 'webm';
+  return 'mp4';
+}
+
+/**
+ * ffmpeg encoders createEncoder will use for this output, for
+ * requireMediaTools.
+ */
+export function encodersFor(outputPath, transparent = true, withAudio = false) {
+  const format = videoFormat(outputPath, transparent);
+  return withAudio ? [VIDEO_ENCODERS[format], AUDIO_ENCODERS[format]] : [VIDEO_ENCODERS[format]];
+}
 
 /**
  * @param {string} outputPath
@@ -24,18 +68,7 @@ export function createEncoder(outputPath, width, height, fps, transparent = true
 
   // Audio args (when audioFile is provided)
   const audioInput = audioFile ? ['-i', audioFile] : [];
-  function audioCodecArgs(format) {
-    if (!audioFile) return [];
-    if (format === 'prores') return ['-c:a', 'pcm_s24le', '-shortest'];
-    if (format === 'webm') return ['-c:a', 'libopus', '-b:a', '256k', '-shortest'];
-    // H.264/MP4
-    return [
-      '-c:a', 'aac',
-      '-b:a', platformOpts.audioBitrate || '256k',
-      '-ar', String(platformOpts.audioSampleRate || 48000),
-      '-shortest',
-    ];
-  }
+  const audioCodecArgs = (format) => (audioFile ? audioArgs(format, platformOpts) : []);
 
   let args;
 
@@ -95,7 +128,7 @@ export function createEncoder(outputPath, width, height, fps, transparent = true
     ];
   }
 
-  const ffmpeg = spawn(FFMPEG, args, {
+  const ffmpeg = spawn(ffmpegPath(), args, {
     stdio: ['pipe', 'pipe', 'pipe'],
   });
 
@@ -143,3 +176,104 @@ export function createEncoder(outputPath, width, height, fps, transparent = true
     },
   };
 }
+
+/**
+ * Join segment files written by createEncoder (same size, codec and options)
+ * into one video without re-encoding, optionally muxing in audio.
+ *
+ * @param {string[]} segmentPaths - in playback order
+ * @param {string} outputPath
+ * @param {boolean} transparent - as passed to createEncoder (picks the audio codec)
+ * @param {object} platformOpts - audioBitrate / audioSampleRate, as for createEncoder
+ * @param {string} [audioFile] - optional audio file to mux into the output
+ */
+export function concatSegments(segmentPaths, outputPath, transparent = true, platformOpts = {}, audioFile = null) {
+  const listPath = path.join(path.dirname(segmentPaths[0]), 'concat.txt');
+  const quote = (p) => `'${path.resolve(p).replace(/'/g, "'\\''")}'`;
+  fs.writeFileSync(listPath, segmentPaths.map((p) => `file ${quote(p)}`).join('\n') + '\n');
+
+  const args = [
+    '-y',
+    '-f', 'concat',
+    '-safe', '0',
+    '-i', listPath,
+    ...(audioFile ? ['-i', audioFile, '-map', '0:v', '-map', '1:a'] : []),
+    '-c:v', 'copy',
+    ...(audioFile ? audioArgs(videoFormat(outputPath, transparent), platformOpts) : []),
+    outputPath,
+  ];
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath(), args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderrData = '';
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderrData += chunk.toString();
+    });
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg concat exited with code ${code}\n${stderrData.slice(-500)}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Re-encode one time range of a finished video into its own file, with an
+ * optional label such as "1/3" burned into the top-right corner.
+ *
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {number} startSec
+ * @param {number} endSec
+ * @param {object} opts
+ * @param {boolean} opts.transparent - as passed to createEncoder
+ * @param {object} opts.platformOpts - bitrates / sample rate, as for createEncoder
+ * @param {string} opts.label - text for the badge (default: none)
+ * @param {number} opts.marginTop - px kept clear above the badge (platform safe zone)
+ * @param {number} opts.marginRight - px kept clear right of the badge
+ */
+export function cutPart(inputPath, outputPath, startSec, endSec, opts = {}) {
+  const format = videoFormat(outputPath, opts.transparent ?? true);
+  const platformOpts = opts.platformOpts || {};
+  const pad = 24;
+  const filters = [];
+  if (opts.label) {
+    // ffmpeg's default font, like the compositor's text layers
+    filters.push(
+      `drawtext=text='${opts.label.replace(/[':\\]/g, '')}':fontsize=h*0.035:fontcolor=white` +
+      `:box=1:boxcolor=black@0.55:boxborderw=14` +
+      `:x=w-tw-${pad + (opts.marginRight || 0)}:y=${pad + (opts.marginTop || 0)}`
+    );
+  }
+
+  const args = [
+    '-y',
+    '-ss', startSec.toFixed(3),
+    '-t', (endSec - startSec).toFixed(3),
+    '-i', inputPath,
+    '-map', '0:v', '-map', '0:a?',
+    ...(filters.length > 0 ? ['-vf', filters.join(',')] : []),
+    ...videoArgs(format, platformOpts),
+    ...audioArgs(format, platformOpts),
+    outputPath,
+  ];
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath(), args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderrData = '';
+    ffmpeg.stderr.on('data', (chunk) => {
+      stderrData += chunk.toString();
+    });
+    ffmpeg.on('error', reject);
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`ffmpeg cut exited with code ${code}\n${stderrData.slice(-500)}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
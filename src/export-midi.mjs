@@ -4,20 +4,27 @@
  *
  * Usage:
  *   node src/export-midi.mjs <file.gp> [output.mid]
+ *   node src/export-midi.mjs <file.gp> -o output.mid
  */
 
 import { loadScore } from './load-score.mjs';
 import * as alphaTab from '@coderline/alphatab';
 import * as fs from 'fs';
 import * as path from 'path';
+import { commonOptions } from './cli-options.mjs';
 
-const gpFile = process.argv[2];
-const outputArg = process.argv[3];
-
-if (!gpFile) {
-  console.error('Usage: node src/export-midi.mjs <file.gp> [output.mid]');
+const { options, rest, help } = commonOptions(process.argv.slice(2), ['output']);
+const USAGE = 'Usage: node src/export-midi.mjs <file.gp> [output.mid] [-o output.mid]';
+if (help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (!rest[0]) {
+  console.error(USAGE);
   process.exit(1);
 }
+const gpFile = rest[0];
+const outputArg = rest[1] || options.output;
 
 const gpPath = path.resolve(gpFile);
 if (!fs.existsSync(gpPath)) {
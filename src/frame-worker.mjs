@@ -0,0 +1,21 @@
+/**
+ * frame-worker.mjs -- Worker thread for parallel frame rendering
+ *
+ * Started by generateFrames when opts.workers > 1. The prepared strip and the
+ * ring of frame slots are SharedArrayBuffers; the main thread posts
+ * { frame, slot }, the worker renders that frame from the plan into the slot
+ * and posts the same message back. Frames arrive in increasing order.
+ */
+import { parentPort, workerData } from 'worker_threads';
+import { renderFrame, createNoteHighlighter } from './generate-frames.mjs';
+
+const { strip, frames, plan, view, highlight } = workerData;
+const stripRaw = Buffer.from(strip);
+const frameSize = view.viewportWidth * view.viewportHeight * 4;
+const highlighter = createNoteHighlighter(highlight.notes, highlight);
+
+parentPort.on('message', ({ frame, slot }) => {
+  const frameBuffer = Buffer.from(frames, slot * frameSize, frameSize);
+  renderFrame(stripRaw, frameBuffer, plan, frame, view, highlighter);
+  parentPort.postMessage({ frame, slot });
+});
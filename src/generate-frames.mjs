@@ -1,4 +1,35 @@
 import sharp from 'sharp';
+import { Worker } from 'worker_threads';
+
+// Display modes: 'scroll' moves a horizontal strip under a fixed cursor;
+// 'page' and 'flip' show a page-layout render one line at a time with a
+// moving cursor, sliding ('page') or cutting ('flip') to the next line.
+export const DISPLAY_MODES = ['scroll', 'page', 'flip'];
+
+const PAGE_PADDING = 12; // px above/below the visible lines
+
+// Camera strategies for scroll display (--scroll-mode):
+//   linear    - follow the playhead beat by beat (cursor fixed at 1/3)
+//   bar       - constant velocity within each bar
+//   spring    - critically-damped spring chasing the playhead
+//   lookahead - constant velocity per bar, always showing the whole next bar
+export const SCROLL_MODES = ['linear', 'bar', 'spring', 'lookahead'];
+
+/**
+ * Viewport height for page/flip display: tall enough for any run of
+ * `visibleLines` consecutive lines.
+ *
+ * @param {{ y: number, h: number }[]} systems - from buildTimingMap
+ * @param {number} visibleLines - lines on screen at once
+ */
+export function pageViewportHeight(systems, visibleLines = 2) {
+  let tallest = 0;
+  for (let i = 0; i < systems.length; i++) {
+    const last = systems[Math.min(i + visibleLines, systems.length) - 1];
+    tallest = Math.max(tallest, last.y + last.h - systems[i].y);
+  }
+  return Math.ceil(tallest) + PAGE_PADDING * 2;
+}
 
 export async function* generateFrames(
   stripPngBuffer,
@@ -8,14 +39,12 @@ export async function* generateFrames(
   stripHeight,
   opts = {}
 ) {
-  const fps = opts.fps || 30;
-  const viewportWidth = opts.viewportWidth || 1920;
-  const cursorWidth = opts.cursorWidth || 3;
-  const cursorColor = opts.cursorColor || { r: 255, g: 50, b: 50 };
-  const sectionMarkers = opts.sectionMarkers || [];
+  const display = opts.display || 'scroll';
+  const systems = opts.systems || [];
 
-  const totalFrames = Math.ceil((songDurationMs / 1000) * fps);
-  const cursorX = Math.floor(viewportWidth / 3);
+  if (display !== 'scroll' && systems.length === 0) {
+    throw new Error(`Display mode "${display}" needs a page-layout render (no staff systems in the timing map)`);
+  }
 
   // Decode the strip once into raw RGBA pixels
   const stripImage = sharp(stripPngBuffer).ensureAlpha();
@@ -23,76 +52,24 @@ export async function* generateFrames(
   const actualWidth = stripMeta.width;
   const actualHeight = stripMeta.height;
   const stripRaw = await stripImage.raw().toBuffer();
-  const channels = 4; // RGBA
-  const stripRowBytes = actualWidth * channels;
-
-  const viewportHeight = actualHeight;
-
-  // Remove "rendered by alphaTab" watermark text from the strip.
-  // The watermark appears below the staff content at the bottom of the strip,
-  // and also past the last beat horizontally. We detect it by scanning from
-  // the bottom up: find rows with content separated from the main staff by a gap.
-  {
-    // 1. Blank pixels past the last beat (horizontal watermark at end of strip)
-    if (beatTimings.length > 0) {
-      const lastBeatX = Math.ceil(beatTimings[beatTimings.length - 1].pixelX);
-      const blankStart = Math.min(lastBeatX + 50, actualWidth);
-      if (blankStart < actualWidth) {
-        for (let y = 0; y < actualHeight; y++) {
-          const rowStart = y * stripRowBytes + blankStart * channels;
-          const rowEnd = y * stripRowBytes + actualWidth * channels;
-          stripRaw.fill(0, rowStart, rowEnd);
-        }
-      }
-    }
-
-    // 2. Blank watermark text below the staff (vertical -- bottom of strip)
-    // Scan rows bottom-up to find the lowest row with non-black pixels,
-    // then find the gap between that text and the staff content above it.
-    // Blank everything below the gap.
-    const rowHasContent = (y) => {
-      // Sample every 5px across first 500px (watermark is always at the start)
-      for (let x = 0; x < Math.min(500, actualWidth); x += 5) {
-        const offset = y * stripRowBytes + x * channels;
-        const r = stripRaw[offset], g = stripRaw[offset + 1], b = stripRaw[offset + 2], a = stripRaw[offset + 3];
-        if (a > 10 && (r > 30 || g > 30 || b > 30)) return true;
-      }
-      return false;
-    };
 
-    // Find the bottom-most row with any content
-    let bottomContentRow = -1;
-    for (let y = actualHeight - 1; y >= 0; y--) {
-      if (rowHasContent(y)) { bottomContentRow = y; break; }
-    }
+  trimWatermark(stripRaw, actualWidth, actualHeight, beatTimings, display);
 
-    if (bottomContentRow > 0) {
-      // Scan upward from the watermark text to find the gap (empty rows)
-      let gapTop = bottomContentRow;
-      for (let y = bottomContentRow; y >= 0; y--) {
-        if (!rowHasContent(y)) {
-          // Found start of gap -- check if there's content above (the staff)
-          let staffAbove = false;
-          for (let y2 = y - 1; y2 >= Math.max(0, y - 20); y2--) {
-            if (rowHasContent(y2)) { staffAbove = true; break; }
-          }
-          if (staffAbove) {
-            gapTop = y;
-            break;
-          }
-        }
-      }
+  yield* framesFromStrip(stripRaw, actualWidth, actualHeight, beatTimings, songDurationMs, opts);
+}
 
-      // Blank everything from gapTop down
-      if (gapTop < actualHeight) {
-        for (let y = gapTop; y < actualHeight; y++) {
-          const rowStart = y * stripRowBytes;
-          const rowEnd = rowStart + stripRowBytes;
-          stripRaw.fill(0, rowStart, rowEnd);
-        }
-      }
-    }
-  }
+// Frames from a decoded, watermark-free strip
+async function* framesFromStrip(stripRaw, actualWidth, actualHeight, beatTimings, songDurationMs, opts) {
+  const fps = opts.fps || 30;
+  const viewportWidth = opts.viewportWidth || 1920;
+  const cursorWidth = opts.cursorWidth || 3;
+  const cursorColor = opts.cursorColor || { r: 255, g: 50, b: 50 };
+  const sectionMarkers = opts.sectionMarkers || [];
+  const display = opts.display || 'scroll';
+  const systems = opts.systems || [];
+  const totalFrames = Math.ceil((songDurationMs / 1000) * fps);
+  const cursorX = Math.floor(viewportWidth / 3);
+  const channels = 4; // RGBA
 
   // Pre-render section marker labels onto the strip (one-time cost).
   // Burns text directly into the raw pixel buffer so the frame loop stays fast.
@@ -100,8 +77,13 @@ export async function* generateFrames(
     const labelHeight = 20;
     const fontSize = 14;
     const padding = 6;
+    const labelledBars = new Set();
 
     for (const marker of sectionMarkers) {
+      // Repeated sections emit one marker per pass; label each bar once
+      if (labelledBars.has(marker.barIndex)) continue;
+      labelledBars.add(marker.barIndex);
+
       const textWidth = marker.text.length * (fontSize * 0.62); // approximate
       const boxWidth = Math.ceil(textWidth + padding * 2);
       const boxHeight = labelHeight + padding;
@@ -119,7 +101,8 @@ export async function* generateFrames(
         const labelBuf = await sharp(Buffer.from(svg)).ensureAlpha().raw().toBuffer();
         const labelW = boxWidth;
         const labelH = boxHeight;
-        const yPos = 2; // near top of strip
+        // Near the top of the strip, or of the marker's line in page layout
+        const yPos = display === 'scroll' ? 2 : Math.round(marker.pixelY) + 2;
 
         // Alpha-blend label onto strip raw pixels
         for (let ly = 0; ly < labelH && (yPos + ly) < actualHeight; ly++) {
@@ -150,67 +133,514 @@ export async function* generateFrames(
     }
   }
 
+  const viewportHeight = display === 'scroll' ? actualHeight : pageViewportHeight(systems, opts.visibleLines || 2);
+  const plan = display === 'scroll'
+    ? scrollPlan(beatTimings, totalFrames, actualWidth, actualHeight, { ...opts, fps, viewportWidth, cursorX })
+    : pagePlan(beatTimings, totalFrames, { ...opts, fps, display, systems });
+  const view = {
+    stripWidth: actualWidth,
+    stripHeight: actualHeight,
+    viewportWidth,
+    viewportHeight,
+    fps,
+    cursorWidth,
+    cursorColor,
+  };
+  const highlight = {
+    notes: opts.noteHighlights || [],
+    highlightColor: opts.highlightColor,
+    highlightFadeMs: opts.highlightFadeMs,
+  };
+
+  // opts.frameRanges ([start, end) pairs) renders part of the song, e.g.
+  // the segments that are not cached yet
+  const frames = [];
+  for (const [start, end] of opts.frameRanges || [[0, totalFrames]]) {
+    for (let frame = Math.max(0, start); frame < Math.min(end, totalFrames); frame++) frames.push(frame);
+  }
+
+  // opts.workers > 1 renders frames on a worker-thread pool
+  const workers = Math.min(opts.workers || 1, frames.length);
+  if (workers > 1) {
+    yield* renderInWorkers(stripRaw, plan, frames, view, highlight, workers);
+    return;
+  }
+
   // Pre-allocate output frame buffer
-  const frameSize = viewportWidth * viewportHeight * channels;
-  const frameBuffer = Buffer.alloc(frameSize);
+  const frameBuffer = Buffer.alloc(viewportWidth * viewportHeight * channels);
+  const highlighter = createNoteHighlighter(highlight.notes, highlight);
 
-  // Pre-compute cursor column pixels
-  const cursorStartCol = cursorX - 1;
-  const cursorEndCol = cursorX + cursorWidth + 1;
-  const cursorCoreStart = cursorX;
-  const cursorCoreEnd = cursorX + cursorWidth;
+  for (const frame of frames) {
+    renderFrame(stripRaw, frameBuffer, plan, frame, view, highlighter);
+    yield {
+      frame,
+      timeMs: (frame / fps) * 1000,
+      buffer: frameBuffer,
+      width: viewportWidth,
+      height: viewportHeight,
+    };
+  }
+}
+
+// Remove "rendered by alphaTab" watermark text from a decoded strip.
+// The watermark appears below the staff content at the bottom of the strip,
+// and also past the last beat horizontally. We detect it by scanning from
+// the bottom up: find rows with content separated from the main staff by a gap.
+function trimWatermark(stripRaw, actualWidth, actualHeight, beatTimings, display) {
+  const channels = 4;
+  const stripRowBytes = actualWidth * channels;
+
+  // 1. Blank pixels past the last beat (horizontal watermark at end of strip)
+  if (display === 'scroll' && beatTimings.length > 0) {
+    const lastBeatX = Math.ceil(beatTimings[beatTimings.length - 1].pixelX);
+    const blankStart = Math.min(lastBeatX + 50, actualWidth);
+    if (blankStart < actualWidth) {
+      for (let y = 0; y < actualHeight; y++) {
+        const rowStart = y * stripRowBytes + blankStart * channels;
+        const rowEnd = y * stripRowBytes + actualWidth * channels;
+        stripRaw.fill(0, rowStart, rowEnd);
+      }
+    }
+  }
+
+  // 2. Blank watermark text below the staff (vertical -- bottom of strip)
+  // Scan rows bottom-up to find the lowest row with non-black pixels,
+  // then find the gap between that text and the staff content above it.
+  // Blank everything below the gap.
+  const WATERMARK_SPAN = 500;
+  const rowHasContentIn = (y, fromX, toX) => {
+    for (let x = fromX; x < toX; x += 5) {
+      const offset = y * stripRowBytes + x * channels;
+      const r = stripRaw[offset], g = stripRaw[offset + 1], b = stripRaw[offset + 2], a = stripRaw[offset + 3];
+      if (a > 10 && (r > 30 || g > 30 || b > 30)) return true;
+    }
+    return false;
+  };
+  // Sample every 5px across first 500px (watermark is always at the start)
+  const rowHasContent = (y) => rowHasContentIn(y, 0, Math.min(WATERMARK_SPAN, actualWidth));
+
+  // Find the bottom-most row with any content
+  let bottomContentRow = -1;
+  for (let y = actualHeight - 1; y >= 0; y--) {
+    if (rowHasContent(y)) { bottomContentRow = y; break; }
+  }
+
+  if (bottomContentRow > 0) {
+    // Scan upward from the watermark text to find the gap (empty rows)
+    let gapTop = bottomContentRow;
+    for (let y = bottomContentRow; y >= 0; y--) {
+      if (!rowHasContent(y)) {
+        // Found start of gap -- check if there's content above (the staff)
+        let staffAbove = false;
+        for (let y2 = y - 1; y2 >= Math.max(0, y - 20); y2--) {
+          if (rowHasContent(y2)) { staffAbove = true; break; }
+        }
+        if (staffAbove) {
+          gapTop = y;
+          break;
+        }
+      }
+    }
+
+    // Notes below the staff (standard notation ledger lines, low notes,
+    // lyrics) can reach into the gap anywhere along the strip. Only blank
+    // below the lowest row with content past the watermark's columns.
+    for (let y = actualHeight - 1; y >= gapTop; y--) {
+      if (rowHasContentIn(y, WATERMARK_SPAN, actualWidth)) {
+        gapTop = y + 1;
+        break;
+      }
+    }
+
+    // Blank everything from gapTop down
+    if (gapTop < actualHeight) {
+      for (let y = gapTop; y < actualHeight; y++) {
+        const rowStart = y * stripRowBytes;
+        const rowEnd = rowStart + stripRowBytes;
+        stripRaw.fill(0, rowStart, rowEnd);
+      }
+    }
+  }
+}
+
+/**
+ * Camera for scroll display: returns a function mapping time (ms) to the
+ * strip x shown at the left edge of the viewport (before clamping). Frames
+ * must be requested in time order (the spring keeps state).
+ *
+ * @param {object[]} beatTimings - from buildTimingMap
+ * @param {object} opts
+ * @param {string} opts.scrollMode - one of SCROLL_MODES (default: linear)
+ * @param {number} opts.viewportWidth
+ * @param {number} opts.cursorX - playhead position in the viewport for linear/bar/spring
+ * @param {number} opts.fps - frame rate (spring step size)
+ * @param {object[]} opts.bars - bar extents from buildTimingMap (lookahead)
+ * @param {number} opts.springTimeMs - spring smoothing time (default: 300)
+ */
+export function createCamera(beatTimings, opts) {
+  const mode = opts.scrollMode || 'linear';
+  const { viewportWidth, cursorX } = opts;
+
+  if (mode === 'linear') {
+    return (timeMs) => interpolateX(beatTimings, timeMs) - cursorX;
+  }
+
+  if (mode === 'spring') {
+    // Critically-damped spring (no overshoot), stepped once per frame
+    const dt = 1 / (opts.fps || 30);
+    const omega = 2 / ((opts.springTimeMs ?? 300) / 1000);
+    const decay = Math.exp(-omega * dt);
+    let x = null;
+    let velocity = 0;
+    return (timeMs) => {
+      const target = interpolateX(beatTimings, timeMs) - cursorX;
+      // Jumps (repeats, D.C.) would send the spring flying across the strip
+      if (x === null || Math.abs(target - x) > viewportWidth) {
+        x = target;
+        velocity = 0;
+        return x;
+      }
+      const offset = x - target;
+      const temp = (velocity + omega * offset) * dt;
+      velocity = (velocity - omega * temp) * decay;
+      x = target + (offset + temp) * decay;
+      return x;
+    };
+  }
+
+  if (mode !== 'bar' && mode !== 'lookahead') {
+    throw new Error(`Unknown scroll mode: ${mode}. Available: ${SCROLL_MODES.join(', ')}`);
+  }
+
+  // Key positions: the first beat of every played bar plus jump/line-end
+  // anchors, so the camera moves at constant speed through each bar and
+  // snaps at jumps.
+  const keys = [];
+  for (let i = 0; i < beatTimings.length; i++) {
+    const bt = beatTimings[i];
+    const prev = beatTimings[i - 1];
+    const isAnchor = bt.isJumpAnchor || bt.isLineEndAnchor;
+    const startsBar = !prev || prev.barIndex !== bt.barIndex || prev.pass !== bt.pass || prev.isJumpAnchor;
+    if (isAnchor || startsBar) keys.push({ ms: bt.ms, pixelX: bt.pixelX, barIndex: bt.barIndex, isAnchor });
+  }
+
+  if (mode === 'bar') {
+    return (timeMs) => interpolateX(keys, timeMs) - cursorX;
+  }
+
+  // Look-ahead: at the start of each bar, place the camera so the following
+  // bar (in playback order) ends inside the viewport, without pushing the
+  // playhead out on the left. Anchors hold the bar's position until the jump.
+  const bars = opts.bars || [];
+  const margin = Math.round(viewportWidth * 0.05);
+  const barEnd = (index) => (bars[index] ? bars[index].x + bars[index].w : null);
+  const cameraKeys = [];
+  let held = 0;
+  for (let k = 0; k < keys.length; k++) {
+    const key = keys[k];
+    if (key.isAnchor) {
+      cameraKeys.push({ ms: key.ms, pixelX: held });
+      continue;
+    }
+    const nextKey = keys.slice(k + 1).find((n) => !n.isAnchor);
+    const followsOn = nextKey && nextKey.barIndex === key.barIndex + 1 && !keys[k + 1].isAnchor;
+    const showUntil = barEnd(followsOn ? nextKey.barIndex : key.barIndex) ?? key.pixelX;
+    held = Math.min(
+      Math.max(key.pixelX - cursorX, showUntil + margin - viewportWidth),
+      key.pixelX - margin
+    );
+    cameraKeys.push({ ms: key.ms, pixelX: held });
+  }
+  return (timeMs) => interpolateX(cameraKeys, timeMs);
+}
+
+// --- Frame plans ---
+//
+// Everything that depends on earlier frames (spring camera, page visits) is
+// worked out up front, one row per frame, so any frame can then be rendered
+// on its own -- in order here, or out of order by the worker pool.
+//   [srcX, srcY, cursorX, cursorTop, cursorBottom] (strip px / viewport px)
+const PLAN_FIELDS = 5;
+
+/**
+ * Scroll display: the viewport is the full strip height and follows the
+ * camera horizontally; the cursor sits on the playhead.
+ */
+function scrollPlan(beatTimings, totalFrames, actualWidth, actualHeight, opts) {
+  const { fps, viewportWidth } = opts;
+  const camera = createCamera(beatTimings, opts);
+  const plan = new Int32Array(totalFrames * PLAN_FIELDS);
 
   for (let frame = 0; frame < totalFrames; frame++) {
     const timeMs = (frame / fps) * 1000;
-    const scrollX = interpolateX(beatTimings, timeMs);
-
-    let cropX = Math.round(scrollX - cursorX);
+    const playheadX = interpolateX(beatTimings, timeMs);
+    let cropX = Math.round(camera(timeMs));
     cropX = Math.max(0, Math.min(cropX, actualWidth - viewportWidth));
 
-    const cropW = Math.min(viewportWidth, actualWidth - cropX);
+    // With the linear camera the cursor is always at cursorX, except where
+    // the crop is clamped at either end of the strip
+    plan.set([cropX, 0, Math.round(playheadX - cropX), 0, actualHeight], frame * PLAN_FIELDS);
+  }
+  return plan;
+}
 
-    // Copy pixels row by row from strip into frame buffer
-    for (let y = 0; y < viewportHeight; y++) {
-      const srcOffset = y * stripRowBytes + cropX * channels;
-      const dstOffset = y * viewportWidth * channels;
+/**
+ * Page/flip display: the strip is a page-layout render (lines stacked
+ * vertically). The view shows the current line plus the next
+ * `visibleLines - 1`, the cursor moves across the current line, and the view
+ * moves on when playback reaches another line.
+ */
+function pagePlan(beatTimings, totalFrames, opts) {
+  const { fps, display, systems } = opts;
+  const transitionMs = display === 'page' ? (opts.transitionMs ?? 400) : 0;
+  const viewportHeight = pageViewportHeight(systems, opts.visibleLines || 2);
+  const plan = new Int32Array(totalFrames * PLAN_FIELDS);
+
+  // Lines in playback order: a new visit starts whenever the cursor changes
+  // line (including jumps back for repeats)
+  const visits = [];
+  for (const bt of beatTimings) {
+    const systemIndex = bt.systemIndex ?? 0;
+    if (visits.length === 0 || visits[visits.length - 1].systemIndex !== systemIndex) {
+      visits.push({ systemIndex, startMs: visits.length === 0 ? 0 : bt.ms });
+    }
+  }
+  if (visits.length === 0) visits.push({ systemIndex: 0, startMs: 0 });
 
-      // Copy the visible portion
-      stripRaw.copy(frameBuffer, dstOffset, srcOffset, srcOffset + cropW * channels);
+  const lineTop = (systemIndex) => systems[systemIndex].y - PAGE_PADDING;
+  let visit = 0;
 
-      // Fill remaining width with transparent black if strip narrower than viewport
-      if (cropW < viewportWidth) {
-        frameBuffer.fill(0, dstOffset + cropW * channels, dstOffset + viewportWidth * channels);
-      }
+  for (let frame = 0; frame < totalFrames; frame++) {
+    const timeMs = (frame / fps) * 1000;
+    while (visit + 1 < visits.length && visits[visit + 1].startMs <= timeMs) visit++;
+
+    const current = systems[visits[visit].systemIndex];
+    let scrollY = lineTop(visits[visit].systemIndex);
+    const next = visits[visit + 1];
+    if (next && transitionMs > 0 && timeMs > next.startMs - transitionMs) {
+      // Slide towards the next line, finishing as its first beat plays
+      const t = (timeMs - (next.startMs - transitionMs)) / transitionMs;
+      const eased = t * t * (3 - 2 * t);
+      scrollY += (lineTop(next.systemIndex) - scrollY) * eased;
+    }
+    scrollY = Math.round(scrollY);
+
+    // Cursor spans the current line only
+    plan.set([
+      0,
+      scrollY,
+      Math.round(interpolateX(beatTimings, timeMs)),
+      Math.max(0, Math.round(current.y) - scrollY),
+      Math.min(viewportHeight, Math.round(current.y + current.h) - scrollY),
+    ], frame * PLAN_FIELDS);
+  }
+  return plan;
+}
+
+/**
+ * Render one planned frame into `frameBuffer`: copy the strip region (areas
+ * outside the strip are transparent), tint sounding notes, draw the cursor.
+ * Used by generateFrames and by frame-worker.mjs.
+ *
+ * @param {Buffer} stripRaw - prepared strip, RGBA
+ * @param {Buffer} frameBuffer - viewportWidth x viewportHeight RGBA
+ * @param {Int32Array} plan - from scrollPlan / pagePlan
+ * @param {number} frame - frame index
+ * @param {object} view - strip/viewport sizes, fps and cursor style
+ * @param {object} highlighter - from createNoteHighlighter
+ */
+export function renderFrame(stripRaw, frameBuffer, plan, frame, view, highlighter) {
+  const { stripWidth, stripHeight, viewportWidth, viewportHeight, fps, cursorWidth, cursorColor } = view;
+  const channels = 4;
+  const stripRowBytes = stripWidth * channels;
+  const viewportRowBytes = viewportWidth * channels;
+  const p = frame * PLAN_FIELDS;
+  const srcX = plan[p];
+  const srcY = plan[p + 1];
+  const copyW = Math.max(0, Math.min(viewportWidth, stripWidth - srcX));
+
+  // Copy pixels row by row from strip into frame buffer
+  for (let y = 0; y < viewportHeight; y++) {
+    const stripY = srcY + y;
+    const dstOffset = y * viewportRowBytes;
+    if (stripY < 0 || stripY >= stripHeight) {
+      frameBuffer.fill(0, dstOffset, dstOffset + viewportRowBytes);
+      continue;
     }
+    const srcOffset = stripY * stripRowBytes + srcX * channels;
+    stripRaw.copy(frameBuffer, dstOffset, srcOffset, srcOffset + copyW * channels);
 
-    // Draw cursor with glow (column-based, in-place)
-    for (let y = 0; y < viewportHeight; y++) {
-      const rowOffset = y * viewportWidth * channels;
-
-      // Glow (wider, semi-transparent)
-      for (let x = cursorStartCol; x < cursorEndCol && x < viewportWidth; x++) {
-        if (x < 0) continue;
-        const px = rowOffset + x * channels;
-        const isCore = x >= cursorCoreStart && x < cursorCoreEnd;
-        const alpha = isCore ? 230 : 77; // 0.9 vs 0.3
-
-        // Alpha blend: out = src * alpha + dst * (1 - alpha)
-        const a = alpha / 255;
-        const ia = 1 - a;
-        frameBuffer[px] = Math.round(cursorColor.r * a + frameBuffer[px] * ia);
-        frameBuffer[px + 1] = Math.round(cursorColor.g * a + frameBuffer[px + 1] * ia);
-        frameBuffer[px + 2] = Math.round(cursorColor.b * a + frameBuffer[px + 2] * ia);
-        frameBuffer[px + 3] = Math.max(frameBuffer[px + 3], alpha);
+    // Fill remaining width with transparent black if strip narrower than viewport
+    if (copyW < viewportWidth) {
+      frameBuffer.fill(0, dstOffset + copyW * channels, dstOffset + viewportRowBytes);
+    }
+  }
+
+  const timeMs = (frame / fps) * 1000;
+  highlighter.draw(frameBuffer, viewportWidth, viewportHeight, srcX, srcY, timeMs);
+  drawCursor(frameBuffer, viewportWidth, plan[p + 2], plan[p + 3], plan[p + 4], cursorWidth, cursorColor);
+}
+
+// --- Worker pool ---
+
+const FRAME_WORKER = new URL('./frame-worker.mjs', import.meta.url);
+
+/**
+ * Render the listed frames (increasing) on `count` worker threads and yield
+ * them in order. The
+ * prepared strip is shared with every worker; frames are rendered into a
+ * shared ring of slots (two per worker) and held in a reorder buffer until
+ * all earlier frames are out. A yielded buffer is valid until the next frame
+ * is requested, as with the in-process loop.
+ */
+async function* renderInWorkers(stripRaw, plan, frameList, view, highlight, count) {
+  const frameSize = view.viewportWidth * view.viewportHeight * 4;
+  let strip = stripRaw.buffer;
+  if (!(strip instanceof SharedArrayBuffer) || stripRaw.byteOffset !== 0 || stripRaw.length !== strip.byteLength) {
+    strip = new SharedArrayBuffer(stripRaw.length);
+    new Uint8Array(strip).set(stripRaw);
+  }
+  const frames = new SharedArrayBuffer(frameSize * count * 2);
+
+  const freeSlots = Array.from({ length: count * 2 }, (_, i) => i);
+  const ready = new Map(); // frame -> slot
+  const idle = [];
+  let nextFrame = 0; // index into frameList
+  let failure = null;
+  let closing = false;
+  let wake = null;
+  const notify = () => {
+    if (wake) wake();
+    wake = null;
+  };
+  const dispatch = () => {
+    // Workers get frames in increasing order, which the note highlighter needs
+    while (idle.length > 0 && freeSlots.length > 0 && nextFrame < frameList.length) {
+      idle.pop().postMessage({ frame: frameList[nextFrame++], slot: freeSlots.shift() });
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < count; i++) {
+    const worker = new Worker(FRAME_WORKER, { workerData: { strip, frames, plan, view, highlight } });
+    worker.on('message', ({ frame, slot }) => {
+      ready.set(frame, slot);
+      idle.push(worker);
+      dispatch();
+      notify();
+    });
+    worker.on('error', (err) => {
+      failure = failure || err;
+      notify();
+    });
+    worker.on('exit', (code) => {
+      if (!closing && !failure) failure = new Error(`Frame worker exited with code ${code}`);
+      notify();
+    });
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  try {
+    dispatch();
+    for (const frame of frameList) {
+      while (!ready.has(frame)) {
+        if (failure) throw failure;
+        await new Promise((resolve) => { wake = resolve; });
       }
+      const slot = ready.get(frame);
+      ready.delete(frame);
+      yield {
+        frame,
+        timeMs: (frame / view.fps) * 1000,
+        buffer: Buffer.from(frames, slot * frameSize, frameSize),
+        width: view.viewportWidth,
+        height: view.viewportHeight,
+      };
+      freeSlots.push(slot);
+      dispatch();
     }
+  } finally {
+    closing = true;
+    await Promise.all(workers.map((w) => w.terminate()));
+  }
+}
 
-    yield {
-      frame,
-      timeMs,
-      buffer: frameBuffer,
-      width: viewportWidth,
-      height: viewportHeight,
-    };
+/**
+ * Colours note heads (fret numbers) while they sound, fading back over
+ * `highlightFadeMs` after they end. Notes come from buildTimingMap's
+ * noteHighlights (sorted by ms); frames must be drawn in time order.
+ *
+ * @param {object[]} notes - { ms, endMs, x, y, w, h } in strip pixels; an optional
+ *   color overrides opts.highlightColor (per-track accents in multi-track renders)
+ * @param {object} opts
+ * @param {{ r: number, g: number, b: number }} opts.highlightColor - default: amber
+ * @param {number} opts.highlightFadeMs - fade-out after the note ends (default: 250)
+ */
+export function createNoteHighlighter(notes, opts = {}) {
+  const color = opts.highlightColor || { r: 255, g: 170, b: 40 };
+  const fadeMs = opts.highlightFadeMs ?? 250;
+  const channels = 4;
+  let next = 0;
+  let active = [];
+
+  return {
+    draw(frameBuffer, viewportWidth, viewportHeight, offsetX, offsetY, timeMs) {
+      while (next < notes.length && notes[next].ms <= timeMs) active.push(notes[next++]);
+      active = active.filter((n) => n.endMs + fadeMs > timeMs);
+
+      for (const n of active) {
+        const strength = timeMs <= n.endMs ? 1 : 1 - (timeMs - n.endMs) / fadeMs;
+        const c = n.color || color;
+        const x0 = Math.max(0, Math.floor(n.x - offsetX));
+        const x1 = Math.min(viewportWidth, Math.ceil(n.x + n.w - offsetX));
+        const y0 = Math.max(0, Math.floor(n.y - offsetY));
+        const y1 = Math.min(viewportHeight, Math.ceil(n.y + n.h - offsetY));
+
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            const px = (y * viewportWidth + x) * channels;
+            // Tint glyph pixels only: weight by brightness so the (dark or
+            // transparent) background around the number stays untouched
+            const bright = Math.max(frameBuffer[px], frameBuffer[px + 1], frameBuffer[px + 2]);
+            const a = strength * Math.max(0, (bright - 40) / 215) * (frameBuffer[px + 3] / 255);
+            if (a <= 0) continue;
+            frameBuffer[px] = Math.round(frameBuffer[px] + (c.r - frameBuffer[px]) * a);
+            frameBuffer[px + 1] = Math.round(frameBuffer[px + 1] + (c.g - frameBuffer[px + 1]) * a);
+            frameBuffer[px + 2] = Math.round(frameBuffer[px + 2] + (c.b - frameBuffer[px + 2]) * a);
+          }
+        }
+      }
+    },
+  };
+}
+
+// Draw a cursor with glow (column-based, in-place) over rows [yStart, yEnd)
+function drawCursor(frameBuffer, viewportWidth, cursorX, yStart, yEnd, cursorWidth, cursorColor) {
+  const channels = 4;
+  const cursorStartCol = cursorX - 1;
+  const cursorEndCol = cursorX + cursorWidth + 1;
+  const cursorCoreStart = cursorX;
+  const cursorCoreEnd = cursorX + cursorWidth;
+
+  for (let y = yStart; y < yEnd; y++) {
+    const rowOffset = y * viewportWidth * channels;
+
+    // Glow (wider, semi-transparent)
+    for (let x = cursorStartCol; x < cursorEndCol && x < viewportWidth; x++) {
+      if (x < 0) continue;
+      const px = rowOffset + x * channels;
+      const isCore = x >= cursorCoreStart && x < cursorCoreEnd;
+      const alpha = isCore ? 230 : 77; // 0.9 vs 0.3
+
+      // Alpha blend: out = src * alpha + dst * (1 - alpha)
+      const a = alpha / 255;
+      const ia = 1 - a;
+      frameBuffer[px] = Math.round(cursorColor.r * a + frameBuffer[px] * ia);
+      frameBuffer[px + 1] = Math.round(cursorColor.g * a + frameBuffer[px + 1] * ia);
+      frameBuffer[px + 2] = Math.round(cursorColor.b * a + frameBuffer[px + 2] * ia);
+      frameBuffer[px + 3] = Math.max(frameBuffer[px + 3], alpha);
+    }
   }
 }
 
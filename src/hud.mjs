@@ -0,0 +1,226 @@
+/**
+ * hud.mjs -- Heads-up display above the tab: progress, bar counter, meter
+ *
+ * One strip of the frame, drawn per frame by index.mjs (--hud):
+ *
+ *   Bar 37/112              Chorus               4/4 · 140 BPM
+ *   [ Intro |  Verse  |####Chorus####|  Verse  |   Outro   ]
+ *
+ * The progress bar is split at the section markers (one segment per pass
+ * through a repeated section); the played part is brighter and the current
+ * section is drawn in the accent colour. The section name in the middle
+ * slides in each time a new section starts. The time signature follows the
+ * bar under the cursor and the tempo follows the tempo markers.
+ *
+ * Everything that does not move is drawn once; a frame only blends
+ * pre-rendered images, so the HUD costs little per frame.
+ *
+ * Usage:
+ *   import { buildHudTimeline, createHud } from './hud.mjs';
+ *   const timeline = buildHudTimeline({ beatTimings, sectionMarkers, tempoMarkers, timeSignatures, bpm, songDurationMs });
+ *   const hud = createHud(timeline, { width: 1840, accent: { r: 255, g: 50, b: 50 } });
+ *   hud.draw(frameBuffer, 1920, 400, timeMs, { left: 40, top: 200 });
+ */
+import { createCanvas } from '@napi-rs/canvas';
+import { blendImage } from './info-card.mjs';
+
+const BANNER_MS = 500; // section name slide-in
+
+/**
+ * Everything the HUD shows, in playback order.
+ *
+ * @param {object} opts
+ * @param {object[]} opts.beatTimings - from buildTimingMap
+ * @param {object[]} opts.sectionMarkers - from buildTimingMap
+ * @param {{ ms: number, bpm: number }[]} opts.tempoMarkers - from buildTimingMap
+ * @param {number[][]} opts.timeSignatures - [numerator, denominator] per master bar
+ * @param {number} opts.bpm - opening tempo
+ * @param {number} opts.songDurationMs
+ * @returns {object} { bars, tempos, segments, barCount, songDurationMs }
+ */
+export function buildHudTimeline(opts) {
+  const { beatTimings, sectionMarkers = [], tempoMarkers = [], timeSignatures, songDurationMs } = opts;
+
+  // First beat of every pass through a bar
+  const bars = [];
+  for (const bt of beatTimings) {
+    if (bt.isJumpAnchor || bt.isLineEndAnchor) continue;
+    const last = bars[bars.length - 1];
+    if (last && last.barIndex === bt.barIndex && last.pass === bt.pass) continue;
+    const [num, den] = timeSignatures[bt.barIndex] || [4, 4];
+    bars.push({ ms: bt.ms, barIndex: bt.barIndex, pass: bt.pass, timeSig: `${num}/${den}` });
+  }
+
+  const tempos = [{ ms: 0, bpm: opts.bpm }, ...tempoMarkers.map((m) => ({ ms: m.ms, bpm: m.bpm }))];
+
+  // Progress bar segments: one per section marker, plus an unnamed lead-in
+  // when the first section starts after the song does
+  const markers = [...sectionMarkers].sort((a, b) => a.ms - b.ms);
+  const segments = markers.map((m) => ({ text: m.text, ms: m.ms, endMs: m.endMs }));
+  if (segments.length === 0 || segments[0].ms > 0) {
+    segments.unshift({ text: '', ms: 0, endMs: segments.length > 0 ? segments[0].ms : songDurationMs });
+  }
+
+  return { bars, tempos, segments, barCount: timeSignatures.length, songDurationMs };
+}
+
+// Last entry with ms <= timeMs (entries sorted by ms), or the first one
+function entryAt(entries, timeMs) {
+  let lo = 0;
+  let hi = entries.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (entries[mid].ms <= timeMs) lo = mid;
+    else hi = mid - 1;
+  }
+  return entries[lo];
+}
+
+/**
+ * What the HUD shows at a point in the song.
+ *
+ * @param {object} timeline - from buildHudTimeline
+ * @param {number} timeMs
+ * @returns {{ barNumber: number, barCount: number, timeSig: string, bpm: number, segmentIndex: number, progress: number }}
+ */
+export function hudState(timeline, timeMs) {
+  const bar = timeline.bars.length > 0 ? entryAt(timeline.bars, timeMs) : { barIndex: 0, timeSig: '4/4' };
+  const segment = entryAt(timeline.segments, timeMs);
+  return {
+    barNumber: bar.barIndex + 1,
+    barCount: timeline.barCount,
+    timeSig: bar.timeSig,
+    bpm: Math.round(entryAt(timeline.tempos, timeMs).bpm),
+    segmentIndex: timeline.segments.indexOf(segment),
+    progress: Math.max(0, Math.min(1, timeMs / timeline.songDurationMs)),
+  };
+}
+
+function toImage(canvas) {
+  const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  return { data, width: canvas.width, height: canvas.height };
+}
+
+/**
+ * Pre-render the HUD for a frame width.
+ *
+ * @param {object} timeline - from buildHudTimeline
+ * @param {object} opts
+ * @param {number} opts.width - HUD width in px
+ * @param {{ r: number, g: number, b: number }} opts.accent - current section colour
+ * @returns {{ width: number, height: number, draw: Function }}
+ */
+export function createHud(timeline, opts) {
+  const width = opts.width;
+  const fontSize = Math.max(20, Math.round(width * 0.0125));
+  const labelSize = Math.round(fontSize * 0.6);
+  const padding = Math.round(fontSize * 0.4);
+  const rowHeight = Math.round(fontSize * 1.3);
+  const barHeight = Math.round(fontSize * 0.9);
+  const barY = padding + rowHeight + Math.round(padding / 2);
+  const height = barY + barHeight + padding;
+  const barWidth = width - padding * 2;
+  const { r, g, b } = opts.accent || { r: 255, g: 255, b: 255 };
+
+  // Backing panel, for legibility over footage
+  const panelCanvas = createCanvas(width, height);
+  const panelCtx = panelCanvas.getContext('2d');
+  panelCtx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  panelCtx.beginPath();
+  panelCtx.roundRect(0, 0, width, height, padding);
+  panelCtx.fill();
+  const panel = toImage(panelCanvas);
+
+  // Segment columns on the progress bar (1px gap between segments)
+  const span = timeline.songDurationMs || 1;
+  const columns = timeline.segments.map((seg) => ({
+    from: Math.round((seg.ms / span) * barWidth),
+    to: Math.round((Math.min(seg.endMs, span) / span) * barWidth),
+  }));
+
+  // The progress bar in four looks: ahead / played, for other sections and
+  // for the current one. A frame takes columns from each.
+  const barImage = (fill, label) => {
+    const canvas = createCanvas(barWidth, barHeight);
+    const ctx = canvas.getContext('2d');
+    ctx.font = `bold ${labelSize}px sans-serif`;
+    ctx.textBaseline = 'middle';
+    timeline.segments.forEach((seg, i) => {
+      const { from, to } = columns[i];
+      const w = to - from - (i < columns.length - 1 ? 1 : 0);
+      if (w <= 0) return;
+      ctx.fillStyle = fill;
+      ctx.fillRect(from, 0, w, barHeight);
+      if (seg.text && ctx.measureText(seg.text).width + labelSize < w) {
+        ctx.fillStyle = label;
+        ctx.fillText(seg.text, from + labelSize / 2, barHeight / 2);
+      }
+    });
+    return toImage(canvas);
+  };
+  const bars = {
+    ahead: barImage('rgba(255, 255, 255, 0.15)', 'rgba(255, 255, 255, 0.75)'),
+    played: barImage('rgba(255, 255, 255, 0.4)', 'white'),
+    currentAhead: barImage(`rgba(${r}, ${g}, ${b}, 0.35)`, 'white'),
+    currentPlayed: barImage(`rgb(${r}, ${g}, ${b})`, 'white'),
+  };
+
+  // Text changes a few hundred times a song at most: render each string once
+  const texts = new Map();
+  const textImage = (text, bold) => {
+    const key = `${bold ? 'b' : ''}${text}`;
+    if (!texts.has(key)) {
+      const font = `${bold ? 'bold ' : ''}${fontSize}px sans-serif`;
+      const measure = createCanvas(1, 1).getContext('2d');
+      measure.font = font;
+      const canvas = createCanvas(Math.ceil(measure.measureText(text).width) + 2, rowHeight);
+      const ctx = canvas.getContext('2d');
+      ctx.font = font;
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = 'white';
+      ctx.fillText(text, 1, Math.round(fontSize * 0.1));
+      texts.set(key, toImage(canvas));
+    }
+    return texts.get(key);
+  };
+
+  /**
+   * Draw the HUD for timeMs into a raw RGBA frame.
+   *
+   * @param {Buffer} frame - modified in place
+   * @param {number} frameWidth
+   * @param {number} frameHeight
+   * @param {number} timeMs
+   * @param {{ left: number, top: number }} position
+   */
+  function draw(frame, frameWidth, frameHeight, timeMs, position) {
+    const { left, top } = position;
+    const state = hudState(timeline, timeMs);
+    blendImage(frame, frameWidth, frameHeight, panel, left, top);
+
+    const textY = top + padding;
+    blendImage(frame, frameWidth, frameHeight, textImage(`Bar ${state.barNumber}/${state.barCount}`), left + padding, textY);
+    const meter = textImage(`${state.timeSig} · ${state.bpm} BPM`);
+    blendImage(frame, frameWidth, frameHeight, meter, left + width - padding - meter.width, textY);
+
+    const segment = timeline.segments[state.segmentIndex];
+    if (segment.text) {
+      const t = Math.min(1, (timeMs - segment.ms) / BANNER_MS);
+      const eased = 1 - (1 - t) * (1 - t);
+      const banner = textImage(segment.text, true);
+      const slide = Math.round((1 - eased) * rowHeight * 0.5);
+      blendImage(frame, frameWidth, frameHeight, banner, left + Math.round((width - banner.width) / 2), textY + slide, eased);
+    }
+
+    const barX = left + padding;
+    const playX = Math.round(state.progress * barWidth);
+    const current = columns[state.segmentIndex];
+    const y = top + barY;
+    blendImage(frame, frameWidth, frameHeight, bars.played, barX, y, 1, 0, Math.min(playX, current.from));
+    blendImage(frame, frameWidth, frameHeight, bars.currentPlayed, barX, y, 1, current.from, Math.min(playX, current.to));
+    blendImage(frame, frameWidth, frameHeight, bars.currentAhead, barX, y, 1, Math.max(playX, current.from), current.to);
+    blendImage(frame, frameWidth, frameHeight, bars.ahead, barX, y, 1, Math.max(playX, current.to), barWidth);
+  }
+
+  return { width, height, draw };
+}
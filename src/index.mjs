@@ -1,200 +1,34 @@
 #!/usr/bin/env node
 import { loadScore } from './load-score.mjs';
-import { renderStrip, NOTATION_ALIASES, STYLE_PRESETS } from './render-strip.mjs';
-import { buildTimingMap } from './build-timing.mjs';
-import { generateFrames } from './generate-frames.mjs';
-import { createEncoder } from './encode-video.mjs';
+import { renderStrip, NOTATION_ALIASES, NOTATION_MODES, STYLE_PRESETS, trackAccentColor } from './render-strip.mjs';
+import { buildTimingMap, createTimeWarp, applyTimeWarp } from './build-timing.mjs';
+import { generateFrames, pageViewportHeight, DISPLAY_MODES, SCROLL_MODES } from './generate-frames.mjs';
+import { createEncoder, concatSegments, cutPart, encodersFor } from './encode-video.mjs';
+import { ffmpegPath, requireMediaTools } from './media-tools.mjs';
+import { segmentCacheKey, planSegments, createSegmentedEncoder, pruneSegmentCache } from './segment-cache.mjs';
 import { detectTuning } from './tuning.mjs';
-import { probeAudio } from './probe-audio.mjs';
+import { probeAudio, probeDuration } from './probe-audio.mjs';
+import { syncToAudio } from './sync-audio.mjs';
+import { resolveSyncFile } from './sync-file.mjs';
+import { commonOptions } from './cli-options.mjs';
+import { loadPlatforms } from './platforms.mjs';
+import { barStarts, planParts, partPath } from './split-parts.mjs';
+import { unsafeRegions, renderSafeZoneGuide } from './safe-zone.mjs';
+import { parseStillTarget, stillTimeMs, contactSheetTimes, renderContactSheet } from './stills.mjs';
+import { renderThumbnail, hardestBarIndex, THUMBNAIL_LAYOUTS, THUMBNAIL_FORMATS, THUMBNAIL_EXCERPTS } from './thumbnail.mjs';
+import { extractBarFeatures } from './practice-engine.mjs';
+import { infoCardEvents, renderInfoCards, infoCardHeight, drawInfoCard } from './info-card.mjs';
+import { buildHudTimeline, createHud } from './hud.mjs';
+import sharp from 'sharp';
+import { execFileSync } from 'child_process';
 import * as path from 'path';
 import * as fs from 'fs';
+import * as os from 'os';
 import { fileURLToPath } from 'url';
 
-// --- Platform presets ---
-// Sources:
-//   YouTube: https://support.google.com/youtube/answer/1722171
-//   YouTube Shorts: https://vidiq.com/blog/post/youtube-shorts-vertical-video/
-//   Instagram specs: https://socialrails.com/blog/instagram-video-size-format-specifications-guide
-//   Instagram safe zones: https://zeely.ai/blog/master-instagram-safe-zones/
-//   Instagram carousel: https://www.overvisual.com/tools/instagram-carousel-size
-//   Facebook specs: https://www.aiarty.com/knowledge-base/facebook-video-size.htm
-//   Facebook Reels: https://www.aiarty.com/knowledge-base/facebook-reel-size.htm
-//   Facebook safe zones: https://sendshort.ai/guides/facebook-reels-size/
-//   TikTok specs: https://fliki.ai/blog/tiktok-video-size
-//   TikTok safe zones: https://kreatli.com/guides/tiktok-safe-zone
-const PLATFORM_PRESETS = {
-  // YouTube landscape (16:9) -- standard playthrough format
-  youtube: {
-    width: 1920,
-    height: 1080,
-    fps: 30,
-    scale: 1.0,
-    cursorWidth: 3,
-    // H.264, AAC 384kbps stereo, 48kHz
-    videoBitrate: '12M',
-    audioBitrate: '384k',
-    audioSampleRate: 48000,
-    description: 'YouTube 1080p 16:9 (standard playthrough)',
-  },
-  'youtube-4k': {
-    width: 3840,
-    height: 2160,
-    fps: 30,
-    scale: 1.3,
-    cursorWidth: 5,
-    videoBitrate: '45M',
-    audioBitrate: '384k',
-    audioSampleRate: 48000,
-    description: 'YouTube 4K 16:9',
-  },
-  // YouTube Shorts (9:16 vertical) -- 1080x1920, max 3 min
-  'youtube-shorts': {
-    width: 1080,
-    height: 1920,
-    fps: 30,
-    scale: 1.3,
-    cursorWidth: 3,
-    videoBitrate: '8M',
-    audioBitrate: '256k',
-    audioSampleRate: 48000,
-    vertical: true,
-    // Safe zone: keep content in central 4:5 area
-    safeMarginBottom: 200,  // px from bottom to avoid UI overlap
-    description: 'YouTube Shorts 1080x1920 9:16 (max 3 min)',
-  },
-  // --- Instagram formats ---
-  // Reels (9:16 vertical) -- 1080x1920, up to 15 min (updated Oct 2024)
-  // IG caps at 1080p. 30fps recommended. Bitrate 4-6 Mbps per IG spec.
-  'instagram': {
-    width: 1080,
-    height: 1920,
-    fps: 30,
-    scale: 1.3,
-    cursorWidth: 3,
-    videoBitrate: '6M',
-    audioBitrate: '256k',
-    audioSampleRate: 48000,
-    vertical: true,
-    // Safe zone: 320px from bottom (captions, buttons), 108px from top (profile bar)
-    safeMarginBottom: 320,
-    safeMarginTop: 108,
-    description: 'Instagram Reels 1080x1920 9:16 (up to 15 min)',
-  },
-  // Stories (9:16 vertical) -- 1080x1920, 60 sec/segment, 24hr lifespan
-  // Lower bitrate (3-4 Mbps). Tighter safe zone -- 250px top AND bottom.
-  'instagram-story': {
-    width: 1080,
-    height: 1920,
-    fps: 30,
-    scale: 1.3,
-    cursorWidth: 3,
-    videoBitrate: '4M',
-    audioBitrate: '256k',
-    audioSampleRate: 48000,
-    maxFileSize: '100MB',
-    vertical: true,
-    // Safe zone: 250px from top (profile bar, close button) and bottom (reply bar, stickers)
-    safeMarginBottom: 250,
-    safeMarginTop: 250,
-    description: 'Instagram Story 1080x1920 9:16 (60s segments, 24hr)',
-  },
-  // Feed post (4:5 portrait) -- 1080x1350, max 90 sec
-  // NOT 9:16. This is what appears in the main feed grid. 4:5 gets max engagement.
-  'instagram-feed': {
-    width: 1080,
-    height: 1350,
-    fps: 30,
-    scale: 1.3,
-    cursorWidth: 3,
-    videoBitrate: '5M',
-    audioBitrate: '256k',
-    audioSampleRate: 48000,
-    maxFileSize: '100MB',
-    vertical: true,
-    // No major safe zone issues at 4:5, just 50px from edges
-    safeMarginBottom: 50,
-    safeMarginTop: 50,
-    description: 'Instagram Feed 1080x1350 4:5 (max 90s)',
-  },
-  // Carousel (4:5 portrait) -- same as feed, 60 sec/slide, up to 20 slides
-  // All slides MUST share the same aspect ratio.
-  'instagram-carousel': {
-    width: 1080,
-    height: 1350,
-    fps: 30,
-    scale: 1.3,
-    cursorWidth: 3,
-    videoBitrate: '5M',
-    audioBitrate: '256k',
-    audioSampleRate: 48000,
-    vertical: true,
-    safeMarginBottom: 50,
-    safeMarginTop: 50,
-    description: 'Instagram Carousel 1080x1350 4:5 (60s/slide, 20 slides)',
-  },
-  // --- Facebook formats ---
-  // As of June 2025, ALL Facebook videos are Reels. No separate feed video format.
-  // Reels (9:16 vertical) -- 1080x1920, no duration cap. 15-30s performs best.
-  // Bitrate 5-8 Mbps for 1080p. AAC 128kbps+ (lower floor than IG).
-  // CRITICAL: FB bottom safe zone is 35% (~672px) -- much larger than IG (320px).
-  'facebook': {
-    width: 1080,
-    height: 1920,
-    fps: 30,
-    scale: 1.3,
-    cursorWidth: 3,
-    videoBitrate: '8M',
-    audioBitrate: '192k',
-    audioSampleRate: 48000,
-    vertical: true,
-    // Safe zone: 14% top (~269px), 35% bottom (~672px), 6% sides (~65px)
-    // FB overlays like/comment/share, description, music info at bottom
-    safeMarginBottom: 672,
-    safeMarginTop: 269,
-    description: 'Facebook Reels 1080x1920 9:16 (no duration cap)',
-  },
-  // Facebook Stories -- 1080x1920, 20 sec/card, 2 min total, splits at 15s
-  'facebook-story': {
-    width: 1080,
-    height: 1920,
-    fps: 30,
-    scale: 1.3,
-    cursorWidth: 3,
-    videoBitrate: '6M',
-    audioBitrate: '192k',
-    audioSampleRate: 48000,
-    vertical: true,
-    // Safe zone: 250px top and bottom
-    safeMarginBottom: 250,
-    safeMarginTop: 250,
-    description: 'Facebook Story 1080x1920 9:16 (20s cards, 24hr)',
-  },
-  // --- TikTok formats ---
-  // Video (9:16 vertical) -- 1080x1920, up to 10 min (60 min for uploads).
-  // 30fps preferred (60fps supported but heavier compression).
-  // No official bitrate spec -- TikTok recompresses everything.
-  // File size: 287.6MB iOS, 72MB Android, 500MB via ads/web.
-  // Safe zone: 900x1492 centered -- 108px top, 320px bottom, 60px left, 120px right.
-  'tiktok': {
-    width: 1080,
-    height: 1920,
-    fps: 30,
-    scale: 1.3,
-    cursorWidth: 3,
-    videoBitrate: '8M',     // upload high, TikTok recompresses anyway
-    audioBitrate: '256k',
-    audioSampleRate: 48000,
-    vertical: true,
-    // Safe zone: 108px top (username/sound), 320px bottom (captions/CTA),
-    // 60px left, 120px right (like/comment/share icons)
-    safeMarginBottom: 320,
-    safeMarginTop: 108,
-    description: 'TikTok 1080x1920 9:16 (up to 10 min, 60 min upload)',
-  },
-};
-
 // --- Arg parsing ---
-function parseArgs(argv) {
+// argv without the shared flags; common holds those (cli-options.mjs)
+function parseArgs(argv, common) {
   const opts = {
     gpFile: null,
     tracks: [0],
@@ -217,10 +51,34 @@ function parseArgs(argv) {
     hide: [],          // notation elements to hide
     show: [],          // notation elements to show (hide everything else)
     audio: null,       // audio file (WAV/MP3/FLAC) to mux into output
+    syncAudio: false,  // warp beat timings to onsets detected in --audio
+    sync: null,        // sync anchors file (default: <song>.sync.json if present)
     template: null,    // template (JSON or built-in name) for compositing
     title: null,       // song title for template text layers
     artist: null,      // artist name for template text layers
-    thumbnail: null,   // background image for 4:5 grid thumbnail (Instagram)
+    thumbnail: null,   // background image for the thumbnail
+    thumbnailLayout: 'ig-grid', // youtube, ig-grid, square (thumbnail.mjs)
+    thumbnailExcerpt: 'opening', // opening bars or the hardest bar
+    thumbnailFormat: 'jpeg', // jpeg, png, webp
+    infoCard: false,   // lower-third title/artist/tuning/BPM cards (info-card.mjs)
+    hud: false,        // progress bar, bar counter, meter (hud.mjs)
+    notation: 'tab',   // staves: tab, standard, both, slash
+    display: 'scroll', // scroll, page (slide to next line) or flip (cut to next line)
+    scrollMode: 'linear', // camera for scroll display: linear, bar, spring, lookahead
+    barsPerLine: 4,    // bars per line for page/flip display
+    lines: 2,          // lines on screen for page/flip display
+    highlightNotes: false, // colour fret numbers while they sound
+    highlightFade: 250,    // ms to fade a highlight after the note ends
+    workers: Math.max(1, os.availableParallelism() - 1), // frame rendering threads (ffmpeg gets a core)
+    cache: true,       // encode in cached segments (resume, reuse across audio/template changes)
+    cacheDir: 'output/.segments',
+    cacheLimit: 5,     // GB the segment cache may use before old renders are removed
+    segment: 10,       // segment length in seconds
+    split: true,       // split into parts when longer than the platform's max duration
+    safeZoneGuide: false, // write a still of the platform frame with unsafe regions, no video
+    still: null,       // time (1:23.5, 83.5s) or bar number: write that one frame as PNG, no video
+    contactSheet: false, // write a grid of frames at every section marker, no video
+    ...common,
   };
 
   const positional = [];
@@ -228,6 +86,22 @@ function parseArgs(argv) {
     const a = argv[i];
     if (a === '--transparent') {
       opts.transparent = true;
+    } else if (a === '--no-cache') {
+      opts.cache = false;
+    } else if (a === '--no-split') {
+      opts.split = false;
+    } else if (a === '--safe-zone-guide') {
+      opts.safeZoneGuide = true;
+    } else if (a === '--still' && argv[i + 1]) {
+      opts.still = argv[++i];
+    } else if (a === '--contact-sheet') {
+      opts.contactSheet = true;
+    } else if (a === '--cache-dir' && argv[i + 1]) {
+      opts.cacheDir = argv[++i];
+    } else if (a === '--cache-limit' && argv[i + 1]) {
+      opts.cacheLimit = parseFloat(argv[++i]);
+    } else if (a === '--segment' && argv[i + 1]) {
+      opts.segment = parseFloat(argv[++i]);
     } else if (a === '--fps' && argv[i + 1]) {
       opts.fps = parseInt(argv[++i], 10);
     } else if (a === '--width' && argv[i + 1]) {
@@ -242,8 +116,6 @@ function parseArgs(argv) {
       opts.cursorWidth = parseInt(argv[++i], 10);
     } else if (a === '--scale' && argv[i + 1]) {
       opts.scale = parseFloat(argv[++i]);
-    } else if (a === '--platform' && argv[i + 1]) {
-      opts.platform = argv[++i];
     } else if (a === '--vertical') {
       opts.vertical = true;
     } else if (a === '--style' && argv[i + 1]) {
@@ -252,8 +124,8 @@ function parseArgs(argv) {
       opts.hide = argv[++i].split(',').map((s) => s.trim());
     } else if (a === '--show' && argv[i + 1]) {
       opts.show = argv[++i].split(',').map((s) => s.trim());
-    } else if (a === '--audio' && argv[i + 1]) {
-      opts.audio = argv[++i];
+    } else if (a === '--sync-audio') {
+      opts.syncAudio = true;
     } else if (a === '--template' && argv[i + 1]) {
       opts.template = argv[++i];
     } else if (a === '--title' && argv[i + 1]) {
@@ -264,8 +136,32 @@ function parseArgs(argv) {
       opts.watermark = argv[++i];
     } else if (a === '--intro') {
       opts.intro = true;
+    } else if (a === '--info-card') {
+      opts.infoCard = true;
+    } else if (a === '--hud') {
+      opts.hud = true;
     } else if (a === '--thumbnail' && argv[i + 1]) {
       opts.thumbnail = argv[++i];
+    } else if (a === '--thumbnail-layout' && argv[i + 1]) {
+      opts.thumbnailLayout = argv[++i];
+    } else if (a === '--thumbnail-excerpt' && argv[i + 1]) {
+      opts.thumbnailExcerpt = argv[++i];
+    } else if (a === '--thumbnail-format' && argv[i + 1]) {
+      opts.thumbnailFormat = argv[++i] === 'jpg' ? 'jpeg' : argv[i];
+    } else if (a === '--notation' && argv[i + 1]) {
+      opts.notation = argv[++i];
+    } else if (a === '--display' && argv[i + 1]) {
+      opts.display = argv[++i];
+    } else if (a === '--scroll-mode' && argv[i + 1]) {
+      opts.scrollMode = argv[++i];
+    } else if (a === '--bars-per-line' && argv[i + 1]) {
+      opts.barsPerLine = parseInt(argv[++i], 10);
+    } else if (a === '--lines' && argv[i + 1]) {
+      opts.lines = parseInt(argv[++i], 10);
+    } else if (a === '--highlight-notes') {
+      opts.highlightNotes = true;
+    } else if (a === '--highlight-fade' && argv[i + 1]) {
+      opts.highlightFade = parseInt(argv[++i], 10);
     } else if (!a.startsWith('--')) {
       positional.push(a);
     }
@@ -280,14 +176,9 @@ function parseArgs(argv) {
     opts.output = positional[1];
   }
 
-  // Apply platform preset (CLI flags override preset values)
+  // Apply platform preset (CLI flags override preset values; the name is checked by cli-options.mjs)
   if (opts.platform) {
-    const preset = PLATFORM_PRESETS[opts.platform];
-    if (!preset) {
-      console.error(`Unknown platform: ${opts.platform}`);
-      console.error(`Available: ${Object.keys(PLATFORM_PRESETS).join(', ')}`);
-      process.exit(1);
-    }
+    const preset = platforms[opts.platform];
     // Only apply preset values if not explicitly set by CLI flags
     const cliFlags = new Set(argv.filter((a) => a.startsWith('--')).map((a) => a.replace(/^--/, '')));
     if (!cliFlags.has('width')) opts.width = preset.width;
@@ -358,48 +249,87 @@ function resolveNotationHide(styleName, hideList, showList) {
   return [...hideSet];
 }
 
-const opts = parseArgs(process.argv.slice(2));
+let platforms;
+try {
+  platforms = loadPlatforms();
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exit(1);
+}
+// Shared flags; --profile and <song>.render.json options go in front of the CLI flags
+const { options, rest, help } = commonOptions(
+  process.argv.slice(2),
+  ['platform', 'output', 'workers', 'audio', 'sync', 'profile'],
+  { command: 'render', platforms },
+);
 
-if (!opts.gpFile) {
-  console.error('Usage: node src/index.mjs <file.gp> [tracks] [output] [options]');
-  console.error('');
-  console.error('Arguments:');
-  console.error('  file.gp           Guitar Pro file (.gp, .gp5, .gp4, .gp3, .gpx)');
-  console.error('  tracks            Track numbers (default: 0). Comma-separated for multi: 0,1');
-  console.error('  output            Output file (.mov = ProRes alpha, .mp4 = H.264)');
-  console.error('');
-  console.error('Options:');
-  console.error('  --transparent     Alpha background for overlay compositing');
-  console.error('  --fps N           Frame rate: 24, 30, 60 (default: 30)');
-  console.error('  --width N         Viewport width in px (default: 1920). Use 3840 for 4K');
-  console.error('  --video FILE      Playthrough footage to composite tab overlay onto');
-  console.error('  --tracks 0,1      Track indices to render (multi-track stacked)');
-  console.error('  --scale N         Notation scale factor (default: 1.0)');
-  console.error('  --cursor-color C  Cursor color: red, white, cyan, etc (default: red)');
-  console.error('  --cursor-width N  Cursor width in px (default: 3)');
-  console.error('  --platform NAME   Platform preset (overrides width/fps/scale/bitrate)');
-  console.error('  --vertical        9:16 vertical output (auto-set by platform presets)');
-  console.error('  --style NAME      Style preset for notation display');
-  console.error('  --hide LIST       Hide notation elements (comma-separated)');
-  console.error('  --show LIST       Show ONLY these elements (hides everything else)');
-  console.error('  --audio FILE      Audio file (WAV/MP3/FLAC) to mux into the output');
-  console.error('  --template T      Template for compositing (JSON file or built-in name)');
-  console.error('  --title TEXT      Song title (for template text layers)');
-  console.error('  --artist TEXT     Artist name (for template text layers)');
-  console.error('  -w, --watermark FILE  Watermark image (PNG with transparency)');
-  console.error('  --intro           Add logo intro sequence (requires --watermark)');
-  console.error('');
-  console.error('Platform Presets:');
-  for (const [name, p] of Object.entries(PLATFORM_PRESETS)) {
-    console.error(`  ${name.padEnd(18)} ${p.description}`);
-  }
-  console.error('');
-  console.error('Style Presets:');
+function printUsage(log = console.error) {
+  log('Usage: node src/index.mjs <file.gp> [tracks] [output] [options]');
+  log('');
+  log('Arguments:');
+  log('  file.gp           Guitar Pro file (.gp, .gp5, .gp4, .gp3, .gpx)');
+  log('  tracks            Track numbers (default: 0). Comma-separated for multi: 0,1');
+  log('  output            Output file (.mov = ProRes alpha, .mp4 = H.264)');
+  log('');
+  log('Options:');
+  log('  --profile NAME    Options from a profile in gp-tab-video.config.json (flags override)');
+  log('  -o, --output FILE Output file (same as the output argument)');
+  log('  --transparent     Alpha background for overlay compositing');
+  log('  --fps N           Frame rate: 24, 30, 60 (default: 30)');
+  log('  --width N         Viewport width in px (default: 1920). Use 3840 for 4K');
+  log('  --workers N       Frame rendering threads (default: CPU cores - 1, 1 = no threads)');
+  log('  --segment N       Encode in N-second cached segments (default: 10)');
+  log('  --cache-dir DIR   Segment cache directory (default: output/.segments)');
+  log('  --cache-limit GB  Segment cache size; when a render finishes, the least recently');
+  log('                    used renders are removed to fit (default: 5)');
+  log('  --no-cache        Encode straight to the output: no segments written, no resume');
+  log('  --video FILE      Playthrough footage to composite tab overlay onto');
+  log('  --tracks 0,1      Track indices to render (multi-track stacked)');
+  log('  --scale N         Notation scale factor (default: 1.0)');
+  log('  --cursor-color C  Cursor color: red, white, cyan, etc (default: red)');
+  log('  --cursor-width N  Cursor width in px (default: 3)');
+  log('  --highlight-notes Colour fret numbers while they sound (track accent colour)');
+  log('  --highlight-fade N  Fade-out after each note in ms (default: 250)');
+  log('  --display MODE    scroll (default), page (slide to next line) or flip (cut to next line)');
+  log('  --scroll-mode M   Scroll camera: linear (default), bar, spring, lookahead');
+  log('  --bars-per-line N Bars per line for page/flip display (default: 4)');
+  log('  --lines N         Lines on screen for page/flip display (default: 2)');
+  log('  --platform NAME   Platform preset (overrides width/fps/scale/bitrate)');
+  log('  --vertical        9:16 vertical output (auto-set by platform presets)');
+  log('  --no-split        Keep one video even if longer than the platform allows');
+  log('  --safe-zone-guide Write a still frame with the platform\'s unsafe regions (no video)');
+  log('  --still T         Write the frame at time T (1:23.5, 83.5s) or bar T (17) as PNG (no video)');
+  log('  --contact-sheet   Write a grid of frames at every section marker as PNG (no video)');
+  log('  --style NAME      Style preset for notation display');
+  log('  --notation MODE   Staves: tab (default), standard, both (standard above tab), slash');
+  log('  --hide LIST       Hide notation elements (comma-separated)');
+  log('  --show LIST       Show ONLY these elements (hides everything else)');
+  log('  --audio FILE      Audio file (WAV/MP3/FLAC) to mux into the output');
+  log('  --sync-audio      Follow the performance in --audio (onset detection, writes _sync.json)');
+  log('  --sync FILE       Sync anchors file: bar -> timestamp + offset (default: <song>.sync.json)');
+  log('  --template T      Template for compositing (JSON file or built-in name)');
+  log('  --title TEXT      Song title (for template text layers)');
+  log('  --artist TEXT     Artist name (for template text layers)');
+  log('  -w, --watermark FILE  Watermark image (PNG with transparency)');
+  log('  --intro           Add logo intro sequence (requires --watermark)');
+  log('  --info-card       Title/artist/tuning/BPM card at the start and at each tempo change');
+  log('  --hud             Section progress bar, bar counter and time signature/tempo above the tab');
+  log('  --thumbnail FILE  Thumbnail over this background image (title, artist, tuning, BPM, tab)');
+  log(`  --thumbnail-layout L  ${Object.keys(THUMBNAIL_LAYOUTS).join(', ')} (default: ig-grid)`);
+  log('  --thumbnail-excerpt E  opening (default) or hardest (bar with the top difficulty score)');
+  log('  --thumbnail-format F  jpeg (default), png, webp');
+  log('');
+  log('Platform Presets:');
+  for (const [name, p] of Object.entries(platforms)) {
+    log(`  ${name.padEnd(18)} ${p.description}`);
+  }
+  log('');
+  log('Style Presets:');
   for (const [name, s] of Object.entries(STYLE_PRESETS)) {
-    console.error(`  ${name.padEnd(18)} ${s.description}`);
+    log(`  ${name.padEnd(18)} ${s.description}`);
   }
-  console.error('');
-  console.error('Notation Elements (for --hide/--show):');
+  log('');
+  log('Notation Elements (for --hide/--show):');
   const categories = {
     'Metadata': ['title', 'subtitle', 'artist', 'album', 'words', 'music', 'copyright'],
     'Track': ['tuning', 'trackNames', 'chordDiagrams', 'barNumbers'],
@@ -411,30 +341,111 @@ if (!opts.gpFile) {
                   'freeTime', 'tripletFeel', 'alternateEndings', 'repeatCount', 'directions'],
   };
   for (const [cat, aliases] of Object.entries(categories)) {
-    console.error(`  ${cat}: ${aliases.join(', ')}`);
-  }
-  console.error('');
-  console.error('Examples:');
-  console.error('  node src/index.mjs song.gp                              # 1080p 30fps standalone');
-  console.error('  node src/index.mjs song.gp 0 --transparent --fps 60     # 60fps overlay');
-  console.error('  node src/index.mjs song.gp 0,1 --width 3840 --fps 60   # 4K multi-track');
-  console.error('  node src/index.mjs song.gp 0 --video playthrough.mp4   # Composite');
-  console.error('');
-  console.error('  # Platform-optimized:');
-  console.error('  node src/index.mjs song.gp 0 --platform youtube         # YouTube 1080p');
-  console.error('  node src/index.mjs song.gp 0 --platform youtube-4k      # YouTube 4K');
-  console.error('  node src/index.mjs song.gp 0 --platform youtube-shorts  # Shorts 9:16');
-  console.error('  node src/index.mjs song.gp 0 --platform instagram       # Reels 9:16');
-  console.error('');
-  console.error('  # Vertical with playthrough footage:');
-  console.error('  node src/index.mjs song.gp 0 --platform instagram --video playthrough.mp4');
-  console.error('');
-  console.error('  # Style presets and notation toggles:');
-  console.error('  node src/index.mjs song.gp 0 --style playthrough           # ERRA-style (P.M., bends, harmonics)');
-  console.error('  node src/index.mjs song.gp 0 --style clean                 # No metadata clutter');
-  console.error('  node src/index.mjs song.gp 0 --style minimal               # Tab numbers only');
-  console.error('  node src/index.mjs song.gp 0 --hide tuning,trackNames      # Hide specific elements');
-  console.error('  node src/index.mjs song.gp 0 --show palmMute,harmonics     # Show ONLY these');
+    log(`  ${cat}: ${aliases.join(', ')}`);
+  }
+  log('');
+  log('Examples:');
+  log('  node src/index.mjs song.gp                              # 1080p 30fps standalone');
+  log('  node src/index.mjs song.gp 0 --transparent --fps 60     # 60fps overlay');
+  log('  node src/index.mjs song.gp 0,1 --width 3840 --fps 60   # 4K multi-track');
+  log('  node src/index.mjs song.gp 0 --video playthrough.mp4   # Composite');
+  log('');
+  log('  # Platform-optimized:');
+  log('  node src/index.mjs song.gp 0 --platform youtube         # YouTube 1080p');
+  log('  node src/index.mjs song.gp 0 --platform youtube-4k      # YouTube 4K');
+  log('  node src/index.mjs song.gp 0 --platform youtube-shorts  # Shorts 9:16');
+  log('  node src/index.mjs song.gp 0 --platform instagram       # Reels 9:16');
+  log('');
+  log('  # Vertical with playthrough footage:');
+  log('  node src/index.mjs song.gp 0 --platform instagram --video playthrough.mp4');
+  log('');
+  log('  # Style presets and notation toggles:');
+  log('  node src/index.mjs song.gp 0 --style playthrough           # ERRA-style (P.M., bends, harmonics)');
+  log('  node src/index.mjs song.gp 0 --style clean                 # No metadata clutter');
+  log('  node src/index.mjs song.gp 0 --style minimal               # Tab numbers only');
+  log('  node src/index.mjs song.gp 0 --hide tuning,trackNames      # Hide specific elements');
+  log('  node src/index.mjs song.gp 0 --show palmMute,harmonics     # Show ONLY these');
+  log('  node src/index.mjs song.gp 0 --notation both               # Standard notation above tab');
+  log('');
+  log('  # Page display (lines of bars, lesson style):');
+  log('  node src/index.mjs song.gp 0 --display page --bars-per-line 4');
+  log('  node src/index.mjs song.gp 0 --platform instagram --display flip --bars-per-line 2 --lines 3');
+  log('');
+  log('  # Saved options (gp-tab-video.config.json profiles, song.render.json next to song.gp):');
+  log('  node src/index.mjs song.gp --profile yt --title "Live take"');
+}
+
+if (help) {
+  printUsage(console.log);
+  process.exit(0);
+}
+const opts = parseArgs(rest, options);
+if (!opts.gpFile) {
+  printUsage();
+  process.exit(1);
+}
+
+if (opts.safeZoneGuide && !opts.platform) {
+  console.error('--safe-zone-guide requires --platform <name>');
+  process.exit(1);
+}
+
+if (opts.still && opts.contactSheet) {
+  console.error('--still and --contact-sheet each write one PNG -- use one at a time');
+  process.exit(1);
+}
+
+if (opts.still) {
+  try {
+    parseStillTarget(opts.still);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+if (!THUMBNAIL_LAYOUTS[opts.thumbnailLayout]) {
+  console.error(`Unknown thumbnail layout: ${opts.thumbnailLayout}. Available: ${Object.keys(THUMBNAIL_LAYOUTS).join(', ')}`);
+  process.exit(1);
+}
+
+if (!THUMBNAIL_EXCERPTS.includes(opts.thumbnailExcerpt)) {
+  console.error(`Unknown thumbnail excerpt: ${opts.thumbnailExcerpt}. Available: ${THUMBNAIL_EXCERPTS.join(', ')}`);
+  process.exit(1);
+}
+
+if (!THUMBNAIL_FORMATS[opts.thumbnailFormat]) {
+  console.error(`Unknown thumbnail format: ${opts.thumbnailFormat}. Available: ${Object.keys(THUMBNAIL_FORMATS).join(', ')}`);
+  process.exit(1);
+}
+
+if (opts.syncAudio && !opts.audio) {
+  console.error('--sync-audio requires --audio <file>');
+  process.exit(1);
+}
+
+if (!NOTATION_MODES[opts.notation]) {
+  console.error(`Unknown notation: ${opts.notation}. Available: ${Object.keys(NOTATION_MODES).join(', ')}`);
+  process.exit(1);
+}
+
+if (!DISPLAY_MODES.includes(opts.display)) {
+  console.error(`Unknown display mode: ${opts.display}. Available: ${DISPLAY_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+if (!SCROLL_MODES.includes(opts.scrollMode)) {
+  console.error(`Unknown scroll mode: ${opts.scrollMode}. Available: ${SCROLL_MODES.join(', ')}`);
+  process.exit(1);
+}
+
+if (!(opts.segment > 0)) {
+  console.error('--segment must be a number of seconds > 0');
+  process.exit(1);
+}
+
+if (!(opts.cacheLimit >= 0)) {
+  console.error('--cache-limit must be a number of GB >= 0');
   process.exit(1);
 }
 
@@ -450,10 +461,12 @@ const outputFile =
 
 // --- Full-frame overlay helper ---
 // Embeds a tab-strip-sized RGBA buffer into a full-frame transparent canvas
-function embedInFrameFast(stripBuffer, width, stripHeight, frameHeight, yOffset) {
+// (or one filled with an opaque background)
+function embedInFrameFast(stripBuffer, width, stripHeight, frameHeight, yOffset, background = null) {
   const channels = 4;
   const rowBytes = width * channels;
   const frame = Buffer.alloc(width * frameHeight * channels); // zeros = transparent black
+  if (background) fillFrame(frame, background);
   for (let y = 0; y < stripHeight; y++) {
     const srcOffset = y * rowBytes;
     const dstOffset = (yOffset + y) * rowBytes;
@@ -462,6 +475,180 @@ function embedInFrameFast(stripBuffer, width, stripHeight, frameHeight, yOffset)
   return frame;
 }
 
+// Fill a raw RGBA frame with an opaque colour, or clear it when null
+function fillFrame(frame, background) {
+  if (!background) {
+    frame.fill(0);
+    return;
+  }
+  for (let px = 0; px < frame.length; px += 4) {
+    frame[px] = background.r;
+    frame[px + 1] = background.g;
+    frame[px + 2] = background.b;
+    frame[px + 3] = 255;
+  }
+}
+
+/**
+ * Output frames as the encoder receives them: the tab (every selected track,
+ * one layout) placed in the platform frame in overlay mode (or below the HUD /
+ * info card bands), with the HUD and info card drawn on top. The video,
+ * --still and --contact-sheet all render through here. A yielded buffer is
+ * valid until the next frame is requested.
+ *
+ * @param {object} strip
+ * @param {number} songDurationMs
+ * @param {object} layout - { viewportWidth, tabHeight, frameHeight, tabY, overlayMode, infoCard, hud }
+ * @param {object} render - { frameRanges, workers }
+ */
+async function* composedFrames(strip, songDurationMs, layout, render) {
+  const { viewportWidth, tabHeight, frameHeight, tabY, infoCard, hud } = layout;
+  const { frameRanges, workers } = render;
+  const embedded = frameHeight > tabHeight;
+  const background = opts.transparent ? null : { r: 20, g: 20, b: 20 };
+
+  for await (const { frame, buffer } of generateFrames(
+    strip.pngBuffer,
+    strip.beatTimings,
+    songDurationMs,
+    strip.totalWidth,
+    strip.totalHeight,
+    {
+      fps: opts.fps,
+      viewportWidth,
+      cursorColor: cursorRgb,
+      cursorWidth: opts.cursorWidth,
+      sectionMarkers: strip.sectionMarkers || [],
+      display: opts.display,
+      scrollMode: opts.scrollMode,
+      systems: strip.systems,
+      bars: strip.bars,
+      visibleLines: opts.lines,
+      noteHighlights: opts.highlightNotes ? strip.noteHighlights : [],
+      highlightColor: trackAccentColor(0),
+      highlightFadeMs: opts.highlightFade,
+      workers,
+      frameRanges,
+    }
+  )) {
+    const outBuffer = embedded
+      ? embedInFrameFast(buffer, viewportWidth, strip.viewportHeight, frameHeight, tabY, background)
+      : buffer;
+    const timeMs = (frame / opts.fps) * 1000;
+    if (hud) hud.draw(outBuffer, viewportWidth, frameHeight, timeMs, hud.position);
+    if (infoCard) drawInfoCard(outBuffer, viewportWidth, frameHeight, infoCard.cards, timeMs, infoCard);
+    yield { frame, buffer: outBuffer };
+  }
+}
+
+// Compositor flags for --template, shared by the video and the stills
+function templateArgs() {
+  return [
+    '--template', opts.template,
+    ...(opts.title ? ['--title', opts.title] : []),
+    ...(opts.artist ? ['--artist', opts.artist] : []),
+    ...(opts.watermark ? ['--watermark', opts.watermark] : []),
+    ...(opts.platform ? ['--platform', opts.platform] : []),
+    // Drives a "visualizer" background
+    ...(opts.audio ? ['--audio', opts.audio] : []),
+  ];
+}
+
+/**
+ * --still / --contact-sheet: render just those frames through composedFrames
+ * and, with --template, the compositor's filter graph -- the same pixels the
+ * video gets. Writes output/<song>_still.png (or a .png output argument) or
+ * output/<song>_contact.png.
+ */
+async function writeStills(strip, songDurationMs, layout) {
+  const baseName = path.basename(opts.gpFile, path.extname(opts.gpFile));
+  if (opts.video) console.log('  Note: --video footage is composited only when encoding; stills show the tab layer');
+
+  let shots;
+  try {
+    shots = opts.still
+      ? [{ ms: stillTimeMs(parseStillTarget(opts.still), strip.beatTimings, songDurationMs), label: opts.still }]
+      : contactSheetTimes(strip.sectionMarkers || [], songDurationMs);
+  } catch (e) {
+    console.error(`\nError: ${e.message}`);
+    process.exit(1);
+  }
+  if (opts.contactSheet && (strip.sectionMarkers || []).length === 0) {
+    console.log(`  No section markers -- using ${shots.length} evenly spaced frames`);
+  }
+
+  // One frame per shot, rendered in order (shots at the same frame share it)
+  const totalFrames = Math.ceil((songDurationMs / 1000) * opts.fps);
+  for (const shot of shots) shot.frame = Math.min(totalFrames - 1, Math.round((shot.ms / 1000) * opts.fps));
+  const frames = [...new Set(shots.map((shot) => shot.frame))].sort((a, b) => a - b);
+  console.log(`\nRendering ${frames.length} frame${frames.length === 1 ? '' : 's'}...`);
+  const pngs = new Map();
+  const raw = { width: layout.viewportWidth, height: layout.frameHeight, channels: 4 };
+  for await (const { frame, buffer } of composedFrames(strip, songDurationMs, layout, {
+    frameRanges: frames.map((f) => [f, f + 1]),
+    workers: opts.workers,
+  })) {
+    pngs.set(frame, await sharp(buffer, { raw }).png().toBuffer());
+  }
+
+  if (opts.template) {
+    const compScript = path.resolve(path.dirname(fileURLToPath(import.meta.url)), 'compositor.mjs');
+    const tabPng = `output/${baseName}_still_tab.png`;
+    const compPng = `output/${baseName}_still_comp.png`;
+    for (const frame of frames) {
+      await fs.promises.writeFile(tabPng, pngs.get(frame));
+      const compArgs = [compScript, tabPng, ...templateArgs(), '--still', (frame / opts.fps).toFixed(3), '--output', compPng];
+      execFileSync('node', compArgs, { stdio: 'inherit', timeout: 300000 });
+      pngs.set(frame, await fs.promises.readFile(compPng));
+    }
+    await fs.promises.rm(tabPng, { force: true });
+    await fs.promises.rm(compPng, { force: true });
+  }
+
+  let outPath;
+  if (opts.still) {
+    outPath = opts.output && opts.output.endsWith('.png') ? opts.output : `output/${baseName}_still.png`;
+    await fs.promises.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.promises.writeFile(outPath, pngs.get(shots[0].frame));
+    console.log(`\nStill (${opts.still}, frame ${shots[0].frame}): ${outPath}`);
+  } else {
+    outPath = `output/${baseName}_contact.png`;
+    const sheet = await renderContactSheet(shots.map((shot) => ({ png: pngs.get(shot.frame), label: shot.label })));
+    await fs.promises.writeFile(outPath, sheet);
+    console.log(`\nContact sheet (${shots.length} frames): ${outPath}`);
+  }
+}
+
+/**
+ * Render the first frame (tab only), place it where overlay mode puts the tab
+ * (above the bottom safe margin), shade the platform's unsafe regions and
+ * save output/<song>_safezone.png.
+ */
+async function writeSafeZoneGuide(strip, songDurationMs, layout) {
+  const preset = platforms[opts.platform];
+  const { viewportWidth, tabHeight } = layout;
+  const tabOnly = { ...layout, frameHeight: tabHeight, tabY: 0, overlayMode: false, infoCard: null, hud: null };
+  let tabBuffer;
+  for await (const { buffer } of composedFrames(strip, songDurationMs, tabOnly, { frameRanges: [[0, 1]], workers: 1 })) {
+    tabBuffer = Buffer.from(buffer);
+  }
+
+  const tabY = preset.height - tabHeight - (opts.safeMarginBottom || 20);
+  const png = renderSafeZoneGuide(
+    { buffer: tabBuffer, width: viewportWidth, height: tabHeight },
+    {
+      width: preset.width,
+      height: preset.height,
+      tabY,
+      regions: unsafeRegions(preset),
+      label: `${opts.platform} ${preset.width}x${preset.height}`,
+    }
+  );
+  const guidePath = `output/${path.basename(opts.gpFile, path.extname(opts.gpFile))}_safezone.png`;
+  await fs.promises.writeFile(guidePath, png);
+  console.log(`\nSafe-zone guide: ${guidePath}`);
+}
+
 // --- Cursor color parsing ---
 const CURSOR_COLORS = {
   red: { r: 255, g: 50, b: 50 },
@@ -476,9 +663,21 @@ const cursorRgb = CURSOR_COLORS[opts.cursorColor] || CURSOR_COLORS.red;
 async function main() {
   const startTime = Date.now();
 
+  // Fail now, not after rendering, if ffmpeg or an encoder this run needs is missing
+  const tabOutput = opts.video ? outputFile.replace(/\.\w+$/, '_tab_only.mov') : outputFile;
+  const encoders = encodersFor(tabOutput, /\.(mov|webm)$/.test(tabOutput), Boolean(opts.audio) && !opts.video);
+  if (opts.video) encoders.push('libx264', 'aac');
+  if (opts.template) encoders.push('libx264');
+  if (opts.still || opts.contactSheet) {
+    // Stills only need ffmpeg for the template's filter graph
+    if (opts.template) requireMediaTools();
+  } else if (!opts.safeZoneGuide) {
+    requireMediaTools({ encoders });
+  }
+
   // Log platform preset if used
   if (opts.platform) {
-    const preset = PLATFORM_PRESETS[opts.platform];
+    const preset = platforms[opts.platform];
     console.log(`Platform: ${opts.platform} -- ${preset.description}`);
     if (opts.vertical) console.log(`  Orientation: vertical (9:16)`);
     if (opts.videoBitrate) console.log(`  Target bitrate: ${opts.videoBitrate} video, ${opts.audioBitrate} audio`);
@@ -499,6 +698,18 @@ async function main() {
   console.log(`  Tempo: ${score.tempo} BPM`);
   console.log(`  Bars: ${score.masterBars.length}`);
 
+  // Manual sync anchors (--sync FILE or the <song>.sync.json sidecar)
+  let sync;
+  try {
+    sync = resolveSyncFile(opts.gpFile, opts.sync);
+  } catch (e) {
+    console.error(`\nError: ${e.message}`);
+    process.exit(1);
+  }
+  if (sync) {
+    console.log(`  Sync: ${path.basename(sync.path)} (${sync.anchors.length} anchor(s), offset ${sync.offsetMs}ms)`);
+  }
+
   // Display tuning info for selected tracks
   for (const t of opts.tracks) {
     const track = score.tracks[t];
@@ -517,42 +728,77 @@ async function main() {
     }
   }
 
-  // Render each track as a strip
+  // Render the tracks as one strip: a single alphaTab layout spaces every bar
+  // for all of them, so their beats share x positions and one cursor runs
+  // through every track
   const multiTrack = opts.tracks.length > 1;
-  const strips = [];
-  for (let ti = 0; ti < opts.tracks.length; ti++) {
-    const trackIdx = opts.tracks[ti];
-    const mode = opts.transparent ? 'transparent' : 'dark bg';
-    const colorLabel = multiTrack ? ` [color ${ti}]` : '';
-    console.log(`\nRendering track ${trackIdx}: ${score.tracks[trackIdx].name} [${mode}]${colorLabel}...`);
-
-    // Clone settings for each track render (avoid mutation)
-    const { settings: freshSettings } = await loadScore(opts.gpFile);
-    const { pngBuffer, boundsLookup, totalWidth, totalHeight } = await renderStrip(
-      score,
-      freshSettings,
-      trackIdx,
-      {
-        transparent: opts.transparent,
-        scale: opts.scale,
-        trackColorIndex: multiTrack ? ti : 0,
-        notationHide: opts.notationHide,
-      }
-    );
-    console.log(`  Strip size: ${totalWidth}x${totalHeight}px`);
+  const mode = opts.transparent ? 'transparent' : 'dark bg';
+  const trackNames = opts.tracks.map((t) => `${t}: ${score.tracks[t].name}`).join(', ');
+  console.log(`\nRendering ${multiTrack ? 'tracks' : 'track'} ${trackNames} [${mode}]...`);
 
-    const { beatTimings, songDurationMs, sectionMarkers } = buildTimingMap(score, boundsLookup, trackIdx);
-    console.log(`  Beats mapped: ${beatTimings.length}`);
-    console.log(`  Song duration: ${(songDurationMs / 1000).toFixed(1)}s`);
-    if (sectionMarkers && sectionMarkers.length > 0) {
-      console.log(`  Section markers: ${sectionMarkers.length} (${sectionMarkers.map(m => m.text).join(', ')})`);
+  const { pngBuffer, boundsLookup, totalWidth, totalHeight } = await renderStrip(
+    score,
+    settings,
+    opts.tracks,
+    {
+      transparent: opts.transparent,
+      scale: opts.scale,
+      notationHide: opts.notationHide,
+      notation: opts.notation,
+      layout: opts.display === 'scroll' ? 'horizontal' : 'page',
+      barsPerLine: opts.barsPerLine,
+      width: opts.width,
     }
+  );
+  console.log(`  Strip size: ${totalWidth}x${totalHeight}px`);
+
+  const timing = buildTimingMap(score, boundsLookup, opts.tracks[0], { sync });
+  const { beatTimings, sectionMarkers, noteHighlights, timeline, systems } = timing;
+  console.log(`  Beats mapped: ${beatTimings.length}`);
+  if (timeline.length !== score.masterBars.length) {
+    console.log(`  Playback order: ${timeline.length} bars (repeats/jumps expanded from ${score.masterBars.length})`);
+  }
+  console.log(`  Song duration: ${(timing.songDurationMs / 1000).toFixed(1)}s`);
+  if (sectionMarkers && sectionMarkers.length > 0) {
+    console.log(`  Section markers: ${sectionMarkers.length} (${sectionMarkers.map(m => m.text).join(', ')})`);
+  }
+  // Each track's notes light up in its palette's accent
+  if (multiTrack) {
+    for (const note of noteHighlights) note.color = trackAccentColor(opts.tracks.indexOf(note.trackIndex));
+  }
+
+  // Page/flip frames show a window of lines rather than the whole render
+  if (opts.display !== 'scroll' && systems.length === 0) {
+    console.error(`--display ${opts.display} needs line positions from the renderer, which are unavailable here. Use --display scroll.`);
+    process.exit(1);
+  }
+  const viewportHeight = opts.display === 'scroll' ? totalHeight : pageViewportHeight(systems, opts.lines);
+  if (opts.display !== 'scroll') {
+    console.log(`  Lines: ${systems.length} (${opts.barsPerLine} bars each, ${opts.lines} on screen, ${viewportHeight}px)`);
+  }
+
+  const strip = { pngBuffer, totalWidth, totalHeight, viewportHeight, ...timing };
 
-    strips.push({ trackIdx, pngBuffer, totalWidth, totalHeight, beatTimings, songDurationMs, sectionMarkers });
+  // Warp every track onto the recorded performance (--sync-audio)
+  if (opts.syncAudio) {
+    console.log(`\nSyncing to ${path.basename(opts.audio)}...`);
+    const { anchors, report } = syncToAudio(strip.beatTimings, path.resolve(opts.audio));
+    applyTimeWarp(strip, createTimeWarp(anchors));
+
+    const offsets = report.bars.map((b) => b.offsetMs);
+    console.log(`  Onsets detected: ${report.onsets}`);
+    console.log(`  Beats matched: ${report.matchedBeats}/${report.totalBeats}`);
+    console.log(`  Global offset: ${report.globalOffsetMs}ms`);
+    if (offsets.length > 0) {
+      console.log(`  Bar offsets: ${Math.min(...offsets)}ms to ${Math.max(...offsets)}ms`);
+    }
+    const reportPath = outputFile.replace(/\.\w+$/, '_sync.json');
+    await fs.promises.mkdir(path.dirname(reportPath), { recursive: true });
+    await fs.promises.writeFile(reportPath, JSON.stringify(report, null, 2) + '\n');
+    console.log(`  Sync report: ${reportPath}`);
   }
 
-  // Use the longest duration across tracks
-  const songDurationMs = Math.max(...strips.map((s) => s.songDurationMs));
+  const { songDurationMs } = strip;
 
   // Validate audio file if provided
   let audioFile = null;
@@ -569,39 +815,111 @@ async function main() {
     }
   }
 
-  // Save debug strips
-  await fs.promises.mkdir('output', { recursive: true });
-  for (const s of strips) {
-    const debugPath = `output/debug_strip_track${s.trackIdx}.png`;
-    await fs.promises.writeFile(debugPath, s.pngBuffer);
-    console.log(`  Debug strip: ${debugPath}`);
+  // Platform length limit: plan the parts now so over-long bars are reported
+  // before rendering. A template intro is only known once the compositor has
+  // made it, so that case is planned again afterwards.
+  const maxDuration = opts.platform ? platforms[opts.platform].maxDuration : null;
+  const planSplit = (introMs) => {
+    const plan = planParts(songDurationMs, maxDuration * 1000, {
+      bars: barStarts(strip.beatTimings),
+      sections: (strip.sectionMarkers || []).map((m) => m.ms),
+      introMs,
+    });
+    const withIntro = introMs > 0 ? ` (part 1 after the ${(introMs / 1000).toFixed(1)}s intro)` : '';
+    console.log(`\n${opts.platform} allows ${maxDuration}s per video -- splitting into ${plan.parts.length} parts${withIntro}:`);
+    for (const part of plan.parts) {
+      console.log(`  Part ${part.index + 1}: ${(part.startMs / 1000).toFixed(1)}s - ${(part.endMs / 1000).toFixed(1)}s`);
+    }
+    for (const warning of plan.warnings) console.log(`  WARNING: ${warning}`);
+    return plan;
+  };
+  let partPlan = null;
+  if (opts.split && maxDuration && songDurationMs > maxDuration * 1000) {
+    partPlan = planSplit(0);
   }
 
-  // For multi-track: stack strips vertically
-  const viewportWidth = Math.min(opts.width, strips[0].totalWidth);
-  let tabHeight;
-  if (strips.length === 1) {
-    tabHeight = strips[0].totalHeight;
-  } else {
-    // Stack with 4px gap between tracks
-    const gap = 4;
-    tabHeight = strips.reduce((h, s) => h + s.totalHeight, 0) + gap * (strips.length - 1);
+  // Save debug strip
+  await fs.promises.mkdir('output', { recursive: true });
+  const debugPath = `output/debug_strip_track${opts.tracks.join('-')}.png`;
+  await fs.promises.writeFile(debugPath, strip.pngBuffer);
+  console.log(`  Debug strip: ${debugPath}`);
+
+  const viewportWidth = Math.min(opts.width, strip.totalWidth);
+  const tabHeight = strip.viewportHeight;
+
+  // Info cards (--info-card): title/artist/tuning/BPM from the score, drawn
+  // into every frame above the tab
+  let infoCard = null;
+  if (opts.infoCard) {
+    const tunings = score.tracks[opts.tracks[0]].staves[0]?.stringTuning?.tunings || [];
+    const events = infoCardEvents({
+      title: opts.title || score.title,
+      artist: opts.artist || score.artist,
+      tuning: tunings.length > 0 ? detectTuning(tunings, tunings.length).name : null,
+      bpm: score.tempo,
+    }, strip.tempoMarkers || [], songDurationMs);
+    infoCard = { cards: renderInfoCards(events, { frameWidth: viewportWidth, accent: cursorRgb }) };
+    console.log(`  Info cards: ${events.length} (start${events.length > 1 ? ` + ${events.length - 1} tempo change(s)` : ''})`);
   }
+  const layerGap = Math.round(viewportWidth * 0.015);
 
   // Full-frame overlay mode: --platform + --transparent + no --video
   // Produces a full-frame .mov with tab positioned in the platform's safe zone
   const overlayMode = opts.transparent && opts.platform && !opts.video;
+  const preset = overlayMode ? platforms[opts.platform] : null;
+  const layerLeft = Math.max(layerGap, preset?.safeMarginLeft || 0);
+  const layerRight = Math.max(layerGap, preset?.safeMarginRight || 0);
+
+  // HUD (--hud): progress bar, bar counter and meter, right above the tab
+  let hud = null;
+  if (opts.hud) {
+    const timeline = buildHudTimeline({
+      beatTimings: strip.beatTimings,
+      sectionMarkers: strip.sectionMarkers || [],
+      tempoMarkers: strip.tempoMarkers || [],
+      timeSignatures: score.masterBars.map((mb) => [mb.timeSignatureNumerator, mb.timeSignatureDenominator]),
+      bpm: score.tempo,
+      songDurationMs,
+    });
+    hud = {
+      ...createHud(timeline, { width: viewportWidth - layerLeft - layerRight, accent: cursorRgb }),
+      position: { left: layerLeft, top: 0 },
+    };
+    console.log(`  HUD: ${timeline.segments.length} section segment(s), ${timeline.barCount} bars`);
+  }
+
+  // Layers above the tab, bottom up: HUD, then the info card
+  const hudBand = hud ? hud.height + layerGap : 0;
+  const cardBand = infoCard ? infoCardHeight(infoCard.cards) + layerGap * 2 : 0;
   let frameHeight, tabY;
   if (overlayMode) {
-    const preset = PLATFORM_PRESETS[opts.platform];
     frameHeight = preset.height;
     tabY = frameHeight - tabHeight - (opts.safeMarginBottom || 20);
     console.log(`  Overlay mode: ${viewportWidth}x${frameHeight} frame, tab at y=${tabY}`);
   } else {
-    frameHeight = tabHeight;
-    tabY = 0;
+    // Bands above the tab, so the layers never cover the notation
+    frameHeight = tabHeight + hudBand + cardBand;
+    tabY = hudBand + cardBand;
+  }
+  if (hud) hud.position.top = tabY - hudBand;
+  if (infoCard) {
+    infoCard.left = layerLeft;
+    infoCard.bottom = tabY - hudBand - layerGap;
   }
   const outputHeight = frameHeight;
+  const layout = { viewportWidth, tabHeight, frameHeight, tabY, overlayMode, infoCard, hud };
+
+  // --safe-zone-guide: one still of the platform frame instead of a video
+  if (opts.safeZoneGuide) {
+    await writeSafeZoneGuide(strip, songDurationMs, layout);
+    return;
+  }
+
+  // --still / --contact-sheet: render only the frames asked for, no video
+  if (opts.still || opts.contactSheet) {
+    await writeStills(strip, songDurationMs, layout);
+    return;
+  }
 
   const totalFrames = Math.ceil((songDurationMs / 1000) * opts.fps);
   console.log(`\nGenerating ${totalFrames} frames at ${opts.fps}fps (${viewportWidth}x${outputHeight})...`);
@@ -625,89 +943,61 @@ async function main() {
   };
   // Pass audio to encoder for standalone mode (no --video). When --video is used, audio is handled in the composite step.
   const encoderAudio = (audioFile && !compositeAfter) ? audioFile : null;
-  const encoder = createEncoder(encoderOutput, viewportWidth, outputHeight, opts.fps, alphaOutput, platformOpts, encoderAudio);
-
-  let frameCount = 0;
 
-  if (strips.length === 1) {
-    // Single track -- direct pipeline
-    const s = strips[0];
-    for await (const { buffer } of generateFrames(
-      s.pngBuffer,
-      s.beatTimings,
-      songDurationMs,
-      s.totalWidth,
-      s.totalHeight,
-      {
-        fps: opts.fps,
-        viewportWidth,
-        cursorColor: cursorRgb,
-        cursorWidth: opts.cursorWidth,
-        sectionMarkers: s.sectionMarkers || [],
-      }
-    )) {
-      const outBuffer = overlayMode
-        ? embedInFrameFast(buffer, viewportWidth, s.totalHeight, frameHeight, tabY)
-        : buffer;
-      await encoder.write(outBuffer);
-      frameCount++;
-      if (frameCount % 100 === 0) {
-        const pct = ((frameCount / totalFrames) * 100).toFixed(0);
-        process.stdout.write(`\r  Frame ${frameCount}/${totalFrames} (${pct}%)`);
-      }
-    }
-  } else {
-    // Multi-track -- generate frames for each track, stack vertically per frame
-    const sharp = (await import('sharp')).default;
-    const generators = strips.map((s) =>
-      generateFrames(s.pngBuffer, s.beatTimings, songDurationMs, s.totalWidth, s.totalHeight, {
-        fps: opts.fps,
-        viewportWidth,
-        cursorColor: cursorRgb,
-        cursorWidth: opts.cursorWidth,
-        sectionMarkers: s.sectionMarkers || [],
-      })
+  // Encode in cached segments (resumable; audio is muxed when joining them),
+  // or straight into the output with --no-cache
+  let encoder;
+  let segments = null;
+  let segmentDir;
+  let frameRanges;
+  if (opts.cache) {
+    const key = segmentCacheKey({
+      score: await fs.promises.readFile(opts.gpFile),
+      strip: {
+        png: strip.pngBuffer,
+        beatTimings: strip.beatTimings,
+        sectionMarkers: strip.sectionMarkers,
+        noteHighlights: opts.highlightNotes ? strip.noteHighlights : [],
+        systems: strip.systems,
+        bars: strip.bars,
+      },
+      frames: {
+        totalFrames, fps: opts.fps, viewportWidth, outputHeight, overlayMode, tabY,
+        infoCard: infoCard && {
+          left: infoCard.left, bottom: infoCard.bottom, cards: infoCard.cards.map(({ image, ...event }) => event),
+        },
+        hud: hud && { ...hud.position, width: hud.width },
+        cursorRgb, cursorWidth: opts.cursorWidth, display: opts.display, scrollMode: opts.scrollMode,
+        lines: opts.lines, highlightFade: opts.highlightFade, transparent: opts.transparent,
+      },
+      encoder: { ext: path.extname(encoderOutput), alphaOutput, videoBitrate: opts.videoBitrate },
+      segmentFrames: Math.round(opts.segment * opts.fps),
+    });
+    segmentDir = path.join(opts.cacheDir, key.slice(0, 16));
+    segments = planSegments(totalFrames, Math.round(opts.segment * opts.fps), segmentDir, path.extname(encoderOutput));
+    const pending = segments.filter((seg) => !seg.cached);
+    console.log(`  Segments: ${segments.length - pending.length}/${segments.length} cached (${segmentDir})`);
+    frameRanges = pending.map((seg) => [seg.start, seg.end]);
+    const writer = createSegmentedEncoder(pending, (file) =>
+      createEncoder(file, viewportWidth, outputHeight, opts.fps, alphaOutput, platformOpts, null)
     );
+    encoder = { write: (frame, buffer) => writer.write(frame, buffer), finish: () => writer.finish() };
+  } else {
+    const direct = createEncoder(encoderOutput, viewportWidth, outputHeight, opts.fps, alphaOutput, platformOpts, encoderAudio);
+    encoder = { write: (frame, buffer) => direct.write(buffer), finish: () => direct.finish() };
+  }
+  const framesToRender = frameRanges ? frameRanges.reduce((n, [start, end]) => n + end - start, 0) : totalFrames;
 
-    const iterators = generators.map((g) => g[Symbol.asyncIterator]());
-    const gap = 4;
-
-    while (frameCount < totalFrames) {
-      const results = await Promise.all(iterators.map((it) => it.next()));
-      if (results.some((r) => r.done)) break;
-
-      const composites = [];
-      let yOffset = overlayMode ? tabY : 0;
-      for (let i = 0; i < results.length; i++) {
-        const { buffer, height } = results[i].value;
-        composites.push({
-          input: Buffer.from(buffer),
-          raw: { width: viewportWidth, height, channels: 4 },
-          top: yOffset,
-          left: 0,
-        });
-        yOffset += height + gap;
-      }
-
-      const combined = await sharp({
-        create: {
-          width: viewportWidth,
-          height: outputHeight,
-          channels: 4,
-          background: opts.transparent
-            ? { r: 0, g: 0, b: 0, alpha: 0 }
-            : { r: 20, g: 20, b: 20, alpha: 255 },
-        },
-      })
-        .composite(composites)
-        .raw()
-        .toBuffer();
+  let frameCount = 0;
 
-      await encoder.write(combined);
+  // framesToRender is 0 when every segment is cached
+  if (framesToRender > 0) {
+    for await (const { frame, buffer } of composedFrames(strip, songDurationMs, layout, { frameRanges, workers: opts.workers })) {
+      await encoder.write(frame, buffer);
       frameCount++;
       if (frameCount % 100 === 0) {
-        const pct = ((frameCount / totalFrames) * 100).toFixed(0);
-        process.stdout.write(`\r  Frame ${frameCount}/${totalFrames} (${pct}%)`);
+        const pct = ((frameCount / framesToRender) * 100).toFixed(0);
+        process.stdout.write(`\r  Frame ${frameCount}/${framesToRender} (${pct}%)`);
       }
     }
   }
@@ -715,10 +1005,17 @@ async function main() {
   await encoder.finish();
   console.log('');
 
+  if (segments) {
+    await concatSegments(segments.map((seg) => seg.path), encoderOutput, alphaOutput, platformOpts, encoderAudio);
+    const pruned = await pruneSegmentCache(opts.cacheDir, { keep: segmentDir, maxBytes: opts.cacheLimit * 1024 ** 3 });
+    if (pruned.removed > 0) {
+      console.log(`  Cache: removed ${pruned.removed} least recently used render(s) (${(pruned.bytes / 1048576).toFixed(1)} MB)`);
+    }
+  }
+
   // Composite over playthrough footage if --video provided
   if (compositeAfter && opts.video) {
     console.log(`\nCompositing over ${path.basename(opts.video)}...`);
-    const { execSync } = await import('child_process');
 
     // Build ffmpeg filter based on orientation
     let filterComplex;
@@ -773,8 +1070,7 @@ async function main() {
     ];
 
     console.log(`  Filter: ${filterComplex}`);
-    const ffmpegCmd = ['/opt/homebrew/bin/ffmpeg', ...ffmpegArgs].map((a) => `"${a}"`).join(' ');
-    execSync(ffmpegCmd, { stdio: 'inherit' });
+    execFileSync(ffmpegPath(), ffmpegArgs, { stdio: 'inherit' });
 
     // Clean up temp tab-only file
     await fs.promises.unlink(encoderOutput).catch(() => {});
@@ -785,89 +1081,74 @@ async function main() {
   if (opts.template) {
     const compOutput = outputFile.replace(/\.\w+$/, '_comp.mp4');
     console.log(`\nCompositing with template...`);
-    const { execFileSync: execFileComp } = await import('child_process');
     const compScript = path.resolve(path.dirname(fileURLToPath(import.meta.url)), 'compositor.mjs');
     const compArgs = [
       compScript,
       outputFile,
-      '--template', opts.template,
+      ...templateArgs(),
       '--output', compOutput,
-      ...(opts.title ? ['--title', opts.title] : []),
-      ...(opts.artist ? ['--artist', opts.artist] : []),
-      ...(opts.watermark ? ['--watermark', opts.watermark] : []),
       ...(opts.intro ? ['--intro'] : []),
     ];
-    execFileComp('node', compArgs, { stdio: 'inherit', timeout: 300000 });
+    execFileSync('node', compArgs, { stdio: 'inherit', timeout: 300000 });
     finalOutput = compOutput;
   }
 
-  // Generate 4:5 grid thumbnail if --thumbnail provided
-  // Composites a viewport-width crop of the tab onto the background image
+  // A template intro plays before the tab: plan part 1 around it and shift
+  // the cuts past it (part 1 keeps the intro)
+  let introSec = 0;
+  if (opts.split && maxDuration && opts.intro && opts.template) {
+    introSec = Math.max(0, probeDuration(finalOutput) - songDurationMs / 1000);
+    if (songDurationMs + introSec * 1000 > maxDuration * 1000) partPlan = planSplit(introSec * 1000);
+  }
+
+  // Cut the finished video into numbered parts with a "1/N" badge
+  const partOutputs = [];
+  if (partPlan) {
+    console.log(`\nSplitting into ${partPlan.parts.length} parts...`);
+    const preset = platforms[opts.platform];
+    for (const part of partPlan.parts) {
+      const partFile = partPath(finalOutput, part.index);
+      const startSec = part.index === 0 ? 0 : part.startMs / 1000 + introSec;
+      await cutPart(finalOutput, partFile, startSec, part.endMs / 1000 + introSec, {
+        transparent: opts.transparent && !compositeAfter && !opts.template,
+        platformOpts,
+        label: `${part.index + 1}/${partPlan.parts.length}`,
+        marginTop: preset.safeMarginTop || 0,
+        marginRight: preset.safeMarginRight || 0,
+      });
+      partOutputs.push(partFile);
+      console.log(`  ${partFile}`);
+    }
+  }
+
+  // Thumbnail if --thumbnail provided: background image + tab excerpt + song text
   let thumbnailOutput = null;
   if (opts.thumbnail) {
-    const sharp = (await import('sharp')).default;
-    const thumbWidth = 1080;
-    const thumbHeight = 1350;
-    const thumbPath = finalOutput.replace(/\.\w+$/, '_thumb.jpg');
-
-    // Load background, resize/crop to 4:5
-    const bg = sharp(path.resolve(opts.thumbnail))
-      .resize(thumbWidth, thumbHeight, { fit: 'cover', position: 'center' });
-
-    // Crop the first viewport-width section from the strip (opening bars)
-    // Detect and trim alphaTab watermark below the staff by finding the gap
-    const s = strips[0];
-    const cropWidth = Math.min(thumbWidth, s.totalWidth);
-    const stripImg = sharp(s.pngBuffer).ensureAlpha();
-    const stripMeta = await stripImg.metadata();
-    const stripRaw = await stripImg.raw().toBuffer();
-    const sw = stripMeta.width, sh = stripMeta.height, sch = 4;
-    const sRowHas = (y) => {
-      for (let x = 0; x < Math.min(500, sw); x += 5) {
-        const off = (y * sw + x) * sch;
-        if (stripRaw[off+3] > 10 && (stripRaw[off] > 30 || stripRaw[off+1] > 30 || stripRaw[off+2] > 30)) return true;
-      }
-      return false;
-    };
-    let trimHeight = sh;
-    let bottomRow = -1;
-    for (let y = sh - 1; y >= 0; y--) { if (sRowHas(y)) { bottomRow = y; break; } }
-    if (bottomRow > 0) {
-      for (let y = bottomRow; y >= 0; y--) {
-        if (!sRowHas(y)) {
-          let staffAbove = false;
-          for (let y2 = y - 1; y2 >= Math.max(0, y - 20); y2--) { if (sRowHas(y2)) { staffAbove = true; break; } }
-          if (staffAbove) { trimHeight = y; break; }
-        }
-      }
+    const layout = THUMBNAIL_LAYOUTS[opts.thumbnailLayout];
+    const trackIdx = opts.tracks[0];
+    let barIndex = null;
+    if (opts.thumbnailExcerpt === 'hardest') {
+      barIndex = hardestBarIndex(extractBarFeatures(score, trackIdx));
+      console.log(`\nThumbnail excerpt: bar ${barIndex + 1} (hardest in track ${trackIdx})`);
     }
-    const croppedStrip = await sharp(s.pngBuffer)
-      .extract({ left: 0, top: 0, width: cropWidth, height: trimHeight })
-      .resize(thumbWidth, null, { fit: 'inside' })
-      .toBuffer();
-    const croppedMeta = await sharp(croppedStrip).metadata();
-
-    // Position tab at bottom with margin
-    const tabMargin = 50;
-    const thumbTabY = thumbHeight - croppedMeta.height - tabMargin;
-
-    // Dark semi-transparent band behind the tab for legibility
-    const bandHeight = croppedMeta.height + tabMargin * 2;
-    const bandY = thumbHeight - bandHeight;
-    const band = await sharp({
-      create: { width: thumbWidth, height: bandHeight, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 140 } },
-    }).png().toBuffer();
-
-    await bg
-      .composite([
-        { input: band, top: bandY, left: 0 },
-        { input: croppedStrip, top: thumbTabY, left: 0 },
-      ])
-      .jpeg({ quality: 92 })
-      .toFile(thumbPath);
+    const tunings = score.tracks[trackIdx].staves[0]?.stringTuning?.tunings || [];
+    const info = [
+      tunings.length > 0 ? detectTuning(tunings, tunings.length).name : null,
+      `${score.tempo} BPM`,
+    ].filter(Boolean).join(' · ');
 
+    const image = await renderThumbnail({
+      background: opts.thumbnail,
+      strip,
+      layout,
+      barIndex,
+      text: { title: opts.title || score.title, artist: opts.artist || score.artist, info },
+      format: opts.thumbnailFormat,
+    });
+    const thumbPath = finalOutput.replace(/\.\w+$/, `_thumb.${THUMBNAIL_FORMATS[opts.thumbnailFormat]}`);
+    await fs.promises.writeFile(thumbPath, image);
     thumbnailOutput = thumbPath;
-    console.log(`\nThumbnail: ${thumbPath} (${thumbWidth}x${thumbHeight} 4:5)`);
+    console.log(`\nThumbnail: ${thumbPath} (${layout.width}x${layout.height} ${opts.thumbnailLayout})`);
   }
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -879,6 +1160,7 @@ async function main() {
   console.log(`  Resolution: ${viewportWidth}x${outputHeight} @ ${opts.fps}fps (${orientation})`);
   if (opts.platform) console.log(`  Platform: ${opts.platform}`);
   if (opts.template) console.log(`  Template: ${opts.template}`);
+  if (partOutputs.length > 0) console.log(`  Parts: ${partOutputs.length} (${path.basename(partPath(finalOutput, 0))} ...)`);
   if (thumbnailOutput) console.log(`  Thumbnail: ${thumbnailOutput}`);
   console.log(`\nOpen with: open '${finalOutput}'`);
 }
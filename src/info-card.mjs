@@ -0,0 +1,190 @@
+/**
+ * info-card.mjs -- Lower-third info cards from the score's metadata
+ *
+ * A card with title, artist and "Tuning: Drop C | 140 BPM" slides in at the
+ * start of the song, and a card with the new tempo at every tempo change
+ * (tempoMarkers from buildTimingMap). Cards are drawn into the output frames
+ * by index.mjs (--info-card), so they need no compositor template.
+ *
+ * Usage:
+ *   import { infoCardEvents, renderInfoCards, drawInfoCard } from './info-card.mjs';
+ *   const events = infoCardEvents({ title, artist, tuning, bpm: score.tempo }, tempoMarkers, songDurationMs);
+ *   const cards = renderInfoCards(events, { frameWidth: 1920, accent: { r: 255, g: 50, b: 50 } });
+ *   drawInfoCard(frameBuffer, 1920, 400, cards, timeMs, { left: 40, bottom: 120 });
+ */
+import { createCanvas } from '@napi-rs/canvas';
+
+export const INFO_CARD_HOLD_MS = 4000; // on screen, including the animation
+export const INFO_CARD_FADE_MS = 400;  // slide + fade in, and out
+
+/**
+ * "Tuning: Drop C | 140 BPM", or just the tempo for unpitched tracks.
+ *
+ * @param {string|null} tuning - detectTuning name
+ * @param {number} bpm
+ */
+export function infoLine(tuning, bpm) {
+  const tempo = `${Math.round(bpm)} BPM`;
+  return tuning ? `Tuning: ${tuning} | ${tempo}` : tempo;
+}
+
+/**
+ * Cards in playback order. Each stays up for holdMs; a card cut short by the
+ * next one hands over without animating out, so a run of tempo changes
+ * (accelerando) keeps one card on screen with the tempo counting.
+ *
+ * @param {object} meta - { title, artist, tuning, bpm } (bpm: opening tempo)
+ * @param {{ ms: number, bpm: number }[]} tempoMarkers - from buildTimingMap
+ * @param {number} songDurationMs
+ * @param {object} opts - { holdMs }
+ * @returns {{ ms: number, endMs: number, title: string|null, artist: string|null, info: string, joinedIn: boolean, joinedOut: boolean }[]}
+ */
+export function infoCardEvents(meta, tempoMarkers, songDurationMs, opts = {}) {
+  const holdMs = opts.holdMs ?? INFO_CARD_HOLD_MS;
+  const events = [
+    { ms: 0, title: meta.title || null, artist: meta.artist || null, info: infoLine(meta.tuning, meta.bpm) },
+    ...tempoMarkers
+      .filter((m) => m.ms > 0 && m.ms < songDurationMs)
+      .map((m) => ({ ms: m.ms, title: null, artist: null, info: infoLine(meta.tuning, m.bpm) })),
+  ];
+
+  const cards = events.map((event, i) => {
+    const next = events[i + 1];
+    const endMs = Math.min(event.ms + holdMs, next ? next.ms : Infinity, songDurationMs);
+    return { ...event, endMs, joinedIn: false, joinedOut: Boolean(next) && endMs === next.ms };
+  });
+  cards.forEach((card, i) => {
+    if (i > 0) card.joinedIn = cards[i - 1].joinedOut;
+  });
+  return cards;
+}
+
+/**
+ * Draw each card once as raw RGBA: a dark rounded panel with an accent bar,
+ * sized from the frame width.
+ *
+ * @param {object[]} events - from infoCardEvents
+ * @param {object} opts
+ * @param {number} opts.frameWidth - output frame width
+ * @param {{ r: number, g: number, b: number }} opts.accent - accent bar colour
+ * @returns {object[]} events with image: { data, width, height }
+ */
+export function renderInfoCards(events, opts) {
+  const titleSize = Math.max(32, Math.round(opts.frameWidth * 0.021));
+  const lineSizes = { title: titleSize, artist: Math.round(titleSize * 0.65), info: Math.round(titleSize * 0.6) };
+  const padding = Math.round(titleSize * 0.45);
+  const accentWidth = Math.max(4, Math.round(titleSize * 0.15));
+  const { r, g, b } = opts.accent || { r: 255, g: 255, b: 255 };
+
+  const measure = createCanvas(1, 1).getContext('2d');
+  const fontFor = (key) => `${key === 'title' ? 'bold ' : ''}${lineSizes[key]}px sans-serif`;
+
+  return events.map((event) => {
+    const lines = ['title', 'artist', 'info'].filter((key) => event[key]);
+    let textWidth = 0;
+    for (const key of lines) {
+      measure.font = fontFor(key);
+      textWidth = Math.max(textWidth, measure.measureText(event[key]).width);
+    }
+    const width = Math.ceil(accentWidth + padding * 2 + textWidth);
+    const height = Math.ceil(padding * 2 + lines.reduce((h, key) => h + lineSizes[key] * 1.25, 0));
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.beginPath();
+    ctx.roundRect(0, 0, width, height, Math.round(padding / 2));
+    ctx.fill();
+    ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+    ctx.fillRect(0, 0, accentWidth, height);
+
+    ctx.textBaseline = 'top';
+    let y = padding;
+    for (const key of lines) {
+      ctx.font = fontFor(key);
+      ctx.fillStyle = key === 'title' ? 'white' : 'rgba(255, 255, 255, 0.8)';
+      ctx.fillText(event[key], accentWidth + padding, y + lineSizes[key] * 0.1);
+      y += lineSizes[key] * 1.25;
+    }
+
+    const { data } = ctx.getImageData(0, 0, width, height);
+    return { ...event, image: { data, width, height } };
+  });
+}
+
+/**
+ * Tallest card, for reserving room above the tab.
+ *
+ * @param {object[]} cards - from renderInfoCards
+ */
+export function infoCardHeight(cards) {
+  return Math.max(0, ...cards.map((c) => c.image.height));
+}
+
+// 0 -> 1 over the fade in, 1 -> 0 over the fade out (eased)
+function cardVisibility(card, timeMs, fadeMs) {
+  const fadeIn = card.joinedIn ? 1 : (timeMs - card.ms) / fadeMs;
+  const fadeOut = card.joinedOut ? 1 : (card.endMs - timeMs) / fadeMs;
+  const t = Math.max(0, Math.min(1, fadeIn, fadeOut));
+  return 1 - (1 - t) * (1 - t);
+}
+
+/**
+ * Blend the card showing at timeMs (if any) into a raw RGBA frame, bottom-left
+ * aligned at (left, bottom). It slides in from the left while fading.
+ *
+ * @param {Buffer} frame - raw RGBA, modified in place
+ * @param {number} frameWidth
+ * @param {number} frameHeight
+ * @param {object[]} cards - from renderInfoCards
+ * @param {number} timeMs
+ * @param {{ left: number, bottom: number }} position
+ * @param {number} fadeMs - default: INFO_CARD_FADE_MS
+ * @returns {boolean} whether a card was drawn
+ */
+export function drawInfoCard(frame, frameWidth, frameHeight, cards, timeMs, position, fadeMs = INFO_CARD_FADE_MS) {
+  const card = cards.find((c) => timeMs >= c.ms && timeMs < c.endMs);
+  if (!card) return false;
+  const visibility = cardVisibility(card, timeMs, fadeMs);
+  if (visibility <= 0) return false;
+
+  const { width, height } = card.image;
+  const x0 = Math.round(position.left - (1 - visibility) * width * 0.15);
+  blendImage(frame, frameWidth, frameHeight, card.image, x0, position.bottom - height, visibility);
+  return true;
+}
+
+/**
+ * Source-over blend of a raw RGBA image (straight alpha) onto a frame that
+ * may be transparent, clipped to the frame. Columns fromX..toX of the image
+ * only, when given.
+ *
+ * @param {Buffer} frame - raw RGBA, modified in place
+ * @param {number} frameWidth
+ * @param {number} frameHeight
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} image
+ * @param {number} x0 - image position in the frame
+ * @param {number} y0
+ * @param {number} alpha - overall opacity (0-1)
+ * @param {number} fromX
+ * @param {number} toX
+ */
+export function blendImage(frame, frameWidth, frameHeight, image, x0, y0, alpha = 1, fromX = 0, toX = image.width) {
+  const { data, width, height } = image;
+  const xStart = Math.max(fromX, -x0);
+  const xEnd = Math.min(toX, width, frameWidth - x0);
+  for (let y = Math.max(0, -y0); y < height && y0 + y < frameHeight; y++) {
+    for (let x = xStart; x < xEnd; x++) {
+      const src = (y * width + x) * 4;
+      const sa = (data[src + 3] / 255) * alpha;
+      if (sa === 0) continue;
+      const dst = ((y0 + y) * frameWidth + x0 + x) * 4;
+      const da = frame[dst + 3] / 255;
+      const outA = sa + da * (1 - sa);
+      for (let c = 0; c < 3; c++) {
+        frame[dst + c] = Math.round((data[src + c] * sa + frame[dst + c] * da * (1 - sa)) / outA);
+      }
+      frame[dst + 3] = Math.round(outA * 255);
+    }
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * media-tools.mjs -- Find ffmpeg/ffprobe and check what they can encode
+ *
+ * Every module that shells out to ffmpeg or ffprobe gets the binary from
+ * here. Lookup order (first hit wins):
+ *   1. FFMPEG_PATH / FFPROBE_PATH environment variables
+ *   2. "tools": { "ffmpeg": ..., "ffprobe": ... } in gp-tab-video.config.json
+ *      (current directory)
+ *   3. PATH
+ *   4. /opt/homebrew/bin, /usr/local/bin (macOS GUI shells often lack these)
+ *
+ * Entry points call requireMediaTools() with the encoders a render needs
+ * before doing any work, so a missing tool or encoder is reported up front
+ * instead of as a spawn ENOENT or an ffmpeg failure mid-render.
+ *
+ * Usage:
+ *   import { ffmpegPath, requireMediaTools } from './media-tools.mjs';
+ *   requireMediaTools({ encoders: ['libx264', 'aac'] });
+ *   spawn(ffmpegPath(), args);
+ */
+import { execFileSync } from 'child_process';
+import * as fs from 'fs';
+import * as path from 'path';
+
+export const CONFIG_FILE = 'gp-tab-video.config.json';
+
+const ENV_VARS = { ffmpeg: 'FFMPEG_PATH', ffprobe: 'FFPROBE_PATH' };
+const FALLBACK_DIRS = ['/opt/homebrew/bin', '/usr/local/bin'];
+
+// What each encoder is used for, for error messages
+const ENCODER_USES = {
+  prores_ks: 'ProRes 4444 .mov with alpha',
+  'libvpx-vp9': 'VP9 .webm with alpha',
+  libx264: 'H.264 .mp4',
+  aac: 'AAC audio in .mp4',
+  libopus: 'Opus audio in .webm',
+  pcm_s24le: 'PCM audio in ProRes .mov',
+};
+
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch {
+    return false;
+  }
+}
+
+function readToolsConfig(cwd) {
+  const file = path.join(cwd, CONFIG_FILE);
+  if (!fs.existsSync(file)) return { tools: {}, file };
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${CONFIG_FILE}: ${e.message}`);
+  }
+  const tools = data.tools ?? {};
+  if (!tools || typeof tools !== 'object' || Array.isArray(tools)) {
+    throw new Error(`${CONFIG_FILE}: "tools" must be an object like { "ffmpeg": "/usr/bin/ffmpeg" }`);
+  }
+  return { tools, file };
+}
+
+/**
+ * Locate one tool. Returns { path, source }, or throws with every place that
+ * was searched. An explicit env var or config entry that does not point at an
+ * executable is an error rather than a silent fall-through.
+ *
+ * @param {'ffmpeg'|'ffprobe'} name
+ * @param {object} opts
+ * @param {object} opts.env - environment (default: process.env)
+ * @param {string} opts.cwd - where to look for the config file (default: process.cwd())
+ */
+export function resolveTool(name, opts = {}) {
+  const env = opts.env || process.env;
+  const cwd = opts.cwd || process.cwd();
+  const exe = process.platform === 'win32' ? `${name}.exe` : name;
+
+  const envVar = ENV_VARS[name];
+  if (env[envVar]) {
+    if (!isExecutable(env[envVar])) throw new Error(`${envVar}=${env[envVar]} is not an executable file`);
+    return { path: env[envVar], source: envVar };
+  }
+
+  const { tools, file } = readToolsConfig(cwd);
+  if (tools[name] !== undefined) {
+    const configured = path.resolve(cwd, String(tools[name]));
+    if (!isExecutable(configured)) {
+      throw new Error(`${path.basename(file)}: "tools.${name}" (${tools[name]}) is not an executable file`);
+    }
+    return { path: configured, source: CONFIG_FILE };
+  }
+
+  const pathDirs = (env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const dir of pathDirs) {
+    const candidate = path.join(dir, exe);
+    if (isExecutable(candidate)) return { path: candidate, source: 'PATH' };
+  }
+  for (const dir of FALLBACK_DIRS) {
+    const candidate = path.join(dir, exe);
+    if (isExecutable(candidate)) return { path: candidate, source: dir };
+  }
+
+  throw new Error(
+    `${name} not found. Looked in $${envVar}, "tools.${name}" in ${CONFIG_FILE}, PATH and ${FALLBACK_DIRS.join(', ')}.\n` +
+    `Install ffmpeg (brew install ffmpeg / apt install ffmpeg) or set ${envVar} to the binary.`
+  );
+}
+
+const resolved = new Map(); // name -> { path, source }
+const encoderLists = new Map(); // ffmpeg path -> Set of encoder names
+
+function tool(name) {
+  if (!resolved.has(name)) resolved.set(name, resolveTool(name));
+  return resolved.get(name);
+}
+
+/** Absolute path of ffmpeg (resolved once per process). */
+export function ffmpegPath() {
+  return tool('ffmpeg').path;
+}
+
+/** Absolute path of ffprobe (resolved once per process). */
+export function ffprobePath() {
+  return tool('ffprobe').path;
+}
+
+/**
+ * Encoder names from `ffmpeg -encoders` output.
+ *
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+export function parseEncoderList(text) {
+  const encoders = new Set();
+  let inList = false;
+  for (const line of text.split('\n')) {
+    // The list starts after the " ------" separator under the legend
+    if (/^\s*-{6}\s*$/.test(line)) {
+      inList = true;
+      continue;
+    }
+    const match = inList && line.match(/^\s*[VAS][A-Z.]{5}\s+(\S+)/);
+    if (match) encoders.add(match[1]);
+  }
+  return encoders;
+}
+
+/**
+ * Throw if ffmpeg lacks any of the given encoders, naming what each is for.
+ *
+ * @param {string[]} encoders - e.g. ['prores_ks', 'aac']
+ * @param {string} ffmpeg - binary to ask (default: ffmpegPath())
+ */
+export function checkEncoders(encoders, ffmpeg = ffmpegPath()) {
+  if (encoders.length === 0) return;
+  if (!encoderLists.has(ffmpeg)) {
+    const out = execFileSync(ffmpeg, ['-hide_banner', '-encoders'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    encoderLists.set(ffmpeg, parseEncoderList(out));
+  }
+  const available = encoderLists.get(ffmpeg);
+  const missing = [...new Set(encoders)].filter((e) => !available.has(e));
+  if (missing.length > 0) {
+    const list = missing.map((e) => (ENCODER_USES[e] ? `${e} (${ENCODER_USES[e]})` : e)).join(', ');
+    throw new Error(
+      `${ffmpeg} is missing encoders needed for this render: ${list}.\n` +
+      `Install an ffmpeg build that has them, or point ${ENV_VARS.ffmpeg} or "tools.ffmpeg" in ${CONFIG_FILE} at one.`
+    );
+  }
+}
+
+/**
+ * Resolve ffmpeg (and ffprobe if asked) and check encoders, up front.
+ *
+ * @param {object} opts
+ * @param {string[]} opts.encoders - encoders the run will use (default: none)
+ * @param {boolean} opts.ffprobe - also require ffprobe (default: true)
+ */
+export function requireMediaTools(opts = {}) {
+  ffmpegPath();
+  if (opts.ffprobe !== false) ffprobePath();
+  checkEncoders(opts.encoders || []);
+}
@@ -0,0 +1,320 @@
+/**
+ * platforms.mjs -- Platform presets shared by every command
+ *
+ * One table of resolution, fps, bitrates, audio sample rate, safe zones and
+ * max duration per upload target, used by index.mjs, composite-reel.mjs,
+ * visualizer.mjs and batch.mjs. Custom presets live in the "platforms"
+ * section of gp-tab-video.config.json and may extend a built-in one:
+ *
+ *   {
+ *     "platforms": {
+ *       "ig-hq": { "extends": "instagram", "videoBitrate": "10M" },
+ *       "square": { "width": 1080, "height": 1080, "fps": 30, "videoBitrate": "6M",
+ *                   "audioBitrate": "256k", "audioSampleRate": 48000, "maxDuration": 60 }
+ *     }
+ *   }
+ *
+ * Safe margins are px from each edge that platform UI may cover. maxDuration
+ * is in seconds (null = no cap).
+ *
+ * Usage:
+ *   import { loadPlatforms, getPlatform } from './platforms.mjs';
+ *   const platforms = loadPlatforms();            // built-in + custom
+ *   const preset = getPlatform(platforms, 'instagram');
+ */
+import * as fs from 'fs';
+import * as path from 'path';
+import { CONFIG_FILE } from './media-tools.mjs';
+
+// Sources:
+//   YouTube: https://support.google.com/youtube/answer/1722171
+//   YouTube Shorts: https://vidiq.com/blog/post/youtube-shorts-vertical-video/
+//   Instagram specs: https://socialrails.com/blog/instagram-video-size-format-specifications-guide
+//   Instagram safe zones: https://zeely.ai/blog/master-instagram-safe-zones/
+//   Instagram carousel: https://www.overvisual.com/tools/instagram-carousel-size
+//   Facebook specs: https://www.aiarty.com/knowledge-base/facebook-video-size.htm
+//   Facebook Reels: https://www.aiarty.com/knowledge-base/facebook-reel-size.htm
+//   Facebook safe zones: https://sendshort.ai/guides/facebook-reels-size/
+//   TikTok specs: https://fliki.ai/blog/tiktok-video-size
+//   TikTok safe zones: https://kreatli.com/guides/tiktok-safe-zone
+export const PLATFORM_PRESETS = {
+  // YouTube landscape (16:9) -- standard playthrough format
+  youtube: {
+    width: 1920,
+    height: 1080,
+    fps: 30,
+    scale: 1.0,
+    cursorWidth: 3,
+    // H.264, AAC 384kbps stereo, 48kHz
+    videoBitrate: '12M',
+    audioBitrate: '384k',
+    audioSampleRate: 48000,
+    maxDuration: null,
+    description: 'YouTube 1080p 16:9 (standard playthrough)',
+  },
+  'youtube-4k': {
+    width: 3840,
+    height: 2160,
+    fps: 30,
+    scale: 1.3,
+    cursorWidth: 5,
+    videoBitrate: '45M',
+    audioBitrate: '384k',
+    audioSampleRate: 48000,
+    maxDuration: null,
+    description: 'YouTube 4K 16:9',
+  },
+  // YouTube Shorts (9:16 vertical) -- 1080x1920, max 3 min
+  'youtube-shorts': {
+    width: 1080,
+    height: 1920,
+    fps: 30,
+    scale: 1.3,
+    cursorWidth: 3,
+    videoBitrate: '8M',
+    audioBitrate: '256k',
+    audioSampleRate: 48000,
+    vertical: true,
+    // Safe zone: keep content in central 4:5 area
+    safeMarginBottom: 200,  // px from bottom to avoid UI overlap
+    maxDuration: 180,
+    description: 'YouTube Shorts 1080x1920 9:16 (max 3 min)',
+  },
+  // --- Instagram formats ---
+  // Reels (9:16 vertical) -- 1080x1920, up to 15 min (updated Oct 2024)
+  // IG caps at 1080p. 30fps recommended. Bitrate 4-6 Mbps per IG spec.
+  'instagram': {
+    width: 1080,
+    height: 1920,
+    fps: 30,
+    scale: 1.3,
+    cursorWidth: 3,
+    videoBitrate: '6M',
+    audioBitrate: '256k',
+    audioSampleRate: 48000,
+    vertical: true,
+    // Safe zone: 320px from bottom (captions, buttons), 108px from top (profile bar)
+    safeMarginBottom: 320,
+    safeMarginTop: 108,
+    maxDuration: 15 * 60,
+    description: 'Instagram Reels 1080x1920 9:16 (up to 15 min)',
+  },
+  // Stories (9:16 vertical) -- 1080x1920, 60 sec/segment, 24hr lifespan
+  // Lower bitrate (3-4 Mbps). Tighter safe zone -- 250px top AND bottom.
+  'instagram-story': {
+    width: 1080,
+    height: 1920,
+    fps: 30,
+    scale: 1.3,
+    cursorWidth: 3,
+    videoBitrate: '4M',
+    audioBitrate: '256k',
+    audioSampleRate: 48000,
+    maxFileSize: '100MB',
+    vertical: true,
+    // Safe zone: 250px from top (profile bar, close button) and bottom (reply bar, stickers)
+    safeMarginBottom: 250,
+    safeMarginTop: 250,
+    maxDuration: 60,
+    description: 'Instagram Story 1080x1920 9:16 (60s segments, 24hr)',
+  },
+  // Feed post (4:5 portrait) -- 1080x1350, max 90 sec
+  // NOT 9:16. This is what appears in the main feed grid. 4:5 gets max engagement.
+  'instagram-feed': {
+    width: 1080,
+    height: 1350,
+    fps: 30,
+    scale: 1.3,
+    cursorWidth: 3,
+    videoBitrate: '5M',
+    audioBitrate: '256k',
+    audioSampleRate: 48000,
+    maxFileSize: '100MB',
+    vertical: true,
+    // No major safe zone issues at 4:5, just 50px from edges
+    safeMarginBottom: 50,
+    safeMarginTop: 50,
+    safeMarginLeft: 50,
+    safeMarginRight: 50,
+    maxDuration: 90,
+    description: 'Instagram Feed 1080x1350 4:5 (max 90s)',
+  },
+  // Carousel (4:5 portrait) -- same as feed, 60 sec/slide, up to 20 slides
+  // All slides MUST share the same aspect ratio.
+  'instagram-carousel': {
+    width: 1080,
+    height: 1350,
+    fps: 30,
+    scale: 1.3,
+    cursorWidth: 3,
+    videoBitrate: '5M',
+    audioBitrate: '256k',
+    audioSampleRate: 48000,
+    vertical: true,
+    safeMarginBottom: 50,
+    safeMarginTop: 50,
+    safeMarginLeft: 50,
+    safeMarginRight: 50,
+    maxDuration: 60, // per slide
+    description: 'Instagram Carousel 1080x1350 4:5 (60s/slide, 20 slides)',
+  },
+  // --- Facebook formats ---
+  // As of June 2025, ALL Facebook videos are Reels. No separate feed video format.
+  // Reels (9:16 vertical) -- 1080x1920, no duration cap. 15-30s performs best.
+  // Bitrate 5-8 Mbps for 1080p. AAC 128kbps+ (lower floor than IG).
+  // CRITICAL: FB bottom safe zone is 35% (~672px) -- much larger than IG (320px).
+  'facebook': {
+    width: 1080,
+    height: 1920,
+    fps: 30,
+    scale: 1.3,
+    cursorWidth: 3,
+    videoBitrate: '8M',
+    audioBitrate: '192k',
+    audioSampleRate: 48000,
+    vertical: true,
+    // Safe zone: 14% top (~269px), 35% bottom (~672px), 6% sides (~65px)
+    // FB overlays like/comment/share, description, music info at bottom
+    safeMarginBottom: 672,
+    safeMarginTop: 269,
+    safeMarginLeft: 65,
+    safeMarginRight: 65,
+    maxDuration: null,
+    description: 'Facebook Reels 1080x1920 9:16 (no duration cap)',
+  },
+  // Facebook Stories -- 1080x1920, 20 sec/card, 2 min total, splits at 15s
+  'facebook-story': {
+    width: 1080,
+    height: 1920,
+    fps: 30,
+    scale: 1.3,
+    cursorWidth: 3,
+    videoBitrate: '6M',
+    audioBitrate: '192k',
+    audioSampleRate: 48000,
+    vertical: true,
+    // Safe zone: 250px top and bottom
+    safeMarginBottom: 250,
+    safeMarginTop: 250,
+    maxDuration: 20, // per card
+    description: 'Facebook Story 1080x1920 9:16 (20s cards, 24hr)',
+  },
+  // --- TikTok formats ---
+  // Video (9:16 vertical) -- 1080x1920, up to 10 min (60 min for uploads).
+  // 30fps preferred (60fps supported but heavier compression).
+  // No official bitrate spec -- TikTok recompresses everything.
+  // File size: 287.6MB iOS, 72MB Android, 500MB via ads/web.
+  // Safe zone: 900x1492 centered -- 108px top, 320px bottom, 60px left, 120px right.
+  'tiktok': {
+    width: 1080,
+    height: 1920,
+    fps: 30,
+    scale: 1.3,
+    cursorWidth: 3,
+    videoBitrate: '8M',     // upload high, TikTok recompresses anyway
+    audioBitrate: '256k',
+    audioSampleRate: 48000,
+    vertical: true,
+    // Safe zone: 108px top (username/sound), 320px bottom (captions/CTA),
+    // 60px left, 120px right (like/comment/share icons)
+    safeMarginBottom: 320,
+    safeMarginTop: 108,
+    safeMarginLeft: 60,
+    safeMarginRight: 120,
+    maxDuration: 10 * 60, // in-app; 60 min for uploads
+    description: 'TikTok 1080x1920 9:16 (up to 10 min, 60 min upload)',
+  },
+};
+
+// Field -> check for custom presets ('int' = whole number > 0, 'margin' = whole number >= 0)
+const PRESET_FIELDS = {
+  width: 'int', height: 'int', fps: 'int', scale: 'number', cursorWidth: 'int',
+  videoBitrate: 'bitrate', audioBitrate: 'bitrate', audioSampleRate: 'int', vertical: 'boolean',
+  safeMarginTop: 'margin', safeMarginBottom: 'margin', safeMarginLeft: 'margin', safeMarginRight: 'margin',
+  maxDuration: 'duration', maxFileSize: 'string', description: 'string',
+};
+const REQUIRED_FIELDS = ['width', 'height', 'fps', 'videoBitrate', 'audioBitrate', 'audioSampleRate'];
+
+function checkField(type, value) {
+  switch (type) {
+    case 'int': return Number.isInteger(value) && value > 0;
+    case 'margin': return Number.isInteger(value) && value >= 0;
+    case 'number': return typeof value === 'number' && value > 0;
+    case 'bitrate': return typeof value === 'string' && /^\d+(\.\d+)?[kM]$/.test(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'duration': return value === null || (typeof value === 'number' && value > 0);
+    default: return typeof value === 'string';
+  }
+}
+
+const FIELD_HINTS = {
+  int: 'a whole number > 0', margin: 'a whole number of px >= 0', number: 'a number > 0',
+  bitrate: 'a bitrate like "8M" or "256k"', boolean: 'true or false',
+  duration: 'seconds (number) or null', string: 'a string',
+};
+
+/**
+ * Validate custom presets and merge them over the built-in ones.
+ *
+ * @param {object} custom - { name: preset } from the config file
+ * @param {string} label - file name used in error messages
+ * @returns {object} name -> preset (built-in + custom)
+ */
+export function parseCustomPlatforms(custom, label = CONFIG_FILE) {
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    throw new Error(`${label}: "platforms" must be an object of named presets`);
+  }
+  const platforms = { ...PLATFORM_PRESETS };
+  for (const [name, raw] of Object.entries(custom)) {
+    const key = `platforms.${name}`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error(`${label}: "${key}" must be an object`);
+
+    let base = {};
+    if (raw.extends !== undefined) {
+      base = platforms[raw.extends];
+      if (!base) {
+        throw new Error(`${label}: "${key}.extends" names unknown platform "${raw.extends}" (available: ${Object.keys(platforms).join(', ')})`);
+      }
+    }
+    for (const [field, value] of Object.entries(raw)) {
+      if (field === 'extends') continue;
+      const type = PRESET_FIELDS[field];
+      if (!type) throw new Error(`${label}: "${key}.${field}" is not a preset field (expected ${Object.keys(PRESET_FIELDS).join(', ')})`);
+      if (!checkField(type, value)) throw new Error(`${label}: "${key}.${field}" must be ${FIELD_HINTS[type]}`);
+    }
+    const preset = { scale: 1.0, cursorWidth: 3, maxDuration: null, ...base, ...raw };
+    delete preset.extends;
+    for (const field of REQUIRED_FIELDS) {
+      if (preset[field] === undefined) throw new Error(`${label}: "${key}.${field}" is required (or use "extends")`);
+    }
+    preset.vertical ??= preset.height > preset.width;
+    preset.description ??= `${name} ${preset.width}x${preset.height} (custom)`;
+    platforms[name] = preset;
+  }
+  return platforms;
+}
+
+/**
+ * Built-in presets plus any custom ones from gp-tab-video.config.json in the
+ * given directory.
+ */
+export function loadPlatforms(dir = process.cwd()) {
+  const file = path.join(dir, CONFIG_FILE);
+  if (!fs.existsSync(file)) return { ...PLATFORM_PRESETS };
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${CONFIG_FILE}: ${e.message}`);
+  }
+  return data.platforms === undefined ? { ...PLATFORM_PRESETS } : parseCustomPlatforms(data.platforms);
+}
+
+/**
+ * Look up a preset by name, or throw listing the available ones.
+ */
+export function getPlatform(platforms, name) {
+  const preset = platforms[name];
+  if (!preset) throw new Error(`Unknown platform: ${name}. Available: ${Object.keys(platforms).join(', ')}`);
+  return preset;
+}
@@ -48,6 +48,7 @@ export function parseArgs(argv) {
     track: 0,
     sessionTime: 30,
     output: 'output',
+    sync: null,
   };
 
   const positional = [];
@@ -59,6 +60,8 @@ export function parseArgs(argv) {
       opts.sessionTime = parseInt(argv[++i], 10);
     } else if ((a === '--output' || a === '-o') && argv[i + 1]) {
       opts.output = argv[++i];
+    } else if (a === '--sync' && argv[i + 1]) {
+      opts.sync = argv[++i];
     } else if (a.startsWith('-')) {
       // Unknown flags -- silently skip in lib mode (CLI handles exit)
       continue;
@@ -432,6 +435,19 @@ export function buildChunks(score, track, barFeatures, sections) {
   }).filter(c => !c.isEmpty);
 }
 
+// Where each chunk sits in the recorded take (first pass through its bars).
+// `clock` comes from buildBarClock with the song's sync file.
+export function attachTakeRanges(chunks, clock) {
+  for (const chunk of chunks) {
+    const startMs = clock.barStartMs(chunk.barRange[0]);
+    const endMs = clock.barEndMs(chunk.barRange[1]);
+    chunk.takeRange = startMs !== null && endMs !== null
+      ? [Math.round(startMs), Math.round(endMs)]
+      : null;
+  }
+  return chunks;
+}
+
 // --- Session generation ---
 
 export function buildSession(chunks, state, baseTempo, sessionTimeMin) {
@@ -22,16 +22,25 @@
  *   --track N          Track index (default: 0)
  *   --session-time N   Session length in minutes (default: 30)
  *   --output DIR       Output dir for click WAVs (default: output/)
+ *   --sync FILE        Sync anchors file (default: <song>.sync.json if present)
+ *
+ * With a sync file every command works on the recorded take's clock: the
+ * song duration and each chunk's position in the take (analyze, session,
+ * click, serve) match the rendered video. Click tracks stay at the practice
+ * tempo.
  */
 
 import { loadScore } from './load-score.mjs';
 import { detectTuning } from './tuning.mjs';
+import { buildBarClock } from './build-timing.mjs';
+import { resolveSyncFile } from './sync-file.mjs';
+import { commonOptions } from './cli-options.mjs';
 import {
   WEIGHTS, MASTERY_LEVELS, TEMPO_TIERS,
   parseArgs, buildTempoMap, extractSections,
   extractBarFeatures, emptyFeatures,
   sigmoid, computeMedians, scoreDifficulty,
-  extractShape, extractRhythm, featureDistance, buildChunks,
+  extractShape, extractRhythm, featureDistance, buildChunks, attachTakeRanges,
   buildSession,
   generateClickSample, renderClickTrack,
 } from './practice-engine.mjs';
@@ -189,6 +198,18 @@ function printHeader(score, track, songDurationMs) {
   console.log(`  Bars: ${score.masterBars.length} | Tempo: ${score.tempo} BPM | Duration: ${(songDurationMs / 1000).toFixed(1)}s`);
 }
 
+// m:ss.s position in the recorded take
+function formatTakeTime(ms) {
+  const totalSec = Math.max(0, ms) / 1000;
+  const min = Math.floor(totalSec / 60);
+  const sec = (totalSec - min * 60).toFixed(1).padStart(4, '0');
+  return `${min}:${sec}`;
+}
+
+function formatTakeRange([startMs, endMs]) {
+  return `${formatTakeTime(startMs)}-${formatTakeTime(endMs)}`;
+}
+
 function printAnalysis(barFeatures, chunks) {
   // Bar table
   console.log('\nBAR ANALYSIS');
@@ -232,17 +253,20 @@ function printAnalysis(barFeatures, chunks) {
 
   // Chunks
   console.log('\nCHUNKS');
-  console.log('  ID          Bars        Diff  Techniques');
-  console.log('  ----------  ----------  ----  ----------');
+  const showTake = chunks.some(c => c.takeRange);
+  console.log(`  ID          Bars        Diff${showTake ? '  Take             ' : ''}  Techniques`);
+  console.log(`  ----------  ----------  ----${showTake ? '  ---------------' : ''}  ----------`);
   for (const chunk of chunks) {
     const barStr = chunk.barRange[0] === chunk.barRange[1]
       ? `Bar ${chunk.barRange[0]}`
       : `Bars ${chunk.barRange[0]}-${chunk.barRange[1]}`;
     const techStr = chunk.techniques.length > 0 ? chunk.techniques.join(', ') : '--';
+    const takeStr = chunk.takeRange ? formatTakeRange(chunk.takeRange) : '--';
     console.log(
       `  ${chunk.id.padEnd(10)}` +
       `  ${barStr.padEnd(10)}` +
       `  ${String(chunk.difficulty).padStart(4)}` +
+      (showTake ? `  ${takeStr.padEnd(15)}` : '') +
       `  ${techStr}`
     );
   }
@@ -278,6 +302,7 @@ function printSession(session, outputDir) {
     const reviewTag = item.isReview ? ' [REVIEW]' : '';
     console.log(`  ${i + 1}. ${chunk.id}  ${barStr} (${chunk.label})`);
     console.log(`     ${item.level} -- ${item.bpm} BPM (${Math.round(item.tempoPct * 100)}%) -- ${item.reps} reps${reviewTag}`);
+    if (chunk.takeRange) console.log(`     Take: ${formatTakeRange(chunk.takeRange)}`);
 
     const clickFile = path.join(outputDir, `practice_${chunk.id}_${item.bpm}bpm.wav`);
     console.log(`     Click: ${clickFile}`);
@@ -294,6 +319,8 @@ function printSession(session, outputDir) {
       const barStr = `Bars ${pair.barRange[0]}-${pair.barRange[1]}`;
       console.log(`  ${n}. ${pair.chunks.map(c => c.id).join(' + ')}  ${barStr}`);
       console.log(`     ${pair.bpm} BPM (${Math.round(pair.tempoPct * 100)}%) -- play through, focus on transitions`);
+      const [a, b] = pair.chunks;
+      if (a.takeRange && b.takeRange) console.log(`     Take: ${formatTakeRange([a.takeRange[0], b.takeRange[1]])}`);
       console.log('');
     });
   }
@@ -387,9 +414,11 @@ function printProgress(chunks, state) {
 
 // --- Command handlers ---
 
-async function cmdAnalyze(score, track, opts, songDurationMs) {
+// Bar difficulty and chunks for a track; with a take clock (sync file) each
+// chunk also gets its position in the take
+function scoreChunks(score, track, trackIndex, clock = null) {
   const sections = extractSections(score);
-  const barFeatures = extractBarFeatures(score, opts.track);
+  const barFeatures = extractBarFeatures(score, trackIndex);
   const medians = computeMedians(barFeatures);
 
   // Attach difficulty scores
@@ -398,6 +427,12 @@ async function cmdAnalyze(score, track, opts, songDurationMs) {
   }
 
   const chunks = buildChunks(score, track, barFeatures, sections);
+  if (clock) attachTakeRanges(chunks, clock);
+  return { sections, barFeatures, chunks };
+}
+
+async function cmdAnalyze(score, track, opts, songDurationMs, clock = null) {
+  const { sections, barFeatures, chunks } = scoreChunks(score, track, opts.track, clock);
 
   printHeader(score, track, songDurationMs);
   printAnalysis(barFeatures, chunks);
@@ -405,14 +440,8 @@ async function cmdAnalyze(score, track, opts, songDurationMs) {
   return { barFeatures, chunks, sections };
 }
 
-async function cmdSession(score, track, opts, songDurationMs) {
-  const sections = extractSections(score);
-  const barFeatures = extractBarFeatures(score, opts.track);
-  const medians = computeMedians(barFeatures);
-  for (const f of barFeatures) {
-    f.difficulty = scoreDifficulty(f, medians);
-  }
-  const chunks = buildChunks(score, track, barFeatures, sections);
+async function cmdSession(score, track, opts, songDurationMs, clock = null) {
+  const { chunks } = scoreChunks(score, track, opts.track, clock);
 
   const gpPath = path.resolve(opts.gpFile);
   const state = loadState(gpPath, opts.output, chunks, score.tempo);
@@ -444,14 +473,8 @@ async function cmdSession(score, track, opts, songDurationMs) {
   saveState(state, gpPath, opts.output);
 }
 
-async function cmdProgress(score, track, opts, songDurationMs) {
-  const sections = extractSections(score);
-  const barFeatures = extractBarFeatures(score, opts.track);
-  const medians = computeMedians(barFeatures);
-  for (const f of barFeatures) {
-    f.difficulty = scoreDifficulty(f, medians);
-  }
-  const chunks = buildChunks(score, track, barFeatures, sections);
+async function cmdProgress(score, track, opts, songDurationMs, clock = null) {
+  const { chunks } = scoreChunks(score, track, opts.track, clock);
 
   const gpPath = path.resolve(opts.gpFile);
   const state = loadState(gpPath, opts.output, chunks, score.tempo);
@@ -460,14 +483,8 @@ async function cmdProgress(score, track, opts, songDurationMs) {
   printProgress(chunks, state);
 }
 
-async function cmdRate(score, track, opts, songDurationMs) {
-  const sections = extractSections(score);
-  const barFeatures = extractBarFeatures(score, opts.track);
-  const medians = computeMedians(barFeatures);
-  for (const f of barFeatures) {
-    f.difficulty = scoreDifficulty(f, medians);
-  }
-  const chunks = buildChunks(score, track, barFeatures, sections);
+async function cmdRate(score, track, opts, songDurationMs, clock = null) {
+  const { chunks } = scoreChunks(score, track, opts.track, clock);
 
   const gpPath = path.resolve(opts.gpFile);
   const state = loadState(gpPath, opts.output, chunks, score.tempo);
@@ -544,20 +561,14 @@ async function cmdRate(score, track, opts, songDurationMs) {
   saveState(state, gpPath, opts.output);
 }
 
-async function cmdClick(score, track, opts) {
+async function cmdClick(score, track, opts, clock = null) {
   const chunkId = opts.commandArgs[0];
   if (!chunkId) {
     console.error('Usage: node src/practice.mjs <file.gp> click <chunk-id> [--tempo-pct 0.55]');
     process.exit(1);
   }
 
-  const sections = extractSections(score);
-  const barFeatures = extractBarFeatures(score, opts.track);
-  const medians = computeMedians(barFeatures);
-  for (const f of barFeatures) {
-    f.difficulty = scoreDifficulty(f, medians);
-  }
-  const chunks = buildChunks(score, track, barFeatures, sections);
+  const { chunks } = scoreChunks(score, track, opts.track, clock);
 
   const chunk = chunks.find(c => c.id === chunkId);
   if (!chunk) {
@@ -584,6 +595,7 @@ async function cmdClick(score, track, opts) {
   const barStr = `Bars ${chunk.barRange[0]}-${chunk.barRange[1]}`;
   console.log(`Click track: ${filePath}`);
   console.log(`  ${chunkId} (${barStr}) at ${bpm} BPM (${Math.round(level.tempoPct * 100)}%)`);
+  if (chunk.takeRange) console.log(`  Take: ${formatTakeRange(chunk.takeRange)}`);
   console.log(`  Duration: ${(totalDurationMs / 1000).toFixed(1)}s (includes 1-bar count-in)`);
   console.log(`\nOpen with: open '${filePath}'`);
 }
@@ -623,7 +635,7 @@ const MIME_TYPES = {
   '.gpx': 'application/octet-stream',
 };
 
-async function cmdServe(initialScore, initialTrack, opts, initialDurationMs) {
+async function cmdServe(initialScore, initialTrack, opts, initialDurationMs, initialClock = null) {
   // --- Mutable state (reassigned when a new exercise is generated) ---
   let gpPath = null;
   let score = null;
@@ -651,11 +663,7 @@ async function cmdServe(initialScore, initialTrack, opts, initialDurationMs) {
     gpPath = path.resolve(opts.gpFile);
     score = initialScore;
     track = initialTrack;
-    sections = extractSections(score);
-    barFeatures = extractBarFeatures(score, opts.track);
-    const medians = computeMedians(barFeatures);
-    for (const f of barFeatures) f.difficulty = scoreDifficulty(f, medians);
-    chunks = buildChunks(score, track, barFeatures, sections);
+    ({ sections, barFeatures, chunks } = scoreChunks(score, track, opts.track, initialClock));
     loadState(gpPath, opts.output, chunks, score.tempo);
     songDurationMs = initialDurationMs;
   }
@@ -1005,8 +1013,37 @@ async function cmdServe(initialScore, initialTrack, opts, initialDurationMs) {
 
 // --- Main ---
 
+function printUsage(log = console.error) {
+  log('Usage: node src/practice.mjs <file.gp> [command] [options]');
+  log('       node src/practice.mjs serve [port]   (no file -- generate mode)');
+  log('');
+  log('Adaptive Practice Engine -- analyze difficulty, generate sessions,');
+  log('track mastery with spaced repetition.');
+  log('');
+  log('Commands:');
+  log('  analyze          Difficulty analysis + chunk map (default)');
+  log('  session          Generate today\'s practice session');
+  log('  progress         Show mastery progress');
+  log('  rate             Rate chunks after practicing');
+  log('  click <id>       Generate click track for a chunk');
+  log('  serve [port]     Launch browser UI (default: 3001)');
+  log('  reset            Clear practice state');
+  log('');
+  log('Options:');
+  log('  --track N          Track index (default: 0)');
+  log('  --session-time N   Session minutes (default: 30)');
+  log('  --output DIR       Output directory (default: output/)');
+  log('  --sync FILE        Sync anchors file (default: <song>.sync.json)');
+}
+
 async function main() {
-  const opts = parseArgs(process.argv.slice(2));
+  // Shared flags (cli-options.mjs), then the practice commands and flags
+  const { options, rest, help } = commonOptions(process.argv.slice(2), ['output', 'sync']);
+  if (help) {
+    printUsage(console.log);
+    process.exit(0);
+  }
+  const opts = { ...parseArgs(rest), ...options };
 
   // Allow 'serve' without a GP file (generate-only mode)
   if (!opts.gpFile && opts.command === 'serve') {
@@ -1015,25 +1052,7 @@ async function main() {
   }
 
   if (!opts.gpFile) {
-    console.error('Usage: node src/practice.mjs <file.gp> [command] [options]');
-    console.error('       node src/practice.mjs serve [port]   (no file -- generate mode)');
-    console.error('');
-    console.error('Adaptive Practice Engine -- analyze difficulty, generate sessions,');
-    console.error('track mastery with spaced repetition.');
-    console.error('');
-    console.error('Commands:');
-    console.error('  analyze          Difficulty analysis + chunk map (default)');
-    console.error('  session          Generate today\'s practice session');
-    console.error('  progress         Show mastery progress');
-    console.error('  rate             Rate chunks after practicing');
-    console.error('  click <id>       Generate click track for a chunk');
-    console.error('  serve [port]     Launch browser UI (default: 3001)');
-    console.error('  reset            Clear practice state');
-    console.error('');
-    console.error('Options:');
-    console.error('  --track N          Track index (default: 0)');
-    console.error('  --session-time N   Session minutes (default: 30)');
-    console.error('  --output DIR       Output directory (default: output/)');
+    printUsage();
     process.exit(1);
   }
 
@@ -1051,26 +1070,38 @@ async function main() {
     process.exit(1);
   }
 
-  const { songDurationMs } = buildTempoMap(score);
+  // With a sync file, durations and chunk positions follow the recorded take
+  let clock = null;
+  try {
+    const sync = resolveSyncFile(gpPath, opts.sync);
+    if (sync) {
+      clock = buildBarClock(score, sync);
+      console.log(`  Sync: ${path.basename(sync.path)} (${sync.anchors.length} anchor(s), offset ${sync.offsetMs}ms)`);
+    }
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  const { songDurationMs } = clock || buildTempoMap(score);
 
   switch (opts.command) {
     case 'analyze':
-      await cmdAnalyze(score, track, opts, songDurationMs);
+      await cmdAnalyze(score, track, opts, songDurationMs, clock);
       break;
     case 'session':
-      await cmdSession(score, track, opts, songDurationMs);
+      await cmdSession(score, track, opts, songDurationMs, clock);
       break;
     case 'progress':
-      await cmdProgress(score, track, opts, songDurationMs);
+      await cmdProgress(score, track, opts, songDurationMs, clock);
       break;
     case 'rate':
-      await cmdRate(score, track, opts, songDurationMs);
+      await cmdRate(score, track, opts, songDurationMs, clock);
       break;
     case 'click':
-      await cmdClick(score, track, opts);
+      await cmdClick(score, track, opts, clock);
       break;
     case 'serve':
-      await cmdServe(score, track, opts, songDurationMs);
+      await cmdServe(score, track, opts, songDurationMs, clock);
       break;
     case 'reset':
       await cmdReset(opts);
@@ -19,6 +19,7 @@
 
 import { loadScore } from './load-score.mjs';
 import { detectTuning } from './tuning.mjs';
+import { commonOptions } from './cli-options.mjs';
 import * as fs from 'fs';
 import * as path from 'path';
 
@@ -26,7 +27,8 @@ const QUARTER_TIME = 960; // MIDI ticks per quarter note (alphaTab standard)
 
 // --- CLI ---
 
-function parseArgs(argv) {
+// argv without the shared flags; common holds those (cli-options.mjs)
+function parseArgs(argv, common) {
   const opts = {
     gpFile: null,
     output: null,
@@ -35,14 +37,13 @@ function parseArgs(argv) {
     accent: true,
     subdivide: 1,
     track: 0,
+    ...common,
   };
 
   const positional = [];
   for (let i = 0; i < argv.length; i++) {
     const a = argv[i];
-    if ((a === '--output' || a === '-o') && argv[i + 1]) {
-      opts.output = argv[++i];
-    } else if (a === '--sample-rate' && argv[i + 1]) {
+    if (a === '--sample-rate' && argv[i + 1]) {
       opts.sampleRate = parseInt(argv[++i], 10);
     } else if (a === '--count-in' && argv[i + 1]) {
       opts.countIn = parseInt(argv[++i], 10);
@@ -279,22 +280,31 @@ function buildTempoSummary(score) {
 
 // --- Main ---
 
+function printUsage(log = console.error) {
+  log('Usage: node src/prep.mjs <file.gp> [options]');
+  log('');
+  log('Generates a click track WAV from a Guitar Pro file\'s tempo map.');
+  log('Play in earbuds while filming, or load into Logic Pro as reference.');
+  log('');
+  log('Options:');
+  log('  -o, --output FILE   Output WAV path (default: output/<name>_click.wav)');
+  log('  --sample-rate N     44100 or 48000 (default: 48000)');
+  log('  --count-in N        Bars of count-in before bar 1 (default: 0)');
+  log('  --subdivide N       Clicks per beat: 2 = eighth notes, 3 = triplets (default: 1)');
+  log('  --no-accent         Equal volume for all beats (no downbeat accent)');
+  log('  --track N           Track index for tuning display (default: 0)');
+}
+
 async function main() {
-  const opts = parseArgs(process.argv.slice(2));
+  const { options, rest, help } = commonOptions(process.argv.slice(2), ['output']);
+  if (help) {
+    printUsage(console.log);
+    process.exit(0);
+  }
+  const opts = parseArgs(rest, options);
 
   if (!opts.gpFile) {
-    console.error('Usage: node src/prep.mjs <file.gp> [options]');
-    console.error('');
-    console.error('Generates a click track WAV from a Guitar Pro file\'s tempo map.');
-    console.error('Play in earbuds while filming, or load into Logic Pro as reference.');
-    console.error('');
-    console.error('Options:');
-    console.error('  -o, --output FILE   Output WAV path (default: output/<name>_click.wav)');
-    console.error('  --sample-rate N     44100 or 48000 (default: 48000)');
-    console.error('  --count-in N        Bars of count-in before bar 1 (default: 0)');
-    console.error('  --subdivide N       Clicks per beat: 2 = eighth notes, 3 = triplets (default: 1)');
-    console.error('  --no-accent         Equal volume for all beats (no downbeat accent)');
-    console.error('  --track N           Track index for tuning display (default: 0)');
+    printUsage();
     process.exit(1);
   }
 
@@ -3,6 +3,7 @@ import http from 'http';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { commonOptions } from './cli-options.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = path.resolve(__dirname, '..');
@@ -12,7 +13,17 @@ let gpFile = null;
 let port = 3000;
 let defaultTracks = null;
 
-const args = process.argv.slice(2);
+const { rest: args, help } = commonOptions(process.argv.slice(2), []);
+if (help) {
+  console.log('Usage: node src/preview.mjs [file.gp] [--tracks 0,2] [port]');
+  console.log('');
+  console.log('Browser preview with alphaTab rendering and MIDI playback.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --tracks 0,2      Tracks selected when the file loads');
+  console.log('  port              HTTP port (default: 3000)');
+  process.exit(0);
+}
 for (let i = 0; i < args.length; i++) {
   if (args[i] === '--tracks' && args[i + 1]) {
     defaultTracks = args[++i].split(',').map(Number);
@@ -1,20 +1,19 @@
 /**
  * Probe an audio file using ffprobe. Returns metadata without decoding.
  */
-import { execSync } from 'child_process';
+import { execFileSync } from 'child_process';
 import * as fs from 'fs';
-
-const FFPROBE = '/opt/homebrew/bin/ffprobe';
+import { ffprobePath } from './media-tools.mjs';
 
 export function probeAudio(audioPath) {
   if (!fs.existsSync(audioPath)) {
     throw new Error(`Audio file not found: ${audioPath}`);
   }
 
-  const cmd = `${FFPROBE} -v quiet -print_format json -show_format -show_streams "${audioPath}"`;
+  const args = ['-v', 'quiet', '-print_format', 'json', '-show_format', '-show_streams', audioPath];
   let result;
   try {
-    result = JSON.parse(execSync(cmd, { encoding: 'utf8' }));
+    result = JSON.parse(execFileSync(ffprobePath(), args, { encoding: 'utf8' }));
   } catch (e) {
     throw new Error(`Failed to probe audio file: ${e.message}`);
   }
@@ -33,3 +32,20 @@ export function probeAudio(audioPath) {
     channelLayout: audioStream.channel_layout || (audioStream.channels === 2 ? 'stereo' : 'mono'),
   };
 }
+
+/**
+ * Container duration in seconds of any media file (audio or video).
+ */
+export function probeDuration(filePath) {
+  const args = ['-v', 'quiet', '-show_entries', 'format=duration', '-of', 'csv=p=0', filePath];
+  let duration;
+  try {
+    duration = parseFloat(execFileSync(ffprobePath(), args, { encoding: 'utf8' }));
+  } catch (e) {
+    throw new Error(`Failed to probe ${filePath}: ${e.message}`);
+  }
+  if (!Number.isFinite(duration)) {
+    throw new Error(`No duration found in ${filePath}`);
+  }
+  return duration;
+}
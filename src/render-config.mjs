@@ -0,0 +1,213 @@
+/**
+ * render-config.mjs -- Named render profiles and per-song render options
+ *
+ * Saves retyping long flag lists. gp-tab-video.config.json (current
+ * directory) holds named profiles; a sidecar next to the input file
+ * (song.gp -> song.render.json) holds options for that one song and may pick
+ * a profile. Keys are the CLI flag names without "--". withRenderConfig turns
+ * them back into flags placed before the real command line, so explicit flags
+ * always win and config values get the same parsing and validation as typed
+ * ones.
+ *
+ * Precedence (last wins): profile < song.render.json < CLI flags
+ *
+ * Format:
+ *   gp-tab-video.config.json
+ *   {
+ *     "tools": { "ffmpeg": "/usr/local/bin/ffmpeg" },     // see media-tools.mjs
+ *     "platforms": { "ig-hq": { "extends": "instagram", "videoBitrate": "10M" } },  // see platforms.mjs
+ *     "profiles": {
+ *       "yt": { "platform": "youtube", "style": "playthrough", "cursor-color": "#ffcc00",
+ *               "highlight-notes": true, "template": "cinematic-title" }
+ *     }
+ *   }
+ *
+ *   song.render.json
+ *   { "profile": "yt", "title": "Song", "artist": "Me", "audio": "song.wav", "tracks": [0, 2] }
+ *
+ * One profile or song file can serve every command: keys are checked against
+ * all commands' flags (so typos are caught) and each command applies only the
+ * flags it has. Relative paths are resolved against the file they appear in.
+ */
+import * as fs from 'fs';
+import * as path from 'path';
+import { CONFIG_FILE } from './media-tools.mjs';
+
+// Flags a profile may set, per command. Types:
+//   switch - true adds the flag, false leaves it off
+//   value  - string or number
+//   list   - array (or comma-separated string)
+//   path   - file path, resolved against the config file's directory
+export const CONFIG_FLAGS = {
+  render: {
+    tracks: 'list', transparent: 'switch', fps: 'value', width: 'value', video: 'path',
+    'cursor-color': 'value', 'cursor-width': 'value', scale: 'value', platform: 'value',
+    vertical: 'switch', style: 'value', hide: 'list', show: 'list', audio: 'path',
+    'sync-audio': 'switch', sync: 'path', template: 'path', title: 'value', artist: 'value',
+    watermark: 'path', intro: 'switch', thumbnail: 'path', notation: 'value', display: 'value',
+    'scroll-mode': 'value', 'bars-per-line': 'value', lines: 'value', 'highlight-notes': 'switch',
+    'highlight-fade': 'value', workers: 'value', 'no-cache': 'switch', 'cache-dir': 'path',
+    'cache-limit': 'value', segment: 'value', 'no-split': 'switch', 'thumbnail-layout': 'value',
+    'thumbnail-excerpt': 'value', 'thumbnail-format': 'value', 'info-card': 'switch', hud: 'switch',
+  },
+  reel: {
+    tracks: 'list', 'start-bar': 'value', 'end-bar': 'value', section: 'value', duration: 'value', 'auto-clip': 'switch', clips: 'value', platform: 'value', style: 'value',
+    notation: 'value', 'scroll-mode': 'value', workers: 'value', bg: 'path', audio: 'path',
+    sync: 'path', output: 'path', palette: 'value', density: 'value', seed: 'value',
+  },
+  viz: {
+    style: 'value', platform: 'value', output: 'path', fps: 'value', width: 'value', height: 'value',
+    palette: 'value', density: 'value', seed: 'value',
+  },
+};
+
+const SONG_FILE_SUFFIX = '.render.json';
+// "tools" belongs to media-tools.mjs, "platforms" to platforms.mjs
+const CONFIG_SECTIONS = ['profiles', 'platforms', 'tools'];
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`${path.basename(file)}: ${e.message}`);
+  }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read gp-tab-video.config.json from a directory. Returns { profiles, file },
+ * or null when there is no config file.
+ */
+export function loadRenderConfig(dir = process.cwd()) {
+  const file = path.join(dir, CONFIG_FILE);
+  if (!fs.existsSync(file)) return null;
+  const data = readJson(file);
+  if (!isObject(data)) throw new Error(`${CONFIG_FILE}: expected a JSON object with "profiles", "platforms" and/or "tools"`);
+  for (const key of Object.keys(data)) {
+    if (!CONFIG_SECTIONS.includes(key)) {
+      throw new Error(`${CONFIG_FILE}: "${key}" is not a config section (expected ${CONFIG_SECTIONS.join(', ')})`);
+    }
+  }
+  const profiles = data.profiles ?? {};
+  if (!isObject(profiles)) throw new Error(`${CONFIG_FILE}: "profiles" must be an object of named profiles`);
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!isObject(profile)) throw new Error(`${CONFIG_FILE}: "profiles.${name}" must be an object of options`);
+  }
+  return { profiles, file };
+}
+
+/**
+ * Sidecar path for an input file: song.gp -> song.render.json (same directory).
+ */
+export function renderFilePathFor(inputPath) {
+  return path.join(path.dirname(inputPath), `${path.basename(inputPath, path.extname(inputPath))}${SONG_FILE_SUFFIX}`);
+}
+
+/**
+ * Check one block of options and turn the ones this command takes into flags.
+ *
+ * @param {object} options - { flag: value } from a profile or song file
+ * @param {string} command - key of CONFIG_FLAGS
+ * @param {string} label - error prefix, e.g. 'gp-tab-video.config.json: "profiles.yt.'
+ * @param {string} baseDir - directory relative paths are resolved against
+ * @returns {string[]}
+ */
+export function optionsToArgs(options, command, label, baseDir) {
+  const args = [];
+  for (const [key, value] of Object.entries(options)) {
+    const fail = (message) => {
+      throw new Error(`${label}${key}" ${message}`);
+    };
+    const types = Object.values(CONFIG_FLAGS).map((flags) => flags[key]).filter(Boolean);
+    if (types.length === 0) fail('is not an option of any command (use the flag name without "--")');
+    const type = CONFIG_FLAGS[command][key] || types[0];
+
+    let arg;
+    if (type === 'switch') {
+      if (typeof value !== 'boolean') fail('must be true or false');
+      arg = value ? [] : null;
+    } else if (type === 'list') {
+      const items = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(items) || items.length === 0 || !items.every((v) => ['string', 'number'].includes(typeof v))) {
+        fail('must be a non-empty list like [0, 2] or "0,2"');
+      }
+      arg = [items.join(',')];
+    } else if (type === 'path') {
+      if (typeof value !== 'string' || value === '') fail('must be a file path');
+      // Names like "cinematic" or "neon-guitar" pass through when no such file exists
+      const resolved = path.resolve(baseDir, value);
+      arg = [fs.existsSync(resolved) ? resolved : value];
+    } else {
+      if (!(typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value)))) {
+        fail('must be a string or number');
+      }
+      arg = [String(value)];
+    }
+
+    if (CONFIG_FLAGS[command][key] && arg) args.push(`--${key}`, ...arg);
+  }
+  return args;
+}
+
+function findInput(argv, command) {
+  const flags = CONFIG_FLAGS[command];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('-')) return a;
+    // Short aliases (-o, -w) all take a value
+    const type = a.startsWith('--') ? flags[a.slice(2)] : 'value';
+    if (type && type !== 'switch') i++;
+  }
+  return null;
+}
+
+/**
+ * Expand --profile and the input's song.render.json into flags in front of
+ * the command line. --profile NAME is removed from the result.
+ *
+ * @param {string} command - 'render', 'reel' or 'viz'
+ * @param {string[]} argv - command-line arguments (process.argv.slice(2))
+ * @param {object} opts
+ * @param {string} opts.cwd - where gp-tab-video.config.json lives (default: process.cwd())
+ * @returns {string[]}
+ */
+export function withRenderConfig(command, argv, opts = {}) {
+  const cwd = opts.cwd || process.cwd();
+  const rest = [];
+  let profileName = null;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile' && argv[i + 1]) profileName = argv[++i];
+    else rest.push(argv[i]);
+  }
+
+  // Per-song options (and the song's default profile)
+  let songArgs = [];
+  const input = findInput(rest, command);
+  const songFile = input ? renderFilePathFor(path.resolve(input)) : null;
+  if (songFile && fs.existsSync(songFile)) {
+    const song = readJson(songFile);
+    const label = path.basename(songFile);
+    if (!isObject(song)) throw new Error(`${label}: expected a JSON object of options`);
+    const { profile, ...options } = song;
+    if (profile !== undefined && typeof profile !== 'string') throw new Error(`${label}: "profile" must be a profile name`);
+    profileName = profileName || profile || null;
+    songArgs = optionsToArgs(options, command, `${label}: "`, path.dirname(songFile));
+  }
+
+  let profileArgs = [];
+  if (profileName) {
+    const config = loadRenderConfig(cwd);
+    if (!config) throw new Error(`Profile "${profileName}" requested but there is no ${CONFIG_FILE} in ${cwd}`);
+    const profile = config.profiles[profileName];
+    if (!profile) {
+      const names = Object.keys(config.profiles);
+      throw new Error(`${CONFIG_FILE}: no profile "${profileName}" (available: ${names.join(', ') || 'none'})`);
+    }
+    profileArgs = optionsToArgs(profile, command, `${CONFIG_FILE}: "profiles.${profileName}.`, cwd);
+  }
+
+  return [...profileArgs, ...songArgs, ...rest];
+}
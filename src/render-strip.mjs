@@ -106,8 +106,18 @@ export const STYLE_PRESETS = {
   },
 };
 
+// Which staves to draw (--notation). Standard notation sits above the tab in
+// `both`; `slash` shows rhythm slashes only (for comping / rhythm parts).
+export const NOTATION_MODES = {
+  tab:      { showTablature: true,  showStandardNotation: false, showSlash: false },
+  standard: { showTablature: false, showStandardNotation: true,  showSlash: false },
+  both:     { showTablature: true,  showStandardNotation: true,  showSlash: false },
+  slash:    { showTablature: false, showStandardNotation: false, showSlash: true },
+};
+
 // Pre-defined track color palettes for multi-track rendering.
-// Each palette: { main, staffLine, barNumber, secondary, barSep }
+// Each palette: { main, staffLine, barNumber, secondary, barSep, accent }
+// `accent` colours notes while they sound (--highlight-notes).
 // Inspired by ERRA/Jackson Guitars playthrough videos.
 const TRACK_PALETTES = [
   // Track 0: White (default -- lead guitar)
@@ -117,6 +127,7 @@ const TRACK_PALETTES = [
     barNumber: [180, 180, 180],
     secondary: [180, 180, 180],
     barSep:    [100, 100, 100],
+    accent:    [255, 170, 40],
   },
   // Track 1: Pink/Magenta (rhythm guitar)
   {
@@ -125,6 +136,7 @@ const TRACK_PALETTES = [
     barNumber: [200, 100, 130],
     secondary: [200, 100, 130],
     barSep:    [120, 60,  80],
+    accent:    [255, 60,  160],
   },
   // Track 2: Cyan/Teal (harmony / clean)
   {
@@ -133,6 +145,7 @@ const TRACK_PALETTES = [
     barNumber: [70,  180, 180],
     secondary: [70,  180, 180],
     barSep:    [40,  100, 100],
+    accent:    [0,   170, 255],
   },
   // Track 3: Gold/Amber (bass)
   {
@@ -141,6 +154,7 @@ const TRACK_PALETTES = [
     barNumber: [180, 150, 70],
     secondary: [180, 150, 70],
     barSep:    [100, 80,  40],
+    accent:    [255, 120, 0],
   },
   // Track 4: Green (additional)
   {
@@ -149,24 +163,120 @@ const TRACK_PALETTES = [
     barNumber: [70,  180, 90],
     secondary: [70,  180, 90],
     barSep:    [40,  100, 50],
+    accent:    [0,   255, 60],
   },
 ];
 
 /**
+ * Note highlight colour for a track, matching its palette in multi-track stacks.
+ * @param {number} trackColorIndex - same index as renderStrip's opts.trackColorIndex
+ * @returns {{ r: number, g: number, b: number }}
+ */
+export function trackAccentColor(trackColorIndex = 0) {
+  const [r, g, b] = TRACK_PALETTES[trackColorIndex % TRACK_PALETTES.length].accent;
+  return { r, g, b };
+}
+
+// Palette colour for each element-style sub-element: staff lines, bar lines
+// and bar numbers get their own colours, everything else the main colour
+function paletteColors(subElements, palette) {
+  const colors = new Map();
+  for (const [name, value] of Object.entries(subElements)) {
+    if (typeof value !== 'number') continue;
+    const rgb = /StaffLine$/.test(name) ? palette.staffLine
+      : /BarLines$|SystemSeparator$/.test(name) ? palette.barSep
+      : /BarNumber$/.test(name) ? palette.barNumber
+      : palette.main;
+    colors.set(value, new Color(rgb[0], rgb[1], rgb[2], 255));
+  }
+  return colors;
+}
+
+/**
+ * Colour a track with a palette through alphaTab's element styles, which
+ * override the shared rendering resources. Tracks rendered in one layout
+ * each keep their own colours this way.
+ *
+ * @param {object} track - alphaTab Track, modified in place
+ * @param {number} colorIndex - index into TRACK_PALETTES
+ */
+export function styleTrack(track, colorIndex) {
+  const palette = TRACK_PALETTES[colorIndex % TRACK_PALETTES.length];
+  const m = alphaTab.model;
+  const styled = (Style, subElements) => {
+    const style = new Style();
+    style.colors = paletteColors(subElements, palette);
+    return style;
+  };
+
+  track.style = styled(m.TrackStyle, m.TrackSubElement);
+  for (const staff of track.staves) {
+    for (const bar of staff.bars) {
+      bar.style = styled(m.BarStyle, m.BarSubElement);
+      for (const voice of bar.voices) {
+        voice.style = styled(m.VoiceStyle, m.VoiceSubElement);
+        for (const beat of voice.beats) {
+          beat.style = styled(m.BeatStyle, m.BeatSubElement);
+          for (const note of beat.notes) note.style = styled(m.NoteStyle, m.NoteSubElement);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Engine and layout settings for a strip render.
+ *
+ * Note bounds are off in alphaTab by default; build-timing needs them for
+ * per-note highlights (--highlight-notes).
+ *
+ * @param {object} settings - alphaTab Settings object, modified in place
+ * @param {object} opts - layout, scale and barsPerLine as renderStrip
+ */
+export function configureSettings(settings, opts = {}) {
+  // Configure for horizontal strip rendering, or lines of N bars for page display
+  settings.core.engine = 'skia';
+  settings.core.includeNoteBounds = true;
+  if (opts.layout === 'page') {
+    settings.display.layoutMode = alphaTab.LayoutMode.Page;
+    settings.display.barsPerRow = opts.barsPerLine ?? 4;
+  } else {
+    settings.display.layoutMode = alphaTab.LayoutMode.Horizontal;
+  }
+  settings.display.scale = opts.scale ?? 1.0;
+}
+
+/**
+ * Render one or more tracks as a single strip. Several tracks share one
+ * alphaTab layout, stacked top to bottom: every bar is spaced for all of them,
+ * so beats at the same tick line up across tracks and one cursor follows
+ * every track. Each track is coloured with its own palette (styleTrack).
+ *
  * @param {object} score - alphaTab Score object
  * @param {object} settings - alphaTab Settings object
- * @param {number} trackIndex - which track to render
+ * @param {number|number[]} trackIndex - track(s) to render
  * @param {object} opts - rendering options
  * @param {boolean} opts.transparent - true for translucent overlay mode (alpha bg + white notation)
  * @param {number} opts.scale - notation scale factor (default 1.0, try 1.3-1.5 for larger tab numbers)
- * @param {number} opts.trackColorIndex - index into TRACK_PALETTES for multi-track color coding
+ * @param {number} opts.trackColorIndex - index into TRACK_PALETTES for the first track; further
+ *   tracks take the palettes after it
  * @param {number[]} opts.notationHide - NotationElement enum values to hide
+ * @param {string} opts.notation - staves to draw: tab (default), standard, both, slash
+ * @param {string} opts.layout - 'horizontal' (one long strip, default) or 'page' (lines of barsPerLine bars)
+ * @param {number} opts.barsPerLine - bars per line in page layout (default 4)
+ * @param {number} opts.width - page width in px for page layout (default 1920)
  */
 export async function renderStrip(score, settings, trackIndex = 0, opts = {}) {
+  const trackIndexes = Array.isArray(trackIndex) ? trackIndex : [trackIndex];
   const transparent = opts.transparent ?? false;
   const scale = opts.scale ?? 1.0;
   const colorIndex = opts.trackColorIndex ?? 0;
   const notationHide = opts.notationHide ?? [];
+  const layout = opts.layout ?? 'horizontal';
+  const notation = NOTATION_MODES[opts.notation ?? 'tab'];
+  if (!notation) {
+    throw new Error(`Unknown notation: ${opts.notation}. Available: ${Object.keys(NOTATION_MODES).join(', ')}`);
+  }
 
   // Initialize alphaSkia with Bravura music font (OTF)
   const bravuraPath = path.join(
@@ -176,16 +286,15 @@ export async function renderStrip(score, settings, trackIndex = 0, opts = {}) {
   const bravuraData = await fs.promises.readFile(bravuraPath);
   alphaTab.Environment.enableAlphaSkia(bravuraData.buffer, alphaSkia);
 
-  // Configure for horizontal strip rendering
-  settings.core.engine = 'skia';
-  settings.display.layoutMode = alphaTab.LayoutMode.Horizontal;
-  settings.display.scale = scale;
+  configureSettings(settings, { layout, scale, barsPerLine: opts.barsPerLine });
 
-  // Tab-only rendering
+  // Staff selection (tab-only by default)
   for (const track of score.tracks) {
     for (const staff of track.staves) {
-      staff.showTablature = true;
-      staff.showStandardNotation = false;
+      staff.showTablature = notation.showTablature;
+      staff.showStandardNotation = notation.showStandardNotation;
+      staff.showSlash = notation.showSlash;
+      staff.showNumbered = false;
     }
   }
 
@@ -209,10 +318,14 @@ export async function renderStrip(score, settings, trackIndex = 0, opts = {}) {
   res.barNumberColor = c(palette.barNumber);       // Bar numbers
   res.secondaryGlyphColor = cAlpha(palette.secondary, 200); // Secondary notation elements
   res.scoreInfoColor = c(palette.main);            // Title/metadata
+  if (trackIndexes.length > 1) {
+    trackIndexes.forEach((t, i) => styleTrack(score.tracks[t], colorIndex + i));
+  }
 
-  // Create renderer with large width to prevent wrapping
+  // Create renderer: page layout wraps at the viewport width, horizontal uses
+  // a large width to prevent wrapping
   const renderer = new alphaTab.rendering.ScoreRenderer(settings);
-  renderer.width = 99999;
+  renderer.width = layout === 'page' ? (opts.width ?? 1920) : 99999;
 
   // Track partial render IDs for compositing
   let partialIds = [];
@@ -256,7 +369,7 @@ export async function renderStrip(score, settings, trackIndex = 0, opts = {}) {
   });
 
   // Render the score (synchronous in Node.js)
-  renderer.renderScore(score, [trackIndex]);
+  renderer.renderScore(score, trackIndexes);
 
   if (!renderDone) {
     throw new Error('Render did not complete. Check score data.');
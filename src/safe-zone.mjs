@@ -0,0 +1,181 @@
+/**
+ * safe-zone.mjs -- Platform UI safe zones: layout checks and a guide image
+ *
+ * Vertical platforms draw their own UI (captions, buttons, progress bar) over
+ * the edges of the video. Presets record how far it reaches as
+ * safeMarginTop/Bottom/Left/Right (platforms.mjs). unsafeRegions turns those
+ * into rectangles, checkSafeZones reports layout boxes that reach into them
+ * (compositor.mjs --platform), and renderSafeZoneGuide paints them over a
+ * still frame (index.mjs --safe-zone-guide).
+ *
+ * Usage:
+ *   import { unsafeRegions, templateBoxes, checkSafeZones } from './safe-zone.mjs';
+ *   const regions = unsafeRegions(platforms.instagram, 1080, 1920);
+ *   const problems = checkSafeZones(templateBoxes(template, tabProbe), regions);
+ */
+import { createCanvas, ImageData } from '@napi-rs/canvas';
+
+// drawtext has no layout pass to ask; sans-serif glyphs average ~0.6em wide
+const CHAR_WIDTH_EM = 0.6;
+
+/**
+ * Unsafe rectangles for a preset, scaled when the frame is not the preset's
+ * own size (e.g. a 1080x1920 template checked against a 720x1280 preset).
+ *
+ * @param {object} preset - from platforms.mjs
+ * @param {number} width - frame width (default: preset width)
+ * @param {number} height - frame height (default: preset height)
+ * @returns {{ side: string, x: number, y: number, width: number, height: number }[]}
+ */
+export function unsafeRegions(preset, width = preset.width, height = preset.height) {
+  const sx = width / preset.width;
+  const sy = height / preset.height;
+  const top = Math.round((preset.safeMarginTop || 0) * sy);
+  const bottom = Math.round((preset.safeMarginBottom || 0) * sy);
+  const left = Math.round((preset.safeMarginLeft || 0) * sx);
+  const right = Math.round((preset.safeMarginRight || 0) * sx);
+  return [
+    { side: 'top', x: 0, y: 0, width, height: top },
+    { side: 'bottom', x: 0, y: height - bottom, width, height: bottom },
+    { side: 'left', x: 0, y: 0, width: left, height },
+    { side: 'right', x: width - right, y: 0, width: right, height },
+  ].filter((r) => r.width > 0 && r.height > 0);
+}
+
+/**
+ * Boxes a compositor template puts on screen: one per text layer plus the tab.
+ * Mirrors the placement in compositor.mjs buildFilterGraph. Text width is
+ * estimated from the character count; layers positioned with ffmpeg
+ * expressions instead of numbers are skipped.
+ *
+ * @param {object} template - compositor template (placeholders already filled in)
+ * @param {{ width: number, height: number }} tabSize - tab overlay video size
+ * @returns {{ name: string, x: number, y: number, width: number, height: number }[]}
+ */
+export function templateBoxes(template, tabSize) {
+  const W = template.width || tabSize.width;
+  const H = template.height || tabSize.height;
+  const boxes = [];
+
+  for (const t of template.text || []) {
+    const fontSize = t.fontSize || 48;
+    const content = t.content || '';
+    const width = Math.round(content.length * fontSize * CHAR_WIDTH_EM);
+    const x = t.x === 'center' ? Math.round((W - width) / 2) : Number(t.x || 100);
+    const y = Number(t.y || 80);
+    if (!Number.isFinite(x) || !Number.isFinite(y) || content === '') continue;
+    boxes.push({ name: `text "${content}"`, x, y, width, height: fontSize });
+  }
+
+  const tab = template.tab || {};
+  const scale = tab.scale || 1.0;
+  const pad = tab.padding || 20;
+  const w = Math.round(tabSize.width * scale);
+  const h = Math.round(tabSize.height * scale);
+  let y;
+  if (tab.y === 'center') y = Math.round((H - h) / 2);
+  else if (tab.y === 'top') y = pad;
+  else if (typeof tab.y === 'number') y = tab.y;
+  else y = H - h - pad;
+  const x = tab.x === 'center' ? Math.round((W - w) / 2) : Number(tab.x || 0);
+  boxes.push({ name: 'tab', x, y, width: w, height: h });
+
+  return boxes;
+}
+
+function intersects(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function regionEdge(r) {
+  if (r.side === 'top') return `y < ${r.height}`;
+  if (r.side === 'bottom') return `y > ${r.y}`;
+  if (r.side === 'left') return `x < ${r.width}`;
+  return `x > ${r.x}`;
+}
+
+/**
+ * Describe every box that reaches into an unsafe region.
+ *
+ * @param {{ name: string, x: number, y: number, width: number, height: number }[]} boxes
+ * @param {object[]} regions - from unsafeRegions
+ * @returns {string[]} one message per collision (empty when the layout is safe)
+ */
+export function checkSafeZones(boxes, regions) {
+  const problems = [];
+  for (const box of boxes) {
+    for (const r of regions) {
+      if (!intersects(box, r)) continue;
+      problems.push(
+        `${box.name} (y ${box.y}-${box.y + box.height}, x ${box.x}-${box.x + box.width}) ` +
+        `reaches into the ${r.side} unsafe region (${regionEdge(r)})`
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * Paint a full platform frame: the tab frame at its position, the unsafe
+ * regions shaded red with their size, and a label naming the platform.
+ *
+ * @param {{ buffer: Buffer, width: number, height: number }} tabFrame - raw RGBA
+ * @param {object} opts
+ * @param {number} opts.width - platform frame width
+ * @param {number} opts.height - platform frame height
+ * @param {number} opts.tabY - top of the tab in the frame
+ * @param {object[]} opts.regions - from unsafeRegions
+ * @param {string} opts.label - e.g. 'instagram 1080x1920'
+ * @returns {Buffer} PNG
+ */
+export function renderSafeZoneGuide(tabFrame, opts) {
+  const { width, height, tabY, regions } = opts;
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#141414';
+  ctx.fillRect(0, 0, width, height);
+
+  // putImageData ignores alpha blending; draw the tab through a scratch canvas
+  const tab = createCanvas(tabFrame.width, tabFrame.height);
+  const pixels = new Uint8ClampedArray(tabFrame.buffer.buffer, tabFrame.buffer.byteOffset, tabFrame.width * tabFrame.height * 4);
+  tab.getContext('2d').putImageData(new ImageData(pixels, tabFrame.width, tabFrame.height), 0, 0);
+  ctx.drawImage(tab, 0, tabY);
+
+  const fontSize = Math.round(height * 0.018);
+  ctx.font = `${fontSize}px sans-serif`;
+  ctx.textBaseline = 'middle';
+  for (const r of regions) {
+    ctx.fillStyle = 'rgba(220, 40, 40, 0.35)';
+    ctx.fillRect(r.x, r.y, r.width, r.height);
+    ctx.strokeStyle = 'rgba(255, 80, 80, 0.9)';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(r.x + 1, r.y + 1, r.width - 2, r.height - 2);
+    const size = r.side === 'top' || r.side === 'bottom' ? r.height : r.width;
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    const text = `${r.side} ${size}px`;
+    if (r.side === 'left' || r.side === 'right') {
+      ctx.save();
+      ctx.translate(r.x + r.width / 2, r.y + r.height / 2);
+      ctx.rotate(-Math.PI / 2);
+      ctx.fillText(text, 0, 0);
+      ctx.restore();
+    } else {
+      ctx.fillText(text, r.x + r.width / 2, r.y + r.height / 2);
+    }
+  }
+
+  // Tab outline: green when clear of every region, red when it collides
+  const tabBox = { x: 0, y: tabY, width: tabFrame.width, height: tabFrame.height };
+  ctx.strokeStyle = regions.some((r) => intersects(tabBox, r)) ? '#ff5050' : '#50dc78';
+  ctx.lineWidth = 3;
+  ctx.strokeRect(tabBox.x + 1.5, tabBox.y + 1.5, tabBox.width - 3, tabBox.height - 3);
+
+  if (opts.label) {
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'left';
+    ctx.fillText(opts.label, 16 + (regions.find((r) => r.side === 'left')?.width || 0), height / 2);
+  }
+
+  return canvas.toBuffer('image/png');
+}
@@ -0,0 +1,199 @@
+/**
+ * segment-cache.mjs -- Resumable rendering in fixed-length segments
+ *
+ * index.mjs encodes the tab video as short segment files (default 10s) in a
+ * cache directory keyed by a hash of everything that goes into the frames:
+ * the GP file, the rendered strips, timing maps and frame/encoder options.
+ * Segments already on disk are skipped, so a crashed render resumes where it
+ * stopped, and a re-render that only changes the audio, template or footage
+ * reuses every segment. concatSegments (encode-video.mjs) joins them and
+ * muxes the audio. Once a render has joined its segments, pruneSegmentCache
+ * keeps the cache under a size budget (--cache-limit) by removing the least
+ * recently used key directories. The render that just finished and any
+ * directory written to in the last hour (another render in progress) are
+ * never removed, so renders for several platforms or songs keep each
+ * other's segments as long as they fit.
+ *
+ * Layout:
+ *   <cacheDir>/<key>/seg-00000.mov          finished segment
+ *   <cacheDir>/<key>/seg-00001.partial.mov  segment being written
+ */
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+
+// Bump when frame output changes for the same inputs (drawing code changes)
+const CACHE_VERSION = 1;
+
+/**
+ * Hash any mix of plain values, arrays, objects and Buffers. Object keys are
+ * sorted, so the key does not depend on property order.
+ *
+ * @returns {string} hex sha256
+ */
+export function segmentCacheKey(parts) {
+  const hash = createHash('sha256');
+  hash.update(`v${CACHE_VERSION}`);
+  const feed = (value) => {
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      hash.update(`<buf ${value.length}>`);
+      hash.update(value);
+    } else if (Array.isArray(value)) {
+      hash.update('[');
+      value.forEach((v) => { feed(v); hash.update(','); });
+      hash.update(']');
+    } else if (value && typeof value === 'object') {
+      hash.update('{');
+      for (const key of Object.keys(value).sort()) {
+        if (value[key] === undefined) continue;
+        hash.update(JSON.stringify(key) + ':');
+        feed(value[key]);
+        hash.update(',');
+      }
+      hash.update('}');
+    } else {
+      hash.update(value === undefined ? 'undefined' : JSON.stringify(value));
+    }
+  };
+  feed(parts);
+  return hash.digest('hex');
+}
+
+/**
+ * Split the frames into segments and check which ones are already encoded.
+ *
+ * @param {number} totalFrames
+ * @param {number} segmentFrames - frames per segment
+ * @param {string} dir - segment directory for this cache key
+ * @param {string} ext - container extension, e.g. '.mov'
+ * @returns {{ index: number, start: number, end: number, path: string, cached: boolean }[]}
+ */
+export function planSegments(totalFrames, segmentFrames, dir, ext) {
+  const segments = [];
+  for (let start = 0, index = 0; start < totalFrames; start += segmentFrames, index++) {
+    const file = path.join(dir, `seg-${String(index).padStart(5, '0')}${ext}`);
+    segments.push({
+      index,
+      start,
+      end: Math.min(start + segmentFrames, totalFrames),
+      path: file,
+      cached: fs.existsSync(file),
+    });
+  }
+  return segments;
+}
+
+// Key directories are named by the first 16 hex digits of the key
+const KEY_DIR = /^[0-9a-f]{16}$/;
+
+// A directory written to this recently may belong to a render in progress
+const PRUNE_MIN_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Remove the least recently used key directories until the cache fits in
+ * maxBytes. keepDir (the render that just finished) is marked as used and
+ * never removed, nor is any directory written to within minAgeMs. Only
+ * directories named like a cache key are touched, so a --cache-dir pointed
+ * at a shared folder loses nothing else.
+ *
+ * @param {string} cacheDir - the cache root (--cache-dir)
+ * @param {object} opts
+ * @param {string} opts.keep - segment directory of the render that just finished
+ * @param {number} opts.maxBytes - size budget for the whole cache
+ * @param {number} opts.minAgeMs - skip directories modified more recently (default: 1 hour)
+ * @param {number} opts.now - current time in ms (default: Date.now())
+ * @returns {Promise<{ removed: number, bytes: number }>} directories removed and their size
+ */
+export async function pruneSegmentCache(cacheDir, opts) {
+  const { keep, maxBytes, minAgeMs = PRUNE_MIN_AGE_MS, now = Date.now() } = opts;
+  let entries;
+  try {
+    entries = await fs.promises.readdir(cacheDir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === 'ENOENT') return { removed: 0, bytes: 0 };
+    throw e;
+  }
+  if (keep) {
+    const time = new Date(now);
+    await fs.promises.utimes(keep, time, time).catch(() => {});
+  }
+
+  // Size and last use (newest of the directory and its files) per key
+  const keepPath = keep && path.resolve(keep);
+  const dirs = [];
+  let total = 0;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !KEY_DIR.test(entry.name)) continue;
+    const dir = path.join(cacheDir, entry.name);
+    let bytes = 0;
+    let usedMs = (await fs.promises.stat(dir)).mtimeMs;
+    for (const file of await fs.promises.readdir(dir)) {
+      const stat = await fs.promises.stat(path.join(dir, file));
+      bytes += stat.size;
+      usedMs = Math.max(usedMs, stat.mtimeMs);
+    }
+    total += bytes;
+    if (path.resolve(dir) === keepPath || now - usedMs < minAgeMs) continue;
+    dirs.push({ dir, bytes, usedMs });
+  }
+
+  let removed = 0;
+  let freed = 0;
+  dirs.sort((a, b) => a.usedMs - b.usedMs);
+  for (const { dir, bytes } of dirs) {
+    if (total <= maxBytes) break;
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    total -= bytes;
+    freed += bytes;
+    removed++;
+  }
+  return { removed, bytes: freed };
+}
+
+function partialPath(file) {
+  const ext = path.extname(file);
+  return `${file.slice(0, -ext.length)}.partial${ext}`;
+}
+
+/**
+ * Route frames to one encoder per segment. A segment file only gets its
+ * final name once every frame in it has been encoded, so an interrupted
+ * render never leaves a truncated segment that looks finished.
+ *
+ * @param {object[]} segments - pending segments from planSegments
+ * @param {(file: string) => { write: Function, finish: Function }} openEncoder - e.g. createEncoder
+ */
+export function createSegmentedEncoder(segments, openEncoder) {
+  let current = null;
+  let encoder = null;
+  let written = 0;
+
+  async function close() {
+    if (!current) return;
+    const segment = current;
+    current = null;
+    await encoder.finish();
+    const expected = segment.end - segment.start;
+    if (written !== expected) {
+      throw new Error(`Segment ${segment.index} got ${written} of ${expected} frames; not caching it`);
+    }
+    await fs.promises.rename(partialPath(segment.path), segment.path);
+  }
+
+  return {
+    async write(frame, buffer) {
+      if (!current || frame >= current.end) {
+        await close();
+        current = segments.find((s) => frame >= s.start && frame < s.end);
+        if (!current) throw new Error(`Frame ${frame} is not in a segment that needs rendering`);
+        await fs.promises.mkdir(path.dirname(current.path), { recursive: true });
+        encoder = openEncoder(partialPath(current.path));
+        written = 0;
+      }
+      written++;
+      return encoder.write(buffer);
+    },
+
+    finish: close,
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * split-parts.mjs -- Split a render into parts that fit a platform's max duration
+ *
+ * Platforms like Instagram stories (60s) or Facebook story cards (20s) reject
+ * or chop longer videos. planParts picks cut points so each part stays under
+ * the limit: the last section marker that still fills at least half the part,
+ * otherwise the last bar line before the limit. A bar longer than the limit
+ * forces a cut inside it, which is reported as a warning. A template intro
+ * plays before part 1, so part 1 gets that much less of the song (introMs).
+ * index.mjs then cuts the finished video with cutPart (encode-video.mjs),
+ * adding a "1/3" badge.
+ *
+ * Usage:
+ *   import { barStarts, planParts } from './split-parts.mjs';
+ *   const { parts, warnings } = planParts(songDurationMs, 60000, {
+ *     bars: barStarts(beatTimings),
+ *     sections: sectionMarkers.map((m) => m.ms),
+ *   });
+ */
+
+/**
+ * Start time of every played bar, in playback order (a repeated bar appears
+ * once per pass).
+ *
+ * @param {object[]} beatTimings - from buildTimingMap
+ * @returns {{ ms: number, barNumber: number }[]}
+ */
+export function barStarts(beatTimings) {
+  const starts = [];
+  let last = null;
+  for (const bt of beatTimings) {
+    if (bt.isJumpAnchor || bt.isLineEndAnchor) continue;
+    if (last && last.barIndex === bt.barIndex && last.pass === bt.pass) continue;
+    starts.push({ ms: bt.ms, barNumber: bt.barIndex + 1 });
+    last = bt;
+  }
+  return starts;
+}
+
+function formatTime(ms) {
+  const s = ms / 1000;
+  return `${Math.floor(s / 60)}:${(s % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Choose part boundaries for a video of the given length.
+ *
+ * @param {number} durationMs - total video length
+ * @param {number} maxMs - longest allowed part
+ * @param {object} opts
+ * @param {{ ms: number, barNumber: number }[]} opts.bars - from barStarts
+ * @param {number[]} opts.sections - section marker start times (preferred cuts)
+ * @param {number} opts.minFill - a section cut must leave a part at least this
+ *   fraction of maxMs long (default: 0.5)
+ * @param {number} opts.introMs - intro played before the song in part 1 (default: 0)
+ * @returns {{ parts: { index: number, startMs: number, endMs: number }[], warnings: string[] }}
+ */
+export function planParts(durationMs, maxMs, opts = {}) {
+  const bars = opts.bars || [];
+  const sections = opts.sections || [];
+  const minFill = opts.minFill ?? 0.5;
+  const introMs = opts.introMs || 0;
+  if (introMs >= maxMs) {
+    throw new Error(`The ${introMs / 1000}s intro leaves no room for the song within the ${maxMs / 1000}s limit`);
+  }
+  const parts = [];
+  const warnings = [];
+  const warned = new Set(); // bars already reported
+
+  // Song time each part can hold: part 1 shares its limit with the intro
+  const budget = () => (parts.length === 0 ? maxMs - introMs : maxMs);
+
+  let start = 0;
+  while (durationMs - start > budget()) {
+    const limit = start + budget();
+    const latest = (times) => {
+      let best = null;
+      for (const ms of times) if (ms > start && ms <= limit && (best === null || ms > best)) best = ms;
+      return best;
+    };
+
+    let end = latest(sections.filter((ms) => ms >= start + budget() * minFill));
+    if (end === null) end = latest(bars.map((b) => b.ms));
+    if (end === null) {
+      // No bar line inside the window: the bar playing at `start` runs past the limit
+      const bar = bars.filter((b) => b.ms <= start).pop();
+      if (!warned.has(bar)) {
+        warned.add(bar);
+        warnings.push(
+          `Bar ${bar ? bar.barNumber : '?'} at ${formatTime(bar ? bar.ms : start)} runs longer than the ${maxMs / 1000}s limit; ` +
+          `part ${parts.length + 1} is cut mid-bar`
+        );
+      }
+      end = limit;
+    }
+    parts.push({ index: parts.length, startMs: start, endMs: end });
+    start = end;
+  }
+  parts.push({ index: parts.length, startMs: start, endMs: durationMs });
+  return { parts, warnings };
+}
+
+/**
+ * Output path for one part: song_tab.mp4 -> song_tab_part2.mp4
+ */
+export function partPath(outputPath, index) {
+  return outputPath.replace(/(\.\w+)?$/, (ext) => `_part${index + 1}${ext}`);
+}
@@ -0,0 +1,125 @@
+/**
+ * stills.mjs -- Single-frame previews: --still and --contact-sheet
+ *
+ * Checking a render used to mean encoding all of it. index.mjs renders just
+ * the frames asked for through the same frame pipeline as the video (and the
+ * compositor's filter graph with --template), so a still is the frame the
+ * video will have. This module parses the --still target, picks the contact
+ * sheet's frames (one per section marker) and lays the sheet out.
+ *
+ * Usage:
+ *   import { parseStillTarget, stillTimeMs, contactSheetTimes, renderContactSheet } from './stills.mjs';
+ *   const ms = stillTimeMs(parseStillTarget('1:23.5'), beatTimings, songDurationMs);
+ *   const png = await renderContactSheet([{ png, label: 'Chorus 0:42.0' }, ...]);
+ */
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+
+// Frames on a sheet when the song has no section markers
+const FALLBACK_FRAMES = 6;
+
+/**
+ * Parse a --still value: "1:23.5" or "83.5s" is a time, a whole number is a
+ * bar number.
+ *
+ * @param {string} spec
+ * @returns {{ ms: number } | { bar: number }}
+ */
+export function parseStillTarget(spec) {
+  const clock = /^(\d+):(\d{1,2}(?:\.\d+)?)$/.exec(spec);
+  if (clock) return { ms: (parseInt(clock[1], 10) * 60 + parseFloat(clock[2])) * 1000 };
+  const seconds = /^(\d+(?:\.\d+)?)s$/.exec(spec);
+  if (seconds) return { ms: parseFloat(seconds[1]) * 1000 };
+  if (/^\d+$/.test(spec) && parseInt(spec, 10) >= 1) return { bar: parseInt(spec, 10) };
+  throw new Error(`--still expects a time (1:23.5 or 83.5s) or a bar number (17), got "${spec}"`);
+}
+
+/**
+ * Song time of a --still target. A bar means its first beat on the first pass.
+ *
+ * @param {{ ms: number } | { bar: number }} target - from parseStillTarget
+ * @param {object[]} beatTimings - from buildTimingMap
+ * @param {number} songDurationMs
+ * @returns {number}
+ */
+export function stillTimeMs(target, beatTimings, songDurationMs) {
+  if (target.ms !== undefined) {
+    if (target.ms > songDurationMs) {
+      throw new Error(`--still ${formatTime(target.ms)} is past the end of the song (${formatTime(songDurationMs)})`);
+    }
+    return target.ms;
+  }
+  const beat = beatTimings.find((bt) => !bt.isJumpAnchor && !bt.isLineEndAnchor && bt.barIndex === target.bar - 1);
+  if (!beat) {
+    const lastBar = Math.max(...beatTimings.map((bt) => bt.barIndex)) + 1;
+    throw new Error(`--still ${target.bar}: the song has bars 1-${lastBar}`);
+  }
+  return beat.ms;
+}
+
+/**
+ * Frames for the contact sheet: every section marker (a repeated section once
+ * per pass), or evenly spaced frames when the song has none.
+ *
+ * @param {object[]} sectionMarkers - from buildTimingMap
+ * @param {number} songDurationMs
+ * @returns {{ ms: number, label: string }[]}
+ */
+export function contactSheetTimes(sectionMarkers, songDurationMs) {
+  const seen = new Set();
+  const times = [];
+  for (const m of sectionMarkers) {
+    if (seen.has(m.ms)) continue;
+    seen.add(m.ms);
+    times.push({ ms: m.ms, label: `${m.text} ${formatTime(m.ms)}` });
+  }
+  if (times.length > 0) return times.sort((a, b) => a.ms - b.ms);
+
+  return Array.from({ length: FALLBACK_FRAMES }, (_, i) => {
+    const ms = Math.round((songDurationMs * i) / FALLBACK_FRAMES);
+    return { ms, label: formatTime(ms) };
+  });
+}
+
+function formatTime(ms) {
+  const s = ms / 1000;
+  return `${Math.floor(s / 60)}:${(s % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Tile frames into one PNG, each with its label underneath.
+ *
+ * @param {{ png: Buffer, label: string }[]} frames - all the same size
+ * @param {object} opts
+ * @param {number} opts.cellWidth - thumbnail width in px (default: 480)
+ * @param {number} opts.columns - default: about square
+ * @returns {Promise<Buffer>} PNG
+ */
+export async function renderContactSheet(frames, opts = {}) {
+  const images = await Promise.all(frames.map((f) => loadImage(f.png)));
+  const columns = opts.columns || Math.ceil(Math.sqrt(frames.length));
+  const rows = Math.ceil(frames.length / columns);
+  const cellWidth = opts.cellWidth || 480;
+  const imageHeight = Math.round((images[0].height * cellWidth) / images[0].width);
+  const labelHeight = 32;
+  const gap = 12;
+
+  const canvas = createCanvas(
+    columns * cellWidth + (columns + 1) * gap,
+    rows * (imageHeight + labelHeight) + (rows + 1) * gap
+  );
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#141414';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.font = '18px sans-serif';
+  ctx.textBaseline = 'middle';
+
+  images.forEach((image, i) => {
+    const x = gap + (i % columns) * (cellWidth + gap);
+    const y = gap + Math.floor(i / columns) * (imageHeight + labelHeight + gap);
+    ctx.drawImage(image, x, y, cellWidth, imageHeight);
+    ctx.fillStyle = '#dddddd';
+    ctx.fillText(frames[i].label, x + 4, y + imageHeight + labelHeight / 2);
+  });
+
+  return canvas.toBuffer('image/png');
+}
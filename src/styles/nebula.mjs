@@ -0,0 +1,488 @@
+/**
+ * nebula -- Cinematic layered 3D particle formation
+ *
+ * A core cloud, dust ring, filaments, pulsing nodes, stars and orbiting
+ * streaks that reveal themselves through the song. Glacial energy moves the
+ * formation, slow energy its glow and warmth.
+ */
+
+export const description = 'Layered 3D particle nebula, revealed through the song';
+
+export const params = ['palette', 'density', 'seed'];
+
+// Base hue and drift (degrees per second)
+export const palettes = {
+  spectrum: { hue: 260, drift: 8 },
+  violet: { hue: 265, drift: 0 },
+  ember: { hue: 15, drift: 0 },
+  aurora: { hue: 150, drift: 0 },
+};
+
+// --- Simplex noise (2D/3D) for organic deformation ---
+
+function createNoise() {
+  // Permutation table
+  const perm = new Uint8Array(512);
+  const p = [151,160,137,91,90,15,131,13,201,95,96,53,194,233,7,225,140,36,103,30,
+    69,142,8,99,37,240,21,10,23,190,6,148,247,120,234,75,0,26,197,62,94,252,219,
+    203,117,35,11,32,57,177,33,88,237,149,56,87,174,20,125,136,171,168,68,175,74,
+    165,71,134,139,48,27,166,77,146,158,231,83,111,229,122,60,211,133,230,220,105,
+    92,41,55,46,245,40,244,102,143,54,65,25,63,161,1,216,80,73,209,76,132,187,208,
+    89,18,169,200,196,135,130,116,188,159,86,164,100,109,198,173,186,3,64,52,217,
+    226,250,124,123,5,202,38,147,118,126,255,82,85,212,207,206,59,227,47,16,58,17,
+    182,189,28,42,223,183,170,213,119,248,152,2,44,154,163,70,221,153,101,155,167,
+    43,172,9,129,22,39,253,19,98,108,110,79,113,224,232,178,185,112,104,218,246,97,
+    228,251,34,242,193,238,210,144,12,191,179,162,241,81,51,145,235,249,14,239,107,
+    49,192,214,31,181,199,106,157,184,84,204,176,115,121,50,45,127,4,150,254,138,
+    236,205,93,222,114,67,29,24,72,243,141,128,195,78,66,215,61,156,180];
+  for (let i = 0; i < 256; i++) { perm[i] = perm[i + 256] = p[i]; }
+
+  const grad3 = [[1,1,0],[-1,1,0],[1,-1,0],[-1,-1,0],[1,0,1],[-1,0,1],[1,0,-1],[-1,0,-1],[0,1,1],[0,-1,1],[0,1,-1],[0,-1,-1]];
+
+  function dot3(g, x, y, z) { return g[0]*x + g[1]*y + g[2]*z; }
+
+  function noise3d(x, y, z) {
+    const F3 = 1/3, G3 = 1/6;
+    const s = (x+y+z)*F3;
+    const i = Math.floor(x+s), j = Math.floor(y+s), k = Math.floor(z+s);
+    const t = (i+j+k)*G3;
+    const X0 = i-t, Y0 = j-t, Z0 = k-t;
+    const x0 = x-X0, y0 = y-Y0, z0 = z-Z0;
+    let i1,j1,k1,i2,j2,k2;
+    if(x0>=y0){if(y0>=z0){i1=1;j1=0;k1=0;i2=1;j2=1;k2=0;}else if(x0>=z0){i1=1;j1=0;k1=0;i2=1;j2=0;k2=1;}else{i1=0;j1=0;k1=1;i2=1;j2=0;k2=1;}}
+    else{if(y0<z0){i1=0;j1=0;k1=1;i2=0;j2=1;k2=1;}else if(x0<z0){i1=0;j1=1;k1=0;i2=0;j2=1;k2=1;}else{i1=0;j1=1;k1=0;i2=1;j2=1;k2=0;}}
+    const x1=x0-i1+G3,y1=y0-j1+G3,z1=z0-k1+G3;
+    const x2=x0-i2+2*G3,y2=y0-j2+2*G3,z2=z0-k2+2*G3;
+    const x3=x0-1+3*G3,y3=y0-1+3*G3,z3=z0-1+3*G3;
+    const ii=i&255,jj=j&255,kk=k&255;
+    let n0=0,n1=0,n2=0,n3=0;
+    let t0=0.6-x0*x0-y0*y0-z0*z0;if(t0>0){t0*=t0;n0=t0*t0*dot3(grad3[perm[ii+perm[jj+perm[kk]]]%12],x0,y0,z0);}
+    let t1=0.6-x1*x1-y1*y1-z1*z1;if(t1>0){t1*=t1;n1=t1*t1*dot3(grad3[perm[ii+i1+perm[jj+j1+perm[kk+k1]]]%12],x1,y1,z1);}
+    let t2=0.6-x2*x2-y2*y2-z2*z2;if(t2>0){t2*=t2;n2=t2*t2*dot3(grad3[perm[ii+i2+perm[jj+j2+perm[kk+k2]]]%12],x2,y2,z2);}
+    let t3=0.6-x3*x3-y3*y3-z3*z3;if(t3>0){t3*=t3;n3=t3*t3*dot3(grad3[perm[ii+1+perm[jj+1+perm[kk+1]]]%12],x3,y3,z3);}
+    return 32*(n0+n1+n2+n3);
+  }
+
+  return { noise3d };
+}
+
+export function create(width, height, opts) {
+  const { palette, density, random } = opts;
+  const w = width;
+  const h = height;
+  const cx = w / 2;
+  const cy = h / 2;
+  const baseRadius = Math.min(w, h) * 0.22;
+  const { noise3d } = createNoise();
+
+  // --- Layer 1: Core particles (dense inner formation) ---
+  const CORE_COUNT = Math.round(1500 * density);
+  const coreParticles = [];
+  for (let i = 0; i < CORE_COUNT; i++) {
+    const theta = random() * Math.PI * 2;
+    const phi = Math.acos(2 * random() - 1);
+    const r = 0.1 + Math.pow(random(), 0.7) * 0.5;
+    coreParticles.push({
+      theta, phi, r,
+      size: 0.6 + random() * 2.2,
+      brightness: 0.4 + random() * 0.6,
+      hueShift: (random() - 0.5) * 25,
+      noiseOffset: random() * 100,
+    });
+  }
+
+  // --- Layer 2: Outer dust ring (appears ~20% in, slowly fading up) ---
+  const RING_COUNT = Math.round(600 * density);
+  const ringParticles = [];
+  for (let i = 0; i < RING_COUNT; i++) {
+    const angle = random() * Math.PI * 2;
+    const rDist = 0.65 + (random() - 0.5) * 0.25;
+    const yOff = (random() - 0.5) * 0.12;
+    ringParticles.push({
+      angle, rDist, yOff,
+      size: 0.4 + random() * 1.4,
+      brightness: 0.15 + random() * 0.35,
+      hueShift: 20 + random() * 40, // warmer than core
+      noiseOffset: random() * 100,
+    });
+  }
+
+  // --- Layer 3: Filament tendrils (organic curves, present from start) ---
+  const NUM_FILAMENTS = Math.round(22 * density);
+  const FILAMENT_PTS = 70;
+  const filaments = [];
+  for (let f = 0; f < NUM_FILAMENTS; f++) {
+    const baseTheta = (f / NUM_FILAMENTS) * Math.PI * 2 + random() * 0.3;
+    const basePhi = Math.PI * 0.25 + random() * Math.PI * 0.5;
+    const curl = 1.2 + random() * 2.5;
+    const rStart = 0.15 + random() * 0.1;
+    const rEnd = 0.55 + random() * 0.5;
+    const lineWidth = 0.6 + random() * 1.8;
+    const hue = (random() - 0.5) * 50;
+    filaments.push({ baseTheta, basePhi, curl, rStart, rEnd, lineWidth, hue });
+  }
+
+  // --- Layer 4: Accent nodes (pulsing hot spots in the core) ---
+  const NUM_NODES = 10;
+  const nodes = [];
+  for (let i = 0; i < NUM_NODES; i++) {
+    const theta = random() * Math.PI * 2;
+    const phi = Math.acos(2 * random() - 1);
+    const r = 0.15 + random() * 0.35;
+    nodes.push({
+      theta, phi, r,
+      pulseSpeed: 0.3 + random() * 0.8,
+      pulsePhase: random() * Math.PI * 2,
+      size: 12 + random() * 30,
+      hue: (random() - 0.5) * 35,
+    });
+  }
+
+  // --- Layer 5: Distant star field (appears ~40% in, very slow) ---
+  const STAR_COUNT = Math.round(300 * density);
+  const stars = [];
+  for (let i = 0; i < STAR_COUNT; i++) {
+    stars.push({
+      x: random() * w,
+      y: random() * h,
+      size: 0.3 + random() * 1.2,
+      brightness: 0.2 + random() * 0.6,
+      twinkleSpeed: 0.5 + random() * 2,
+      twinklePhase: random() * Math.PI * 2,
+    });
+  }
+
+  // --- Layer 6: Orbiting light streaks (appear ~60% in) ---
+  const NUM_STREAKS = 5;
+  const streaks = [];
+  for (let i = 0; i < NUM_STREAKS; i++) {
+    const orbitRadius = 0.4 + random() * 0.35;
+    const orbitSpeed = 0.2 + random() * 0.3;
+    const orbitPhase = (i / NUM_STREAKS) * Math.PI * 2;
+    const orbitTilt = Math.PI * 0.3 + random() * Math.PI * 0.4;
+    const trailLen = 25 + Math.floor(random() * 35);
+    const hue = (random() - 0.5) * 40;
+    streaks.push({ orbitRadius, orbitSpeed, orbitPhase, orbitTilt, trailLen, hue });
+  }
+
+  // 3D helpers
+  function rotateYXZ(x, y, z, ay, ax, az) {
+    let x1 = x * Math.cos(az) - y * Math.sin(az);
+    let y1 = x * Math.sin(az) + y * Math.cos(az);
+    let x2 = x1 * Math.cos(ay) - z * Math.sin(ay);
+    let z2 = x1 * Math.sin(ay) + z * Math.cos(ay);
+    let y3 = y1 * Math.cos(ax) - z2 * Math.sin(ax);
+    let z3 = y1 * Math.sin(ax) + z2 * Math.cos(ax);
+    return [x2, y3, z3];
+  }
+
+  function proj(x, y, z) {
+    const fov = 700;
+    const s = fov / (fov + z);
+    return [cx + x * s, cy + y * s, s, z];
+  }
+
+  return function renderFrame(ctx, frameIndex, e, time) {
+    const eg = e.glacial;
+    const es = e.slow;
+    const progress = e.progress;
+
+    // Organic breathing (multi-frequency, independent of audio)
+    const breathe = Math.sin(time * 0.35) * 0.03 + Math.sin(time * 0.13) * 0.02 + Math.sin(time * 0.07) * 0.01;
+
+    // Formation parameters (glacial -- ultra smooth)
+    const spread = 1.0 + eg * 0.18 + breathe;
+    const morphSpeed = 0.05 + eg * 0.02;
+    const morphAmount = 0.06 + eg * 0.1;
+
+    // Aesthetic parameters (slow -- responsive mood)
+    const warmth = es * 0.7;
+    const glowPower = 0.4 + es * 0.6;
+
+    // --- EVOLVING COLOR PALETTE ---
+    // Hue drifts through the song (spectrum: purple -> blue -> teal -> magenta
+    // -> violet, a full rotation in 45s), so each section has its own character
+    const hueDrift = time * palette.drift;
+    const baseHue = (palette.hue + hueDrift) % 360;
+    // Warm accent hue is always offset, so the palette always has contrast
+    const accentHue = (baseHue + 60 + warmth * 30) % 360;
+    // Secondary color for ring/streaks -- complementary offset
+    const secondaryHue = (baseHue + 140) % 360;
+
+    // Constant smooth rotation
+    const coreAY = time * 0.13;
+    const coreAX = Math.sin(time * 0.047) * 0.3;
+    const coreAZ = time * 0.025;
+    const ringAY = -time * 0.07;
+    const ringAX = Math.sin(time * 0.031 + 1.5) * 0.2;
+    const ringAZ = -time * 0.012;
+
+    // Layer reveal timing
+    const ringReveal = Math.min(1, Math.max(0, (progress - 0.12) / 0.12));
+    const starReveal = Math.min(1, Math.max(0, (progress - 0.28) / 0.12));
+    const streakReveal = Math.min(1, Math.max(0, (progress - 0.45) / 0.12));
+    // New: late-stage morphing intensifies after 70%
+    const lateIntensity = Math.min(1, Math.max(0, (progress - 0.7) / 0.2));
+
+    // Late-stage: morph gets wilder, rotation tilts more, colors saturate harder
+    const lateMorph = morphAmount * (1 + lateIntensity * 0.8);
+    const lateTilt = coreAX + lateIntensity * Math.sin(time * 0.09) * 0.2;
+
+    // --- Background ---
+    ctx.fillStyle = '#010008';
+    ctx.fillRect(0, 0, w, h);
+
+    // Volumetric atmosphere (4 offset glows, vivid, drifting)
+    for (let ai = 0; ai < 4; ai++) {
+      const ax = cx + Math.sin(time * 0.04 + ai * 1.8) * baseRadius * 0.35;
+      const ay = cy + Math.cos(time * 0.03 + ai * 1.4) * baseRadius * 0.25;
+      const ar = baseRadius * (1.4 + ai * 0.5);
+      const aHue = (baseHue + ai * 25) % 360;
+      const aAlpha = glowPower * (0.1 - ai * 0.018);
+      const ag = ctx.createRadialGradient(ax, ay, 0, ax, ay, ar);
+      ag.addColorStop(0, `hsla(${aHue}, ${65 + glowPower * 20}%, ${25 + glowPower * 10}%, ${aAlpha})`);
+      ag.addColorStop(0.35, `hsla(${(aHue + 20) % 360}, ${55 + glowPower * 15}%, ${15 + glowPower * 5}%, ${aAlpha * 0.4})`);
+      ag.addColorStop(1, 'hsla(0, 0%, 0%, 0)');
+      ctx.fillStyle = ag;
+      ctx.fillRect(0, 0, w, h);
+    }
+
+    // --- Stars (fades in at ~28%) ---
+    if (starReveal > 0) {
+      for (const star of stars) {
+        const twinkle = 0.5 + 0.5 * Math.sin(time * star.twinkleSpeed + star.twinklePhase);
+        const alpha = star.brightness * twinkle * starReveal * 0.7;
+        if (alpha < 0.02) continue;
+        // Stars pick up color from the drifting palette
+        const sHue = (baseHue + 180 + star.twinklePhase * 30) % 360;
+        ctx.beginPath();
+        ctx.arc(star.x, star.y, star.size, 0, Math.PI * 2);
+        ctx.fillStyle = `hsla(${sHue}, 30%, ${70 + star.brightness * 20}%, ${alpha})`;
+        ctx.fill();
+      }
+    }
+
+    // --- Collect depth-sorted elements ---
+    const drawList = [];
+
+    // --- Filaments ---
+    for (const fil of filaments) {
+      const points = [];
+      for (let i = 0; i < FILAMENT_PTS; i++) {
+        const t = i / (FILAMENT_PTS - 1);
+        const r = (fil.rStart + (fil.rEnd - fil.rStart) * t) * baseRadius * spread;
+        const theta = fil.baseTheta + t * fil.curl + time * 0.05;
+        const phi = fil.basePhi + Math.sin(t * Math.PI) * 0.4;
+
+        const nx = noise3d(t * 1.5 + time * morphSpeed, fil.baseTheta, 0) * lateMorph * baseRadius;
+        const ny = noise3d(t * 1.5, fil.baseTheta + time * morphSpeed, 10) * lateMorph * baseRadius;
+        const nz = noise3d(t * 1.5, 20, fil.baseTheta + time * morphSpeed) * lateMorph * baseRadius;
+
+        const px = r * Math.sin(phi) * Math.cos(theta) + nx;
+        const py = r * Math.sin(phi) * Math.sin(theta) + ny;
+        const pz = r * Math.cos(phi) + nz;
+
+        const bAY = coreAY * 0.7 + ringAY * 0.3;
+        const bAX = lateTilt * 0.7 + ringAX * 0.3;
+        const [rx, ry, rz] = rotateYXZ(px, py, pz, bAY, bAX, coreAZ * 0.3);
+        const [sx, sy, sc, sz] = proj(rx, ry, rz);
+        points.push({ sx, sy, sc, sz, t });
+      }
+      const avgZ = points.reduce((s, p) => s + p.sz, 0) / points.length;
+      drawList.push({ type: 'fil', z: avgZ, points, lw: fil.lineWidth, hue: fil.hue });
+    }
+
+    // --- Core particles ---
+    for (const p of coreParticles) {
+      const nv = noise3d(p.theta + time * morphSpeed, p.phi + time * morphSpeed * 0.6, p.noiseOffset);
+      const r = (p.r + nv * lateMorph) * baseRadius * spread;
+      const px = r * Math.sin(p.phi) * Math.cos(p.theta);
+      const py = r * Math.sin(p.phi) * Math.sin(p.theta);
+      const pz = r * Math.cos(p.phi) * 0.65;
+      const [rx, ry, rz] = rotateYXZ(px, py, pz, coreAY, lateTilt, coreAZ);
+      const [sx, sy, sc, sz] = proj(rx, ry, rz);
+      if (sc > 0.1) drawList.push({ type: 'p', z: sz, x: sx, y: sy, sc, sz: p.size * sc, br: p.brightness, hs: p.hueShift, ly: 'c' });
+    }
+
+    // --- Ring particles (fades in) ---
+    if (ringReveal > 0) {
+      for (const p of ringParticles) {
+        const nv = noise3d(p.angle + time * morphSpeed * 0.4, p.noiseOffset, time * morphSpeed * 0.3);
+        const rd = (p.rDist + nv * lateMorph * 0.3) * baseRadius * spread;
+        const px = rd * Math.cos(p.angle + time * 0.04);
+        const py = p.yOff * baseRadius * spread + nv * lateMorph * baseRadius * 0.2;
+        const pz = rd * Math.sin(p.angle + time * 0.04);
+        const [rx, ry, rz] = rotateYXZ(px, py, pz, ringAY, ringAX, ringAZ);
+        const [sx, sy, sc, sz] = proj(rx, ry, rz);
+        if (sc > 0.05) drawList.push({ type: 'p', z: sz, x: sx, y: sy, sc, sz: p.size * sc * ringReveal, br: p.brightness * ringReveal, hs: p.hueShift, ly: 'r' });
+      }
+    }
+
+    // --- Accent nodes ---
+    for (const n of nodes) {
+      const pulse = 0.5 + 0.5 * Math.sin(time * n.pulseSpeed + n.pulsePhase);
+      const r = n.r * baseRadius * spread;
+      const px = r * Math.sin(n.phi) * Math.cos(n.theta);
+      const py = r * Math.sin(n.phi) * Math.sin(n.theta);
+      const pz = r * Math.cos(n.phi);
+      const [rx, ry, rz] = rotateYXZ(px, py, pz, coreAY, lateTilt, coreAZ);
+      const [sx, sy, sc, sz] = proj(rx, ry, rz);
+      if (sc > 0.1) drawList.push({ type: 'n', z: sz, x: sx, y: sy, sc, size: n.size * sc * (0.5 + pulse * 0.5) * glowPower, hue: n.hue, pulse });
+    }
+
+    // --- Orbiting streaks (fades in at ~45%) ---
+    if (streakReveal > 0) {
+      for (const st of streaks) {
+        const trailPts = [];
+        for (let ti = 0; ti < st.trailLen; ti++) {
+          const tBack = ti * 0.035;
+          const angle = time * st.orbitSpeed + st.orbitPhase - tBack;
+          const r = st.orbitRadius * baseRadius * spread;
+          const px = r * Math.cos(angle);
+          const py = r * Math.sin(angle) * Math.cos(st.orbitTilt) * 0.5;
+          const pz = r * Math.sin(angle) * Math.sin(st.orbitTilt);
+          const [rx, ry, rz] = rotateYXZ(px, py, pz, coreAY * 0.8, lateTilt * 0.6, coreAZ * 0.4);
+          const [sx, sy, sc, sz] = proj(rx, ry, rz);
+          trailPts.push({ sx, sy, sc, sz, t: ti / st.trailLen });
+        }
+        const avgZ = trailPts.reduce((s, p) => s + p.sz, 0) / trailPts.length;
+        drawList.push({ type: 'streak', z: avgZ, points: trailPts, hue: st.hue, reveal: streakReveal });
+      }
+    }
+
+    // --- Depth sort ---
+    drawList.sort((a, b) => b.z - a.z);
+
+    // --- Draw all ---
+    for (const item of drawList) {
+      if (item.type === 'fil') {
+        const pts = item.points;
+        if (pts.length < 2) continue;
+
+        ctx.beginPath();
+        ctx.moveTo(pts[0].sx, pts[0].sy);
+        for (let i = 1; i < pts.length - 1; i++) {
+          const xc = (pts[i].sx + pts[i + 1].sx) / 2;
+          const yc = (pts[i].sy + pts[i + 1].sy) / 2;
+          ctx.quadraticCurveTo(pts[i].sx, pts[i].sy, xc, yc);
+        }
+        ctx.lineTo(pts[pts.length - 1].sx, pts[pts.length - 1].sy);
+
+        const fh = (baseHue + item.hue) % 360;
+        ctx.strokeStyle = `hsla(${fh}, ${70 + glowPower * 15}%, ${30 + glowPower * 25}%, ${0.08 + glowPower * 0.14})`;
+        ctx.lineWidth = item.lw * (0.7 + glowPower * 0.4);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+
+        // Vivid glow pass
+        ctx.strokeStyle = `hsla(${fh}, ${60 + glowPower * 20}%, ${45 + glowPower * 20}%, ${0.02 + glowPower * 0.04})`;
+        ctx.lineWidth = item.lw * 5;
+        ctx.stroke();
+      }
+
+      if (item.type === 'p') {
+        const isCore = item.ly === 'c';
+        const isRing = item.ly === 'r';
+        // Core uses baseHue, ring uses secondaryHue for color contrast
+        const hue = isRing
+          ? (secondaryHue + item.hs) % 360
+          : (baseHue + item.hs + warmth * (accentHue - baseHue)) % 360;
+        const sat = isCore ? (70 + item.br * 20) : isRing ? (60 + item.br * 25) : (55 + item.br * 20);
+        const light = isCore
+          ? (30 + item.br * glowPower * 45)
+          : isRing ? (25 + item.br * glowPower * 35)
+          : (20 + item.br * glowPower * 30);
+        const depthF = Math.min(1, Math.max(0.15, item.sc * 1.3));
+        const alpha = item.br * (0.2 + glowPower * 0.6) * depthF;
+        const radius = item.sz * (1 + glowPower * 0.2);
+        if (radius < 0.25) continue;
+
+        // Vivid glow halo
+        if (radius > 1.0) {
+          const gs = radius * (isCore ? 5 : 3.5);
+          const grad = ctx.createRadialGradient(item.x, item.y, 0, item.x, item.y, gs);
+          grad.addColorStop(0, `hsla(${hue}, ${sat + 10}%, ${light + 10}%, ${alpha * 0.4})`);
+          grad.addColorStop(0.3, `hsla(${hue}, ${sat}%, ${light * 0.6}%, ${alpha * 0.1})`);
+          grad.addColorStop(1, 'hsla(0, 0%, 0%, 0)');
+          ctx.fillStyle = grad;
+          ctx.fillRect(item.x - gs, item.y - gs, gs * 2, gs * 2);
+        }
+
+        ctx.beginPath();
+        ctx.arc(item.x, item.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = `hsla(${hue}, ${sat}%, ${light}%, ${alpha})`;
+        ctx.fill();
+      }
+
+      if (item.type === 'n') {
+        const hue = (accentHue + item.hue) % 360;
+        const ns = item.size;
+
+        // Outer bloom -- vivid
+        const g3 = ctx.createRadialGradient(item.x, item.y, 0, item.x, item.y, ns * 3);
+        g3.addColorStop(0, `hsla(${hue}, 85%, 65%, ${item.pulse * glowPower * 0.2})`);
+        g3.addColorStop(0.25, `hsla(${hue}, 75%, 45%, ${item.pulse * glowPower * 0.08})`);
+        g3.addColorStop(1, 'hsla(0, 0%, 0%, 0)');
+        ctx.fillStyle = g3;
+        ctx.fillRect(item.x - ns * 3, item.y - ns * 3, ns * 6, ns * 6);
+
+        // Hot white-ish center
+        const g4 = ctx.createRadialGradient(item.x, item.y, 0, item.x, item.y, ns * 0.5);
+        g4.addColorStop(0, `hsla(${(hue - 15 + 360) % 360}, 90%, 85%, ${item.pulse * glowPower * 0.6})`);
+        g4.addColorStop(1, `hsla(${hue}, 70%, 45%, 0)`);
+        ctx.fillStyle = g4;
+        ctx.fillRect(item.x - ns * 0.5, item.y - ns * 0.5, ns, ns);
+      }
+
+      if (item.type === 'streak') {
+        const pts = item.points;
+        if (pts.length < 2) continue;
+        const sh = (secondaryHue + item.hue) % 360;
+
+        for (let i = 0; i < pts.length - 1; i++) {
+          const fade = (1 - pts[i].t) * item.reveal;
+          const alpha = fade * glowPower * 0.45;
+          if (alpha < 0.01) continue;
+          const lw = (1 - pts[i].t) * 3.5 * item.reveal;
+
+          ctx.beginPath();
+          ctx.moveTo(pts[i].sx, pts[i].sy);
+          ctx.lineTo(pts[i + 1].sx, pts[i + 1].sy);
+          ctx.strokeStyle = `hsla(${sh}, 80%, ${55 + glowPower * 25}%, ${alpha})`;
+          ctx.lineWidth = lw;
+          ctx.lineCap = 'round';
+          ctx.stroke();
+        }
+
+        // Bright head with flare
+        const head = pts[0];
+        const headSize = 5 * item.reveal * glowPower;
+        const hg = ctx.createRadialGradient(head.sx, head.sy, 0, head.sx, head.sy, headSize * 4);
+        hg.addColorStop(0, `hsla(${sh}, 90%, 90%, ${item.reveal * glowPower * 0.6})`);
+        hg.addColorStop(0.2, `hsla(${sh}, 85%, 65%, ${item.reveal * glowPower * 0.25})`);
+        hg.addColorStop(0.5, `hsla(${sh}, 70%, 45%, ${item.reveal * glowPower * 0.08})`);
+        hg.addColorStop(1, 'hsla(0, 0%, 0%, 0)');
+        ctx.fillStyle = hg;
+        ctx.fillRect(head.sx - headSize * 4, head.sy - headSize * 4, headSize * 8, headSize * 8);
+      }
+    }
+
+    // --- Core radiance (vivid, color-shifting) ---
+    const cs = baseRadius * (0.25 + glowPower * 0.15);
+    const coreHue = (baseHue + 15) % 360;
+    const cg = ctx.createRadialGradient(cx, cy, 0, cx, cy, cs);
+    cg.addColorStop(0, `hsla(${coreHue}, ${75 + glowPower * 15}%, ${50 + glowPower * 15}%, ${glowPower * 0.12})`);
+    cg.addColorStop(0.3, `hsla(${(coreHue + 20) % 360}, ${60 + glowPower * 10}%, ${30 + glowPower * 10}%, ${glowPower * 0.04})`);
+    cg.addColorStop(1, 'hsla(0, 0%, 0%, 0)');
+    ctx.fillStyle = cg;
+    ctx.fillRect(0, 0, w, h);
+
+    // --- Vignette ---
+    const vig = ctx.createRadialGradient(cx, cy, h * 0.18, cx, cy, h * 0.92);
+    vig.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    vig.addColorStop(1, 'rgba(0, 0, 0, 0.45)');
+    ctx.fillStyle = vig;
+    ctx.fillRect(0, 0, w, h);
+  };
+}
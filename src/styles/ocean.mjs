@@ -0,0 +1,110 @@
+/**
+ * ocean -- Dark ocean surface with procedural waves
+ *
+ * Raw energy drives wave height, turbulence, foam colour and the light glow.
+ */
+
+export const description = 'Dark ocean surface with procedural waves';
+
+export const params = ['palette', 'density'];
+
+export const palettes = {
+  deep: {
+    deep: { r: 4, g: 12, b: 36 },
+    mid: { r: 8, g: 32, b: 72 },
+    surface: { r: 20, g: 60, b: 110 },
+    foam: { r: 180, g: 210, b: 235 },
+    highlight: { r: 255, g: 255, b: 255 },
+  },
+  sunset: {
+    deep: { r: 30, g: 8, b: 28 },
+    mid: { r: 72, g: 24, b: 40 },
+    surface: { r: 150, g: 70, b: 60 },
+    foam: { r: 255, g: 200, b: 150 },
+    highlight: { r: 255, g: 230, b: 190 },
+  },
+  arctic: {
+    deep: { r: 10, g: 24, b: 32 },
+    mid: { r: 30, g: 60, b: 72 },
+    surface: { r: 90, g: 140, b: 160 },
+    foam: { r: 230, g: 245, b: 255 },
+    highlight: { r: 255, g: 255, b: 255 },
+  },
+};
+
+export function create(width, height, opts) {
+  const { palette, density } = opts;
+  const layers = [
+    { amplitude: 0.08, frequency: 0.006, speed: 0.4, phase: 0 },
+    { amplitude: 0.05, frequency: 0.012, speed: 0.7, phase: 2.1 },
+    { amplitude: 0.03, frequency: 0.025, speed: 1.1, phase: 4.3 },
+    { amplitude: 0.015, frequency: 0.05, speed: 1.8, phase: 1.7 },
+  ];
+
+  const { deep: deepColor, mid: midColor, surface: surfaceColor, foam: foamColor, highlight: highlightColor } = palette;
+
+  return function renderFrame(ctx, frameIndex, e, time) {
+    const energy = e.raw;
+    const w = width;
+    const h = height;
+    const waveMultiplier = 0.5 + energy * 2.5;
+    const foamThreshold = 0.7 - energy * 0.4;
+    const colorShift = energy * 0.3;
+    const turbulence = energy * 0.015;
+
+    const bgGrad = ctx.createLinearGradient(0, 0, 0, h);
+    bgGrad.addColorStop(0, `rgb(${deepColor.r}, ${deepColor.g}, ${deepColor.b})`);
+    bgGrad.addColorStop(0.3, `rgb(${Math.floor(deepColor.r + colorShift * 20)}, ${Math.floor(deepColor.g + colorShift * 30)}, ${Math.floor(deepColor.b + colorShift * 40)})`);
+    bgGrad.addColorStop(1, `rgb(${midColor.r}, ${midColor.g}, ${midColor.b})`);
+    ctx.fillStyle = bgGrad;
+    ctx.fillRect(0, 0, w, h);
+
+    const numLines = Math.round(80 * density);
+    for (let line = 0; line < numLines; line++) {
+      const t = line / numLines;
+      const yBase = h * (0.15 + t * t * 0.8);
+      const lineWidth = 1 + t * 2;
+      const alpha = 0.15 + t * 0.5;
+
+      ctx.beginPath();
+      ctx.lineWidth = lineWidth;
+
+      for (let x = 0; x <= w; x += 3) {
+        let displacement = 0;
+        for (const layer of layers) {
+          const amp = layer.amplitude * waveMultiplier * (0.3 + t * 0.7) * h;
+          const freq = layer.frequency * (1 + t * 0.5);
+          displacement += amp * Math.sin(freq * x + layer.speed * time + layer.phase + line * 0.3);
+        }
+        if (turbulence > 0) {
+          displacement += Math.sin(x * 0.08 + time * 3 + line) * turbulence * h * (0.5 + t);
+        }
+        const y = yBase + displacement;
+        if (x === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+
+      const r = Math.floor(surfaceColor.r + (foamColor.r - surfaceColor.r) * t * colorShift);
+      const g = Math.floor(surfaceColor.g + (foamColor.g - surfaceColor.g) * t * colorShift);
+      const b = Math.floor(surfaceColor.b + (foamColor.b - surfaceColor.b) * t * colorShift);
+      ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+      ctx.stroke();
+    }
+
+    const glowRadius = h * 0.3 + energy * h * 0.2;
+    const glowX = w * 0.5 + Math.sin(time * 0.1) * w * 0.1;
+    const glowY = h * 0.08;
+    const glowGrad = ctx.createRadialGradient(glowX, glowY, 0, glowX, glowY, glowRadius);
+    glowGrad.addColorStop(0, `rgba(${highlightColor.r}, ${highlightColor.g}, ${highlightColor.b}, ${0.03 + energy * 0.06})`);
+    glowGrad.addColorStop(0.5, `rgba(${surfaceColor.r + 40}, ${surfaceColor.g + 40}, ${surfaceColor.b + 40}, ${0.01 + energy * 0.03})`);
+    glowGrad.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    ctx.fillStyle = glowGrad;
+    ctx.fillRect(0, 0, w, h);
+
+    const vigGrad = ctx.createRadialGradient(w / 2, h / 2, h * 0.3, w / 2, h / 2, h * 0.9);
+    vigGrad.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    vigGrad.addColorStop(1, 'rgba(0, 0, 0, 0.4)');
+    ctx.fillStyle = vigGrad;
+    ctx.fillRect(0, 0, w, h);
+  };
+}
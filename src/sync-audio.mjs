@@ -0,0 +1,254 @@
+/**
+ * sync-audio.mjs -- Align the score's beat timings to a recorded performance
+ *
+ * Detects note onsets in the audio, finds the global offset (pre-roll,
+ * count-in) and then tracks per-bar drift, producing a time warp that moves
+ * every beat onto the take. Used by index.mjs --sync-audio.
+ *
+ * Usage:
+ *   import { syncToAudio } from './sync-audio.mjs';
+ *   const { anchors, report } = syncToAudio(beatTimings, 'take.wav');
+ */
+
+import { extractPcm } from './analyze-audio.mjs';
+
+// --- Onset detection ---
+
+/**
+ * Detect note onsets from mono PCM using a log-energy novelty curve on the
+ * first-difference signal (emphasises pick attacks over sustained notes).
+ *
+ * @param {Int16Array|Float32Array} samples - mono PCM
+ * @param {number} sampleRate
+ * @param {object} opts
+ * @param {number} opts.hopMs - analysis hop in ms (default: 5)
+ * @param {number} opts.minIntervalMs - minimum gap between onsets (default: 50)
+ * @param {number} opts.sensitivity - threshold in std-devs above local mean (default: 1.5)
+ * @param {number} opts.silenceDb - ignore frames this far below the peak (default: -50)
+ * @returns {{ ms: number, strength: number }[]}
+ */
+export function detectOnsets(samples, sampleRate, opts = {}) {
+  const hopMs = opts.hopMs || 5;
+  const minIntervalMs = opts.minIntervalMs || 50;
+  const sensitivity = opts.sensitivity ?? 1.5;
+  const silenceDb = opts.silenceDb ?? -50;
+
+  const scale = samples instanceof Int16Array ? 1 / 32768 : 1;
+  const hop = Math.max(1, Math.round((sampleRate * hopMs) / 1000));
+  const numFrames = Math.floor(samples.length / hop);
+  if (numFrames < 3) return [];
+
+  // 1. Per-hop energy of the differentiated signal, in dB
+  const energyDb = new Float32Array(numFrames);
+  let peakDb = -Infinity;
+  for (let f = 0; f < numFrames; f++) {
+    let sumSq = 0;
+    const start = f * hop;
+    for (let i = Math.max(1, start); i < start + hop; i++) {
+      const d = (samples[i] - samples[i - 1]) * scale;
+      sumSq += d * d;
+    }
+    energyDb[f] = 10 * Math.log10(sumSq / hop + 1e-12);
+    if (energyDb[f] > peakDb) peakDb = energyDb[f];
+  }
+
+  // 2. Novelty: positive energy rise over two hops, gated by silence floor
+  const novelty = new Float32Array(numFrames);
+  for (let f = 2; f < numFrames; f++) {
+    if (energyDb[f] < peakDb + silenceDb) continue;
+    novelty[f] = Math.max(0, energyDb[f] - energyDb[f - 2]);
+  }
+
+  // 3. Adaptive threshold (mean + k * std over a ~0.5s window) + peak picking
+  const halfWindow = Math.max(1, Math.round(250 / hopMs));
+  const minGap = Math.max(1, Math.round(minIntervalMs / hopMs));
+  const onsets = [];
+  let lastOnset = -Infinity;
+
+  for (let f = 1; f < numFrames - 1; f++) {
+    const v = novelty[f];
+    if (v <= 0 || v < novelty[f - 1] || v < novelty[f + 1]) continue;
+
+    let sum = 0;
+    let sumSq = 0;
+    let count = 0;
+    for (let w = Math.max(0, f - halfWindow); w <= Math.min(numFrames - 1, f + halfWindow); w++) {
+      sum += novelty[w];
+      sumSq += novelty[w] * novelty[w];
+      count++;
+    }
+    const mean = sum / count;
+    const std = Math.sqrt(Math.max(0, sumSq / count - mean * mean));
+    if (v < mean + sensitivity * std) continue;
+
+    if (f - lastOnset < minGap) {
+      // Keep the stronger of two onsets that are too close together
+      if (v > onsets[onsets.length - 1].strength) {
+        onsets[onsets.length - 1] = { ms: (f * hop * 1000) / sampleRate, strength: v };
+        lastOnset = f;
+      }
+      continue;
+    }
+    onsets.push({ ms: (f * hop * 1000) / sampleRate, strength: v });
+    lastOnset = f;
+  }
+
+  return onsets;
+}
+
+// --- Alignment ---
+
+function nearestOnset(onsetMs, targetMs, windowMs) {
+  let lo = 0;
+  let hi = onsetMs.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (onsetMs[mid] < targetMs) lo = mid + 1;
+    else hi = mid;
+  }
+  let best = null;
+  let bestDist = windowMs;
+  for (const i of [lo - 1, lo]) {
+    if (i < 0 || i >= onsetMs.length) continue;
+    const dist = Math.abs(onsetMs[i] - targetMs);
+    if (dist <= bestDist) {
+      best = onsetMs[i];
+      bestDist = dist;
+    }
+  }
+  return best;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Find the constant offset (audio ms - score ms) that lines up the most
+ * score beats with detected onsets. Each beat scores by how close its nearest
+ * onset is, so the best offset sits at the centre of the match rather than
+ * anywhere within tolerance. Coarse 10ms search, then 1ms refinement.
+ */
+export function estimateGlobalOffset(beatMs, onsetMs, opts = {}) {
+  const maxOffsetMs = opts.maxOffsetMs ?? 10000;
+  const toleranceMs = opts.toleranceMs ?? 40;
+
+  const score = (offset) => {
+    let total = 0;
+    for (const ms of beatMs) {
+      const hit = nearestOnset(onsetMs, ms + offset, toleranceMs);
+      if (hit !== null) total += 1 - Math.abs(hit - (ms + offset)) / (toleranceMs + 1);
+    }
+    return total;
+  };
+
+  let best = 0;
+  let bestScore = -1;
+  for (let offset = -maxOffsetMs; offset <= maxOffsetMs; offset += 10) {
+    const total = score(offset);
+    // Prefer the smallest |offset| on ties
+    if (total > bestScore || (total === bestScore && Math.abs(offset) < Math.abs(best))) {
+      best = offset;
+      bestScore = total;
+    }
+  }
+  const coarse = best;
+  for (let offset = coarse - 10; offset <= coarse + 10; offset++) {
+    const total = score(offset);
+    if (total > bestScore) {
+      best = offset;
+      bestScore = total;
+    }
+  }
+  return best;
+}
+
+/**
+ * Align score beats to detected onsets and return warp anchors plus a per-bar
+ * report. Bars are walked in playback order; each bar's offset is the median
+ * of its matched beats, searched around the previous bar's offset so gradual
+ * drift is followed. Bars without a match keep the previous offset.
+ *
+ * @param {object[]} beatTimings - from buildTimingMap (ms, barIndex, pass, isRest, anchors)
+ * @param {{ ms: number }[]} onsets - from detectOnsets
+ * @param {object} opts
+ * @param {number} opts.searchWindowMs - max distance beat -> onset per bar (default: 80)
+ * @param {number} opts.maxOffsetMs - global offset search range (default: 10000)
+ * @param {number} opts.offsetWindowMs - score span used for the global offset (default: 30000)
+ * @returns {{ anchors: { scoreMs: number, audioMs: number }[], report: object }}
+ */
+export function alignToOnsets(beatTimings, onsets, opts = {}) {
+  const searchWindowMs = opts.searchWindowMs ?? 80;
+  const onsetMs = onsets.map((o) => o.ms);
+
+  // Group note beats into played bars (one group per pass through a bar)
+  const bars = [];
+  for (const bt of beatTimings) {
+    if (bt.isRest || bt.isJumpAnchor || bt.isLineEndAnchor) continue;
+    const last = bars[bars.length - 1];
+    if (last && last.barIndex === bt.barIndex && last.pass === bt.pass) {
+      if (last.beatMs[last.beatMs.length - 1] !== bt.ms) last.beatMs.push(bt.ms);
+    } else {
+      bars.push({ barIndex: bt.barIndex, pass: bt.pass, beatMs: [bt.ms] });
+    }
+  }
+
+  const allBeatMs = bars.flatMap((b) => b.beatMs);
+  // Estimate the global offset from the opening of the song, before any drift
+  const openingMs = allBeatMs.length > 0 ? allBeatMs[0] + (opts.offsetWindowMs ?? 30000) : 0;
+  const globalOffsetMs = estimateGlobalOffset(allBeatMs.filter((ms) => ms < openingMs), onsetMs, opts);
+
+  const anchors = [];
+  const barReports = [];
+  let offset = globalOffsetMs;
+  let matchedBeats = 0;
+
+  for (const bar of bars) {
+    const deltas = [];
+    for (const ms of bar.beatMs) {
+      const hit = nearestOnset(onsetMs, ms + offset, searchWindowMs);
+      if (hit !== null) deltas.push(hit - ms);
+    }
+    if (deltas.length > 0) offset = median(deltas);
+    matchedBeats += deltas.length;
+
+    const scoreMs = bar.beatMs[0];
+    let audioMs = scoreMs + offset;
+    // Keep the warp monotonic even if a bar was matched badly
+    const prev = anchors[anchors.length - 1];
+    if (prev && audioMs <= prev.audioMs) audioMs = prev.audioMs + 1;
+    anchors.push({ scoreMs, audioMs });
+
+    barReports.push({
+      barNumber: bar.barIndex + 1,
+      pass: bar.pass,
+      scoreMs: Math.round(scoreMs),
+      offsetMs: Math.round(audioMs - scoreMs),
+      matched: deltas.length,
+      beats: bar.beatMs.length,
+    });
+  }
+
+  return {
+    anchors,
+    report: {
+      globalOffsetMs,
+      onsets: onsets.length,
+      matchedBeats,
+      totalBeats: allBeatMs.length,
+      bars: barReports,
+    },
+  };
+}
+
+/**
+ * Decode an audio file, detect onsets and align the given beat timings.
+ */
+export function syncToAudio(beatTimings, audioPath, opts = {}) {
+  const { samples, sampleRate, duration } = extractPcm(audioPath);
+  const onsets = detectOnsets(samples, sampleRate, opts);
+  const { anchors, report } = alignToOnsets(beatTimings, onsets, opts);
+  return { anchors, report: { audio: audioPath, duration, sampleRate, ...report } };
+}
@@ -0,0 +1,154 @@
+/**
+ * sync-file.mjs -- Manual sync anchors for aligning the score to a take
+ *
+ * A sidecar JSON next to the GP file (song.gp -> song.sync.json) pins bars to
+ * timestamps in the recording. buildTimingMap remaps every beat and section
+ * marker piecewise-linearly between the anchors, so index.mjs,
+ * composite-reel.mjs and practice.mjs all line up with the same take.
+ *
+ * Format:
+ *   {
+ *     "offsetMs": 1200,                         // added to every time (pre-roll, latency)
+ *     "anchors": [
+ *       { "bar": 1, "time": "0:00.000" },       // m:ss.sss, h:mm:ss.sss or seconds
+ *       { "bar": 33, "pass": 2, "ms": 65400 }   // pass = which time through a repeat (1-based)
+ *     ]
+ *   }
+ */
+import * as fs from 'fs';
+import * as path from 'path';
+
+const TOP_LEVEL_KEYS = new Set(['offsetMs', 'anchors']);
+const ANCHOR_KEYS = new Set(['bar', 'pass', 'ms', 'time']);
+
+/**
+ * Parse "m:ss.sss", "h:mm:ss.sss" or plain seconds into milliseconds.
+ * Returns NaN when the string is not a timestamp.
+ */
+export function parseTimestamp(value) {
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) return NaN;
+  const parts = value.trim().split(':').map(Number);
+  let seconds = 0;
+  for (const part of parts) seconds = seconds * 60 + part;
+  return seconds * 1000;
+}
+
+/**
+ * Validate raw sync JSON and normalize it to
+ * { offsetMs, anchors: [{ bar, pass, ms }] } (bar/pass 1-based).
+ *
+ * @param {object} data - parsed JSON
+ * @param {string} label - file name used in error messages
+ */
+export function parseSyncData(data, label = 'sync file') {
+  const fail = (key, message) => {
+    throw new Error(`${label}: "${key}" ${message}`);
+  };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${label}: expected a JSON object with "anchors" and/or "offsetMs"`);
+  }
+  for (const key of Object.keys(data)) {
+    if (!TOP_LEVEL_KEYS.has(key)) fail(key, `is not a sync option (expected ${[...TOP_LEVEL_KEYS].join(', ')})`);
+  }
+
+  const offsetMs = data.offsetMs ?? 0;
+  if (typeof offsetMs !== 'number' || !Number.isFinite(offsetMs)) fail('offsetMs', 'must be a number of milliseconds');
+
+  const rawAnchors = data.anchors ?? [];
+  if (!Array.isArray(rawAnchors)) fail('anchors', 'must be an array');
+
+  const anchors = rawAnchors.map((a, i) => {
+    const key = `anchors[${i}]`;
+    if (!a || typeof a !== 'object') fail(key, 'must be an object like { "bar": 1, "time": "0:01.500" }');
+    for (const k of Object.keys(a)) {
+      if (!ANCHOR_KEYS.has(k)) fail(`${key}.${k}`, `is not an anchor field (expected ${[...ANCHOR_KEYS].join(', ')})`);
+    }
+    if (!Number.isInteger(a.bar) || a.bar < 1) fail(`${key}.bar`, 'must be a bar number >= 1');
+    const pass = a.pass ?? 1;
+    if (!Number.isInteger(pass) || pass < 1) fail(`${key}.pass`, 'must be a pass number >= 1');
+
+    if ((a.ms === undefined) === (a.time === undefined)) fail(key, 'needs exactly one of "ms" or "time"');
+    let ms;
+    if (a.ms !== undefined) {
+      if (typeof a.ms !== 'number' || !Number.isFinite(a.ms)) fail(`${key}.ms`, 'must be a number of milliseconds');
+      ms = a.ms;
+    } else {
+      ms = parseTimestamp(a.time);
+      if (Number.isNaN(ms)) fail(`${key}.time`, 'must look like "1:23.456" or "83.456"');
+    }
+    return { bar: a.bar, pass, ms };
+  });
+
+  return { offsetMs, anchors };
+}
+
+/**
+ * Read and validate a sync file.
+ */
+export function loadSyncFile(filePath) {
+  const label = path.basename(filePath);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`${label}: ${e.message}`);
+  }
+  return { ...parseSyncData(data, label), path: filePath };
+}
+
+/**
+ * Sidecar path for a GP file: song.gp -> song.sync.json (same directory).
+ */
+export function syncFilePathFor(gpPath) {
+  return path.join(path.dirname(gpPath), `${path.basename(gpPath, path.extname(gpPath))}.sync.json`);
+}
+
+/**
+ * Load the explicit --sync file, or the sidecar next to the GP file if one
+ * exists. Returns null when there is nothing to apply.
+ */
+export function resolveSyncFile(gpPath, explicitPath = null) {
+  if (explicitPath) return loadSyncFile(path.resolve(explicitPath));
+  const sidecar = syncFilePathFor(path.resolve(gpPath));
+  return fs.existsSync(sidecar) ? loadSyncFile(sidecar) : null;
+}
+
+/**
+ * Turn bar-number anchors into time-warp anchors ({ scoreMs, audioMs }) using
+ * the playback timeline, so anchors on repeated bars pick the right pass.
+ *
+ * @param {{ offsetMs: number, anchors: object[] }} sync - from parseSyncData
+ * @param {object[]} timeline - from buildPlaybackTimeline
+ * @param {(tick: number) => number} tickToMs - score playback ticks -> ms
+ */
+export function resolveSyncAnchors(sync, timeline, tickToMs) {
+  const label = sync.path ? path.basename(sync.path) : 'sync file';
+
+  if (sync.anchors.length === 0) {
+    // Offset only: shift the whole song
+    return [{ scoreMs: 0, audioMs: sync.offsetMs }];
+  }
+
+  const resolved = sync.anchors.map((a, i) => {
+    const entry = timeline.find((e) => e.masterBarIndex === a.bar - 1 && e.pass === a.pass - 1);
+    if (!entry) {
+      throw new Error(`${label}: "anchors[${i}]" bar ${a.bar} pass ${a.pass} is never played`);
+    }
+    return { scoreMs: tickToMs(entry.start), audioMs: a.ms + sync.offsetMs, index: i };
+  });
+
+  resolved.sort((a, b) => a.scoreMs - b.scoreMs);
+  for (let i = 1; i < resolved.length; i++) {
+    if (resolved[i].scoreMs === resolved[i - 1].scoreMs) {
+      throw new Error(`${label}: "anchors[${resolved[i].index}]" pins the same bar as "anchors[${resolved[i - 1].index}]"`);
+    }
+    if (resolved[i].audioMs <= resolved[i - 1].audioMs) {
+      throw new Error(
+        `${label}: "anchors[${resolved[i].index}]" must be later than "anchors[${resolved[i - 1].index}]" (it comes after it in playback order)`
+      );
+    }
+  }
+
+  return resolved.map(({ scoreMs, audioMs }) => ({ scoreMs, audioMs }));
+}
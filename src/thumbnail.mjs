@@ -0,0 +1,174 @@
+/**
+ * thumbnail.mjs -- Thumbnails from named layouts
+ *
+ * A thumbnail is a background image cropped to the layout, a tab excerpt on
+ * a dark band at the bottom, and title / artist / tuning + BPM text at the
+ * top. The excerpt is the opening bars, or the hardest bar of the track
+ * (practice-engine difficulty scores) centred in the crop.
+ *
+ * Layouts:
+ *   youtube   1280x720   16:9 video thumbnail
+ *   ig-grid   1080x1350  4:5 Instagram grid post (the default)
+ *   square    1080x1080  1:1 post
+ *
+ * Usage:
+ *   import { renderThumbnail, THUMBNAIL_LAYOUTS } from './thumbnail.mjs';
+ *   const image = await renderThumbnail({
+ *     background: 'cover.jpg', strip, layout: THUMBNAIL_LAYOUTS.youtube, format: 'webp',
+ *     barIndex: hardestBarIndex(barFeatures), text: { title, artist, info: 'Drop D · 140 BPM' },
+ *   });
+ */
+import sharp from 'sharp';
+import { createCanvas } from '@napi-rs/canvas';
+import * as path from 'path';
+import { computeMedians, scoreDifficulty } from './practice-engine.mjs';
+
+// Text sizes are px at the layout's size; margin is the gap to the frame edge
+export const THUMBNAIL_LAYOUTS = {
+  youtube: { width: 1280, height: 720, margin: 48, titleSize: 88, artistSize: 44, infoSize: 32, description: 'YouTube thumbnail (16:9)' },
+  'ig-grid': { width: 1080, height: 1350, margin: 50, titleSize: 80, artistSize: 44, infoSize: 34, description: 'Instagram grid post (4:5)' },
+  square: { width: 1080, height: 1080, margin: 50, titleSize: 76, artistSize: 42, infoSize: 32, description: 'Square post (1:1)' },
+};
+
+export const THUMBNAIL_FORMATS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+export const THUMBNAIL_EXCERPTS = ['opening', 'hardest'];
+
+/**
+ * Index of the hardest bar, scored like the practice engine (ties go to the
+ * earlier bar). Returns 0 when every bar is empty.
+ *
+ * @param {object[]} barFeatures - from extractBarFeatures
+ * @returns {number}
+ */
+export function hardestBarIndex(barFeatures) {
+  const medians = computeMedians(barFeatures);
+  let best = 0;
+  let bestScore = -1;
+  barFeatures.forEach((features, i) => {
+    const score = scoreDifficulty(features, medians);
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Strip area for the excerpt: cropWidth wide, from the start of the strip or
+ * centred on a bar, covering the bar's line (page display) or the whole
+ * strip height (scroll display).
+ *
+ * @param {object} strip - { totalWidth, bars, systems }
+ * @param {number|null} barIndex - null = opening bars
+ * @param {number} cropWidth
+ * @param {number} stripHeight - usable strip height (watermark trimmed)
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+export function excerptRect(strip, barIndex, cropWidth, stripHeight) {
+  const width = Math.min(cropWidth, strip.totalWidth);
+  const bar = barIndex === null ? null : strip.bars?.[barIndex];
+  if (!bar) return { left: 0, top: 0, width, height: stripHeight };
+
+  const left = Math.round(Math.min(Math.max(0, bar.x + bar.w / 2 - width / 2), strip.totalWidth - width));
+  const system = (strip.systems || []).length > 1 ? strip.systems[bar.systemIndex] : null;
+  if (!system) return { left, top: 0, width, height: stripHeight };
+  const top = Math.max(0, Math.round(system.y));
+  return { left, top, width, height: Math.min(Math.round(system.h), stripHeight - top) };
+}
+
+// Height of the strip above alphaTab's "rendered by" line: the last gap
+// below a staff row (scan of the first 500px)
+async function trimmedStripHeight(pngBuffer) {
+  const { data, info } = await sharp(pngBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const sw = info.width, sh = info.height, sch = 4;
+  const rowHas = (y) => {
+    for (let x = 0; x < Math.min(500, sw); x += 5) {
+      const off = (y * sw + x) * sch;
+      if (data[off + 3] > 10 && (data[off] > 30 || data[off + 1] > 30 || data[off + 2] > 30)) return true;
+    }
+    return false;
+  };
+  let bottomRow = -1;
+  for (let y = sh - 1; y >= 0; y--) { if (rowHas(y)) { bottomRow = y; break; } }
+  if (bottomRow > 0) {
+    for (let y = bottomRow; y >= 0; y--) {
+      if (!rowHas(y)) {
+        let staffAbove = false;
+        for (let y2 = y - 1; y2 >= Math.max(0, y - 20); y2--) { if (rowHas(y2)) { staffAbove = true; break; } }
+        if (staffAbove) return y;
+      }
+    }
+  }
+  return sh;
+}
+
+// Title, artist and info lines, top-left, as a transparent PNG
+function textLayer(layout, text) {
+  const canvas = createCanvas(layout.width, layout.height);
+  const ctx = canvas.getContext('2d');
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = 'white';
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.7)';
+  ctx.shadowBlur = 12;
+  ctx.shadowOffsetY = 3;
+
+  const maxWidth = layout.width - layout.margin * 2;
+  let y = layout.margin;
+  const lines = [
+    [text.title, layout.titleSize, 'bold', 1.0],
+    [text.artist, layout.artistSize, 'normal', 0.85],
+    [text.info, layout.infoSize, 'normal', 0.7],
+  ];
+  for (const [content, size, weight, alpha] of lines) {
+    if (!content) continue;
+    ctx.font = `${weight} ${size}px sans-serif`;
+    ctx.globalAlpha = alpha;
+    ctx.fillText(content, layout.margin, y, maxWidth);
+    y += size * 1.25;
+  }
+  return canvas.toBuffer('image/png');
+}
+
+/**
+ * Build a thumbnail image.
+ *
+ * @param {object} opts
+ * @param {string} opts.background - background image path (cropped to fill)
+ * @param {object} opts.strip - rendered strip ({ pngBuffer, totalWidth, bars, systems })
+ * @param {object} opts.layout - a THUMBNAIL_LAYOUTS entry
+ * @param {number|null} opts.barIndex - bar to centre on (null = opening bars)
+ * @param {object} opts.text - { title, artist, info } (empty lines are left out)
+ * @param {string} opts.format - jpeg, png or webp (default: jpeg)
+ * @returns {Promise<Buffer>}
+ */
+export async function renderThumbnail(opts) {
+  const { layout, strip } = opts;
+  const bg = sharp(path.resolve(opts.background))
+    .resize(layout.width, layout.height, { fit: 'cover', position: 'center' });
+
+  const rect = excerptRect(strip, opts.barIndex ?? null, layout.width, await trimmedStripHeight(strip.pngBuffer));
+  // Full width, unless that makes the excerpt taller than half the frame
+  const excerpt = await sharp(strip.pngBuffer)
+    .extract(rect)
+    .resize(layout.width, Math.round(layout.height / 2), { fit: 'inside' })
+    .toBuffer();
+  const excerptMeta = await sharp(excerpt).metadata();
+
+  // Tab at the bottom on a dark semi-transparent band for legibility
+  const tabY = layout.height - excerptMeta.height - layout.margin;
+  const bandHeight = excerptMeta.height + layout.margin * 2;
+  const band = await sharp({
+    create: { width: layout.width, height: bandHeight, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0.55 } },
+  }).png().toBuffer();
+
+  const image = bg.composite([
+    { input: band, top: layout.height - bandHeight, left: 0 },
+    { input: excerpt, top: tabY, left: Math.round((layout.width - excerptMeta.width) / 2) },
+    { input: textLayer(layout, opts.text || {}), top: 0, left: 0 },
+  ]);
+  const format = opts.format || 'jpeg';
+  if (format === 'png') return image.png().toBuffer();
+  if (format === 'webp') return image.webp({ quality: 90 }).toBuffer();
+  return image.jpeg({ quality: 92 }).toBuffer();
+}
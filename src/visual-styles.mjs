@@ -0,0 +1,202 @@
+/**
+ * visual-styles.mjs -- Registry of audio-reactive visual styles
+ *
+ * Every module in src/styles/ is a style, named after its file. A style
+ * plugin exports:
+ *
+ *   create(width, height, opts) -> renderFrame(ctx, frameIndex, energy, timeSec)
+ *   description    one line for --help
+ *   params         which of palette, density, seed it takes
+ *   palettes       named palettes, the first is the default (optional)
+ *   audioReactive  false when it ignores the audio (default: true)
+ *
+ * create gets opts = { palette, paletteName, density, seed, random, fps }, with
+ * random a PRNG seeded from --seed, and renderFrame draws one frame into a 2D
+ * canvas context from the song time and the energy channels of analyzeAudio:
+ * { raw, slow, glacial, low, mid, high, centroid, onset, beat, progress }
+ * (see energyContext). Styles that are stateless in time can
+ * start anywhere in the song (a reel window) and land on the same pixels as
+ * the full video; stateful ones (neon-guitar) must be rendered in order.
+ *
+ * Users: visualizer.mjs, composite-reel.mjs --bg <style>, compositor.mjs
+ * "visualizer" backgrounds.
+ *
+ * Usage:
+ *   import { createVisualBackground } from './visual-styles.mjs';
+ *   const audio = await analyzeAudio('song.wav', { fps: 30, smoothing: 7 });
+ *   const bg = createVisualBackground('nebula', 1080, 1920, audio, { palette: 'ember' });
+ *   const rgba = bg.renderFrame(frameIndex); // frame on the audio's clock
+ */
+import * as fs from 'fs';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import { createCanvas } from '@napi-rs/canvas';
+
+export const STYLE_PARAMS = ['palette', 'density', 'seed'];
+export const DEFAULT_SEED = 42;
+
+const STYLES_DIR = new URL('./styles/', import.meta.url);
+
+// Energy for styles rendered without audio
+const SILENCE = { raw: 0, slow: 0, glacial: 0, low: 0, mid: 0, high: 0, centroid: 0, onset: 0, beat: 0, progress: 0 };
+
+/**
+ * Deterministic PRNG (LCG), 0-1.
+ *
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function seededRandom(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 1664525 + 1013904223) & 0xFFFFFFFF;
+    return (s >>> 0) / 0xFFFFFFFF;
+  };
+}
+
+/**
+ * Load every style plugin in a directory, keyed by file name.
+ *
+ * @param {string|URL} dir - default: src/styles/
+ * @returns {Promise<object>} name -> { name, description, params, palettes, audioReactive, create }
+ */
+export async function loadVisualStyles(dir = STYLES_DIR) {
+  const base = dir instanceof URL ? dir : pathToFileURL(path.resolve(dir) + path.sep);
+  const styles = {};
+  const files = fs.readdirSync(base).filter((f) => f.endsWith('.mjs')).sort();
+  for (const file of files) {
+    const plugin = await import(new URL(file, base).href);
+    if (typeof plugin.create !== 'function') {
+      throw new Error(`Style plugin ${file} does not export create(width, height, opts)`);
+    }
+    const name = file.replace(/\.mjs$/, '');
+    styles[name] = {
+      name,
+      description: plugin.description || '',
+      params: plugin.params || [],
+      palettes: plugin.palettes || {},
+      audioReactive: plugin.audioReactive !== false,
+      create: plugin.create,
+    };
+  }
+  return styles;
+}
+
+export const VISUAL_STYLES = await loadVisualStyles();
+
+function styleNamed(style) {
+  if (!Object.hasOwn(VISUAL_STYLES, style)) {
+    throw new Error(`Unknown style: ${style}. Available: ${Object.keys(VISUAL_STYLES).join(', ')}`);
+  }
+  return VISUAL_STYLES[style];
+}
+
+/**
+ * One line per style for --help: name, description, parameters, palettes.
+ *
+ * @returns {string[]}
+ */
+export function styleHelpLines() {
+  return Object.values(VISUAL_STYLES).map((plugin) => {
+    const palettes = Object.keys(plugin.palettes);
+    const extras = [
+      plugin.params.length > 0 ? `takes ${plugin.params.join(', ')}` : null,
+      palettes.length > 0 ? `palettes: ${palettes.join(', ')}` : null,
+    ].filter(Boolean);
+    return `${plugin.name.padEnd(14)}${plugin.description}${extras.length > 0 ? ` (${extras.join('; ')})` : ''}`;
+  });
+}
+
+/**
+ * Resolve --palette / --density / --seed for a style: defaults filled in, and
+ * a parameter the style does not take is an error.
+ *
+ * @param {string} style - a VISUAL_STYLES key
+ * @param {object} params - { palette, density, seed }, unset ones null
+ * @returns {{ palette: object|null, paletteName: string|null, density: number, seed: number, random: Function }}
+ */
+export function styleOptions(style, params = {}) {
+  const plugin = styleNamed(style);
+  for (const key of STYLE_PARAMS) {
+    if (params[key] != null && !plugin.params.includes(key)) {
+      throw new Error(`Style ${style} has no ${key} (it takes: ${plugin.params.join(', ') || 'nothing'})`);
+    }
+  }
+
+  const paletteNames = Object.keys(plugin.palettes);
+  const paletteName = params.palette ?? paletteNames[0] ?? null;
+  if (paletteName !== null && !Object.hasOwn(plugin.palettes, paletteName)) {
+    throw new Error(`Unknown palette for ${style}: ${paletteName}. Available: ${paletteNames.join(', ')}`);
+  }
+  const density = params.density ?? 1;
+  if (!(density > 0)) throw new Error(`density must be a number > 0, got ${density}`);
+  const seed = params.seed ?? DEFAULT_SEED;
+  if (!Number.isInteger(seed)) throw new Error(`seed must be a whole number, got ${seed}`);
+
+  return { palette: paletteName && plugin.palettes[paletteName], paletteName, density, seed, random: seededRandom(seed) };
+}
+
+/**
+ * Renderer for a style name.
+ *
+ * @param {string} style - a VISUAL_STYLES key
+ * @param {number} width
+ * @param {number} height
+ * @param {object} params - { palette, density, seed, fps }
+ * @returns {Function} renderFrame(ctx, frameIndex, energy, timeSec)
+ */
+export function createVisualRenderer(style, width, height, params = {}) {
+  const plugin = styleNamed(style);
+  return plugin.create(width, height, { ...styleOptions(style, params), fps: params.fps });
+}
+
+/**
+ * Energy channels for one frame of analyzeAudio output (clamped to the
+ * audio, so a video running past its end holds the last frame).
+ *
+ * @param {object} audio - from analyzeAudio
+ * @param {number} frame - frame index at audio.fps
+ * @returns {{ raw: number, slow: number, glacial: number, low: number, mid: number, high: number,
+ *   centroid: number, onset: number, beat: number, progress: number }}
+ */
+export function energyContext(audio, frame) {
+  const f = Math.max(0, Math.min(audio.totalFrames - 1, frame));
+  return {
+    raw: audio.energy[f],
+    slow: audio.energySlow[f],
+    glacial: audio.energyGlacial[f],
+    low: audio.bands.low[f],      // band energies, each 0.0-1.0
+    mid: audio.bands.mid[f],
+    high: audio.bands.high[f],
+    centroid: Math.min(1, audio.centroid[f] / (audio.sampleRate / 2)),  // brightness, 0.0-1.0 of Nyquist
+    onset: audio.onset[f],        // 0.0-1.0, peaks on note attacks
+    beat: audio.beatPhase[f],     // 0.0 on each beat, rising to 1.0
+    progress: f / audio.totalFrames,  // 0.0 to 1.0 through the song
+  };
+}
+
+/**
+ * A style driven by an analysed audio file (or silence, for styles that are
+ * not audio reactive), rendering raw RGBA frames.
+ *
+ * @param {string} style - a VISUAL_STYLES key
+ * @param {number} width
+ * @param {number} height
+ * @param {object|null} audio - from analyzeAudio; its fps is the frame rate
+ * @param {object} params - { palette, density, seed }, plus fps without audio
+ * @returns {{ width: number, height: number, renderFrame: (frame: number) => Buffer }}
+ */
+export function createVisualBackground(style, width, height, audio, params = {}) {
+  const fps = audio ? audio.fps : params.fps;
+  const renderer = createVisualRenderer(style, width, height, { ...params, fps });
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  function renderFrame(frame) {
+    ctx.clearRect(0, 0, width, height);
+    renderer(ctx, frame, audio ? energyContext(audio, frame) : SILENCE, frame / fps);
+    return Buffer.from(ctx.getImageData(0, 0, width, height).data.buffer);
+  }
+
+  return { width, height, renderFrame };
+}
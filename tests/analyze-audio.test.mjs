@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { fft, fftTwiddles, analyzePcm, estimateTempo } from '../src/analyze-audio.mjs';
+
+const SAMPLE_RATE = 22050;
+
+function sine(hz, seconds) {
+  return Int16Array.from({ length: SAMPLE_RATE * seconds }, (_, i) => Math.round(16000 * Math.sin((2 * Math.PI * hz * i) / SAMPLE_RATE)));
+}
+
+// Short noise bursts on every beat
+function clicks(bpm, seconds) {
+  const samples = new Int16Array(SAMPLE_RATE * seconds);
+  const interval = Math.round((60 / bpm) * SAMPLE_RATE);
+  let seed = 1;
+  for (let start = 0; start < samples.length; start += interval) {
+    for (let i = 0; i < 400 && start + i < samples.length; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      samples[start + i] = Math.round(((seed / 0x7fffffff) * 2 - 1) * 20000 * (1 - i / 400));
+    }
+  }
+  return samples;
+}
+
+describe('fft', () => {
+  it('puts a pure tone in its bin', () => {
+    const re = Float64Array.from({ length: 64 }, (_, i) => Math.cos((2 * Math.PI * 5 * i) / 64));
+    const im = new Float64Array(64);
+    fft(re, im);
+    expect(re[5]).toBeCloseTo(32);
+    expect(Math.hypot(re[6], im[6])).toBeCloseTo(0);
+  });
+
+  it('matches a direct DFT with a shared twiddle table', () => {
+    const n = 32;
+    const input = Float64Array.from({ length: n }, (_, i) => Math.sin(i * 0.37) + 0.5 * Math.cos(i * 1.9));
+    const re = Float64Array.from(input);
+    const im = new Float64Array(n);
+    fft(re, im, fftTwiddles(n));
+    for (let k = 0; k < n; k++) {
+      let sumRe = 0;
+      let sumIm = 0;
+      for (let i = 0; i < n; i++) {
+        sumRe += input[i] * Math.cos((-2 * Math.PI * k * i) / n);
+        sumIm += input[i] * Math.sin((-2 * Math.PI * k * i) / n);
+      }
+      expect(re[k]).toBeCloseTo(sumRe, 9);
+      expect(im[k]).toBeCloseTo(sumIm, 9);
+    }
+  });
+});
+
+describe('analyzePcm', () => {
+  it('splits the spectrum into bands and a centroid', () => {
+    const bass = analyzePcm(sine(100, 2), SAMPLE_RATE, 2, { fps: 10 });
+    const treble = analyzePcm(sine(6000, 2), SAMPLE_RATE, 2, { fps: 10 });
+    const f = 10;
+    expect(bass.bands.low[f]).toBeGreaterThan(0.9);
+    expect(treble.bands.high[f]).toBeGreaterThan(0.9);
+    expect(bass.centroid[f]).toBeLessThan(300);
+    expect(treble.centroid[f]).toBeGreaterThan(5000);
+    expect(bass.energy.length).toBe(20);
+  });
+
+  it('finds the onsets, tempo and beat grid of a click track', () => {
+    const result = analyzePcm(clicks(100, 12), SAMPLE_RATE, 12, { fps: 30 });
+    expect(result.tempo).toBeGreaterThan(97);
+    expect(result.tempo).toBeLessThan(103);
+    // Clicks every 0.6s (18 frames): onset peaks there, beats within a frame of them
+    expect(result.onset[18]).toBeGreaterThan(0.5);
+    expect(result.onset[27]).toBeLessThan(0.1);
+    for (const sec of result.beats) {
+      expect(Math.abs(sec / 0.6 - Math.round(sec / 0.6))).toBeLessThan(0.1);
+    }
+    const phase = result.beatPhase[18 * 3];
+    expect(Math.min(phase, 1 - phase)).toBeLessThan(0.1);
+  });
+});
+
+describe('estimateTempo', () => {
+  it('needs a couple of slow beats of audio', () => {
+    expect(estimateTempo(new Float32Array(30), 30)).toBeNull();
+  });
+});
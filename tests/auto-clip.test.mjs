@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { energyReader, rankClips } from '../src/auto-clip.mjs';
+
+// 2s bars; difficulty per bar, sections starting at the given bar numbers
+function makeBars(difficulties, sectionStarts = []) {
+  return difficulties.map((difficulty, i) => ({
+    barNumber: i + 1,
+    pass: 1,
+    startMs: i * 2000,
+    endMs: (i + 1) * 2000,
+    difficulty,
+    startsSection: sectionStarts.includes(i + 1),
+  }));
+}
+
+describe('rankClips', () => {
+  it('picks the hardest stretch, on section boundaries', () => {
+    // Sections at bars 1, 9 and 17; bars 9-16 are the hard ones
+    const bars = makeBars([...Array(8).fill(20), ...Array(8).fill(90), ...Array(8).fill(30)], [1, 9, 17]);
+    const [best] = rankClips(bars, { minSec: 15, maxSec: 16 });
+    expect([best.firstBar, best.lastBar]).toEqual([9, 16]);
+    expect(best.parts.sections).toBe(1);
+  });
+
+  it('returns the top N clips without overlaps', () => {
+    const bars = makeBars(Array.from({ length: 40 }, (_, i) => (i < 10 ? 80 : i >= 30 ? 60 : 10)));
+    const clips = rankClips(bars, { minSec: 20, maxSec: 20, count: 3 });
+    expect(clips.map((c) => [c.firstBar, c.lastBar])).toEqual([[1, 10], [31, 40], [11, 20]]);
+  });
+
+  it('weighs in the audio energy', () => {
+    // Flat difficulty, loud second half
+    const bars = makeBars(Array(20).fill(50));
+    const energy = new Float32Array(400).map((_, f) => (f >= 200 ? 1 : 0.1));
+    const [best] = rankClips(bars, { minSec: 20, maxSec: 20, energyAt: energyReader(energy, 10) });
+    expect([best.firstBar, best.lastBar]).toEqual([11, 20]);
+    expect(best.parts.energy).toBeCloseTo(1);
+  });
+
+  it('makes a song shorter than minSec one clip', () => {
+    const clips = rankClips(makeBars([10, 20, 30]), { minSec: 15, maxSec: 30, count: 2 });
+    expect(clips.map((c) => [c.startMs, c.endMs])).toEqual([[0, 6000]]);
+  });
+});
@@ -0,0 +1,263 @@
+import { describe, it, expect } from 'vitest';
+import * as alphaTab from '@coderline/alphatab';
+import { buildPlaybackTimeline, buildTimingMap, buildBarClock } from '../src/build-timing.mjs';
+
+// ---------------------------------------------------------------------------
+// Test helpers -- real scores from alphaTex, fake bounds (no renderer needed)
+// ---------------------------------------------------------------------------
+
+function scoreFromTex(tex) {
+  const settings = new alphaTab.Settings();
+  const importer = new alphaTab.importer.AlphaTexImporter();
+  importer.initFromString(tex, settings);
+  return importer.readScore();
+}
+
+// Mimics renderer.boundsLookup: every bar is `barWidth` px wide and each beat
+// sits at its tick offset within the bar. With `barsPerLine` the bars wrap
+// onto systems `lineHeight` px apart, like the page layout.
+function mockBoundsLookup(score, barWidth = 400, barsPerLine = Infinity, lineHeight = 150) {
+  const staffSystems = [];
+  score.masterBars.forEach((mb, i) => {
+    const line = Math.floor(i / barsPerLine);
+    const x = (i % barsPerLine) * barWidth;
+    if (!staffSystems[line]) {
+      staffSystems[line] = { visualBounds: { x: 0, y: line * lineHeight, w: 0, h: lineHeight - 20 }, bars: [] };
+    }
+    const staffBars = score.tracks[0].staves[0].bars[i];
+    const beats = staffBars.voices[0].beats.map((beat) => {
+      const onNotesX = x + (beat.playbackStart / mb.calculateDuration()) * barWidth;
+      const notes = beat.notes.map((note) => ({
+        note,
+        noteHeadBounds: { x: onNotesX - 5, y: line * lineHeight + note.string * 10, w: 10, h: 10 },
+      }));
+      return { beat, onNotesX, notes };
+    });
+    staffSystems[line].visualBounds.w = x + barWidth;
+    staffSystems[line].bars.push({
+      index: i,
+      visualBounds: { x, w: barWidth },
+      bars: [{ bar: staffBars, beats }],
+    });
+  });
+  return { staffSystems };
+}
+
+const REPEAT_WITH_ENDINGS = `\\tempo 120 .
+\\section Intro \\ro 1.1.4 2.1.4 3.1.4 4.1.4 | \\ae (1) \\rc 2 5.1.1 | \\ae (2) 6.1.1 | \\section Outro 7.1.1`;
+
+// ---------------------------------------------------------------------------
+// buildPlaybackTimeline
+// ---------------------------------------------------------------------------
+
+describe('buildPlaybackTimeline', () => {
+  it('plays bars in notation order when there are no repeats', () => {
+    const score = scoreFromTex('\\tempo 120 . 1.1.1 | 2.1.1 | 3.1.1');
+    const timeline = buildPlaybackTimeline(score);
+    expect(timeline.map(e => e.masterBarIndex)).toEqual([0, 1, 2]);
+    expect(timeline.every(e => e.pass === 0)).toBe(true);
+  });
+
+  it('jumps back to the repeat start and skips the first ending on pass 2', () => {
+    const score = scoreFromTex(REPEAT_WITH_ENDINGS);
+    const timeline = buildPlaybackTimeline(score);
+    expect(timeline.map(e => e.masterBarIndex)).toEqual([0, 1, 0, 2, 3]);
+    expect(timeline.map(e => e.pass)).toEqual([0, 0, 1, 0, 0]);
+  });
+
+  it('returns monotonic playback ticks across jumps', () => {
+    const score = scoreFromTex(REPEAT_WITH_ENDINGS);
+    const timeline = buildPlaybackTimeline(score);
+    for (let i = 1; i < timeline.length; i++) {
+      expect(timeline[i].start).toBe(timeline[i - 1].end);
+    }
+  });
+
+  it('follows D.C. al Fine back to the first bar', () => {
+    const score = scoreFromTex('\\tempo 120 . 1.1.1 | 2.1.1 | \\jump DaCapoAlFine 3.1.1');
+    const timeline = buildPlaybackTimeline(score);
+    expect(timeline.map(e => e.masterBarIndex)).toEqual([0, 1, 2, 0, 1, 2]);
+  });
+
+  it('reports the tempo in effect on each pass', () => {
+    const score = scoreFromTex('\\tempo 120 . 1.1.1 | \\tempo 60 2.1.1 | \\jump DaCapo 3.1.1');
+    const timeline = buildPlaybackTimeline(score);
+    // Back at bar 1 after D.C., the tempo is 120 again
+    expect(timeline[3].masterBarIndex).toBe(0);
+    expect(timeline[3].tempoChanges[0].bpm).toBe(120);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildTimingMap
+// ---------------------------------------------------------------------------
+
+describe('buildTimingMap', () => {
+  it('includes the repeated pass in the song duration', () => {
+    const score = scoreFromTex(REPEAT_WITH_ENDINGS);
+    const { songDurationMs } = buildTimingMap(score, mockBoundsLookup(score));
+    // 5 played bars of 4/4 at 120 BPM = 10s
+    expect(songDurationMs).toBeCloseTo(10000);
+  });
+
+  it('scrolls back to the repeat start on the second pass', () => {
+    const score = scoreFromTex(REPEAT_WITH_ENDINGS);
+    const { beatTimings } = buildTimingMap(score, mockBoundsLookup(score));
+    const secondPass = beatTimings.filter(bt => bt.barIndex === 0 && bt.pass === 1 && !bt.isJumpAnchor);
+    expect(secondPass).toHaveLength(4);
+    expect(secondPass[0].ms).toBeCloseTo(4000);
+    expect(secondPass[0].pixelX).toBeCloseTo(0);
+  });
+
+  it('shows the second ending after the repeat', () => {
+    const score = scoreFromTex(REPEAT_WITH_ENDINGS);
+    const { beatTimings } = buildTimingMap(score, mockBoundsLookup(score));
+    const ending2 = beatTimings.find(bt => bt.barIndex === 2);
+    expect(ending2.ms).toBeCloseTo(6000);
+    expect(ending2.pixelX).toBeCloseTo(800);
+  });
+
+  it('anchors the cursor at the bar end before a jump', () => {
+    const score = scoreFromTex(REPEAT_WITH_ENDINGS);
+    const { beatTimings } = buildTimingMap(score, mockBoundsLookup(score));
+    const jumpIdx = beatTimings.findIndex(bt => bt.barIndex === 0 && bt.pass === 1);
+    const anchor = beatTimings[jumpIdx - 1];
+    expect(anchor.isJumpAnchor).toBe(true);
+    expect(anchor.ms).toBeCloseTo(4000);
+    expect(anchor.pixelX).toBe(800); // right edge of bar 2 (first ending)
+  });
+
+  it('keeps beat timings sorted by time', () => {
+    const score = scoreFromTex(REPEAT_WITH_ENDINGS);
+    const { beatTimings } = buildTimingMap(score, mockBoundsLookup(score));
+    for (let i = 1; i < beatTimings.length; i++) {
+      expect(beatTimings[i].ms).toBeGreaterThanOrEqual(beatTimings[i - 1].ms);
+    }
+  });
+
+  it('emits a section marker for every pass', () => {
+    const score = scoreFromTex(REPEAT_WITH_ENDINGS);
+    const { sectionMarkers } = buildTimingMap(score, mockBoundsLookup(score));
+    expect(sectionMarkers.map(m => [m.text, m.pass])).toEqual([
+      ['Intro', 0], ['Intro', 1], ['Outro', 0],
+    ]);
+    expect(sectionMarkers[1].ms).toBeCloseTo(4000);
+    expect(sectionMarkers[1].endMs).toBeCloseTo(8000);
+  });
+
+  it('anchors the cursor at the line end when bars wrap', () => {
+    const score = scoreFromTex('\\tempo 120 . 1.1.1 | 2.1.1 | 3.1.1 | 4.1.1');
+    const { beatTimings, systems } = buildTimingMap(score, mockBoundsLookup(score, 400, 2));
+    expect(systems.map(s => s.y)).toEqual([0, 150]);
+    const lineEnd = beatTimings.find(bt => bt.isLineEndAnchor);
+    expect(lineEnd).toMatchObject({ barIndex: 1, systemIndex: 0, pixelX: 800 });
+    expect(lineEnd.ms).toBeCloseTo(4000);
+    const bar3 = beatTimings.find(bt => bt.barIndex === 2);
+    expect(bar3).toMatchObject({ systemIndex: 1, pixelX: 0 });
+  });
+
+  it('places section markers on their line', () => {
+    const score = scoreFromTex('\\tempo 120 . \\section A 1.1.1 | 2.1.1 | \\section B 3.1.1 | 4.1.1');
+    const { sectionMarkers } = buildTimingMap(score, mockBoundsLookup(score, 400, 2));
+    expect(sectionMarkers.map(m => [m.text, m.systemIndex, m.pixelY])).toEqual([['A', 0, 0], ['B', 1, 150]]);
+  });
+
+  it('highlights every note head on every pass while it sounds', () => {
+    const score = scoreFromTex(REPEAT_WITH_ENDINGS);
+    const { noteHighlights } = buildTimingMap(score, mockBoundsLookup(score));
+    const bar1 = noteHighlights.filter(n => n.barIndex === 0);
+    expect(bar1.map(n => n.pass)).toEqual([0, 0, 0, 0, 1, 1, 1, 1]);
+    // Quarter notes at 120 BPM: 500ms each
+    expect(bar1[1].ms).toBeCloseTo(500);
+    expect(bar1[1].endMs).toBeCloseTo(1000);
+    expect(bar1[4].ms).toBeCloseTo(4000);
+    expect(bar1[1]).toMatchObject({ x: 95, w: 10, h: 10 });
+  });
+
+  it('highlights each note of a chord', () => {
+    const score = scoreFromTex('\\tempo 120 . (0.6 2.5 2.4).1');
+    const { noteHighlights } = buildTimingMap(score, mockBoundsLookup(score));
+    expect(noteHighlights.map(n => n.y).sort()).toEqual([10, 20, 30]);
+    noteHighlights.forEach(n => expect(n.endMs).toBeCloseTo(2000));
+  });
+
+  it('times each beat once and highlights only the tab under standard notation', () => {
+    const score = scoreFromTex('\\tempo 120 . (0.6 2.5).4 2.1.4 3.1.4 4.1.4');
+    const lookup = mockBoundsLookup(score);
+    // --notation both: a standard staff 100px above the tab, same beats
+    for (const masterBar of lookup.staffSystems[0].bars) {
+      const tab = masterBar.bars[0];
+      const standard = {
+        bar: tab.bar,
+        beats: tab.beats.map((b) => ({
+          ...b,
+          notes: b.notes.map((n) => ({ ...n, noteHeadBounds: { ...n.noteHeadBounds, y: n.noteHeadBounds.y - 100 } })),
+        })),
+      };
+      masterBar.bars = [standard, tab];
+    }
+    const { beatTimings, noteHighlights } = buildTimingMap(score, lookup);
+    expect(beatTimings.map(bt => bt.ms)).toEqual([0, 500, 1000, 1500]);
+    expect(noteHighlights).toHaveLength(5);
+    expect(noteHighlights.every(n => n.y > 0)).toBe(true);
+  });
+
+  it('marks every tempo change on every pass', () => {
+    const score = scoreFromTex('\\tempo 120 . 1.1.1 | \\tempo 60 2.1.1 | \\jump DaCapo 3.1.1');
+    const { tempoMarkers } = buildTimingMap(score, mockBoundsLookup(score));
+    // 120 BPM bar (2s), then 60 BPM bars (4s each); D.C. returns to 120
+    expect(tempoMarkers.map(({ bpm, barIndex, pass, ms }) => [bpm, barIndex, pass, Math.round(ms)])).toEqual([
+      [60, 1, 0, 2000],
+      [120, 0, 1, 10000],
+      [60, 1, 1, 12000],
+    ]);
+  });
+
+  it('falls back to score-model estimation without bounds', () => {
+    const score = scoreFromTex(REPEAT_WITH_ENDINGS);
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const result = buildTimingMap(score, null);
+      expect(result.needsPixelMapping).toBe(true);
+      expect(result.songDurationMs).toBeCloseTo(10000);
+      expect(result.beatTimings.filter(bt => bt.pass === 1)).toHaveLength(4);
+      // Nothing positional, but the same shape as the bounds path
+      expect(result.sectionMarkers).toEqual([]);
+      expect(result.noteHighlights).toEqual([]);
+      expect(result.systems).toEqual([]);
+      expect(result.bars).toEqual([]);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildBarClock
+// ---------------------------------------------------------------------------
+
+describe('buildBarClock', () => {
+  // 4/4 at 120, then 7/8 bars, then 60 BPM from bar 4
+  const score = scoreFromTex(
+    '\\tempo 120 . \\section Intro 1.1.1 | \\ts 7 8 \\section Riff 2.1.8 2.1.8 2.1.8 2.1.8 2.1.8 2.1.8 2.1.8 | ' +
+    '3.1.8 3.1.8 3.1.8 3.1.8 3.1.8 3.1.8 3.1.8 | \\tempo 60 \\section Outro 4.1.8 4.1.8 4.1.8 4.1.8 4.1.8 4.1.8 4.1.8'
+  );
+  const clock = buildBarClock(score);
+
+  it('seeks bars through time signature and tempo changes', () => {
+    // Bar 1: 2s; 7/8 bars at 120: 1.75s each; at 60: 3.5s
+    expect(clock.barStartMs(3)).toBeCloseTo(3750);
+    expect(clock.barStartMs(4)).toBeCloseTo(5500);
+    expect(clock.barEndMs(4)).toBeCloseTo(9000);
+  });
+
+  it('finds a section by name, up to the next section', () => {
+    expect(clock.sectionNames()).toEqual(['Intro', 'Riff', 'Outro']);
+    const riff = clock.sectionRange('riff');
+    expect([riff.text, riff.firstBar, riff.lastBar]).toEqual(['Riff', 2, 3]);
+    expect(riff.startMs).toBeCloseTo(2000);
+    expect(riff.endMs).toBeCloseTo(5500);
+    expect(clock.sectionRange('Bridge')).toBeNull();
+  });
+});
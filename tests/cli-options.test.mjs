@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { parseCommonOptions } from '../src/cli-options.mjs';
+import { PLATFORM_PRESETS } from '../src/platforms.mjs';
+
+const settings = { platforms: PLATFORM_PRESETS };
+
+describe('parseCommonOptions', () => {
+  it('pulls out the shared flags and leaves the rest in order', () => {
+    const { options, rest, help } = parseCommonOptions(
+      ['song.gp', '--platform', 'youtube', '--fps', '60', '-o', 'out.mp4', '--workers', '3'],
+      ['platform', 'output', 'workers'],
+      settings,
+    );
+    expect(options).toEqual({ platform: 'youtube', output: 'out.mp4', workers: 3 });
+    expect(rest).toEqual(['song.gp', '--fps', '60']);
+    expect(help).toBe(false);
+  });
+
+  it('checks values the same way for every script', () => {
+    const parse = (...argv) => () => parseCommonOptions(argv, ['platform', 'workers', 'audio'], settings);
+    expect(parse('--workers', '0')).toThrow('--workers must be a whole number >= 1');
+    expect(parse('--platform', 'myspace')).toThrow(/Unknown platform: myspace\. Available: .*youtube/);
+    expect(parse('--audio', 'missing.wav')).toThrow('Audio file not found: missing.wav');
+    expect(parse('song.gp', '--platform')).toThrow('--platform needs a value (NAME)');
+    expect(parse('--workers', '--fps')).toThrow('--workers needs a value (N)');
+    expect(parse('--sync', 'take.sync.json')).toThrow('--sync is not an option of this command');
+  });
+
+  it('splits a platform list and reports help', () => {
+    const { options } = parseCommonOptions(['--platform', 'youtube, instagram'], ['platform'], { ...settings, platformList: true });
+    expect(options.platform).toEqual(['youtube', 'instagram']);
+    expect(parseCommonOptions(['song.gp', '-h', '--workers', 'x'], ['workers']).help).toBe(true);
+  });
+});
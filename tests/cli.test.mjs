@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { spawnSync } from 'child_process';
+import * as path from 'path';
+
+const CLI = path.resolve(import.meta.dirname, '../src/cli.mjs');
+
+function run(...args) {
+  const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+  return { status: result.status, out: result.stdout + result.stderr };
+}
+
+describe('gp-tab-video', () => {
+  it('lists every subcommand in --help', () => {
+    const { status, out } = run('--help');
+    expect(status).toBe(0);
+    for (const name of ['render', 'composite', 'reel', 'viz', 'click', 'midi', 'practice', 'preview', 'batch']) {
+      expect(out).toContain(`  ${name} `);
+    }
+  });
+
+  it('shows the script usage for <command> --help', () => {
+    const { status, out } = run('midi', '--help');
+    expect(status).toBe(0);
+    expect(out).toContain('Usage: node src/export-midi.mjs');
+  });
+
+  it('passes arguments through to the script', () => {
+    const { status, out } = run('midi', 'missing-song.gp');
+    expect(status).toBe(1);
+    expect(out).toContain('File not found');
+    expect(out).toContain('missing-song.gp');
+  });
+
+  it('checks shared flags the same way in every script', () => {
+    const { status, out } = run('click', 'song.gp', '--workers', '2');
+    expect(status).toBe(1);
+    expect(out).toContain('Error: --workers is not an option of this command');
+    expect(run('practice', 'song.gp', '--sync').out).toContain('Error: --sync needs a value (FILE)');
+  });
+
+  it('rejects unknown commands', () => {
+    const { status, out } = run('rendr');
+    expect(status).toBe(1);
+    expect(out).toContain('Unknown command: rendr');
+  });
+});
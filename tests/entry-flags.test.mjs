@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { spawnSync } from 'child_process';
+import * as path from 'path';
+import { COMMON_OPTIONS } from '../src/cli-options.mjs';
+
+const SRC = path.resolve(import.meta.dirname, '../src');
+
+// Each entry point and the shared flags it takes (cli-options.mjs)
+const ENTRY_POINTS = {
+  'index.mjs': ['platform', 'output', 'workers', 'audio', 'sync', 'profile'],
+  'composite-reel.mjs': ['platform', 'output', 'workers', 'audio', 'sync', 'profile'],
+  'visualizer.mjs': ['platform', 'output', 'profile'],
+  'compositor.mjs': ['platform', 'output', 'audio'],
+  'prep.mjs': ['output'],
+  'practice.mjs': ['output', 'sync'],
+  'export-midi.mjs': ['output'],
+  'preview.mjs': [],
+  'batch.mjs': ['platform', 'profile', 'workers'],
+};
+
+function run(script, ...args) {
+  const result = spawnSync(process.execPath, [path.join(SRC, script), ...args], { encoding: 'utf8', timeout: 30000 });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+describe.each(Object.entries(ENTRY_POINTS))('%s', (script, takes) => {
+  it('prints its usage to stdout for --help and -h', () => {
+    for (const flag of ['--help', '-h']) {
+      const { status, stdout } = run(script, 'song.gp', flag);
+      expect(status).toBe(0);
+      expect(stdout).toContain(`Usage: node src/${script}`);
+    }
+  });
+
+  it('rejects the shared flags it does not take', () => {
+    for (const key of Object.keys(COMMON_OPTIONS).filter((k) => !takes.includes(k))) {
+      const flag = COMMON_OPTIONS[key].flags[0];
+      const { status, stderr } = run(script, 'song.gp', flag, 'x');
+      expect(status).toBe(1);
+      expect(stderr).toContain(`Error: ${flag} is not an option of this command`);
+    }
+  });
+
+  it.skipIf(takes.length === 0)('needs a value after each shared flag it takes', () => {
+    for (const key of takes) {
+      const { flags, value } = COMMON_OPTIONS[key];
+      const { status, stderr } = run(script, 'song.gp', flags[0]);
+      expect(status).toBe(1);
+      expect(stderr).toContain(`Error: ${flags[0]} needs a value (${value})`);
+      expect(stderr).toContain('Run with --help for usage.');
+    }
+  });
+
+  it.skipIf(!takes.includes('workers'))('checks --workers', () => {
+    const { status, stderr } = run(script, 'song.gp', '--workers', '0');
+    expect(status).toBe(1);
+    expect(stderr).toContain('Error: --workers must be a whole number >= 1');
+  });
+
+  it.skipIf(!takes.includes('platform'))('checks --platform', () => {
+    const { status, stderr } = run(script, 'song.gp', '--platform', 'myspace');
+    expect(status).toBe(1);
+    expect(stderr).toContain('Unknown platform: myspace');
+  });
+
+  it.skipIf(!takes.includes('output'))('takes -o for --output', () => {
+    const { status, stderr } = run(script, 'song.gp', '-o');
+    expect(status).toBe(1);
+    expect(stderr).toContain('Error: -o needs a value (FILE)');
+  });
+});
@@ -0,0 +1,285 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import {
+  generateFrames, pageViewportHeight, createNoteHighlighter, createCamera,
+} from '../src/generate-frames.mjs';
+
+// ---------------------------------------------------------------------------
+// Test helpers -- a blank page render with two lines, 4 bars of 2s per line
+// ---------------------------------------------------------------------------
+
+const WIDTH = 800;
+const SYSTEMS = [
+  { x: 0, y: 0, w: 800, h: 130 },
+  { x: 0, y: 150, w: 800, h: 130 },
+];
+const BEATS = [
+  { ms: 0, pixelX: 0, systemIndex: 0 },
+  { ms: 2000, pixelX: 400, systemIndex: 0 },
+  { ms: 4000, pixelX: 800, systemIndex: 0, isLineEndAnchor: true },
+  { ms: 4000, pixelX: 0, systemIndex: 1 },
+  { ms: 6000, pixelX: 400, systemIndex: 1 },
+];
+
+async function blankPage(height = 300) {
+  return sharp({
+    create: { width: WIDTH, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } },
+  }).png().toBuffer();
+}
+
+// Cursor core pixels are drawn at alpha 230 on a transparent page
+function cursorAt(frame) {
+  for (let y = 0; y < frame.height; y++) {
+    for (let x = 0; x < frame.width; x++) {
+      if (frame.buffer[(y * frame.width + x) * 4 + 3] === 230) return { x, y };
+    }
+  }
+  return null;
+}
+
+async function collect(display, frames, extra = {}) {
+  const out = new Map();
+  const gen = generateFrames(await blankPage(), BEATS, 8000, WIDTH, 300, {
+    fps: 10, viewportWidth: WIDTH, display, systems: SYSTEMS, visibleLines: 1, ...extra,
+  });
+  for await (const f of gen) {
+    if (frames.includes(f.frame)) out.set(f.frame, { ...f, cursor: cursorAt(f) });
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// pageViewportHeight
+// ---------------------------------------------------------------------------
+
+describe('pageViewportHeight', () => {
+  it('fits the tallest run of visible lines plus padding', () => {
+    expect(pageViewportHeight(SYSTEMS, 1)).toBe(130 + 24);
+    expect(pageViewportHeight(SYSTEMS, 2)).toBe(280 + 24);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// generateFrames -- page display modes
+// ---------------------------------------------------------------------------
+
+describe('generateFrames (page display)', () => {
+  it('moves the cursor across a static line', async () => {
+    const frames = await collect('flip', [0, 10]);
+    expect(frames.get(0).cursor).toEqual({ x: 0, y: 12 });
+    expect(frames.get(10).cursor).toEqual({ x: 200, y: 12 });
+  });
+
+  it('flip cuts to the next line when it starts', async () => {
+    const frames = await collect('flip', [39, 40]);
+    expect(frames.get(39).cursor.y).toBe(12);
+    expect(frames.get(40).cursor).toEqual({ x: 0, y: 12 });
+  });
+
+  it('page slides up to the next line before it starts', async () => {
+    const frames = await collect('page', [38, 40], { transitionMs: 400 });
+    // Halfway through the slide the current line has moved up off the top
+    expect(frames.get(38).cursor.y).toBe(0);
+    expect(frames.get(40).cursor).toEqual({ x: 0, y: 12 });
+  });
+
+  it('needs staff systems from a page-layout render', async () => {
+    const gen = generateFrames(await blankPage(), BEATS, 8000, WIDTH, 300, { display: 'page' });
+    await expect(gen.next()).rejects.toThrow('page-layout render');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// generateFrames -- watermark trimming
+// ---------------------------------------------------------------------------
+
+describe('generateFrames (watermark trimming)', () => {
+  // A 2000px strip: staff lines across the top, a low note hanging below the
+  // staff far along the strip, and watermark text at the bottom left.
+  async function stripWithWatermark() {
+    const w = 2000;
+    const h = 120;
+    const raw = Buffer.alloc(w * h * 4);
+    const paint = (x0, x1, y0, y1) => {
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) raw.fill(255, (y * w + x) * 4, (y * w + x) * 4 + 4);
+      }
+    };
+    for (let y = 10; y < 60; y += 10) paint(0, w, y, y + 1);
+    paint(1500, 1510, 60, 85); // ledger-line note below the staff
+    paint(0, 200, 100, 110); // "rendered by alphaTab"
+    return { png: await sharp(raw, { raw: { width: w, height: h, channels: 4 } }).png().toBuffer(), w, h };
+  }
+
+  it('removes the watermark but keeps notes below the staff', async () => {
+    const { png, w, h } = await stripWithWatermark();
+    const beats = [{ ms: 0, pixelX: 1500 }, { ms: 1000, pixelX: 1900 }];
+    const gen = generateFrames(png, beats, 100, w, h, { fps: 10, viewportWidth: w, cursorWidth: 1 });
+    const { value: frame } = await gen.next();
+    // Viewport starts at x=0 (cursor at 1/3 of the viewport clamps the crop)
+    const alphaAt = (x, y) => frame.buffer[(y * w + x) * 4 + 3];
+    expect(alphaAt(100, 105)).toBe(0);
+    expect(alphaAt(1505, 80)).toBe(255);
+    expect(alphaAt(100, 20)).toBe(255);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createNoteHighlighter
+// ---------------------------------------------------------------------------
+
+describe('createNoteHighlighter', () => {
+  const RED = { r: 255, g: 0, b: 0 };
+
+  // 20x10 frame: white "fret number" pixel at (5, 5) on a dark background
+  function frame() {
+    const buf = Buffer.alloc(20 * 10 * 4);
+    for (let i = 0; i < 20 * 10; i++) buf.set([20, 20, 20, 255], i * 4);
+    buf.set([255, 255, 255, 255], (5 * 20 + 5) * 4);
+    return buf;
+  }
+  const pixel = (buf, x, y) => [...buf.subarray((y * 20 + x) * 4, (y * 20 + x) * 4 + 3)];
+  const note = { ms: 1000, endMs: 1500, x: 104, y: 4, w: 4, h: 4 };
+
+  it('tints the note while it sounds, offset by the crop position', () => {
+    const hl = createNoteHighlighter([note], { highlightColor: RED });
+    const buf = frame();
+    hl.draw(buf, 20, 10, 100, 0, 1200);
+    expect(pixel(buf, 5, 5)).toEqual([255, 0, 0]);
+    expect(pixel(buf, 6, 5)).toEqual([20, 20, 20]); // background untouched
+  });
+
+  it('leaves notes alone before they start and after the fade', () => {
+    const hl = createNoteHighlighter([note], { highlightColor: RED, highlightFadeMs: 200 });
+    const before = frame();
+    hl.draw(before, 20, 10, 100, 0, 900);
+    expect(pixel(before, 5, 5)).toEqual([255, 255, 255]);
+    const fading = frame();
+    hl.draw(fading, 20, 10, 100, 0, 1600);
+    expect(pixel(fading, 5, 5)).toEqual([255, 128, 128]);
+    const after = frame();
+    hl.draw(after, 20, 10, 100, 0, 1700);
+    expect(pixel(after, 5, 5)).toEqual([255, 255, 255]);
+  });
+});
+
+
+// ---------------------------------------------------------------------------
+// createCamera -- scroll modes
+// ---------------------------------------------------------------------------
+
+describe('createCamera', () => {
+  // Four 400px bars of 2s, two beats per bar (second beat off-centre)
+  const beats = [];
+  for (let bar = 0; bar < 4; bar++) {
+    beats.push({ ms: bar * 2000, pixelX: bar * 400, barIndex: bar, pass: 0 });
+    beats.push({ ms: bar * 2000 + 1000, pixelX: bar * 400 + 300, barIndex: bar, pass: 0 });
+  }
+  const bars = [0, 1, 2, 3].map((i) => ({ x: i * 400, w: 400, systemIndex: 0 }));
+  const base = { viewportWidth: 1000, cursorX: 200, fps: 10, bars };
+
+  it('linear keeps the playhead at cursorX', () => {
+    const camera = createCamera(beats, { ...base, scrollMode: 'linear' });
+    expect(camera(500)).toBe(150 - 200);
+    expect(camera(3000)).toBe(700 - 200);
+  });
+
+  it('bar moves at constant speed through each bar', () => {
+    const camera = createCamera(beats, { ...base, scrollMode: 'bar' });
+    expect(camera(500)).toBe(100 - 200);
+    expect(camera(1000)).toBe(200 - 200);
+    expect(camera(1500)).toBe(300 - 200);
+  });
+
+  it('spring follows smoothly without overshooting and snaps on jumps', () => {
+    const jump = [
+      { ms: 0, pixelX: 0, barIndex: 0, pass: 0 },
+      { ms: 1000, pixelX: 100, barIndex: 0, pass: 0 },
+      { ms: 2000, pixelX: 100, barIndex: 0, pass: 0, isJumpAnchor: true },
+      { ms: 2000, pixelX: 2000, barIndex: 5, pass: 0 },
+      { ms: 3000, pixelX: 2400, barIndex: 5, pass: 0 },
+    ];
+    const camera = createCamera(jump, { ...base, scrollMode: 'spring' });
+    const xs = [];
+    for (let ms = 0; ms < 2000; ms += 100) xs.push(camera(ms));
+    for (let i = 1; i < xs.length; i++) {
+      expect(xs[i]).toBeGreaterThanOrEqual(xs[i - 1]);
+      expect(xs[i]).toBeLessThanOrEqual(100 - 200);
+    }
+    expect(camera(2000)).toBe(2000 - 200);
+  });
+
+  it('lookahead keeps the next bar inside the viewport', () => {
+    const camera = createCamera(beats, { ...base, scrollMode: 'lookahead' });
+    for (let bar = 0; bar < 3; bar++) {
+      const x = camera(bar * 2000);
+      expect(x + 1000).toBeGreaterThanOrEqual(bars[bar + 1].x + bars[bar + 1].w);
+      expect(x).toBeLessThanOrEqual(bar * 400);
+    }
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => createCamera(beats, { ...base, scrollMode: 'wobble' })).toThrow('Unknown scroll mode: wobble');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// generateFrames -- worker threads
+// ---------------------------------------------------------------------------
+
+describe('generateFrames (workers)', () => {
+  // A strip with a gradient so every crop position looks different
+  async function gradientStrip(w, h) {
+    const raw = Buffer.alloc(w * h * 4);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) raw.set([x % 256, (x >> 8) * 40, y, 255], (y * w + x) * 4);
+    }
+    return sharp(raw, { raw: { width: w, height: h, channels: 4 } }).png().toBuffer();
+  }
+
+  async function render(png, beats, extra) {
+    const frames = [];
+    for await (const f of generateFrames(png, beats, 3000, 1600, 300, { fps: 10, viewportWidth: 400, ...extra })) {
+      frames.push({ frame: f.frame, hash: Buffer.from(f.buffer).toString('base64') });
+    }
+    return frames;
+  }
+
+  it('matches the in-process frames, in order', async () => {
+    const png = await gradientStrip(1600, 300);
+    const beats = [
+      { ms: 0, pixelX: 0, systemIndex: 0 },
+      { ms: 1500, pixelX: 700, systemIndex: 0 },
+      { ms: 3000, pixelX: 1500, systemIndex: 0 },
+    ];
+    const notes = [{ ms: 500, endMs: 900, x: 200, y: 50, w: 20, h: 20 }];
+    const extra = { scrollMode: 'spring', noteHighlights: notes, highlightFadeMs: 300 };
+    const serial = await render(png, beats, extra);
+    const parallel = await render(png, beats, { ...extra, workers: 3 });
+    expect(parallel.map((f) => f.frame)).toEqual(serial.map((f) => f.frame));
+    expect(parallel).toEqual(serial);
+  });
+
+  it('renders only the requested frame ranges', async () => {
+    const png = await gradientStrip(1600, 300);
+    const beats = [{ ms: 0, pixelX: 0 }, { ms: 3000, pixelX: 1500 }];
+    const all = await render(png, beats, {});
+    const frameRanges = [[2, 5], [20, 40]];
+    const serial = await render(png, beats, { frameRanges });
+    const parallel = await render(png, beats, { frameRanges, workers: 2 });
+    const expected = all.filter((f) => (f.frame >= 2 && f.frame < 5) || f.frame >= 20);
+    expect(serial).toEqual(expected);
+    expect(parallel).toEqual(expected);
+  });
+
+  it('stops its workers when the consumer stops early', async () => {
+    const png = await gradientStrip(1600, 300);
+    const gen = generateFrames(png, [{ ms: 0, pixelX: 0 }, { ms: 3000, pixelX: 1500 }], 3000, 1600, 300, {
+      fps: 10, viewportWidth: 400, workers: 2,
+    });
+    for await (const f of gen) {
+      if (f.frame === 3) break;
+    }
+    expect((await gen.next()).done).toBe(true);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { buildHudTimeline, hudState, createHud } from '../src/hud.mjs';
+
+// Four 2s bars, the second in 3/4; bar 2 is repeated (jump anchor before the repeat)
+const timeline = buildHudTimeline({
+  beatTimings: [
+    { ms: 0, barIndex: 0, pass: 0 },
+    { ms: 1000, barIndex: 0, pass: 0 },
+    { ms: 2000, barIndex: 1, pass: 0 },
+    { ms: 4000, barIndex: 1, pass: 0, isJumpAnchor: true },
+    { ms: 4000, barIndex: 1, pass: 1 },
+    { ms: 6000, barIndex: 2, pass: 0 },
+    { ms: 8000, barIndex: 3, pass: 0 },
+  ],
+  sectionMarkers: [
+    { text: 'Verse', ms: 2000, endMs: 6000 },
+    { text: 'Chorus', ms: 6000, endMs: 10000 },
+  ],
+  tempoMarkers: [{ ms: 6000, bpm: 90 }],
+  timeSignatures: [[4, 4], [3, 4], [4, 4], [4, 4]],
+  bpm: 120,
+  songDurationMs: 10000,
+});
+
+describe('hudState', () => {
+  it('follows bar, meter, tempo and section through the song', () => {
+    expect(timeline.segments.map((s) => s.text)).toEqual(['', 'Verse', 'Chorus']);
+    expect(hudState(timeline, 500)).toEqual({ barNumber: 1, barCount: 4, timeSig: '4/4', bpm: 120, segmentIndex: 0, progress: 0.05 });
+    expect(hudState(timeline, 4500)).toMatchObject({ barNumber: 2, timeSig: '3/4', bpm: 120, segmentIndex: 1 });
+    expect(hudState(timeline, 7000)).toMatchObject({ barNumber: 3, timeSig: '4/4', bpm: 90, segmentIndex: 2 });
+  });
+});
+
+describe('createHud', () => {
+  it('draws the current section in the accent colour', () => {
+    const hud = createHud(timeline, { width: 600, accent: { r: 255, g: 0, b: 0 } });
+    const frame = Buffer.alloc(600 * hud.height * 4);
+    hud.draw(frame, 600, hud.height, 9000, { left: 0, top: 0 });
+
+    // Progress bar (8px padding below it), just left of the playhead at 90%
+    const px = ((hud.height - 12) * 600 + 510) * 4;
+    expect(frame[px]).toBeGreaterThan(200);
+    expect(frame[px + 1]).toBeLessThan(40);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { infoLine, infoCardEvents, renderInfoCards, infoCardHeight, drawInfoCard } from '../src/info-card.mjs';
+
+const meta = { title: 'Song', artist: 'Band', tuning: 'Drop C', bpm: 140 };
+
+describe('infoCardEvents', () => {
+  it('opens with title, artist, tuning and tempo, then one card per tempo change', () => {
+    const cards = infoCardEvents(meta, [{ ms: 30000, bpm: 96.5 }], 60000);
+    expect(cards.map(({ ms, endMs, title, info }) => [ms, endMs, title, info])).toEqual([
+      [0, 4000, 'Song', 'Tuning: Drop C | 140 BPM'],
+      [30000, 34000, null, 'Tuning: Drop C | 97 BPM'],
+    ]);
+    expect(infoLine(null, 120)).toBe('120 BPM');
+  });
+
+  it('hands over without animating when tempo changes come close together', () => {
+    const cards = infoCardEvents(meta, [{ ms: 10000, bpm: 130 }, { ms: 11000, bpm: 120 }, { ms: 59000, bpm: 100 }], 60000);
+    expect(cards.map(({ endMs, joinedIn, joinedOut }) => [endMs, joinedIn, joinedOut])).toEqual([
+      [4000, false, false],
+      [11000, false, true],
+      [15000, true, false],
+      [60000, false, false],
+    ]);
+  });
+});
+
+describe('drawInfoCard', () => {
+  const cards = renderInfoCards(infoCardEvents(meta, [], 10000), { frameWidth: 640, accent: { r: 255, g: 0, b: 0 } });
+  const height = infoCardHeight(cards);
+  const frameHeight = height + 20;
+  const alphaAt = (timeMs) => {
+    const frame = Buffer.alloc(640 * frameHeight * 4);
+    const drawn = drawInfoCard(frame, 640, frameHeight, cards, timeMs, { left: 10, bottom: height + 10 });
+    // Accent bar pixel, halfway down the card
+    const px = ((10 + Math.floor(height / 2)) * 640 + 10) * 4;
+    return drawn ? frame[px + 3] : 0;
+  };
+
+  it('fades in, holds and fades out', () => {
+    expect(alphaAt(0)).toBe(0);
+    expect(alphaAt(200)).toBeGreaterThan(100);
+    expect(alphaAt(200)).toBeLessThan(255);
+    expect(alphaAt(2000)).toBe(255);
+    expect(alphaAt(4500)).toBe(0);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { resolveTool, parseEncoderList, checkEncoders, CONFIG_FILE } from '../src/media-tools.mjs';
+
+// ---------------------------------------------------------------------------
+// Test helpers -- a temp dir with fake ffmpeg/ffprobe shell scripts
+// ---------------------------------------------------------------------------
+
+const ENCODERS_OUTPUT = `Encoders:
+ V..... = Video
+ A..... = Audio
+ S..... = Subtitle
+ .F.... = Frame-level multithreading
+ ------
+ V....D libx264              libx264 H.264 / AVC / MPEG-4 AVC / MPEG-4 part 10 (codec h264)
+ V....D prores_ks            Apple ProRes (iCodec Pro) (codec prores)
+ A....D aac                  AAC (Advanced Audio Coding)
+ A....D pcm_s24le            PCM signed 24-bit little-endian
+`;
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-tools-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function fakeTool(name, script = 'exit 0') {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+  return file;
+}
+
+// ---------------------------------------------------------------------------
+// resolveTool
+// ---------------------------------------------------------------------------
+
+describe('resolveTool', () => {
+  it('prefers the environment variable', () => {
+    const file = fakeTool('my-ffmpeg');
+    fakeTool('ffmpeg');
+    expect(resolveTool('ffmpeg', { env: { FFMPEG_PATH: file, PATH: dir }, cwd: dir }))
+      .toEqual({ path: file, source: 'FFMPEG_PATH' });
+  });
+
+  it('uses the config file before PATH, relative to its directory', () => {
+    fakeTool('ffprobe-7');
+    fs.writeFileSync(path.join(dir, CONFIG_FILE), JSON.stringify({ tools: { ffprobe: './ffprobe-7' } }));
+    expect(resolveTool('ffprobe', { env: { PATH: '' }, cwd: dir }))
+      .toEqual({ path: path.join(dir, 'ffprobe-7'), source: CONFIG_FILE });
+  });
+
+  it('falls back to PATH', () => {
+    const file = fakeTool('ffmpeg');
+    expect(resolveTool('ffmpeg', { env: { PATH: dir }, cwd: dir })).toEqual({ path: file, source: 'PATH' });
+  });
+
+  it('rejects an explicit path that is not executable', () => {
+    fs.writeFileSync(path.join(dir, 'ffmpeg'), '');
+    expect(() => resolveTool('ffmpeg', { env: { FFMPEG_PATH: path.join(dir, 'ffmpeg') }, cwd: dir }))
+      .toThrow('FFMPEG_PATH');
+    fs.writeFileSync(path.join(dir, CONFIG_FILE), JSON.stringify({ tools: { ffmpeg: 'missing' } }));
+    expect(() => resolveTool('ffmpeg', { env: {}, cwd: dir })).toThrow('"tools.ffmpeg"');
+  });
+
+  it('lists where it looked when nothing is found', () => {
+    const empty = path.join(dir, 'empty');
+    fs.mkdirSync(empty);
+    // The fallback dirs may hold a real install on a dev machine
+    if (['/opt/homebrew/bin/ffprobe', '/usr/local/bin/ffprobe'].some(fs.existsSync)) return;
+    expect(() => resolveTool('ffprobe', { env: { PATH: empty }, cwd: dir })).toThrow(/not found.*FFPROBE_PATH/s);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Encoders
+// ---------------------------------------------------------------------------
+
+describe('parseEncoderList', () => {
+  it('reads encoder names after the legend', () => {
+    expect([...parseEncoderList(ENCODERS_OUTPUT)]).toEqual(['libx264', 'prores_ks', 'aac', 'pcm_s24le']);
+  });
+});
+
+describe('checkEncoders', () => {
+  it('passes when every encoder is available', () => {
+    const ffmpeg = fakeTool('ffmpeg', `cat <<'EOF'\n${ENCODERS_OUTPUT}EOF`);
+    expect(() => checkEncoders(['prores_ks', 'aac'], ffmpeg)).not.toThrow();
+  });
+
+  it('names missing encoders and what they are for', () => {
+    const ffmpeg = fakeTool('ffmpeg', `cat <<'EOF'\n${ENCODERS_OUTPUT}EOF`);
+    expect(() => checkEncoders(['libx264', 'libvpx-vp9', 'libopus'], ffmpeg))
+      .toThrow('libvpx-vp9 (VP9 .webm with alpha), libopus (Opus audio in .webm)');
+  });
+});
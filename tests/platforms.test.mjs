@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { PLATFORM_PRESETS, parseCustomPlatforms, loadPlatforms, getPlatform } from '../src/platforms.mjs';
+
+describe('PLATFORM_PRESETS', () => {
+  it('gives every preset what the encoders and layout need', () => {
+    for (const [name, p] of Object.entries(PLATFORM_PRESETS)) {
+      expect(Number.isInteger(p.width) && Number.isInteger(p.height), name).toBe(true);
+      expect(p.videoBitrate, name).toMatch(/^\d+[kM]$/);
+      expect(p.audioBitrate, name).toMatch(/^\d+k$/);
+      expect(p.audioSampleRate, name).toBe(48000);
+      expect(p.maxDuration === null || p.maxDuration > 0, name).toBe(true);
+    }
+  });
+});
+
+describe('parseCustomPlatforms', () => {
+  it('extends a built-in preset', () => {
+    const platforms = parseCustomPlatforms({ 'ig-hq': { extends: 'instagram', videoBitrate: '10M' } });
+    expect(platforms['ig-hq']).toMatchObject({ width: 1080, height: 1920, videoBitrate: '10M', safeMarginBottom: 320 });
+    expect(platforms.instagram.videoBitrate).toBe('6M');
+  });
+
+  it('fills defaults for a preset from scratch', () => {
+    const platforms = parseCustomPlatforms({
+      square: { width: 1080, height: 1080, fps: 30, videoBitrate: '6M', audioBitrate: '256k', audioSampleRate: 48000 },
+    });
+    expect(platforms.square).toMatchObject({ scale: 1, cursorWidth: 3, vertical: false, maxDuration: null });
+    expect(platforms.square.description).toContain('1080x1080');
+  });
+
+  it('names the offending key', () => {
+    expect(() => parseCustomPlatforms({ a: { extends: 'instagram', bitrate: '6M' } })).toThrow('"platforms.a.bitrate" is not a preset field');
+    expect(() => parseCustomPlatforms({ a: { extends: 'instagram', videoBitrate: 6 } })).toThrow('"platforms.a.videoBitrate" must be a bitrate');
+    expect(() => parseCustomPlatforms({ a: { extends: 'myspace' } })).toThrow('"platforms.a.extends" names unknown platform');
+    expect(() => parseCustomPlatforms({ a: { width: 1080, height: 1080 } })).toThrow('"platforms.a.fps" is required');
+  });
+});
+
+describe('loadPlatforms', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'platforms-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('adds custom presets from the config file', () => {
+    expect(loadPlatforms(dir)).toEqual(PLATFORM_PRESETS);
+    fs.writeFileSync(path.join(dir, 'gp-tab-video.config.json'), JSON.stringify({ platforms: { short: { extends: 'tiktok', maxDuration: 60 } } }));
+    const platforms = loadPlatforms(dir);
+    expect(getPlatform(platforms, 'short').maxDuration).toBe(60);
+    expect(() => getPlatform(platforms, 'vine')).toThrow(/Unknown platform: vine\. Available: .*short/);
+  });
+});
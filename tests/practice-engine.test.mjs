@@ -4,7 +4,7 @@ import {
   parseArgs, buildTempoMap, extractSections,
   extractBarFeatures, emptyFeatures,
   sigmoid, computeMedians, scoreDifficulty,
-  extractShape, extractRhythm, featureDistance, buildChunks,
+  extractShape, extractRhythm, featureDistance, buildChunks, attachTakeRanges,
   buildSession,
   generateClickSample, renderClickTrack,
 } from '../src/practice-engine.mjs';
@@ -151,6 +151,11 @@ describe('parseArgs', () => {
     expect(opts.command).toBe('serve');
     expect(opts.commandArgs).toEqual(['3002']);
   });
+
+  it('parses --sync file', () => {
+    expect(parseArgs(['song.gp5']).sync).toBeNull();
+    expect(parseArgs(['song.gp5', '--sync', 'take.sync.json']).sync).toBe('take.sync.json');
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -590,6 +595,29 @@ describe('buildChunks', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// attachTakeRanges
+// ---------------------------------------------------------------------------
+
+describe('attachTakeRanges', () => {
+  // 2s bars starting 1.5s into the take; bar 9 is never played
+  const clock = {
+    barStartMs: (bar) => (bar <= 8 ? 1500 + (bar - 1) * 2000 : null),
+    barEndMs: (bar) => (bar <= 8 ? 1500 + bar * 2000 : null),
+  };
+
+  it('places each chunk in the recorded take', () => {
+    const chunks = attachTakeRanges([{ barRange: [1, 4] }, { barRange: [5, 5] }], clock);
+    expect(chunks[0].takeRange).toEqual([1500, 9500]);
+    expect(chunks[1].takeRange).toEqual([9500, 11500]);
+  });
+
+  it('leaves takeRange null for bars that are not played', () => {
+    const [chunk] = attachTakeRanges([{ barRange: [8, 9] }], clock);
+    expect(chunk.takeRange).toBeNull();
+  });
+});
+
 // ---------------------------------------------------------------------------
 // buildSession
 // ---------------------------------------------------------------------------
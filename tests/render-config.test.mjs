@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { withRenderConfig, optionsToArgs, loadRenderConfig, renderFilePathFor } from '../src/render-config.mjs';
+
+// ---------------------------------------------------------------------------
+// Test helpers -- a temp project dir with a config file and a song
+// ---------------------------------------------------------------------------
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-config-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeJson(name, data) {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+}
+
+const PROFILES = {
+  profiles: {
+    yt: { platform: 'youtube', style: 'playthrough', 'cursor-color': 'cyan', 'highlight-notes': true, duration: 20 },
+  },
+};
+
+// ---------------------------------------------------------------------------
+// withRenderConfig
+// ---------------------------------------------------------------------------
+
+describe('withRenderConfig', () => {
+  it('puts profile flags, then song flags, before the command line', () => {
+    writeJson('gp-tab-video.config.json', PROFILES);
+    writeJson('song.render.json', { title: 'Song', 'cursor-color': 'white' });
+    const song = path.join(dir, 'song.gp');
+    const argv = withRenderConfig('render', [song, '--profile', 'yt', '--cursor-color', 'red'], { cwd: dir });
+    expect(argv).toEqual([
+      '--platform', 'youtube', '--style', 'playthrough', '--cursor-color', 'cyan', '--highlight-notes',
+      '--title', 'Song', '--cursor-color', 'white',
+      song, '--cursor-color', 'red',
+    ]);
+  });
+
+  it('uses the profile named in song.render.json unless --profile is given', () => {
+    writeJson('gp-tab-video.config.json', { profiles: { ...PROFILES.profiles, plain: { style: 'clean' } } });
+    writeJson('song.render.json', { profile: 'yt' });
+    const song = path.join(dir, 'song.gp');
+    expect(withRenderConfig('render', [song], { cwd: dir })).toContain('playthrough');
+    expect(withRenderConfig('render', [song, '--profile', 'plain'], { cwd: dir })).toEqual(['--style', 'clean', song]);
+  });
+
+  it('applies only the flags each command has', () => {
+    writeJson('gp-tab-video.config.json', PROFILES);
+    expect(withRenderConfig('viz', ['take.wav', '--profile', 'yt'], { cwd: dir }))
+      .toEqual(['--platform', 'youtube', '--style', 'playthrough', 'take.wav']);
+    expect(withRenderConfig('reel', ['song.gp', '--profile', 'yt'], { cwd: dir })).toContain('--duration');
+  });
+
+  it('finds the input after flags that take values', () => {
+    writeJson('song.render.json', { title: 'Song' });
+    const song = path.join(dir, 'song.gp');
+    expect(withRenderConfig('render', ['--fps', '60', '-w', 'logo.png', '--transparent', song], { cwd: dir }))
+      .toEqual(['--title', 'Song', '--fps', '60', '-w', 'logo.png', '--transparent', song]);
+  });
+
+  it('names a missing profile and the ones that exist', () => {
+    writeJson('gp-tab-video.config.json', PROFILES);
+    expect(() => withRenderConfig('render', ['song.gp', '--profile', 'ig'], { cwd: dir }))
+      .toThrow('no profile "ig" (available: yt)');
+    fs.rmSync(path.join(dir, 'gp-tab-video.config.json'));
+    expect(() => withRenderConfig('render', ['song.gp', '--profile', 'yt'], { cwd: dir })).toThrow('no gp-tab-video.config.json');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// optionsToArgs / loadRenderConfig
+// ---------------------------------------------------------------------------
+
+describe('optionsToArgs', () => {
+  it('names the offending key', () => {
+    const label = 'gp-tab-video.config.json: "profiles.yt.';
+    expect(() => optionsToArgs({ 'cursor-colour': 'red' }, 'render', label, dir))
+      .toThrow('"profiles.yt.cursor-colour" is not an option of any command');
+    expect(() => optionsToArgs({ transparent: 'yes' }, 'render', label, dir))
+      .toThrow('"profiles.yt.transparent" must be true or false');
+    expect(() => optionsToArgs({ tracks: [] }, 'render', label, dir)).toThrow('"profiles.yt.tracks" must be a non-empty list');
+  });
+
+  it('joins lists and resolves existing relative paths against the file', () => {
+    fs.writeFileSync(path.join(dir, 'take.wav'), '');
+    expect(optionsToArgs({ tracks: [0, 2], audio: 'take.wav', template: 'cinematic', transparent: false }, 'render', '', dir))
+      .toEqual(['--tracks', '0,2', '--audio', path.join(dir, 'take.wav'), '--template', 'cinematic']);
+  });
+});
+
+describe('loadRenderConfig', () => {
+  it('returns null without a config file and rejects unknown sections', () => {
+    expect(loadRenderConfig(dir)).toBeNull();
+    writeJson('gp-tab-video.config.json', { profile: {} });
+    expect(() => loadRenderConfig(dir)).toThrow('"profile" is not a config section');
+  });
+
+  it('puts the song file next to the input', () => {
+    expect(renderFilePathFor('/songs/riff.gp5')).toBe(path.join('/songs', 'riff.render.json'));
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import * as alphaTab from '@coderline/alphatab';
+import { configureSettings, styleTrack } from '../src/render-strip.mjs';
+import { buildTimingMap } from '../src/build-timing.mjs';
+
+describe('configureSettings', () => {
+  it('turns on note bounds for note highlights', () => {
+    const settings = new alphaTab.Settings();
+    expect(settings.core.includeNoteBounds).toBe(false);
+    configureSettings(settings, { layout: 'page', barsPerLine: 3, scale: 1.5 });
+    expect(settings.core.includeNoteBounds).toBe(true);
+    expect(settings.display.layoutMode).toBe(alphaTab.LayoutMode.Page);
+    expect([settings.display.barsPerRow, settings.display.scale]).toEqual([3, 1.5]);
+  });
+});
+
+describe('multi-track layout', () => {
+  function scoreFromTex(tex) {
+    const settings = new alphaTab.Settings();
+    const importer = new alphaTab.importer.AlphaTexImporter();
+    importer.initFromString(tex, settings);
+    return importer.readScore();
+  }
+
+  // The tracks' bounds as renderStrip lays them out; the SVG engine needs no
+  // native canvas, so the layout can run in tests
+  function layoutBounds(score, trackIndexes) {
+    const settings = new alphaTab.Settings();
+    configureSettings(settings);
+    settings.core.engine = 'svg';
+    const renderer = new alphaTab.rendering.ScoreRenderer(settings);
+    renderer.width = 99999;
+    renderer.renderScore(score, trackIndexes);
+    return renderer.boundsLookup;
+  }
+
+  // Quarter notes over sixteenths: on its own the first track's bar would be
+  // far narrower than the second's
+  const TWO_TRACKS = `\\tempo 120 .
+    \\track "Lead" \\staff{tabs} 5.1.4 7.1.4 8.1.4 7.1.4 | 5.1.1
+    \\track "Rhythm" \\staff{tabs} 0.6.16 0.6.16 3.6.16 0.6.16 0.6.16 0.6.16 5.6.16 0.6.16 0.6.2 | 0.6.1`;
+
+  it('puts every note of every track under the cursor when it plays', () => {
+    const score = scoreFromTex(TWO_TRACKS);
+    const { beatTimings, noteHighlights } = buildTimingMap(score, layoutBounds(score, [0, 1]));
+    expect(new Set(noteHighlights.map((n) => n.trackIndex))).toEqual(new Set([0, 1]));
+    for (const note of noteHighlights) {
+      const beat = beatTimings.find((bt) => Math.abs(bt.ms - note.ms) < 1e-6 && !bt.isJumpAnchor);
+      expect(beat).toBeDefined();
+      expect(beat.pixelX).toBeGreaterThanOrEqual(note.x - 1);
+      expect(beat.pixelX).toBeLessThanOrEqual(note.x + note.w + 1);
+    }
+    // One cursor entry per tick either track plays: eight sixteenths and a
+    // half note, plus the lead's last quarter
+    expect(beatTimings.filter((bt) => bt.barIndex === 0)).toHaveLength(10);
+  });
+
+  it('colours each track with its own palette', () => {
+    const score = scoreFromTex(TWO_TRACKS);
+    styleTrack(score.tracks[1], 1);
+    const bar = score.tracks[1].staves[0].bars[0];
+    const rgb = (color) => [color.r, color.g, color.b];
+    expect(rgb(bar.style.colors.get(alphaTab.model.BarSubElement.GuitarTabsStaffLine))).toEqual([200, 100, 130]);
+    expect(rgb(bar.voices[0].beats[0].notes[0].style.colors.get(alphaTab.model.NoteSubElement.GuitarTabFretNumber)))
+      .toEqual([255, 150, 180]);
+    expect(score.tracks[0].style).toBeFalsy();
+  });
+});
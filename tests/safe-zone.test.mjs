@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { PLATFORM_PRESETS } from '../src/platforms.mjs';
+import { unsafeRegions, templateBoxes, checkSafeZones, renderSafeZoneGuide } from '../src/safe-zone.mjs';
+
+const TAB = { width: 1920, height: 300 };
+
+describe('unsafeRegions', () => {
+  it('turns the preset margins into rectangles', () => {
+    expect(unsafeRegions(PLATFORM_PRESETS.tiktok)).toEqual([
+      { side: 'top', x: 0, y: 0, width: 1080, height: 108 },
+      { side: 'bottom', x: 0, y: 1600, width: 1080, height: 320 },
+      { side: 'left', x: 0, y: 0, width: 60, height: 1920 },
+      { side: 'right', x: 960, y: 0, width: 120, height: 1920 },
+    ]);
+    expect(unsafeRegions(PLATFORM_PRESETS.youtube)).toEqual([]);
+  });
+
+  it('scales the margins to a frame of another size', () => {
+    const [top, bottom] = unsafeRegions(PLATFORM_PRESETS.instagram, 540, 960);
+    expect(top.height).toBe(54);
+    expect(bottom).toMatchObject({ y: 800, height: 160 });
+  });
+});
+
+describe('templateBoxes / checkSafeZones', () => {
+  const template = {
+    width: 1080,
+    height: 1920,
+    text: [
+      { content: 'Song Title', x: 'center', y: 200, fontSize: 40 },
+      { content: 'Artist', x: 'center', y: 1700, fontSize: 30 },
+      { content: 'Expr', x: 'center', y: 'h-100', fontSize: 30 },
+    ],
+    tab: { y: 1200, scale: 0.5625 },
+  };
+
+  it('places text layers and the tab like the compositor', () => {
+    expect(templateBoxes(template, TAB)).toEqual([
+      { name: 'text "Song Title"', x: 420, y: 200, width: 240, height: 40 },
+      { name: 'text "Artist"', x: 486, y: 1700, width: 108, height: 30 },
+      { name: 'tab', x: 0, y: 1200, width: 1080, height: 169 },
+    ]);
+    const bottom = templateBoxes({ ...template, text: [], tab: { padding: 40 } }, TAB);
+    expect(bottom).toEqual([{ name: 'tab', x: 0, y: 1920 - 300 - 40, width: 1920, height: 300 }]);
+  });
+
+  it('names each layer in an unsafe region', () => {
+    const problems = checkSafeZones(templateBoxes(template, TAB), unsafeRegions(PLATFORM_PRESETS.instagram));
+    expect(problems).toEqual([
+      'text "Artist" (y 1700-1730, x 486-594) reaches into the bottom unsafe region (y > 1600)',
+    ]);
+    expect(checkSafeZones(templateBoxes(template, TAB), unsafeRegions(PLATFORM_PRESETS.youtube, 1080, 1920))).toEqual([]);
+  });
+});
+
+describe('renderSafeZoneGuide', () => {
+  it('draws a full platform frame', async () => {
+    const tab = { buffer: Buffer.alloc(1080 * 200 * 4, 255), width: 1080, height: 200 };
+    const png = renderSafeZoneGuide(tab, {
+      width: 1080, height: 1920, tabY: 1380, regions: unsafeRegions(PLATFORM_PRESETS.instagram), label: 'instagram',
+    });
+    const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+    expect([info.width, info.height]).toEqual([1080, 1920]);
+    // Centre of the tab is the tab itself, the bottom margin is shaded red
+    const pixel = (x, y) => Array.from(data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3));
+    expect(pixel(300, 1480)).toEqual([255, 255, 255]);
+    const [r, g, b] = pixel(200, 1880);
+    expect(r).toBeGreaterThan(g + 40);
+    expect(r).toBeGreaterThan(b + 40);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { segmentCacheKey, planSegments, createSegmentedEncoder, pruneSegmentCache } from '../src/segment-cache.mjs';
+
+// ---------------------------------------------------------------------------
+// Test helpers -- a temp cache dir and a fake encoder that writes frame bytes
+// ---------------------------------------------------------------------------
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'segments-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function fakeEncoder(file) {
+  const chunks = [];
+  return {
+    write: async (buffer) => { chunks.push(Buffer.from(buffer)); },
+    finish: async () => fs.promises.writeFile(file, Buffer.concat(chunks)),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// segmentCacheKey
+// ---------------------------------------------------------------------------
+
+describe('segmentCacheKey', () => {
+  it('ignores property order', () => {
+    expect(segmentCacheKey({ a: 1, b: [2, 3] })).toBe(segmentCacheKey({ b: [2, 3], a: 1 }));
+  });
+
+  it('changes with buffer contents and values', () => {
+    const base = segmentCacheKey({ png: Buffer.from([1, 2, 3]), fps: 30 });
+    expect(segmentCacheKey({ png: Buffer.from([1, 2, 4]), fps: 30 })).not.toBe(base);
+    expect(segmentCacheKey({ png: Buffer.from([1, 2, 3]), fps: 60 })).not.toBe(base);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// planSegments
+// ---------------------------------------------------------------------------
+
+describe('planSegments', () => {
+  it('splits frames into fixed-length segments, the last one shorter', () => {
+    const segments = planSegments(25, 10, dir, '.mov');
+    expect(segments.map((s) => [s.start, s.end])).toEqual([[0, 10], [10, 20], [20, 25]]);
+    expect(path.basename(segments[2].path)).toBe('seg-00002.mov');
+  });
+
+  it('marks segments already on disk as cached', () => {
+    fs.writeFileSync(path.join(dir, 'seg-00001.mov'), '');
+    fs.writeFileSync(path.join(dir, 'seg-00002.partial.mov'), '');
+    expect(planSegments(30, 10, dir, '.mov').map((s) => s.cached)).toEqual([false, true, false]);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createSegmentedEncoder
+// ---------------------------------------------------------------------------
+
+describe('createSegmentedEncoder', () => {
+  it('writes each pending segment to its own file', async () => {
+    const segments = planSegments(6, 2, dir, '.mov');
+    const pending = [segments[0], segments[2]];
+    const writer = createSegmentedEncoder(pending, fakeEncoder);
+    for (const frame of [0, 1, 4, 5]) await writer.write(frame, Buffer.from([frame]));
+    await writer.finish();
+
+    expect([...fs.readFileSync(segments[0].path)]).toEqual([0, 1]);
+    expect([...fs.readFileSync(segments[2].path)]).toEqual([4, 5]);
+    expect(fs.readdirSync(dir).sort()).toEqual(['seg-00000.mov', 'seg-00002.mov']);
+  });
+
+  it('does not cache a segment that was cut short', async () => {
+    const segments = planSegments(4, 2, dir, '.mov');
+    const writer = createSegmentedEncoder(segments, fakeEncoder);
+    await writer.write(0, Buffer.from([0]));
+    await writer.write(1, Buffer.from([1]));
+    await writer.write(2, Buffer.from([2]));
+    await expect(writer.finish()).rejects.toThrow('got 1 of 2 frames');
+    expect(fs.readdirSync(dir).sort()).toEqual(['seg-00000.mov', 'seg-00001.partial.mov']);
+  });
+
+  it('rejects frames outside the pending segments', async () => {
+    const segments = planSegments(4, 2, dir, '.mov');
+    const writer = createSegmentedEncoder([segments[1]], fakeEncoder);
+    await expect(writer.write(0, Buffer.from([0]))).rejects.toThrow('Frame 0');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// pruneSegmentCache
+// ---------------------------------------------------------------------------
+
+describe('pruneSegmentCache', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = Date.parse('2026-06-01T12:00:00Z');
+
+  // A key directory with one segment of `bytes`, last written `ageMs` ago
+  function keyDir(name, bytes, ageMs) {
+    const d = path.join(dir, name);
+    fs.mkdirSync(d);
+    const file = path.join(d, 'seg-00000.mov');
+    fs.writeFileSync(file, Buffer.alloc(bytes));
+    const time = new Date(now - ageMs);
+    fs.utimesSync(file, time, time);
+    fs.utimesSync(d, time, time);
+    return d;
+  }
+
+  it('keeps every render that fits in the budget', async () => {
+    const youtube = keyDir('aaaaaaaaaaaaaaaa', 100, 3 * HOUR);
+    const instagram = keyDir('bbbbbbbbbbbbbbbb', 100, 2 * HOUR);
+    expect(await pruneSegmentCache(dir, { keep: instagram, maxBytes: 1000, now })).toEqual({ removed: 0, bytes: 0 });
+    expect(fs.existsSync(youtube)).toBe(true);
+  });
+
+  it('removes the least recently used renders until the cache fits', async () => {
+    const oldest = keyDir('aaaaaaaaaaaaaaaa', 100, 5 * HOUR);
+    const older = keyDir('bbbbbbbbbbbbbbbb', 100, 4 * HOUR);
+    const keep = keyDir('cccccccccccccccc', 100, 6 * HOUR);
+    expect(await pruneSegmentCache(dir, { keep, maxBytes: 200, now })).toEqual({ removed: 1, bytes: 100 });
+    expect(fs.existsSync(oldest)).toBe(false);
+    expect(fs.existsSync(older)).toBe(true);
+    expect(fs.existsSync(keep)).toBe(true);
+  });
+
+  it('never removes a directory another render is writing to', async () => {
+    const finished = keyDir('aaaaaaaaaaaaaaaa', 100, 2 * HOUR);
+    const live = keyDir('bbbbbbbbbbbbbbbb', 100, 2 * HOUR);
+    fs.writeFileSync(path.join(live, 'seg-00001.partial.mov'), Buffer.alloc(50));
+    // Over budget with just the two of them, but the other render is still running
+    const result = await pruneSegmentCache(dir, { keep: finished, maxBytes: 0, now: Date.now() });
+    expect(result).toEqual({ removed: 0, bytes: 0 });
+    expect(fs.existsSync(path.join(live, 'seg-00001.partial.mov'))).toBe(true);
+    expect(fs.existsSync(finished)).toBe(true);
+  });
+
+  it('leaves the rest of the folder alone', async () => {
+    const keep = keyDir('aaaaaaaaaaaaaaaa', 100, 0);
+    keyDir('bbbbbbbbbbbbbbbb', 100, 3 * HOUR);
+    fs.mkdirSync(path.join(dir, 'renders'));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'keep me');
+    expect(await pruneSegmentCache(dir, { keep, maxBytes: 0, now })).toEqual({ removed: 1, bytes: 100 });
+    expect(fs.readdirSync(dir).sort()).toEqual(['aaaaaaaaaaaaaaaa', 'notes.txt', 'renders']);
+  });
+
+  it('does nothing when the cache directory is missing', async () => {
+    const missing = path.join(dir, 'none');
+    expect(await pruneSegmentCache(missing, { keep: path.join(missing, 'x'), maxBytes: 0 })).toEqual({ removed: 0, bytes: 0 });
+  });
+});
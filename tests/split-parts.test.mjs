@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { barStarts, planParts, partPath } from '../src/split-parts.mjs';
+
+// One bar every 2s, bar numbers 1..n
+function bars(count, barMs = 2000) {
+  return Array.from({ length: count }, (_, i) => ({ ms: i * barMs, barNumber: i + 1 }));
+}
+
+describe('barStarts', () => {
+  it('takes the first beat of each played bar and skips anchors', () => {
+    const beats = [
+      { ms: 0, barIndex: 0, pass: 0 },
+      { ms: 500, barIndex: 0, pass: 0 },
+      { ms: 2000, barIndex: 0, pass: 0, isLineEndAnchor: true },
+      { ms: 2000, barIndex: 0, pass: 1 },
+      { ms: 4000, barIndex: 1, pass: 0 },
+    ];
+    expect(barStarts(beats)).toEqual([
+      { ms: 0, barNumber: 1 },
+      { ms: 2000, barNumber: 1 },
+      { ms: 4000, barNumber: 2 },
+    ]);
+  });
+});
+
+describe('planParts', () => {
+  it('keeps a short video in one part', () => {
+    expect(planParts(50000, 60000, { bars: bars(25) }).parts).toEqual([{ index: 0, startMs: 0, endMs: 50000 }]);
+  });
+
+  it('cuts at the last bar line before the limit', () => {
+    const { parts, warnings } = planParts(50000, 15000, { bars: bars(25) });
+    expect(parts.map((p) => [p.startMs, p.endMs])).toEqual([[0, 14000], [14000, 28000], [28000, 42000], [42000, 50000]]);
+    expect(warnings).toEqual([]);
+  });
+
+  it('prefers a section marker that fills at least half the part', () => {
+    const { parts } = planParts(50000, 20000, { bars: bars(25), sections: [4000, 12000, 30000] });
+    // 4000 is too early to be worth it; 12000 is used; then 30000
+    expect(parts.map((p) => p.endMs)).toEqual([12000, 30000, 50000]);
+  });
+
+  it('cuts mid-bar and warns when a bar is longer than the limit', () => {
+    // Bar 2 lasts 20s: it needs two cuts but is reported once
+    const { parts, warnings } = planParts(30000, 8000, { bars: [{ ms: 0, barNumber: 1 }, { ms: 6000, barNumber: 2 }, { ms: 26000, barNumber: 3 }] });
+    expect(parts.map((p) => p.endMs)).toEqual([6000, 14000, 22000, 30000]);
+    expect(warnings).toEqual(['Bar 2 at 0:06.0 runs longer than the 8s limit; part 2 is cut mid-bar']);
+  });
+
+  it('leaves room for an intro in the first part', () => {
+    // 3s intro: part 1 holds 12s of song, the rest the full 15s
+    const { parts } = planParts(50000, 15000, { bars: bars(25), introMs: 3000 });
+    expect(parts.map((p) => [p.startMs, p.endMs])).toEqual([[0, 12000], [12000, 26000], [26000, 40000], [40000, 50000]]);
+    // A song that fits alone but not after the intro is split
+    expect(planParts(14000, 15000, { bars: bars(7), introMs: 3000 }).parts).toHaveLength(2);
+    expect(() => planParts(50000, 15000, { introMs: 15000 })).toThrow(/no room/);
+  });
+});
+
+describe('partPath', () => {
+  it('numbers parts from 1', () => {
+    expect(partPath('output/song_tab.mp4', 1)).toBe('output/song_tab_part2.mp4');
+  });
+});
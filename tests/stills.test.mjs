@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import sharp from 'sharp';
+import { parseStillTarget, stillTimeMs, contactSheetTimes, renderContactSheet } from '../src/stills.mjs';
+
+const beats = [
+  { ms: 0, barIndex: 0, pass: 0 },
+  { ms: 500, barIndex: 0, pass: 0 },
+  { ms: 2000, barIndex: 1, pass: 0, isJumpAnchor: true },
+  { ms: 2000, barIndex: 1, pass: 0 },
+  { ms: 4000, barIndex: 1, pass: 1 },
+];
+
+describe('parseStillTarget', () => {
+  it('reads times and bar numbers', () => {
+    expect(parseStillTarget('1:23.5')).toEqual({ ms: 83500 });
+    expect(parseStillTarget('83.5s')).toEqual({ ms: 83500 });
+    expect(parseStillTarget('17')).toEqual({ bar: 17 });
+    expect(() => parseStillTarget('12.5')).toThrow('--still expects a time (1:23.5 or 83.5s) or a bar number (17), got "12.5"');
+    expect(() => parseStillTarget('0')).toThrow('got "0"');
+  });
+});
+
+describe('stillTimeMs', () => {
+  it('finds the first beat of a bar on its first pass', () => {
+    expect(stillTimeMs({ bar: 2 }, beats, 6000)).toBe(2000);
+    expect(stillTimeMs({ ms: 3000 }, beats, 6000)).toBe(3000);
+  });
+
+  it('rejects targets outside the song', () => {
+    expect(() => stillTimeMs({ bar: 3 }, beats, 6000)).toThrow('--still 3: the song has bars 1-2');
+    expect(() => stillTimeMs({ ms: 7000 }, beats, 6000)).toThrow('--still 0:07.0 is past the end of the song (0:06.0)');
+  });
+});
+
+describe('contactSheetTimes', () => {
+  it('takes every section marker once, in playback order', () => {
+    const markers = [
+      { text: 'Chorus', ms: 42000 },
+      { text: 'Intro', ms: 0 },
+      { text: 'Chorus', ms: 42000 },
+      { text: 'Chorus', ms: 90000 },
+    ];
+    expect(contactSheetTimes(markers, 120000)).toEqual([
+      { ms: 0, label: 'Intro 0:00.0' },
+      { ms: 42000, label: 'Chorus 0:42.0' },
+      { ms: 90000, label: 'Chorus 1:30.0' },
+    ]);
+  });
+
+  it('spaces frames evenly without markers', () => {
+    expect(contactSheetTimes([], 60000).map((t) => t.ms)).toEqual([0, 10000, 20000, 30000, 40000, 50000]);
+  });
+});
+
+describe('renderContactSheet', () => {
+  it('tiles the frames in an about-square grid', async () => {
+    const frame = await sharp({ create: { width: 960, height: 540, channels: 4, background: '#3366cc' } }).png().toBuffer();
+    const frames = Array.from({ length: 5 }, (_, i) => ({ png: frame, label: `Frame ${i}` }));
+    const info = await sharp(await renderContactSheet(frames, { cellWidth: 240 })).metadata();
+    // 3 columns x 2 rows of 240x135 cells, 32px labels, 12px gaps
+    expect([info.width, info.height]).toEqual([3 * 240 + 4 * 12, 2 * (135 + 32) + 3 * 12]);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { detectOnsets, estimateGlobalOffset, alignToOnsets } from '../src/sync-audio.mjs';
+import { createTimeWarp } from '../src/build-timing.mjs';
+
+// ---------------------------------------------------------------------------
+// Test helpers -- synthetic "plucks" (decaying sines) at known times
+// ---------------------------------------------------------------------------
+
+const SAMPLE_RATE = 8000;
+
+function synthPlucks(onsetMs, durationMs) {
+  const samples = new Float32Array(Math.ceil((SAMPLE_RATE * durationMs) / 1000));
+  for (const ms of onsetMs) {
+    const start = Math.floor((SAMPLE_RATE * ms) / 1000);
+    for (let i = 0; i < SAMPLE_RATE * 0.2 && start + i < samples.length; i++) {
+      const t = i / SAMPLE_RATE;
+      samples[start + i] += Math.sin(2 * Math.PI * 440 * t) * Math.exp(-t * 30) * 0.5;
+    }
+  }
+  return samples;
+}
+
+// Four quarter-note beats per bar at 120 BPM (500ms apart)
+function mockBeatTimings(bars) {
+  const beats = [];
+  for (let bar = 0; bar < bars; bar++) {
+    for (let b = 0; b < 4; b++) {
+      beats.push({ ms: bar * 2000 + b * 500, barIndex: bar, pass: 0, isRest: false });
+    }
+  }
+  return beats;
+}
+
+// ---------------------------------------------------------------------------
+// detectOnsets
+// ---------------------------------------------------------------------------
+
+describe('detectOnsets', () => {
+  it('finds each pluck within a few ms', () => {
+    const times = [100, 600, 1100, 1600, 2100];
+    const onsets = detectOnsets(synthPlucks(times, 2500), SAMPLE_RATE);
+    expect(onsets).toHaveLength(times.length);
+    onsets.forEach((o, i) => expect(Math.abs(o.ms - times[i])).toBeLessThan(15));
+  });
+
+  it('returns nothing for silence', () => {
+    expect(detectOnsets(new Float32Array(SAMPLE_RATE), SAMPLE_RATE)).toEqual([]);
+  });
+
+  it('accepts Int16 PCM', () => {
+    const float = synthPlucks([200, 700], 1000);
+    const pcm = Int16Array.from(float, (v) => Math.round(v * 32767));
+    expect(detectOnsets(pcm, SAMPLE_RATE)).toHaveLength(2);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// estimateGlobalOffset
+// ---------------------------------------------------------------------------
+
+describe('estimateGlobalOffset', () => {
+  it('recovers a constant pre-roll', () => {
+    const beatMs = [0, 500, 1000, 1500, 2000];
+    const onsetMs = beatMs.map((ms) => ms + 1234);
+    expect(estimateGlobalOffset(beatMs, onsetMs)).toBe(1234);
+  });
+
+  it('recovers a negative offset', () => {
+    const beatMs = [1000, 1500, 2000, 2500];
+    const onsetMs = beatMs.map((ms) => ms - 300);
+    expect(estimateGlobalOffset(beatMs, onsetMs)).toBe(-300);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// alignToOnsets
+// ---------------------------------------------------------------------------
+
+describe('alignToOnsets', () => {
+  it('produces one anchor and report entry per played bar', () => {
+    const beats = mockBeatTimings(4);
+    const onsets = beats.map((b) => ({ ms: b.ms + 500 }));
+    const { anchors, report } = alignToOnsets(beats, onsets);
+    expect(anchors).toHaveLength(4);
+    expect(report.bars.map((b) => b.barNumber)).toEqual([1, 2, 3, 4]);
+    expect(report.globalOffsetMs).toBe(500);
+    expect(report.matchedBeats).toBe(16);
+  });
+
+  it('follows gradual drift bar by bar', () => {
+    const beats = mockBeatTimings(8);
+    // Player drags 20ms more every bar
+    const onsets = beats.map((b) => ({ ms: b.ms + b.barIndex * 20 }));
+    const { anchors, report } = alignToOnsets(beats, onsets);
+    expect(report.bars.map((b) => b.offsetMs)).toEqual([0, 20, 40, 60, 80, 100, 120, 140]);
+    const warp = createTimeWarp(anchors);
+    expect(warp(7 * 2000)).toBeCloseTo(7 * 2000 + 140);
+  });
+
+  it('keeps the previous offset for bars with no matching onsets', () => {
+    const beats = mockBeatTimings(3);
+    const onsets = beats.filter((b) => b.barIndex !== 1).map((b) => ({ ms: b.ms + 50 }));
+    const { report } = alignToOnsets(beats, onsets);
+    expect(report.bars[1]).toMatchObject({ matched: 0, offsetMs: 50 });
+  });
+
+  it('ignores rests and jump anchors', () => {
+    const beats = mockBeatTimings(2);
+    beats[1].isRest = true;
+    beats.push({ ms: 4000, barIndex: 1, pass: 0, isJumpAnchor: true });
+    const onsets = beats.map((b) => ({ ms: b.ms }));
+    const { report } = alignToOnsets(beats, onsets);
+    expect(report.totalBeats).toBe(7);
+  });
+
+  it('keeps warp anchors strictly increasing', () => {
+    const beats = mockBeatTimings(3);
+    const onsets = [
+      ...beats.filter((b) => b.barIndex === 0).map((b) => ({ ms: b.ms + 60 })),
+      ...beats.filter((b) => b.barIndex > 0).map((b) => ({ ms: b.ms - 60 })),
+    ];
+    const { anchors } = alignToOnsets(beats, onsets, { searchWindowMs: 200 });
+    for (let i = 1; i < anchors.length; i++) {
+      expect(anchors[i].audioMs).toBeGreaterThan(anchors[i - 1].audioMs);
+    }
+  });
+});
+
+// ---------------------------------------------------------------------------
+// createTimeWarp
+// ---------------------------------------------------------------------------
+
+describe('createTimeWarp', () => {
+  it('is the identity without anchors', () => {
+    expect(createTimeWarp([])(1234)).toBe(1234);
+  });
+
+  it('interpolates between anchors and keeps edge offsets outside', () => {
+    const warp = createTimeWarp([
+      { scoreMs: 1000, audioMs: 1500 },
+      { scoreMs: 3000, audioMs: 3300 },
+    ]);
+    expect(warp(0)).toBe(500);
+    expect(warp(2000)).toBe(2400);
+    expect(warp(5000)).toBe(5300);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import * as alphaTab from '@coderline/alphatab';
+import { parseTimestamp, parseSyncData, syncFilePathFor, resolveSyncAnchors } from '../src/sync-file.mjs';
+import { buildPlaybackTimeline, createTickToMs, buildTimingMap, buildBarClock } from '../src/build-timing.mjs';
+
+// ---------------------------------------------------------------------------
+// Test helpers
+// ---------------------------------------------------------------------------
+
+function scoreFromTex(tex) {
+  const settings = new alphaTab.Settings();
+  const importer = new alphaTab.importer.AlphaTexImporter();
+  importer.initFromString(tex, settings);
+  return importer.readScore();
+}
+
+// 4 bars of 4/4 at 120 BPM, bars 1-2 repeated: 1 2 1 2 3 4 (2s per bar)
+const REPEATED = '\\tempo 120 . \\ro 1.1.1 | \\rc 2 2.1.1 | 3.1.1 | 4.1.1';
+
+function timelineFor(tex) {
+  const score = scoreFromTex(tex);
+  const timeline = buildPlaybackTimeline(score);
+  return { score, timeline, tickToMs: createTickToMs(score, timeline) };
+}
+
+// ---------------------------------------------------------------------------
+// parseTimestamp
+// ---------------------------------------------------------------------------
+
+describe('parseTimestamp', () => {
+  it('parses seconds, m:ss and h:mm:ss', () => {
+    expect(parseTimestamp('1.5')).toBe(1500);
+    expect(parseTimestamp('1:02.250')).toBe(62250);
+    expect(parseTimestamp('1:00:00')).toBe(3600000);
+  });
+
+  it('rejects anything else', () => {
+    expect(parseTimestamp('1m30')).toBeNaN();
+    expect(parseTimestamp(90)).toBeNaN();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// parseSyncData
+// ---------------------------------------------------------------------------
+
+describe('parseSyncData', () => {
+  it('normalizes anchors to { bar, pass, ms }', () => {
+    const sync = parseSyncData({
+      offsetMs: 250,
+      anchors: [{ bar: 1, time: '0:01.000' }, { bar: 2, pass: 2, ms: 5000 }],
+    });
+    expect(sync).toEqual({
+      offsetMs: 250,
+      anchors: [{ bar: 1, pass: 1, ms: 1000 }, { bar: 2, pass: 2, ms: 5000 }],
+    });
+  });
+
+  it('accepts an offset-only file', () => {
+    expect(parseSyncData({ offsetMs: -120 })).toEqual({ offsetMs: -120, anchors: [] });
+  });
+
+  it('names the offending key in errors', () => {
+    expect(() => parseSyncData({ offset: 1 }, 'song.sync.json')).toThrow('song.sync.json: "offset"');
+    expect(() => parseSyncData({ anchors: [{ bar: 0, ms: 0 }] })).toThrow('"anchors[0].bar"');
+    expect(() => parseSyncData({ anchors: [{ bar: 1, time: 'soon' }] })).toThrow('"anchors[0].time"');
+    expect(() => parseSyncData({ anchors: [{ bar: 1 }] })).toThrow('exactly one of "ms" or "time"');
+  });
+});
+
+describe('syncFilePathFor', () => {
+  it('puts the sidecar next to the GP file', () => {
+    expect(syncFilePathFor('songs/riff.gp5')).toBe('songs/riff.sync.json');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// resolveSyncAnchors
+// ---------------------------------------------------------------------------
+
+describe('resolveSyncAnchors', () => {
+  it('maps bar numbers to score time and adds the offset', () => {
+    const { timeline, tickToMs } = timelineFor(REPEATED);
+    const sync = parseSyncData({ offsetMs: 100, anchors: [{ bar: 1, ms: 500 }, { bar: 3, ms: 9000 }] });
+    expect(resolveSyncAnchors(sync, timeline, tickToMs)).toEqual([
+      { scoreMs: 0, audioMs: 600 },
+      { scoreMs: 8000, audioMs: 9100 },
+    ]);
+  });
+
+  it('uses the pass to pick a repeated bar', () => {
+    const { timeline, tickToMs } = timelineFor(REPEATED);
+    const sync = parseSyncData({ anchors: [{ bar: 1, pass: 2, ms: 4500 }] });
+    expect(resolveSyncAnchors(sync, timeline, tickToMs)).toEqual([{ scoreMs: 4000, audioMs: 4500 }]);
+  });
+
+  it('rejects bars that are never played and anchors out of order', () => {
+    const { timeline, tickToMs } = timelineFor(REPEATED);
+    const unplayed = parseSyncData({ anchors: [{ bar: 3, pass: 2, ms: 0 }] });
+    expect(() => resolveSyncAnchors(unplayed, timeline, tickToMs)).toThrow('never played');
+    const backwards = parseSyncData({ anchors: [{ bar: 4, ms: 1000 }, { bar: 2, ms: 3000 }] });
+    expect(() => resolveSyncAnchors(backwards, timeline, tickToMs)).toThrow('must be later');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// buildTimingMap / buildBarClock with a sync file
+// ---------------------------------------------------------------------------
+
+describe('sync anchors in timing maps', () => {
+  const sync = parseSyncData({ offsetMs: 1000, anchors: [{ bar: 1, ms: 0 }, { bar: 3, ms: 10000 }] });
+
+  it('shifts by the offset when there are no anchors', () => {
+    const score = scoreFromTex(REPEATED);
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const { beatTimings, songDurationMs } = buildTimingMap(score, null, 0, { sync: { offsetMs: 1000, anchors: [] } });
+      expect(beatTimings[0].ms).toBeCloseTo(1000);
+      expect(songDurationMs).toBeCloseTo(13000);
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('stretches beats between anchors', () => {
+    const score = scoreFromTex(REPEATED);
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const { beatTimings, warp } = buildTimingMap(score, null, 0, { sync });
+      // Bar 1 pass 2 is at 4s in the score: halfway between the anchors
+      const repeat = beatTimings.find(bt => bt.barIndex === 0 && bt.pass === 1);
+      expect(repeat.ms).toBeCloseTo(6000);
+      expect(warp(8000)).toBeCloseTo(11000);
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('gives bar positions on the take without rendering', () => {
+    const clock = buildBarClock(scoreFromTex(REPEATED), sync);
+    expect(clock.barStartMs(1)).toBeCloseTo(1000);
+    expect(clock.barStartMs(1, 2)).toBeCloseTo(6000);
+    expect(clock.barEndMs(4)).toBeCloseTo(15000);
+    expect(clock.barStartMs(3, 2)).toBeNull();
+    expect(clock.songDurationMs).toBeCloseTo(15000);
+  });
+});
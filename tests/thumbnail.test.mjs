@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import sharp from 'sharp';
+import { emptyFeatures } from '../src/practice-engine.mjs';
+import { hardestBarIndex, excerptRect, renderThumbnail, THUMBNAIL_LAYOUTS } from '../src/thumbnail.mjs';
+
+function bar(index, values) {
+  return { ...emptyFeatures(index, 4), isEmpty: false, ...values };
+}
+
+describe('hardestBarIndex', () => {
+  it('picks the bar with the top difficulty score', () => {
+    const features = [
+      bar(0, { noteDensity: 4, stringCrossings: 1 }),
+      bar(1, { noteDensity: 16, stringCrossings: 9, positionShifts: 3, fretSpan: 5 }),
+      bar(2, { noteDensity: 8, stringCrossings: 2 }),
+      emptyFeatures(3, 4),
+    ];
+    expect(hardestBarIndex(features)).toBe(1);
+  });
+});
+
+describe('excerptRect', () => {
+  const strip = {
+    totalWidth: 5000,
+    bars: [{ x: 0, w: 400, systemIndex: 0 }, { x: 2400, w: 400, systemIndex: 0 }, { x: 4800, w: 200, systemIndex: 0 }],
+    systems: [{ x: 0, y: 0, w: 5000, h: 300 }],
+  };
+
+  it('starts at the opening bars or centres on a bar', () => {
+    expect(excerptRect(strip, null, 1080, 280)).toEqual({ left: 0, top: 0, width: 1080, height: 280 });
+    expect(excerptRect(strip, 1, 1080, 280)).toEqual({ left: 2060, top: 0, width: 1080, height: 280 });
+    expect(excerptRect(strip, 2, 1080, 280).left).toBe(5000 - 1080);
+  });
+
+  it('crops to the bar\'s line in page display', () => {
+    const page = { ...strip, systems: [{ x: 0, y: 10, w: 5000, h: 200 }, { x: 0, y: 220, w: 5000, h: 200 }] };
+    page.bars = [{ x: 100, w: 400, systemIndex: 1 }];
+    expect(excerptRect(page, 0, 1080, 500)).toEqual({ left: 0, top: 220, width: 1080, height: 200 });
+  });
+});
+
+describe('renderThumbnail', () => {
+  let dir, background, strip;
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-'));
+    background = path.join(dir, 'bg.png');
+    await sharp({ create: { width: 1600, height: 1200, channels: 3, background: '#335577' } }).png().toFile(background);
+    strip = {
+      pngBuffer: await sharp({ create: { width: 3000, height: 240, channels: 4, background: { r: 255, g: 255, b: 255, alpha: 1 } } }).png().toBuffer(),
+      totalWidth: 3000,
+      bars: [{ x: 0, w: 300, systemIndex: 0 }, { x: 1500, w: 300, systemIndex: 0 }],
+      systems: [{ x: 0, y: 0, w: 3000, h: 240 }],
+    };
+  });
+  afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('renders each layout in the requested format', async () => {
+    for (const [name, format] of [['youtube', 'webp'], ['ig-grid', 'jpeg'], ['square', 'png']]) {
+      const layout = THUMBNAIL_LAYOUTS[name];
+      const image = await renderThumbnail({
+        background, strip, layout, format, barIndex: 1, text: { title: 'Song', artist: 'Artist', info: 'Drop D · 140 BPM' },
+      });
+      const meta = await sharp(image).metadata();
+      expect([meta.format, meta.width, meta.height]).toEqual([format, layout.width, layout.height]);
+    }
+  });
+});
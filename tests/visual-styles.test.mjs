@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { energyContext, createVisualBackground, styleOptions, loadVisualStyles } from '../src/visual-styles.mjs';
+
+// 10 frames at 10 fps, getting louder
+const audio = {
+  fps: 10,
+  totalFrames: 10,
+  energy: Float32Array.from({ length: 10 }, (_, i) => i / 9),
+  energySlow: new Float32Array(10).fill(0.5),
+  energyGlacial: new Float32Array(10).fill(0.25),
+  bands: { low: new Float32Array(10).fill(1), mid: new Float32Array(10), high: new Float32Array(10) },
+  centroid: new Float32Array(10).fill(2205),
+  onset: new Float32Array(10),
+  beatPhase: Float32Array.from({ length: 10 }, (_, i) => (i % 4) / 4),
+  sampleRate: 44100,
+};
+
+describe('energyContext', () => {
+  it('reads the channels at a frame and holds the last one past the end', () => {
+    expect(energyContext(audio, 5)).toEqual({
+      raw: Math.fround(5 / 9), slow: 0.5, glacial: 0.25,
+      low: 1, mid: 0, high: 0, centroid: 0.1, onset: 0, beat: 0.25, progress: 0.5,
+    });
+    expect(energyContext(audio, 25).raw).toBe(1);
+  });
+});
+
+describe('createVisualBackground', () => {
+  it('renders opaque RGBA frames and rejects unknown styles', () => {
+    const bg = createVisualBackground('ocean', 64, 36, audio);
+    const frame = bg.renderFrame(3);
+    expect(frame.length).toBe(64 * 36 * 4);
+    expect(frame[(18 * 64 + 32) * 4 + 3]).toBe(255);
+    expect(() => createVisualBackground('lava', 64, 36, audio)).toThrow(/Available: nebula, neon-guitar, ocean/);
+  });
+});
+
+describe('styleOptions', () => {
+  it('fills in defaults and rejects what the style does not take', () => {
+    const opts = styleOptions('ocean', {});
+    expect([opts.paletteName, opts.density, opts.seed]).toEqual(['deep', 1, 42]);
+    expect(styleOptions('nebula', { seed: 7 }).random()).toBe(styleOptions('nebula', { seed: 7 }).random());
+    expect(() => styleOptions('ocean', { palette: 'lava' })).toThrow(/Available: deep, sunset, arctic/);
+    expect(() => styleOptions('neon-guitar', { density: 2 })).toThrow(/has no density/);
+  });
+});
+
+describe('loadVisualStyles', () => {
+  it('names styles after their files and requires create()', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'styles-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'flat.mjs'), "export const audioReactive = false;\nexport function create() { return () => {}; }\n");
+      const styles = await loadVisualStyles(dir);
+      expect(styles.flat).toMatchObject({ name: 'flat', params: [], audioReactive: false });
+
+      fs.writeFileSync(path.join(dir, 'broken.mjs'), 'export const description = "no create";\n');
+      await expect(loadVisualStyles(dir)).rejects.toThrow(/broken.mjs does not export create/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});